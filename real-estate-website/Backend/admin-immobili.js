@@ -0,0 +1,305 @@
+/**
+ * admin-immobili.js - API del back-office immobili (riservate, vedi auth.js)
+ * Crea, modifica, duplica, pubblica/ritira e archivia gli immobili di data/immobili.json.
+ * Il server normalizza ogni scrittura (solo i campi usati dalle pagine, numeri convertiti,
+ * date di inserimento e modifica gestite qui; il vecchio prezzoDisplay non viene più salvato) e la
+ * valida con lo schema di validazione-immobili.js: un record non valido non viene salvato (422).
+ * Quando un immobile passa a “pubblicato” viene chiamato onPubblicato (avvisi delle ricerche salvate).
+ * I testi nelle altre lingue (titolo, descrizione, alt delle immagini) sono salvati in traduzioni.
+ */
+
+'use strict';
+
+var httpUtils = require('./http-utils');
+var immobili = require('./immobili');
+var Annunci = require('../assets/js/annunci');
+var I18n = require('../assets/js/i18n');
+var validazione = require('./validazione-immobili');
+
+function toTrimmedString(value) {
+  return value == null ? '' : String(value).trim();
+}
+
+/**
+ * Converte un numero da input del form (accetta stringhe numeriche, virgola decimale).
+ * Un testo non numerico resta stringa, così la validazione lo segnala come tale.
+ * @returns {number|string|undefined} undefined se vuoto
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  var str = toTrimmedString(value);
+  if (str === '') return undefined;
+  var n = Number(str.replace(',', '.'));
+  return isFinite(n) ? n : str;
+}
+
+/**
+ * Traduzioni dei campi indicati, per le lingue diverse dalla predefinita: solo i testi non vuoti.
+ * @param {*} traduzioni - Es. { en: { titolo, descrizione } }
+ * @param {Array<string>} campi
+ * @returns {Object|undefined} undefined se non c’è alcun testo tradotto
+ */
+function normalizeTraduzioni(traduzioni, campi) {
+  if (!traduzioni || typeof traduzioni !== 'object') return undefined;
+  var result;
+  I18n.LINGUE.forEach(function (lingua) {
+    var testi = traduzioni[lingua];
+    if (lingua === I18n.LINGUA_DEFAULT || !testi || typeof testi !== 'object') return;
+    campi.forEach(function (campo) {
+      var value = toTrimmedString(testi[campo]);
+      if (!value) return;
+      result = result || {};
+      result[lingua] = result[lingua] || {};
+      result[lingua][campo] = value;
+    });
+  });
+  return result;
+}
+
+/**
+ * Normalizza i campi modificabili inviati dall’editor: solo le chiavi note, testi senza
+ * spazi superflui, numeri convertiti, dettagli (anche con chiavi libere) e immagini vuoti scartati.
+ * La validazione vera e propria è quella dello schema (vedi validateRecord).
+ * @param {Object} body - Corpo della richiesta
+ * @returns {Object}
+ */
+function normalizeInput(body) {
+  var data = {
+    titolo: toTrimmedString(body.titolo),
+    tipologia: toTrimmedString(body.tipologia),
+    tipoImmobile: toTrimmedString(body.tipoImmobile),
+    prezzo: toNumber(body.prezzo),
+    prezzoPrecedente: toNumber(body.prezzoPrecedente),
+    valuta: toTrimmedString(body.valuta).toUpperCase(),
+    prezzoSuRichiesta: body.prezzoSuRichiesta === true || body.prezzoSuRichiesta === '1',
+    superficie: toNumber(body.superficie),
+    locali: toNumber(body.locali),
+    citta: toTrimmedString(body.citta),
+    indirizzo: toTrimmedString(body.indirizzo),
+    descrizione: toTrimmedString(body.descrizione),
+    dettagliTecnici: {},
+    immagini: []
+  };
+
+  var dt = body.dettagliTecnici && typeof body.dettagliTecnici === 'object' ? body.dettagliTecnici : {};
+  // Anche le chiavi fuori dall’elenco dell’editor: lo schema le ammette (additionalProperties)
+  Object.keys(dt).forEach(function (key) {
+    var value = typeof dt[key] === 'string' ? dt[key].trim() : '';
+    if (key.trim() && value) data.dettagliTecnici[key.trim()] = value;
+  });
+
+  var immagini = Array.isArray(body.immagini) ? body.immagini : [];
+  immagini.forEach(function (im) {
+    var src = im && toTrimmedString(im.src);
+    if (!src) return;
+    var immagine = { src: src, alt: toTrimmedString(im.alt) };
+    // Il tipo si salva solo se diverso da foto (il default); un valore non previsto lo segnala lo schema
+    var tipo = toTrimmedString(im.tipo);
+    if (tipo && tipo !== 'foto') immagine.tipo = tipo;
+    var traduzioniImmagine = normalizeTraduzioni(im.traduzioni, ['alt']);
+    if (traduzioniImmagine) immagine.traduzioni = traduzioniImmagine;
+    data.immagini.push(immagine);
+  });
+
+  var traduzioni = normalizeTraduzioni(body.traduzioni, ['titolo', 'descrizione']);
+  if (traduzioni) data.traduzioni = traduzioni;
+
+  // Coordinate facoltative: se ne manca solo una, la validazione la segnala
+  var coordinate = body.coordinate && typeof body.coordinate === 'object' ? body.coordinate : {};
+  var lat = toNumber(coordinate.lat);
+  var lng = toNumber(coordinate.lng);
+  if (lat !== undefined || lng !== undefined) data.coordinate = { lat: lat, lng: lng };
+
+  if (!data.descrizione) delete data.descrizione;
+  if (!data.indirizzo) delete data.indirizzo;
+  if (data.prezzo === undefined) delete data.prezzo;
+  if (data.prezzoPrecedente === undefined) delete data.prezzoPrecedente;
+  if (!data.valuta) delete data.valuta;
+  if (!data.prezzoSuRichiesta) delete data.prezzoSuRichiesta;
+
+  return data;
+}
+
+/**
+ * Valida il record completo prima del salvataggio.
+ * @returns {Array} Avvisi (es. immagini non trovate), che non bloccano il salvataggio
+ * @throws {HttpError} 422 con { campi } se il record non rispetta lo schema
+ */
+function validateRecord(record) {
+  var result = validazione.validateImmobile(record);
+  if (result.errori.length > 0) {
+    var campi = validazione.toCampi(result.errori);
+    throw new httpUtils.HttpError(422, 'Dati non validi', { campi: campi });
+  }
+  return result.avvisi;
+}
+
+/**
+ * Data odierna in formato AAAA-MM-GG (come dataInserimento nei dati).
+ */
+function today(now) {
+  return now.toISOString().slice(0, 10);
+}
+
+/**
+ * Prossimo id numerico libero.
+ */
+function nextId(list) {
+  return list.reduce(function (max, item) {
+    var n = Number(item.id);
+    return isFinite(n) && n > max ? n : max;
+  }, 0) + 1;
+}
+
+/**
+ * Crea gli handler del back-office immobili.
+ * @param {{ read: function(): Array, update: function(function(Array): Array): Array }} store - Archivio immobili
+ * @param {{ onPubblicato?: function(Object, http.IncomingMessage): * }} [options]
+ *   onPubblicato: chiamata dopo il salvataggio con l’immobile appena pubblicato e la richiesta
+ */
+function createHandlers(store, options) {
+  options = options || {};
+
+  function readAll() {
+    var data = store.read();
+    return Array.isArray(data) ? data : [];
+  }
+
+  function indexOfId(list, id) {
+    for (var i = 0; i < list.length; i++) {
+      if (String(list[i].id) === String(id)) return i;
+    }
+    return -1;
+  }
+
+  function getOr404(list, id) {
+    var idx = indexOfId(list, id);
+    if (idx === -1) throw new httpUtils.HttpError(404, 'Immobile non trovato');
+    return idx;
+  }
+
+  function readInput(req) {
+    return httpUtils.readJsonBody(req).then(normalizeInput);
+  }
+
+  /**
+   * Risposta delle scritture: il record salvato e gli eventuali avvisi di validazione.
+   */
+  function sendSaved(res, status, record, avvisi) {
+    httpUtils.sendJson(res, status, { immobile: record, avvisi: avvisi });
+  }
+
+  return {
+    /** GET /api/admin/immobili: tutti gli immobili, compresi bozze e archiviati */
+    list: function (req, res) {
+      var list = readAll().map(function (item) {
+        return Object.assign({}, item, { statoAnnuncio: immobili.getStatoAnnuncio(item) });
+      });
+      httpUtils.sendJson(res, 200, { immobili: Annunci.sortImmobili(list, 'recente') });
+    },
+
+    /** GET /api/admin/immobili/:id */
+    detail: function (req, res, ctx) {
+      var list = readAll();
+      var item = list[getOr404(list, ctx.params.id)];
+      httpUtils.sendJson(res, 200, Object.assign({}, item, { statoAnnuncio: immobili.getStatoAnnuncio(item) }));
+    },
+
+    /** POST /api/admin/immobili: nuovo immobile, creato come bozza */
+    create: function (req, res) {
+      return readInput(req).then(function (data) {
+        var now = new Date();
+        var created;
+        var avvisi;
+        store.update(function (list) {
+          created = Object.assign({ id: nextId(list) }, data, {
+            statoAnnuncio: immobili.STATI.bozza,
+            dataInserimento: today(now),
+            dataModifica: now.toISOString()
+          });
+          avvisi = validateRecord(created);
+          list.push(created);
+          return list;
+        });
+        sendSaved(res, 201, created, avvisi);
+      });
+    },
+
+    /** PUT /api/admin/immobili/:id: sostituisce i campi modificabili, conserva id, stato e date */
+    update: function (req, res, ctx) {
+      return readInput(req).then(function (data) {
+        var updated;
+        var avvisi;
+        store.update(function (list) {
+          var idx = getOr404(list, ctx.params.id);
+          var current = list[idx];
+          updated = Object.assign({ id: current.id }, data, {
+            statoAnnuncio: immobili.getStatoAnnuncio(current),
+            dataInserimento: current.dataInserimento || today(new Date()),
+            dataModifica: new Date().toISOString()
+          });
+          avvisi = validateRecord(updated);
+          list[idx] = updated;
+          return list;
+        });
+        sendSaved(res, 200, updated, avvisi);
+      });
+    },
+
+    /** POST /api/admin/immobili/:id/duplica: copia come nuova bozza */
+    duplicate: function (req, res, ctx) {
+      var now = new Date();
+      var copy;
+      var avvisi;
+      store.update(function (list) {
+        var source = list[getOr404(list, ctx.params.id)];
+        copy = Object.assign({}, JSON.parse(JSON.stringify(source)), {
+          id: nextId(list),
+          titolo: (source.titolo || '') + ' (copia)',
+          statoAnnuncio: immobili.STATI.bozza,
+          dataInserimento: today(now),
+          dataModifica: now.toISOString()
+        });
+        avvisi = validateRecord(copy);
+        list.push(copy);
+        return list;
+      });
+      sendSaved(res, 201, copy, avvisi);
+    },
+
+    /** POST /api/admin/immobili/:id/stato: { stato: 'bozza' | 'pubblicato' | 'archiviato' } */
+    setStato: function (req, res, ctx) {
+      return httpUtils.readJsonBody(req).then(function (body) {
+        var stato = body.stato;
+        if (!Object.prototype.hasOwnProperty.call(immobili.STATI, stato)) {
+          throw new httpUtils.HttpError(422, 'Stato non valido', { campi: { stato: 'Usa bozza, pubblicato o archiviato.' } });
+        }
+        var updated;
+        var avvisi;
+        var pubblicato = false;
+        store.update(function (list) {
+          var idx = getOr404(list, ctx.params.id);
+          pubblicato = stato === immobili.STATI.pubblicato && immobili.getStatoAnnuncio(list[idx]) !== stato;
+          updated = Object.assign({}, list[idx], { statoAnnuncio: stato, dataModifica: new Date().toISOString() });
+          avvisi = validateRecord(updated);
+          list[idx] = updated;
+          return list;
+        });
+        sendSaved(res, 200, updated, avvisi);
+        if (pubblicato && options.onPubblicato) {
+          // Dopo la risposta: un problema negli avvisi non riguarda il back-office
+          Promise.resolve().then(function () {
+            return options.onPubblicato(updated, req);
+          }).catch(function (err) {
+            console.error('[admin] avvisi per l’immobile ' + updated.id + ' non inviati: ' + err.message);
+          });
+        }
+      });
+    }
+  };
+}
+
+module.exports = {
+  normalizeInput: normalizeInput,
+  createHandlers: createHandlers
+};
@@ -0,0 +1,163 @@
+/**
+ * agenzie.js - Agenzie servite dal server, scelte per dominio
+ * data/agenzie.json elenca le agenzie; per ognuna:
+ * - id: nome breve (cartella dei dati in Backend/storage) e domini (host) su cui risponde;
+ * - dati mostrati nelle pagine, i campi di assets/js/agenzia.js (nome, logo, contatti, indirizzo,
+ *   social, colori, lingua); quelli assenti sono quelli del template;
+ * - dati del solo server: indirizzo pubblico del sito (siteUrl), file degli immobili (dati) e delle
+ *   disponibilità per le visite (disponibilita), relativi alla radice del sito, mittente delle email.
+ *   Senza dati/disponibilita la prima agenzia usa i file di data/, le altre quelli di data/<id>/:
+ *   un’agenzia aggiunta non mostra mai gli immobili di un’altra.
+ * Ogni richiesta è servita con l’agenzia del suo Host; un dominio non elencato riceve la prima.
+ * Senza data/agenzie.json il server serve la sola agenzia del template con i file di data/.
+ * Il file è letto all’avvio: dopo una modifica il server va riavviato.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+var Agenzia = require('../assets/js/agenzia');
+var I18n = require('../assets/js/i18n');
+
+var SITE_ROOT = path.resolve(__dirname, '..');
+var AGENZIE_JSON_PATH = path.join(SITE_ROOT, 'data', 'agenzie.json');
+
+/** Campi testuali facoltativi del solo server */
+var CAMPI_SERVER = ['siteUrl', 'dati', 'disponibilita', 'mittente'];
+
+function isOggetto(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/** Dominio di un header Host, senza porta e in minuscolo */
+function normalizzaHost(host) {
+  return String(host || '').trim().toLowerCase().replace(/:\d+$/, '').replace(/\.$/, '');
+}
+
+/**
+ * Controlla l’elenco delle agenzie di data/agenzie.json.
+ * @param {*} list
+ * @returns {Array<string>} Errori (vuoto se l’elenco è valido)
+ */
+function validaAgenzie(list) {
+  if (!Array.isArray(list) || list.length === 0) return ['deve essere un array con almeno un’agenzia'];
+  var errori = [];
+  var ids = {};
+  var hosts = {};
+  list.forEach(function (voce, i) {
+    var nome = 'agenzia #' + i;
+    if (!isOggetto(voce)) {
+      errori.push(nome + ': deve essere un oggetto');
+      return;
+    }
+    if (typeof voce.id !== 'string' || !/^[a-z0-9-]+$/.test(voce.id)) {
+      errori.push(nome + ' id: obbligatorio, solo lettere minuscole, cifre e trattini');
+    } else if (ids[voce.id]) {
+      errori.push(nome + ' id: "' + voce.id + '" già usato');
+    } else {
+      ids[voce.id] = true;
+      nome = 'agenzia "' + voce.id + '"';
+    }
+    if (voce.host != null && !Array.isArray(voce.host)) {
+      errori.push(nome + ' host: deve essere un array di domini');
+    }
+    (Array.isArray(voce.host) ? voce.host : []).forEach(function (host) {
+      var dominio = normalizzaHost(host);
+      if (typeof host !== 'string' || !dominio) {
+        errori.push(nome + ' host: domini non validi');
+      } else if (hosts[dominio]) {
+        errori.push(nome + ' host: "' + dominio + '" è già di un’altra agenzia');
+      } else {
+        hosts[dominio] = true;
+      }
+    });
+    CAMPI_SERVER.forEach(function (campo) {
+      if (voce[campo] != null && typeof voce[campo] !== 'string') errori.push(nome + ' ' + campo + ': deve essere una stringa');
+    });
+    if (typeof voce.siteUrl === 'string' && voce.siteUrl && !/^https?:\/\//.test(voce.siteUrl)) {
+      errori.push(nome + ' siteUrl: deve iniziare con http:// o https://');
+    }
+    if (voce.nome != null && (typeof voce.nome !== 'string' || !voce.nome.trim())) {
+      errori.push(nome + ' nome: non può essere vuoto');
+    }
+    if (voce.lingua != null && !I18n.normalizeLingua(voce.lingua)) {
+      errori.push(nome + ' lingua: una tra ' + I18n.LINGUE.join(', '));
+    }
+    ['indirizzo', 'social', 'colori'].forEach(function (campo) {
+      if (voce[campo] != null && !isOggetto(voce[campo])) errori.push(nome + ' ' + campo + ': deve essere un oggetto');
+    });
+    if (isOggetto(voce.social)) {
+      Object.keys(voce.social).forEach(function (rete) {
+        if (!/^https?:\/\//.test(String(voce.social[rete]))) errori.push(nome + ' social.' + rete + ': indirizzo non valido');
+      });
+    }
+  });
+  return errori;
+}
+
+/**
+ * Agenzia pronta per il server: config con i dati per le pagine (Agenzia.normalizza) e percorsi assoluti.
+ * @param {Object} voce - Voce di data/agenzie.json
+ * @param {string} siteRoot - Radice del sito
+ * @param {boolean} predefinita - Prima agenzia: file di default in data/, per le altre in data/<id>/
+ * @returns {{ id: string, host: Array<string>, siteUrl: string, immobiliPath: string, disponibilitaPath: string, mittente: string, config: Object }}
+ */
+function preparaAgenzia(voce, siteRoot, predefinita) {
+  var cartellaDati = predefinita ? 'data' : 'data/' + voce.id;
+  return {
+    id: voce.id,
+    host: (voce.host || []).map(normalizzaHost),
+    siteUrl: (voce.siteUrl || '').replace(/\/+$/, ''),
+    immobiliPath: path.resolve(siteRoot, voce.dati || cartellaDati + '/immobili.json'),
+    disponibilitaPath: path.resolve(siteRoot, voce.disponibilita || cartellaDati + '/disponibilita.json'),
+    mittente: voce.mittente || '',
+    config: Agenzia.normalizza(voce)
+  };
+}
+
+/**
+ * Legge le agenzie da data/agenzie.json (o dal file indicato).
+ * @param {string} [filePath] - Default AGENZIE_JSON_PATH
+ * @returns {Array<Object>} Agenzie (vedi preparaAgenzia); senza file, la sola agenzia del template
+ * @throws {Error} File illeggibile, JSON non valido o agenzie non valide: il server non parte
+ */
+function caricaAgenzie(filePath) {
+  filePath = filePath || AGENZIE_JSON_PATH;
+  var list;
+  try {
+    list = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [preparaAgenzia({ id: 'predefinita' }, SITE_ROOT, true)];
+    throw new Error('[agenzie.json] ' + err.message);
+  }
+  var errori = validaAgenzie(list);
+  if (errori.length > 0) {
+    throw new Error('[agenzie.json] ' + errori.join('; '));
+  }
+  return list.map(function (voce, i) {
+    return preparaAgenzia(voce, SITE_ROOT, i === 0);
+  });
+}
+
+/**
+ * Agenzia che risponde al dominio della richiesta; la prima se il dominio non è elencato.
+ * @param {Array<Object>} agenzie - Vedi caricaAgenzie
+ * @param {string} [host] - Header Host (es. "www.agenzia.it:443")
+ * @returns {Object}
+ */
+function trovaAgenzia(agenzie, host) {
+  var dominio = normalizzaHost(host);
+  for (var i = 0; i < agenzie.length; i++) {
+    if (agenzie[i].host.indexOf(dominio) !== -1) return agenzie[i];
+  }
+  return agenzie[0];
+}
+
+module.exports = {
+  AGENZIE_JSON_PATH: AGENZIE_JSON_PATH,
+  validaAgenzie: validaAgenzie,
+  caricaAgenzie: caricaAgenzie,
+  trovaAgenzia: trovaAgenzia
+};
@@ -0,0 +1,169 @@
+/**
+ * auth.js - Autenticazione area admin
+ * Credenziali da variabili d’ambiente (ADMIN_USER, default "admin", e ADMIN_PASSWORD):
+ * senza ADMIN_PASSWORD l’area admin resta disattivata. Le agenzie oltre la prima di
+ * data/agenzie.json hanno le proprie (ADMIN_USER_<ID> e ADMIN_PASSWORD_<ID>, vedi
+ * getCredenzialiAgenzia): nessuna accede all’area admin di un’altra. Dopo il login la sessione è un
+ * token casuale in un cookie HttpOnly/SameSite=Strict, tenuto in memoria dal server
+ * (un riavvio richiede un nuovo login). Ogni IP può tentare il login al massimo
+ * LOGIN_RATE_LIMIT volte, poi 429 con Retry-After (contro i tentativi a forza bruta).
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+
+var httpUtils = require('./http-utils');
+var rateLimit = require('./rate-limit');
+
+var COOKIE_NAME = 'admin_session';
+var SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+/** Tentativi di login per IP nella finestra */
+var LOGIN_RATE_LIMIT = { max: 10, windowMs: 15 * 60 * 1000 };
+
+/**
+ * Confronto a tempo costante di due stringhe (evita timing attack sulla password).
+ */
+function safeEqual(a, b) {
+  var hashA = crypto.createHash('sha256').update(String(a)).digest();
+  var hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Legge un cookie dall’header Cookie della richiesta.
+ * @returns {string|null} null anche se il valore non è decodificabile (es. "%"): come un cookie assente
+ */
+function getCookie(req, name) {
+  var header = req.headers.cookie || '';
+  var parts = header.split(';');
+  for (var i = 0; i < parts.length; i++) {
+    var idx = parts[i].indexOf('=');
+    if (idx === -1) continue;
+    if (parts[i].slice(0, idx).trim() !== name) continue;
+    try {
+      return decodeURIComponent(parts[i].slice(idx + 1).trim());
+    } catch (err) {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Credenziali dell’area admin di un’agenzia oltre la prima: ADMIN_USER_<ID> (default "admin") e
+ * ADMIN_PASSWORD_<ID>, con l’id in maiuscolo e i trattini come "_" (es. ADMIN_PASSWORD_AGENZIA_ROMA).
+ * Senza la propria password l’area admin dell’agenzia resta disattivata, mai quella della prima.
+ * @param {string} id - id dell’agenzia (vedi agenzie.js)
+ * @returns {{ user: string, password: string, variabilePassword: string }}
+ */
+function getCredenzialiAgenzia(id) {
+  var suffisso = '_' + id.toUpperCase().replace(/-/g, '_');
+  return {
+    user: process.env['ADMIN_USER' + suffisso] || 'admin',
+    password: process.env['ADMIN_PASSWORD' + suffisso] || '',
+    variabilePassword: 'ADMIN_PASSWORD' + suffisso
+  };
+}
+
+/**
+ * Crea il gestore sessioni admin.
+ * @param {{ user?: string, password?: string, variabilePassword?: string }} [credentials] - Default da
+ *   ADMIN_USER / ADMIN_PASSWORD (una password vuota indicata qui disattiva l’area admin);
+ *   variabilePassword: nome della variabile suggerito nell’errore 503
+ * @param {{ rateLimit?: { max: number, windowMs: number }, trustProxy?: boolean }} [options]
+ *   rateLimit: default LOGIN_RATE_LIMIT; trustProxy: IP del client da X-Forwarded-For (server dietro un proxy)
+ */
+function createAuth(credentials, options) {
+  credentials = credentials || {};
+  options = options || {};
+  var adminUser = credentials.user || process.env.ADMIN_USER || 'admin';
+  var adminPassword = credentials.password != null ? credentials.password : process.env.ADMIN_PASSWORD || '';
+  var variabilePassword = credentials.variabilePassword || 'ADMIN_PASSWORD';
+
+  /** Sessioni attive: token -> { utente, scadenza } */
+  var sessions = new Map();
+  var limiter = rateLimit.createRateLimiter(options.rateLimit || LOGIN_RATE_LIMIT);
+
+  function buildCookie(token, maxAgeSeconds) {
+    return COOKIE_NAME + '=' + token + '; Path=/; HttpOnly; SameSite=Strict; Max-Age=' + maxAgeSeconds;
+  }
+
+  /**
+   * Restituisce la sessione valida della richiesta o null (elimina quelle scadute).
+   */
+  function getSession(req) {
+    var token = getCookie(req, COOKIE_NAME);
+    if (!token) return null;
+    var session = sessions.get(token);
+    if (!session) return null;
+    if (session.scadenza < Date.now()) {
+      sessions.delete(token);
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Avvolge un handler: risponde 401 se la richiesta non ha una sessione admin valida.
+   * La sessione è disponibile all’handler come ctx.session.
+   */
+  function requireAdmin(handler) {
+    return function (req, res, ctx) {
+      var session = getSession(req);
+      if (!session) throw new httpUtils.HttpError(401, 'Accesso riservato: effettua il login');
+      ctx.session = session;
+      return handler(req, res, ctx);
+    };
+  }
+
+  return {
+    requireAdmin: requireAdmin,
+
+    /** POST /api/admin/login */
+    login: function (req, res) {
+      var limite = limiter.hit(httpUtils.getClientIp(req, options.trustProxy));
+      if (!limite.allowed) {
+        req.resume();
+        res.setHeader('Retry-After', String(Math.ceil(limite.retryAfterMs / 1000)));
+        throw new httpUtils.HttpError(429, 'Troppi tentativi di accesso. Riprova tra qualche minuto.');
+      }
+      return httpUtils.readJsonBody(req).then(function (body) {
+        if (!adminPassword) {
+          throw new httpUtils.HttpError(503, 'Area admin non configurata: imposta ' + variabilePassword);
+        }
+        var userOk = safeEqual(body.username || '', adminUser);
+        var passwordOk = safeEqual(body.password || '', adminPassword);
+        if (!userOk || !passwordOk) {
+          throw new httpUtils.HttpError(401, 'Credenziali non valide');
+        }
+        var token = crypto.randomBytes(32).toString('hex');
+        sessions.set(token, { utente: adminUser, scadenza: Date.now() + SESSION_TTL_MS });
+        res.setHeader('Set-Cookie', buildCookie(token, SESSION_TTL_MS / 1000));
+        httpUtils.sendJson(res, 200, { utente: adminUser });
+      });
+    },
+
+    /** POST /api/admin/logout */
+    logout: function (req, res) {
+      var token = getCookie(req, COOKIE_NAME);
+      if (token) sessions.delete(token);
+      res.setHeader('Set-Cookie', buildCookie('', 0));
+      httpUtils.sendJson(res, 200, { ok: true });
+    },
+
+    /** GET /api/admin/sessione */
+    session: function (req, res) {
+      var session = getSession(req);
+      if (!session) throw new httpUtils.HttpError(401, 'Accesso riservato: effettua il login');
+      httpUtils.sendJson(res, 200, { utente: session.utente });
+    }
+  };
+}
+
+module.exports = {
+  createAuth: createAuth,
+  getCredenzialiAgenzia: getCredenzialiAgenzia,
+  getCookie: getCookie,
+  LOGIN_RATE_LIMIT: LOGIN_RATE_LIMIT
+};
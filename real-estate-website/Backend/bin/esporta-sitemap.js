@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * esporta-sitemap.js - Esporta su disco la sitemap generata dagli annunci
+ * Stessi file serviti dal server su /sitemap.xml (vedi Backend/sitemap.js), per i siti pubblicati
+ * senza il server: sitemap.xml (più sitemap-N.xml se serve un indice) nella radice del sito o nella
+ * cartella indicata. I file sitemap-N.xml di un’esportazione precedente non più usati vengono rimossi.
+ *
+ * Uso: node Backend/bin/esporta-sitemap.js [percorso-file] --site-url=https://www.agenzia.it [--out=cartella] [--senza-server]
+ *   --site-url      indirizzo pubblico del sito (default: variabile SITE_URL)
+ *   --out           cartella di destinazione (default: radice del sito)
+ *   --senza-server  indirizzi delle pagine statiche (immobili.html, immobile.html?id=) invece di /immobili/:id-slug
+ * Codice di uscita: 0 completato, 2 file illeggibile, JSON non valido o indirizzo del sito mancante.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+var sitemap = require('../sitemap');
+
+var SITE_ROOT = path.resolve(__dirname, '..', '..');
+var DEFAULT_FILE = path.join(SITE_ROOT, 'data', 'immobili.json');
+
+function parseArgs(argv) {
+  var args = { file: DEFAULT_FILE, siteUrl: process.env.SITE_URL || '', out: SITE_ROOT, senzaServer: false };
+  argv.forEach(function (arg) {
+    if (arg.indexOf('--site-url=') === 0) args.siteUrl = arg.slice('--site-url='.length);
+    else if (arg.indexOf('--out=') === 0) args.out = path.resolve(arg.slice('--out='.length));
+    else if (arg === '--senza-server') args.senzaServer = true;
+    else args.file = path.resolve(arg);
+  });
+  args.siteUrl = args.siteUrl.replace(/\/+$/, '');
+  return args;
+}
+
+function main() {
+  var args = parseArgs(process.argv.slice(2));
+  if (!/^https?:\/\//.test(args.siteUrl)) {
+    console.error('Indica l’indirizzo pubblico del sito: --site-url=https://www.agenzia.it (o variabile SITE_URL)');
+    process.exit(2);
+  }
+  var list;
+  try {
+    list = JSON.parse(fs.readFileSync(args.file, 'utf8'));
+  } catch (err) {
+    console.error('Impossibile leggere ' + args.file + ': ' + err.message);
+    process.exit(2);
+  }
+
+  var file = sitemap.generaSitemap(list, { siteUrl: args.siteUrl, senzaServer: args.senzaServer });
+  fs.mkdirSync(args.out, { recursive: true });
+  Object.keys(file).forEach(function (nome) {
+    fs.writeFileSync(path.join(args.out, nome), file[nome]);
+    console.log('SCRITTO    ' + path.relative(process.cwd(), path.join(args.out, nome)));
+  });
+  fs.readdirSync(args.out).forEach(function (nome) {
+    if (/^sitemap-\d+\.xml$/.test(nome) && !file[nome]) {
+      fs.unlinkSync(path.join(args.out, nome));
+      console.log('RIMOSSO    ' + path.relative(process.cwd(), path.join(args.out, nome)));
+    }
+  });
+
+  var voci = sitemap.buildVoci(list, { siteUrl: args.siteUrl, senzaServer: args.senzaServer });
+  var immagini = voci.reduce(function (n, voce) { return n + voce.immagini.length; }, 0);
+  console.log(voci.length + ' indirizzi (' + immagini + ' immagini) in ' + Object.keys(file).length + ' file.');
+  process.exit(0);
+}
+
+main();
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/**
+ * genera-immagini.js - Varianti responsive delle immagini degli annunci
+ * Per ogni foto e planimetria degli immobili di ogni agenzia di data/agenzie.json crea le copie
+ * ridimensionate (e, con ImageMagick, in AVIF e WebP) nella cartella delle varianti dell’agenzia
+ * (assets/img/varianti, per le altre agenzie assets/img/varianti/<id>) e ne aggiorna il manifest
+ * varianti.json usato dall’API per srcset e picture (vedi Backend/immagini.js). Le immagini non
+ * cambiate dall’ultima esecuzione vengono saltate. Segnala anche file mancanti, compreso il
+ * segnaposto degli annunci senza foto.
+ *
+ * Uso: node Backend/bin/genera-immagini.js [percorso-file] [--force] [--solo-node] [--strict]
+ *   percorso-file  solo gli immobili di quel file, con la cartella della prima agenzia
+ *   --force      rigenera anche le varianti già aggiornate
+ *   --solo-node  non usa ImageMagick anche se installato (solo PNG, nessun AVIF/WebP)
+ *   --strict     esce con codice 1 anche in presenza di soli avvisi
+ * Codice di uscita: 0 completato, 1 avvisi con --strict, 2 file illeggibile, JSON non valido o agenzie non valide.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+var agenzie = require('../agenzie');
+var immagini = require('../immagini');
+var validazione = require('../validazione-immobili');
+
+function parseArgs(argv) {
+  var args = { file: null, force: false, soloNode: false, strict: false };
+  argv.forEach(function (arg) {
+    if (arg === '--force') args.force = true;
+    else if (arg === '--solo-node') args.soloNode = true;
+    else if (arg === '--strict') args.strict = true;
+    else args.file = path.resolve(arg);
+  });
+  return args;
+}
+
+/**
+ * Immobili e cartella delle varianti da elaborare: il file indicato o gli immobili di ogni agenzia.
+ * Il file mancante di un’agenzia oltre la prima vale come nessun immobile (agenzia appena aggiunta).
+ * @returns {Array<{ nome: string, file: string, cartella: string, list: Array }>}
+ */
+function getLavori(args) {
+  var voci = args.file ? [{ nome: '', file: args.file, cartella: immagini.VARIANTI_DIR, opzionale: false }] :
+    agenzie.caricaAgenzie().map(function (agenzia, i) {
+      return { nome: agenzia.id, file: agenzia.immobiliPath, cartella: immagini.getCartellaVarianti(agenzia, i === 0), opzionale: i > 0 };
+    });
+  return voci.map(function (voce) {
+    var list;
+    try {
+      list = JSON.parse(fs.readFileSync(voce.file, 'utf8'));
+    } catch (err) {
+      if (!(voce.opzionale && err.code === 'ENOENT')) {
+        console.error('Impossibile leggere ' + voce.file + ': ' + err.message);
+        process.exit(2);
+      }
+      list = [];
+    }
+    return { nome: voce.nome, file: voce.file, cartella: voce.cartella, list: list };
+  });
+}
+
+function main() {
+  var args = parseArgs(process.argv.slice(2));
+  var lavori;
+  try {
+    lavori = getLavori(args);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(2);
+  }
+
+  var segnaposto = validazione.checkPlaceholder();
+  var avvisi = segnaposto;
+  var formati = [];
+  lavori.forEach(function (lavoro) {
+    var prefisso = lavori.length > 1 ? '[' + lavoro.nome + '] ' : '';
+    var risultato = immagini.generaVarianti(lavoro.list, { cartella: lavoro.cartella, force: args.force, imageMagick: !args.soloNode });
+    formati = risultato.formati;
+    avvisi = avvisi.concat(risultato.avvisi);
+
+    risultato.generate.forEach(function (src) {
+      var voce = risultato.manifest[src];
+      var formatiVoce = Object.keys(voce.varianti);
+      var larghezze = voce.varianti[formatiVoce[0]].map(function (v) { return v.larghezza; });
+      console.log(prefisso + 'GENERATA   ' + src + ': ' + larghezze.join(', ') + ' px (' + formatiVoce.join(', ') + ')');
+    });
+    risultato.avvisi.forEach(function (a) { console.log(prefisso + 'AVVISO     ' + a.campo + ': ' + a.messaggio); });
+    console.log(prefisso + risultato.generate.length + ' immagini generate, ' + risultato.invariate.length + ' già aggiornate, ' +
+      risultato.avvisi.length + ' avvisi. Manifest: ' + path.relative(process.cwd(), immagini.getManifestPath(lavoro.cartella)));
+  });
+  segnaposto.forEach(function (a) { console.log('AVVISO     ' + a.campo + ': ' + a.messaggio); });
+  if (formati.indexOf('webp') === -1) {
+    console.log('Nota: ImageMagick ' + (args.soloNode ? 'escluso (--solo-node)' : 'non trovato') + ', niente varianti AVIF/WebP.');
+  }
+
+  process.exit(args.strict && avvisi.length > 0 ? 1 : 0);
+}
+
+main();
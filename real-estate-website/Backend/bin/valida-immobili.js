@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * valida-immobili.js - Controllo da riga di comando di data/immobili.json
+ * Funziona offline, senza avviare il server. Riporta errori (schema, id duplicati,
+ * tipologia, date, prezzo mancante o ribasso incoerente) e avvisi (immagini mancanti in assets/img,
+ * compreso il segnaposto degli annunci senza foto, campo prezzoDisplay non più usato).
+ *
+ * Uso: node Backend/bin/valida-immobili.js [percorso-file] [--strict] [--json]
+ *   --strict  considera anche gli avvisi come errori (codice di uscita 1)
+ *   --json    stampa il report in JSON (per script e CI)
+ * Codice di uscita: 0 file valido, 1 errori trovati, 2 file illeggibile o JSON non valido.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+var validazione = require('../validazione-immobili');
+
+var DEFAULT_FILE = path.resolve(__dirname, '..', '..', 'data', 'immobili.json');
+
+function parseArgs(argv) {
+  var args = { file: DEFAULT_FILE, strict: false, json: false };
+  argv.forEach(function (arg) {
+    if (arg === '--strict') args.strict = true;
+    else if (arg === '--json') args.json = true;
+    else args.file = path.resolve(arg);
+  });
+  return args;
+}
+
+function formatVoce(voce) {
+  var record = voce.indice == null ? '' : '#' + voce.indice + (voce.id != null ? ' (id ' + voce.id + ')' : '') + ' ';
+  return record + (voce.campo ? voce.campo + ': ' : '') + voce.messaggio;
+}
+
+function main() {
+  var args = parseArgs(process.argv.slice(2));
+  var list;
+  try {
+    list = JSON.parse(fs.readFileSync(args.file, 'utf8'));
+  } catch (err) {
+    console.error('Impossibile leggere ' + args.file + ': ' + err.message);
+    process.exit(2);
+  }
+
+  var report = validazione.validateImmobili(list);
+  var failed = report.errori.length > 0 || (args.strict && report.avvisi.length > 0);
+
+  if (args.json) {
+    console.log(JSON.stringify({ file: args.file, valido: !failed, errori: report.errori, avvisi: report.avvisi }, null, 2));
+  } else {
+    report.errori.forEach(function (e) { console.log('ERRORE  ' + formatVoce(e)); });
+    report.avvisi.forEach(function (a) { console.log('AVVISO  ' + formatVoce(a)); });
+    var count = Array.isArray(list) ? list.length : 0;
+    console.log(count + ' immobili controllati: ' + report.errori.length + ' errori, ' + report.avvisi.length + ' avvisi.');
+  }
+
+  process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,283 @@
+/**
+ * caricamenti.js - Caricamento delle immagini degli annunci dall’area admin (riservato, vedi auth.js)
+ * POST /api/admin/immagini?nome=<file originale>: il corpo è il file (JPEG, PNG o WebP, massimo
+ * MAX_BYTES). Il formato è riconosciuto dal contenuto, non dal nome; i metadati (EXIF con posizione
+ * GPS, data e fotocamera, XMP, IPTC, commenti) vengono tolti prima del salvataggio in
+ * assets/img/annunci/ (per le agenzie oltre la prima, nella sottocartella con il loro id). Dei JPEG
+ * si conserva solo l’orientamento, senza il quale le foto scattate in verticale apparirebbero ruotate.
+ * GET /api/admin/immagini/orfane: file caricati che nessun immobile (bozze e archiviati compresi) usa più.
+ * DELETE /api/admin/immagini/:nome: elimina un file caricato, solo se orfano.
+ * Ogni agenzia vede ed elimina solo i file della propria cartella, confrontati con i propri immobili.
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+
+var httpUtils = require('./http-utils');
+var immagini = require('./immagini');
+
+var SITE_ROOT = path.resolve(__dirname, '..');
+
+/** Cartella dei file caricati, relativa alla radice del sito (quella della prima agenzia) */
+var CARICAMENTI_DIR = 'assets/img/annunci';
+
+/** Dimensione massima di un file caricato (byte) */
+var MAX_BYTES = 10 * 1024 * 1024;
+
+/** Risoluzione massima (pixel totali): oltre, generare le varianti richiederebbe troppa memoria */
+var MAX_PIXEL = 40 * 1000 * 1000;
+
+/** Formati ammessi: tipo MIME dichiarato dal browser -> estensione del file salvato */
+var FORMATI = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+/** Nome di un file caricato: slug, trattino, 8 cifre esadecimali, estensione */
+var NOME_FILE = /^[a-z0-9-]+-[0-9a-f]{8}\.(jpg|png|webp)$/;
+
+// ---------- Rimozione dei metadati ----------
+
+/** Segmenti JPEG conservati: APP0 (JFIF), APP2 (profilo colore ICC), APP14 (Adobe, trasformazione colore) */
+var JPEG_APP_CONSERVATI = [0xe0, 0xe2, 0xee];
+
+/**
+ * Orientamento (tag 0x0112, 1-8) dal contenuto di un segmento APP1 Exif; null se assente.
+ */
+function leggiOrientamento(segmento) {
+  if (segmento.length < 14 || segmento.toString('latin1', 0, 6) !== 'Exif\0\0') return null;
+  var tiff = segmento.slice(6);
+  var le = tiff.toString('latin1', 0, 2) === 'II';
+  function u16(pos) { return le ? tiff.readUInt16LE(pos) : tiff.readUInt16BE(pos); }
+  function u32(pos) { return le ? tiff.readUInt32LE(pos) : tiff.readUInt32BE(pos); }
+  try {
+    var ifd = u32(4);
+    var voci = u16(ifd);
+    for (var i = 0; i < voci; i++) {
+      var voce = ifd + 2 + i * 12;
+      if (u16(voce) === 0x0112) {
+        var valore = u16(voce + 8);
+        return valore >= 1 && valore <= 8 ? valore : null;
+      }
+    }
+  } catch (err) {
+    // Exif troncato o non valido: si considera senza orientamento
+  }
+  return null;
+}
+
+/**
+ * Segmento APP1 Exif minimo con il solo orientamento (TIFF big-endian, una voce in IFD0).
+ */
+function buildExifOrientamento(orientamento) {
+  var dati = Buffer.alloc(6 + 8 + 2 + 12 + 4);
+  dati.write('Exif\0\0', 0, 'latin1');
+  dati.write('MM', 6, 'latin1');
+  dati.writeUInt16BE(42, 8);
+  dati.writeUInt32BE(8, 10);
+  dati.writeUInt16BE(1, 14);
+  dati.writeUInt16BE(0x0112, 16);
+  dati.writeUInt16BE(3, 18);
+  dati.writeUInt32BE(1, 20);
+  dati.writeUInt16BE(orientamento, 24);
+  var intestazione = Buffer.from([0xff, 0xe1, 0, 0]);
+  intestazione.writeUInt16BE(dati.length + 2, 2);
+  return Buffer.concat([intestazione, dati]);
+}
+
+/**
+ * JPEG senza metadati: tolti i segmenti APPn diversi da JPEG_APP_CONSERVATI e i commenti;
+ * se l’Exif indicava un orientamento diverso da quello normale, viene riscritto da solo.
+ */
+function pulisciJpeg(buffer) {
+  var parti = [buffer.slice(0, 2)];
+  var orientamento = null;
+  var pos = 2;
+  while (pos + 4 <= buffer.length) {
+    if (buffer[pos] !== 0xff) throw new httpUtils.HttpError(422, 'File JPEG danneggiato.');
+    var marker = buffer[pos + 1];
+    if (marker === 0xff) {
+      pos++;
+      continue;
+    }
+    if (marker === 0xda) {
+      // Inizio dei dati dell’immagine: il resto del file si copia com’è
+      parti.push(buffer.slice(pos));
+      break;
+    }
+    var fine = pos + 2 + buffer.readUInt16BE(pos + 2);
+    var segmento = buffer.slice(pos, fine);
+    var isApp = marker >= 0xe0 && marker <= 0xef;
+    if (marker === 0xe1 && orientamento === null) orientamento = leggiOrientamento(segmento.slice(4));
+    if ((!isApp && marker !== 0xfe) || JPEG_APP_CONSERVATI.indexOf(marker) !== -1) parti.push(segmento);
+    pos = fine;
+  }
+  if (orientamento && orientamento !== 1) {
+    // Dopo l’eventuale APP0 (JFIF), che deve seguire subito l’inizio del file
+    var dopoJfif = parti.length > 1 && parti[1][1] === 0xe0 ? 2 : 1;
+    parti.splice(dopoJfif, 0, buildExifOrientamento(orientamento));
+  }
+  return Buffer.concat(parti);
+}
+
+/** Chunk PNG con metadati testuali, Exif o data di modifica */
+var PNG_CHUNK_METADATI = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'];
+
+function pulisciPng(buffer) {
+  var parti = [buffer.slice(0, 8)];
+  var pos = 8;
+  while (pos + 12 <= buffer.length) {
+    var fine = pos + 12 + buffer.readUInt32BE(pos);
+    var tipo = buffer.toString('latin1', pos + 4, pos + 8);
+    if (PNG_CHUNK_METADATI.indexOf(tipo) === -1) parti.push(buffer.slice(pos, fine));
+    pos = fine;
+    if (tipo === 'IEND') break;
+  }
+  return Buffer.concat(parti);
+}
+
+/**
+ * WebP senza i chunk EXIF e XMP; nel chunk VP8X vengono azzerati i relativi flag.
+ */
+function pulisciWebp(buffer) {
+  var parti = [];
+  var pos = 12;
+  while (pos + 8 <= buffer.length) {
+    var lunghezza = buffer.readUInt32LE(pos + 4);
+    var fine = Math.min(buffer.length, pos + 8 + lunghezza + (lunghezza % 2));
+    var tipo = buffer.toString('latin1', pos, pos + 4);
+    if (tipo === 'VP8X') {
+      var vp8x = Buffer.from(buffer.slice(pos, fine));
+      vp8x[8] &= ~(0x08 | 0x04);
+      parti.push(vp8x);
+    } else if (tipo !== 'EXIF' && tipo !== 'XMP ') {
+      parti.push(buffer.slice(pos, fine));
+    }
+    pos = fine;
+  }
+  var corpo = Buffer.concat(parti);
+  var intestazione = Buffer.alloc(12);
+  intestazione.write('RIFF', 0, 'latin1');
+  intestazione.writeUInt32LE(corpo.length + 4, 4);
+  intestazione.write('WEBP', 8, 'latin1');
+  return Buffer.concat([intestazione, corpo]);
+}
+
+/**
+ * Toglie i metadati da un’immagine senza ricodificarla (i pixel restano identici).
+ * @param {Buffer} buffer
+ * @param {string} formato - 'jpg', 'png' o 'webp'
+ * @returns {Buffer}
+ */
+function rimuoviMetadati(buffer, formato) {
+  if (formato === 'jpg') return pulisciJpeg(buffer);
+  if (formato === 'png') return pulisciPng(buffer);
+  return pulisciWebp(buffer);
+}
+
+// ---------- Route ----------
+
+/**
+ * Percorsi src (relativi al sito) usati da almeno un immobile.
+ */
+function getSrcUsati(list) {
+  var usati = {};
+  (Array.isArray(list) ? list : []).forEach(function (item) {
+    ((item && item.immagini) || []).forEach(function (im) {
+      if (im && typeof im.src === 'string') usati[im.src] = true;
+    });
+  });
+  return usati;
+}
+
+/**
+ * Crea gli handler delle immagini caricate.
+ * @param {{ read: function(): Array }} store - Archivio immobili (per riconoscere i file orfani)
+ * @param {{ siteRoot?: string, cartella?: string }} [options] - Radice del sito (default: la cartella del progetto)
+ *   e cartella dei file caricati, relativa alla radice (default CARICAMENTI_DIR)
+ */
+function createHandlers(store, options) {
+  options = options || {};
+  var cartella = options.cartella || CARICAMENTI_DIR;
+  var dir = path.join(options.siteRoot || SITE_ROOT, cartella);
+
+  /** File caricati non usati da nessun immobile, dal più recente */
+  function getOrfane() {
+    var usati = getSrcUsati(store.read());
+    var nomi;
+    try {
+      nomi = fs.readdirSync(dir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    return nomi.filter(function (nome) {
+      return NOME_FILE.test(nome) && !usati[cartella + '/' + nome];
+    }).map(function (nome) {
+      var stat = fs.statSync(path.join(dir, nome));
+      return { src: cartella + '/' + nome, nome: nome, byte: stat.size, caricato: stat.mtime.toISOString() };
+    }).sort(function (a, b) {
+      return a.caricato < b.caricato ? 1 : -1;
+    });
+  }
+
+  return {
+    /** POST /api/admin/immagini?nome=: corpo = file dell’immagine */
+    upload: function (req, res, ctx) {
+      var type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      if (!FORMATI[type]) {
+        req.resume();
+        throw new httpUtils.HttpError(415, 'Formato non supportato: carica immagini JPEG, PNG o WebP.');
+      }
+      return httpUtils.readBody(req, MAX_BYTES).then(function (buffer) {
+        var info = immagini.leggiDimensioni(buffer);
+        if (!info || info.formato !== FORMATI[type]) {
+          throw new httpUtils.HttpError(415, 'Il file non è un’immagine valida del formato dichiarato (' + type + ').');
+        }
+        if (!info.larghezza || !info.altezza || info.larghezza * info.altezza > MAX_PIXEL) {
+          throw new httpUtils.HttpError(422, 'Risoluzione non ammessa (massimo ' + MAX_PIXEL / 1e6 + ' megapixel).');
+        }
+        var pulito = rimuoviMetadati(buffer, info.formato);
+        var nome = immagini.slugNomeFile(ctx.query.get('nome')) + '-' + crypto.randomBytes(4).toString('hex') + '.' + info.formato;
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, nome), pulito);
+        httpUtils.sendJson(res, 201, {
+          src: cartella + '/' + nome,
+          larghezza: info.larghezza,
+          altezza: info.altezza,
+          byte: pulito.length
+        });
+      });
+    },
+
+    /** GET /api/admin/immagini/orfane */
+    orfane: function (req, res) {
+      httpUtils.sendJson(res, 200, { orfane: getOrfane() });
+    },
+
+    /** DELETE /api/admin/immagini/:nome: solo file caricati e non più usati */
+    elimina: function (req, res, ctx) {
+      var nome = ctx.params.nome;
+      if (!NOME_FILE.test(nome) || !fs.existsSync(path.join(dir, nome))) {
+        throw new httpUtils.HttpError(404, 'Immagine non trovata');
+      }
+      if (getSrcUsati(store.read())[cartella + '/' + nome]) {
+        throw new httpUtils.HttpError(409, 'Immagine ancora usata da un immobile: toglila prima dall’annuncio.');
+      }
+      fs.unlinkSync(path.join(dir, nome));
+      httpUtils.sendJson(res, 200, { eliminata: cartella + '/' + nome });
+    }
+  };
+}
+
+module.exports = {
+  CARICAMENTI_DIR: CARICAMENTI_DIR,
+  MAX_BYTES: MAX_BYTES,
+  FORMATI: FORMATI,
+  rimuoviMetadati: rimuoviMetadati,
+  createHandlers: createHandlers
+};
@@ -0,0 +1,205 @@
+/**
+ * contatti.js - API richieste di contatto (lead)
+ * POST /api/contatti: riesegue la validazione del form (stesse regole di form.js,
+ * da assets/js/validazione-contatti.js) e salva la richiesta nell’archivio locale,
+ * con data e ora del consenso GDPR. Dalla pagina dei preferiti il form invia anche gli id
+ * degli immobili selezionati (immobili), salvati con la richiesta.
+ * Dalla scheda di un immobile (contatti.html?immobile=id) il form invia l’id dell’immobile: il
+ * server ne salva con la richiesta id, titolo e prezzo letti dall’archivio immobili, non dal browser.
+ * Anti-spam senza servizi esterni (vedi ANTISPAM in validazione-contatti.js): un invio con il campo
+ * honeypot compilato riceve una risposta di successo ma non viene salvato; un invio arrivato troppo
+ * presto dopo l’apertura del form è rifiutato; ogni IP può inviare al massimo RATE_LIMIT richieste
+ * nella finestra di tempo, poi riceve 429 con Retry-After. Contano solo gli invii salvati e quelli
+ * scartati dall’honeypot: un modulo con dati da correggere (422) non consuma il limite.
+ * L’istante di apertura lo firma il server (GET /api/contatti/caricato, chiamata da form.js all’apertura
+ * del form) con HMAC: il tempo trascorso si misura solo sull’orologio del server e il browser non può
+ * cambiarlo.
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+
+var httpUtils = require('./http-utils');
+var Validazione = require('../assets/js/validazione-contatti');
+var Annunci = require('../assets/js/annunci');
+var immobili = require('./immobili');
+var rateLimit = require('./rate-limit');
+
+/** Richieste di contatto consentite per IP nella finestra di tempo */
+var RATE_LIMIT = { max: 5, windowMs: 15 * 60 * 1000 };
+
+/** Età massima del form accettata (ms): oltre, il modulo va ricaricato */
+var CARICATO_MAX_MS = 24 * 60 * 60 * 1000;
+
+/** Firma dell’istante di apertura del form */
+function firmaCaricato(istante, segreto) {
+  return crypto.createHmac('sha256', segreto).update(String(istante)).digest('base64url');
+}
+
+/**
+ * Valore del campo caricato per un form aperto in questo istante: "istante.firma".
+ * @param {number} now - Istante corrente (ms)
+ * @param {Buffer|string} segreto - Chiave della firma
+ * @returns {string}
+ */
+function creaTokenCaricato(now, segreto) {
+  return now + '.' + firmaCaricato(now, segreto);
+}
+
+/**
+ * Istante di apertura del form dal campo caricato, se la firma è valida.
+ * @param {*} token - Valore inviato dal browser
+ * @param {Buffer|string} segreto
+ * @returns {number} NaN se il token manca, non è nel formato atteso o la firma non corrisponde
+ */
+function leggiTokenCaricato(token, segreto) {
+  var m = /^(\d{1,15})\.([\w-]+)$/.exec(toTrimmedString(token));
+  if (!m) return NaN;
+  var attesa = Buffer.from(firmaCaricato(m[1], segreto));
+  var ricevuta = Buffer.from(m[2]);
+  if (attesa.length !== ricevuta.length || !crypto.timingSafeEqual(attesa, ricevuta)) return NaN;
+  return Number(m[1]);
+}
+
+function toTrimmedString(value) {
+  return value == null ? '' : String(value).trim();
+}
+
+/**
+ * Riferimento dell’immobile della richiesta: id, titolo, contratto e prezzo come mostrati nella scheda.
+ * Gli annunci archiviati restano riconoscibili; le bozze (mai visibili sul sito) no.
+ * @param {Array} list - Tutti gli immobili
+ * @param {*} id - Id inviato dal form
+ * @returns {{ id: *, titolo: string, tipologia: string, prezzo: string }|null} null se l’immobile non esiste
+ */
+function getRiferimentoImmobile(list, id) {
+  if (typeof id !== 'string' && typeof id !== 'number') return null;
+  var immobile = Annunci.findImmobileById(list, id);
+  if (!immobile || immobili.getStatoAnnuncio(immobile) === immobili.STATI.bozza) return null;
+  return {
+    id: immobile.id,
+    titolo: immobile.titolo,
+    tipologia: immobile.tipologia,
+    prezzo: Annunci.formatPrezzo(immobile)
+  };
+}
+
+/**
+ * Costruisce il record da salvare a partire dal corpo validato.
+ * @param {Object} body - Corpo della richiesta
+ * @param {Date} now
+ * @param {Object} [immobile] - Riferimento dell’immobile della richiesta (vedi getRiferimentoImmobile)
+ * @returns {Object} Lead con id, dati del form, consenso GDPR, immobile ed eventuali immobili selezionati
+ */
+function buildLead(body, now, immobile) {
+  var timestamp = now.toISOString();
+  var lead = { id: crypto.randomUUID() };
+  // Un valore per ogni campo del form (validazione-contatti.js, CAMPI); il consenso ha il suo record
+  Validazione.CAMPI.forEach(function (campo) {
+    if (!campo.consenso) lead[campo.name] = toTrimmedString(body[campo.name]);
+  });
+  lead.consensoGdpr = { accettato: true, data: timestamp };
+  lead.dataInvio = timestamp;
+  // Id degli immobili selezionati (stesse regole del parametro ids dell’API: testi brevi, senza duplicati)
+  var ids = Array.isArray(body.immobili) ? body.immobili.filter(function (id) {
+    return typeof id === 'string' || typeof id === 'number';
+  }) : [];
+  ids = Annunci.parseIds(ids.join(','));
+  if (ids.length > 0) lead.immobili = ids;
+  if (immobile) lead.immobile = immobile;
+  return lead;
+}
+
+/**
+ * Controlli anti-spam sul corpo della richiesta.
+ * @param {Object} body
+ * @param {number} now - Istante corrente (ms)
+ * @param {Buffer|string} segreto - Chiave della firma del campo caricato (vedi creaTokenCaricato)
+ * @returns {string} '' se la richiesta sembra umana, altrimenti il motivo: 'honeypot', 'troppo-rapido'
+ *   o 'scaduto' (campo caricato mancante, con firma non valida o più vecchio di CARICATO_MAX_MS)
+ */
+function checkAntispam(body, now, segreto) {
+  var antispam = Validazione.ANTISPAM;
+  if (toTrimmedString(body[antispam.honeypot])) return 'honeypot';
+  var caricato = leggiTokenCaricato(body[antispam.caricato], segreto);
+  if (isNaN(caricato)) return 'scaduto';
+  var trascorso = now - caricato;
+  if (trascorso > CARICATO_MAX_MS) return 'scaduto';
+  if (trascorso < antispam.tempoMinimoMs) return 'troppo-rapido';
+  return '';
+}
+
+/**
+ * Crea gli handler delle route contatti legati all’archivio lead.
+ * @param {{ update: function(function(Array): Array): Array }} store - Archivio lead (vedi store.js)
+ * @param {{ immobiliStore: { read: function(): Array }, rateLimit?: { max: number, windowMs: number }, trustProxy?: boolean, segreto?: Buffer|string }} options
+ *   immobiliStore: archivio immobili, per il riferimento dell’immobile; rateLimit: default RATE_LIMIT;
+ *   trustProxy: IP del client da X-Forwarded-For (server dietro un proxy); segreto: chiave della firma
+ *   del campo caricato (default casuale a ogni avvio: i form aperti prima di un riavvio vanno ricaricati)
+ */
+function createHandlers(store, options) {
+  var immobiliStore = options.immobiliStore;
+  var limiter = rateLimit.createRateLimiter(options.rateLimit || RATE_LIMIT);
+  var segreto = options.segreto || crypto.randomBytes(32);
+
+  return {
+    /** GET /api/contatti/caricato: valore del campo caricato per il form aperto ora (vedi creaTokenCaricato) */
+    caricato: function (req, res) {
+      httpUtils.sendJson(res, 200, { caricato: creaTokenCaricato(Date.now(), segreto) });
+    },
+
+    /** POST /api/contatti */
+    create: function (req, res) {
+      var ip = httpUtils.getClientIp(req, options.trustProxy);
+
+      function verificaLimite(limite) {
+        if (limite.allowed) return;
+        req.resume();
+        res.setHeader('Retry-After', String(Math.ceil(limite.retryAfterMs / 1000)));
+        throw new httpUtils.HttpError(429, 'Hai inviato troppe richieste. Riprova tra qualche minuto o chiamaci.');
+      }
+
+      verificaLimite(limiter.check(ip));
+      return httpUtils.readJsonBody(req).then(function (body) {
+        var spam = checkAntispam(body, Date.now(), segreto);
+        if (spam === 'honeypot') {
+          verificaLimite(limiter.hit(ip));
+          // Risposta identica a un invio riuscito: il bot non ha motivo di riprovare
+          console.warn('[contatti] richiesta scartata (honeypot) da ' + ip);
+          httpUtils.sendJson(res, 201, { ok: true, id: crypto.randomUUID() });
+          return;
+        }
+        if (spam === 'scaduto') {
+          throw new httpUtils.HttpError(400, 'Il modulo è scaduto: ricarica la pagina e invia di nuovo la richiesta.');
+        }
+        if (spam) {
+          throw new httpUtils.HttpError(400, 'Invio non riuscito: attendi qualche secondo e invia di nuovo il modulo.');
+        }
+        var result = Validazione.validate(body);
+        if (!result.valid) {
+          httpUtils.sendJson(res, 422, { errore: 'Dati non validi', campi: result.errors });
+          return;
+        }
+        verificaLimite(limiter.hit(ip));
+        var list = immobiliStore.read();
+        var immobile = getRiferimentoImmobile(Array.isArray(list) ? list : [], body.immobile);
+        var lead = buildLead(body, new Date(), immobile);
+        store.update(function (leads) {
+          leads.push(lead);
+          return leads;
+        });
+        httpUtils.sendJson(res, 201, { ok: true, id: lead.id });
+      });
+    }
+  };
+}
+
+module.exports = {
+  RATE_LIMIT: RATE_LIMIT,
+  creaTokenCaricato: creaTokenCaricato,
+  checkAntispam: checkAntispam,
+  getRiferimentoImmobile: getRiferimentoImmobile,
+  buildLead: buildLead,
+  createHandlers: createHandlers
+};
@@ -0,0 +1,260 @@
+/**
+ * disponibilita.js - Agenda delle visite: orari settimanali, chiusure e orari liberi
+ * La disponibilità dell’agente è in data/disponibilita.json (modificabile dall’area admin):
+ * fasce orarie per giorno della settimana, durata di una visita, preavviso minimo, quanti giorni
+ * in avanti si può prenotare e periodi di chiusura. Gli orari sono nel fuso dell’agenzia
+ * (fusoOrario, es. Europe/Rome) qualunque sia il fuso del server; le prenotazioni salvano anche
+ * l’istante UTC, usato per confronti, preavviso e file .ics.
+ * Funzioni pure, senza accesso a file: il server passa configurazione, prenotazioni e ora corrente.
+ */
+
+'use strict';
+
+var validazioneImmobili = require('./validazione-immobili');
+
+/** Giorni della settimana come in settimana, nell’ordine di Date#getUTCDay */
+var GIORNI = ['dom', 'lun', 'mar', 'mer', 'gio', 'ven', 'sab'];
+var DURATE = [15, 30, 45, 60, 90, 120];
+var PREAVVISO_MAX_ORE = 168;
+var GIORNI_PRENOTABILI_MAX = 90;
+var MOTIVO_MAX_LENGTH = 100;
+
+/** Disponibilità se data/disponibilita.json non esiste: nessun orario prenotabile finché l’admin non la imposta */
+var DEFAULT_DISPONIBILITA = {
+  fusoOrario: 'Europe/Rome',
+  durataMinuti: 30,
+  preavvisoOre: 12,
+  giorniPrenotabili: 21,
+  settimana: { dom: [], lun: [], mar: [], mer: [], gio: [], ven: [], sab: [] },
+  chiusure: []
+};
+
+var ORA_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+/** Inizio di una visita nel fuso dell’agenzia: "2026-10-20T09:30" */
+var INIZIO_PATTERN = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})$/;
+
+function toMinuti(ora) {
+  var m = ORA_PATTERN.exec(ora);
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+function toOra(minuti) {
+  return String(Math.floor(minuti / 60)).padStart(2, '0') + ':' + String(minuti % 60).padStart(2, '0');
+}
+
+// ---------- Fuso orario ----------
+
+var formatters = {};
+
+/**
+ * Data e ora di un istante nel fuso indicato.
+ * @returns {{ data: string, ora: string, utc: number }} data AAAA-MM-GG, ora HH:MM, utc = stessi campi letti come UTC (ms)
+ */
+function getDataOraNelFuso(date, fusoOrario) {
+  if (!formatters[fusoOrario]) {
+    formatters[fusoOrario] = new Intl.DateTimeFormat('en-CA', {
+      timeZone: fusoOrario,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+  var parts = {};
+  formatters[fusoOrario].formatToParts(date).forEach(function (p) {
+    parts[p.type] = p.value;
+  });
+  return {
+    data: parts.year + '-' + parts.month + '-' + parts.day,
+    ora: parts.hour + ':' + parts.minute,
+    utc: Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second)
+  };
+}
+
+/**
+ * Istante corrispondente a data e ora locali nel fuso indicato (gestisce l’ora legale).
+ * @param {string} data - AAAA-MM-GG
+ * @param {string} ora - HH:MM
+ * @returns {Date}
+ */
+function toUtc(data, ora, fusoOrario) {
+  var d = data.split('-').map(Number);
+  var t = ora.split(':').map(Number);
+  var locale = Date.UTC(d[0], d[1] - 1, d[2], t[0], t[1]);
+  var guess = locale;
+  // Due passaggi bastano anche a cavallo del cambio d’ora
+  for (var i = 0; i < 2; i++) {
+    var offset = getDataOraNelFuso(new Date(guess), fusoOrario).utc - guess;
+    guess = locale - offset;
+  }
+  return new Date(guess);
+}
+
+function isValidFuso(fusoOrario) {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: fusoOrario }).format(new Date());
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Data AAAA-MM-GG spostata di n giorni.
+ */
+function addGiorni(data, n) {
+  var d = data.split('-').map(Number);
+  return new Date(Date.UTC(d[0], d[1] - 1, d[2] + n)).toISOString().slice(0, 10);
+}
+
+function getGiornoSettimana(data) {
+  var d = data.split('-').map(Number);
+  return GIORNI[new Date(Date.UTC(d[0], d[1] - 1, d[2])).getUTCDay()];
+}
+
+// ---------- Configurazione ----------
+
+/**
+ * Normalizza e valida la disponibilità inviata dall’area admin.
+ * @param {Object} body
+ * @returns {{ config: Object, campi: Object.<string, string> }} campi vuoto se valida
+ */
+function normalizeDisponibilita(body) {
+  body = body && typeof body === 'object' ? body : {};
+  var campi = {};
+  var config = {
+    fusoOrario: String(body.fusoOrario || '').trim(),
+    durataMinuti: Number(body.durataMinuti),
+    preavvisoOre: Number(body.preavvisoOre),
+    giorniPrenotabili: Number(body.giorniPrenotabili),
+    settimana: {},
+    chiusure: []
+  };
+
+  if (!isValidFuso(config.fusoOrario)) campi.fusoOrario = 'Fuso orario non riconosciuto (es. Europe/Rome).';
+  if (DURATE.indexOf(config.durataMinuti) === -1) campi.durataMinuti = 'Scegli una durata tra ' + DURATE.join(', ') + ' minuti.';
+  if (!Number.isInteger(config.preavvisoOre) || config.preavvisoOre < 0 || config.preavvisoOre > PREAVVISO_MAX_ORE) {
+    campi.preavvisoOre = 'Indica un numero di ore tra 0 e ' + PREAVVISO_MAX_ORE + '.';
+  }
+  if (!Number.isInteger(config.giorniPrenotabili) || config.giorniPrenotabili < 1 || config.giorniPrenotabili > GIORNI_PRENOTABILI_MAX) {
+    campi.giorniPrenotabili = 'Indica un numero di giorni tra 1 e ' + GIORNI_PRENOTABILI_MAX + '.';
+  }
+
+  var settimana = body.settimana && typeof body.settimana === 'object' ? body.settimana : {};
+  GIORNI.forEach(function (giorno) {
+    var fasce = Array.isArray(settimana[giorno]) ? settimana[giorno] : [];
+    var normalizzate = [];
+    var errore = '';
+    fasce.forEach(function (fascia) {
+      var dalle = fascia && toMinuti(String(fascia.dalle || '').trim());
+      var alle = fascia && toMinuti(String(fascia.alle || '').trim());
+      if (dalle == null || alle == null) errore = 'Orari nel formato HH:MM, es. 09:30.';
+      else if (dalle >= alle) errore = 'Ogni fascia deve finire dopo l’inizio.';
+      else normalizzate.push({ dalle: toOra(dalle), alle: toOra(alle) });
+    });
+    normalizzate.sort(function (a, b) { return a.dalle < b.dalle ? -1 : 1; });
+    for (var i = 1; i < normalizzate.length && !errore; i++) {
+      if (normalizzate[i].dalle < normalizzate[i - 1].alle) errore = 'Le fasce orarie non possono sovrapporsi.';
+    }
+    if (errore) campi['settimana.' + giorno] = errore;
+    config.settimana[giorno] = normalizzate;
+  });
+
+  (Array.isArray(body.chiusure) ? body.chiusure : []).forEach(function (chiusura, idx) {
+    var dal = String((chiusura && chiusura.dal) || '').trim();
+    var al = String((chiusura && chiusura.al) || '').trim() || dal;
+    var motivo = String((chiusura && chiusura.motivo) || '').trim();
+    if (!validazioneImmobili.isValidDate(dal) || !validazioneImmobili.isValidDate(al)) {
+      campi['chiusure.' + idx] = 'Date nel formato AAAA-MM-GG.';
+    } else if (al < dal) {
+      campi['chiusure.' + idx] = 'La fine della chiusura deve seguire l’inizio.';
+    } else if (motivo.length > MOTIVO_MAX_LENGTH) {
+      campi['chiusure.' + idx] = 'Motivo troppo lungo.';
+    } else {
+      config.chiusure.push({ dal: dal, al: al, motivo: motivo });
+    }
+  });
+  config.chiusure.sort(function (a, b) { return a.dal < b.dal ? -1 : 1; });
+
+  return { config: config, campi: campi };
+}
+
+/**
+ * Chiusura che comprende la data, se c’è.
+ */
+function findChiusura(config, data) {
+  return (config.chiusure || []).filter(function (c) {
+    return data >= c.dal && data <= (c.al || c.dal);
+  })[0] || null;
+}
+
+// ---------- Orari liberi ----------
+
+/**
+ * Vero se [inizio, inizio + durata) si sovrappone a una visita non annullata (esclusa quella con id escludiId).
+ */
+function isOccupato(inizioUtc, durataMinuti, visite, escludiId) {
+  var fine = inizioUtc + durataMinuti * 60000;
+  return visite.some(function (v) {
+    if (v.stato === 'annullata' || v.id === escludiId) return false;
+    var vInizio = Date.parse(v.inizioUtc);
+    return vInizio < fine && vInizio + v.durataMinuti * 60000 > inizioUtc;
+  });
+}
+
+/**
+ * Orari prenotabili da adesso per giorniPrenotabili giorni, esclusi chiusure, orari entro il
+ * preavviso e orari già prenotati.
+ * @param {Object} config - Disponibilità (data/disponibilita.json)
+ * @param {Array} visite - Prenotazioni salvate
+ * @param {Date} now
+ * @param {string} [escludiId] - Prenotazione da ignorare (spostamento di una visita)
+ * @returns {Array<{ data: string, orari: Array<string> }>} Solo i giorni con almeno un orario
+ */
+function getOrariLiberi(config, visite, now, escludiId) {
+  var minimo = now.getTime() + config.preavvisoOre * 3600000;
+  var oggi = getDataOraNelFuso(now, config.fusoOrario).data;
+  var giorni = [];
+  for (var i = 0; i < config.giorniPrenotabili; i++) {
+    var data = addGiorni(oggi, i);
+    if (findChiusura(config, data)) continue;
+    var orari = [];
+    (config.settimana[getGiornoSettimana(data)] || []).forEach(function (fascia) {
+      var fine = toMinuti(fascia.alle);
+      for (var m = toMinuti(fascia.dalle); m + config.durataMinuti <= fine; m += config.durataMinuti) {
+        var ora = toOra(m);
+        var inizioUtc = toUtc(data, ora, config.fusoOrario).getTime();
+        if (inizioUtc < minimo || isOccupato(inizioUtc, config.durataMinuti, visite, escludiId)) continue;
+        orari.push(ora);
+      }
+    });
+    if (orari.length > 0) giorni.push({ data: data, orari: orari });
+  }
+  return giorni;
+}
+
+/**
+ * Vero se l’inizio richiesto ("AAAA-MM-GGTHH:MM") è tra gli orari liberi.
+ */
+function isOrarioLibero(config, visite, inizio, now, escludiId) {
+  var m = INIZIO_PATTERN.exec(String(inizio || ''));
+  if (!m) return false;
+  return getOrariLiberi(config, visite, now, escludiId).some(function (giorno) {
+    return giorno.data === m[1] && giorno.orari.indexOf(m[2]) !== -1;
+  });
+}
+
+module.exports = {
+  GIORNI: GIORNI,
+  DURATE: DURATE,
+  DEFAULT_DISPONIBILITA: DEFAULT_DISPONIBILITA,
+  INIZIO_PATTERN: INIZIO_PATTERN,
+  toUtc: toUtc,
+  getDataOraNelFuso: getDataOraNelFuso,
+  normalizeDisponibilita: normalizeDisponibilita,
+  getOrariLiberi: getOrariLiberi,
+  isOrarioLibero: isOrarioLibero
+};
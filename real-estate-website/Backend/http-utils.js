@@ -0,0 +1,274 @@
+/**
+ * http-utils.js - Utility HTTP comuni al server
+ * Risposte JSON ed errori in formato uniforme, lettura del corpo delle richieste, file statici del sito.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+var MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm'
+};
+
+/**
+ * Intervallo richiesto con l’header Range ("bytes=inizio-fine", un solo intervallo), ad esempio
+ * dal tag video per avviare la riproduzione da un punto qualsiasi.
+ * @param {string} header
+ * @param {number} size - Dimensione del file
+ * @returns {{ start: number, end: number }|null|false} null senza Range (o non interpretabile),
+ *   false se l’intervallo è fuori dal file (416)
+ */
+function parseRange(header, size) {
+  var m = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!m || (m[1] === '' && m[2] === '')) return null;
+  var start;
+  var end;
+  if (m[1] === '') {
+    // "bytes=-500": gli ultimi 500 byte
+    start = Math.max(0, size - Number(m[2]));
+    end = size - 1;
+  } else {
+    start = Number(m[1]);
+    end = m[2] === '' ? size - 1 : Math.min(Number(m[2]), size - 1);
+  }
+  if (start > end || start >= size) return false;
+  return { start: start, end: end };
+}
+
+/**
+ * Cartelle del progetto che non devono mai essere servite come file statici.
+ * data/ contiene anche bozze e annunci archiviati: le pagine leggono gli immobili solo dall’API.
+ */
+var PRIVATE_DIRS = ['Backend', 'data'];
+
+/**
+ * Invia una risposta JSON.
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {*} body
+ */
+function sendJson(res, status, body) {
+  var payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    'Cache-Control': 'no-store'
+  });
+  res.end(payload);
+}
+
+/**
+ * Invia un errore JSON nel formato { errore: messaggio }.
+ */
+function sendError(res, status, message) {
+  sendJson(res, status, { errore: message });
+}
+
+/**
+ * Indirizzo pubblico del sito senza "/" finale, per gli indirizzi assoluti delle pagine: da
+ * configurazione o, in sviluppo, dall’host della richiesta.
+ * @param {http.IncomingMessage} req
+ * @param {string} [siteUrl] - Indirizzo configurato (opzione siteUrl o variabile SITE_URL)
+ */
+function getSiteUrl(req, siteUrl) {
+  return (siteUrl || 'http://' + (req.headers.host || 'localhost')).replace(/\/+$/, '');
+}
+
+/**
+ * Indirizzo pubblico del sito senza "/" finale, per i link nelle email: solo quello configurato.
+ * L’host della richiesta lo sceglie chi la invia, che potrebbe far puntare i link di un’email
+ * dell’agenzia a un altro sito.
+ * @param {string} [siteUrl] - Indirizzo configurato (opzione siteUrl o variabile SITE_URL)
+ * @returns {string}
+ * @throws {HttpError} 503 se l’indirizzo non è configurato
+ */
+function getSiteUrlEmail(siteUrl) {
+  if (!siteUrl) {
+    throw new HttpError(503, 'Invio email non configurato: imposta SITE_URL');
+  }
+  return siteUrl.replace(/\/+$/, '');
+}
+
+/**
+ * Indirizzo IP del client. Dietro un proxy (trustProxy) è il primo indirizzo di X-Forwarded-For:
+ * va abilitato solo se il proxy imposta l’header, altrimenti il client potrebbe falsificarlo.
+ * @param {http.IncomingMessage} req
+ * @param {boolean} [trustProxy]
+ * @returns {string}
+ */
+function getClientIp(req, trustProxy) {
+  var forwarded = trustProxy ? String(req.headers['x-forwarded-for'] || '').split(',')[0].trim() : '';
+  return forwarded || req.socket.remoteAddress || '';
+}
+
+/** Dimensione massima del corpo JSON accettato (byte) */
+var MAX_JSON_BODY = 64 * 1024;
+
+/**
+ * Errore HTTP con codice di stato: gli handler lo lanciano (o rifiutano la Promise)
+ * e il server lo trasforma nella risposta { errore } corrispondente.
+ * @param {number} status
+ * @param {string} message
+ * @param {Object} [extra] - Campi aggiuntivi del corpo di risposta (es. { campi })
+ */
+function HttpError(status, message, extra) {
+  this.name = 'HttpError';
+  this.status = status;
+  this.message = message;
+  this.extra = extra || null;
+}
+HttpError.prototype = Object.create(Error.prototype);
+HttpError.prototype.constructor = HttpError;
+
+/**
+ * Legge il corpo della richiesta così com’è.
+ * @param {http.IncomingMessage} req
+ * @param {number} maxBytes - Limite dimensione
+ * @returns {Promise<Buffer>} Rifiutata con HttpError 413 oltre il limite
+ */
+function readBody(req, maxBytes) {
+  return new Promise(function (resolve, reject) {
+    var declared = Number(req.headers['content-length']);
+    if (declared > maxBytes) {
+      reject(new HttpError(413, 'Richiesta troppo grande'));
+      req.resume();
+      return;
+    }
+
+    var chunks = [];
+    var size = 0;
+    var aborted = false;
+    req.on('data', function (chunk) {
+      if (aborted) return;
+      size += chunk.length;
+      if (size > maxBytes) {
+        aborted = true;
+        reject(new HttpError(413, 'Richiesta troppo grande'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', function () {
+      if (!aborted) resolve(Buffer.concat(chunks));
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Legge e interpreta il corpo JSON della richiesta.
+ * @param {http.IncomingMessage} req
+ * @param {number} [maxBytes] - Limite dimensione (default MAX_JSON_BODY)
+ * @returns {Promise<Object>} Rifiutata con HttpError 415, 413 o 400
+ */
+function readJsonBody(req, maxBytes) {
+  var type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (type !== 'application/json') {
+    req.resume();
+    return Promise.reject(new HttpError(415, 'Il corpo della richiesta deve essere JSON'));
+  }
+  return readBody(req, maxBytes || MAX_JSON_BODY).then(function (buffer) {
+    var body;
+    try {
+      body = JSON.parse(buffer.toString('utf8'));
+    } catch (e) {
+      throw new HttpError(400, 'JSON non valido');
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new HttpError(400, 'Il corpo deve essere un oggetto JSON');
+    }
+    return body;
+  });
+}
+
+/**
+ * Serve un file statico dalla cartella del sito. Blocca path traversal, file nascosti
+ * e cartelle private (es. Backend). "/" e le cartelle servono index.html.
+ * Con l’header Range risponde 206 con la sola parte richiesta (video).
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string} rootDir - Cartella radice del sito
+ * @param {string} pathname - Path della richiesta (già decodificabile)
+ */
+function serveStatic(req, res, rootDir, pathname) {
+  var decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (e) {
+    sendError(res, 400, 'Percorso non valido');
+    return;
+  }
+
+  var relative = path.normalize(decoded).replace(/^([/\\])+/, '');
+  var segments = relative.split(/[/\\]/);
+  var isHidden = segments.some(function (s) { return s.charAt(0) === '.'; });
+  if (relative.indexOf('..') === 0 || isHidden || PRIVATE_DIRS.indexOf(segments[0]) !== -1) {
+    sendError(res, 404, 'Risorsa non trovata');
+    return;
+  }
+
+  var filePath = path.join(rootDir, relative);
+  fs.stat(filePath, function (err, stat) {
+    if (!err && stat.isDirectory()) {
+      filePath = path.join(filePath, 'index.html');
+      stat = fs.existsSync(filePath) ? fs.statSync(filePath) : null;
+    }
+    if (err || !stat || !stat.isFile()) {
+      sendError(res, 404, 'Risorsa non trovata');
+      return;
+    }
+
+    var type = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    var range = parseRange(req.headers.range, stat.size);
+    if (range === false) {
+      res.writeHead(416, { 'Content-Range': 'bytes */' + stat.size });
+      res.end();
+      return;
+    }
+    var headers = {
+      'Content-Type': type,
+      'Content-Length': range ? range.end - range.start + 1 : stat.size,
+      'Last-Modified': stat.mtime.toUTCString(),
+      'Accept-Ranges': 'bytes'
+    };
+    if (range) headers['Content-Range'] = 'bytes ' + range.start + '-' + range.end + '/' + stat.size;
+    res.writeHead(range ? 206 : 200, headers);
+    if (req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+    fs.createReadStream(filePath, range ? { start: range.start, end: range.end } : undefined).pipe(res);
+  });
+}
+
+module.exports = {
+  MIME_TYPES: MIME_TYPES,
+  HttpError: HttpError,
+  sendJson: sendJson,
+  sendError: sendError,
+  readBody: readBody,
+  readJsonBody: readJsonBody,
+  getSiteUrl: getSiteUrl,
+  getSiteUrlEmail: getSiteUrlEmail,
+  getClientIp: getClientIp,
+  serveStatic: serveStatic
+};
@@ -0,0 +1,87 @@
+/**
+ * ics.js - File di calendario iCalendar (.ics, RFC 5545) per le visite prenotate
+ * Un solo evento per file, con orari in UTC: ogni app di calendario li mostra nel fuso del
+ * visitatore. Lo stesso UID con SEQUENCE crescente aggiorna l’evento già importato (visita
+ * spostata) e STATUS:CANCELLED lo segna come annullato.
+ */
+
+'use strict';
+
+/** Lunghezza massima di una riga in ottetti, oltre la quale va spezzata */
+var MAX_LINE_OCTETS = 75;
+
+/**
+ * Data e ora UTC nel formato iCalendar: 20261020T073000Z.
+ */
+function formatDataUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape del testo nei valori (backslash, punto e virgola, virgola, a capo).
+ */
+function escapeText(str) {
+  return String(str == null ? '' : str)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Spezza una riga troppo lunga: le continuazioni iniziano con uno spazio.
+ * Non taglia mai a metà di un carattere UTF-8.
+ */
+function foldLine(line) {
+  var out = [];
+  var current = '';
+  var size = 0;
+  Array.from(line).forEach(function (ch) {
+    var chSize = Buffer.byteLength(ch);
+    var limit = out.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (size + chSize > limit) {
+      out.push(current);
+      current = '';
+      size = 0;
+    }
+    current += ch;
+    size += chSize;
+  });
+  out.push(current);
+  return out.join('\r\n ');
+}
+
+/**
+ * Costruisce il file .ics di un evento.
+ * @param {{ prodotto?: string, uid: string, sequence?: number, inizio: Date, fine: Date, titolo: string, luogo?: string,
+ *   descrizione?: string, url?: string, annullato?: boolean, creato?: Date }} evento - prodotto: nome dell’agenzia nel PRODID
+ * @returns {string} Testo con righe terminate da CRLF
+ */
+function buildIcs(evento) {
+  var lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//' + (evento.prodotto || 'Agenzia').replace(/\/\//g, '/') + '//Visite//IT',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    'UID:' + evento.uid,
+    'SEQUENCE:' + (evento.sequence || 0),
+    'DTSTAMP:' + formatDataUtc(evento.creato || new Date()),
+    'DTSTART:' + formatDataUtc(evento.inizio),
+    'DTEND:' + formatDataUtc(evento.fine),
+    'SUMMARY:' + escapeText(evento.titolo)
+  ];
+  if (evento.luogo) lines.push('LOCATION:' + escapeText(evento.luogo));
+  if (evento.descrizione) lines.push('DESCRIPTION:' + escapeText(evento.descrizione));
+  if (evento.url) lines.push('URL:' + evento.url);
+  lines.push('STATUS:' + (evento.annullato ? 'CANCELLED' : 'CONFIRMED'));
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  formatDataUtc: formatDataUtc,
+  escapeText: escapeText,
+  buildIcs: buildIcs
+};
@@ -0,0 +1,606 @@
+/**
+ * immagini.js - Varianti responsive delle immagini degli annunci
+ * Per ogni foto e planimetria di data/immobili.json genera copie ridimensionate (LARGHEZZE, mai
+ * più grandi dell’originale) in assets/img/varianti: nel formato dell’originale e, se è installato
+ * ImageMagick (comando magick o convert), anche in AVIF e WebP. Senza ImageMagick i PNG vengono
+ * ridimensionati con i soli moduli core di Node (zlib); JPEG, WebP e formati moderni richiedono ImageMagick.
+ * Le varianti generate sono elencate nel manifest assets/img/varianti/varianti.json: l’API
+ * (immobili.js) lo usa per aggiungere a ogni immagine dimensioni, srcset e sorgenti per picture
+ * (vedi applicaVarianti e Annunci.buildImmagineHtml). Senza manifest le pagine usano il solo src.
+ * Le agenzie oltre la prima di data/agenzie.json hanno cartella e manifest propri (getCartellaVarianti).
+ * Generazione: node Backend/bin/genera-immagini.js (vedi il README).
+ */
+
+'use strict';
+
+var childProcess = require('child_process');
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+var zlib = require('zlib');
+
+var Galleria = require('../assets/js/galleria');
+
+var SITE_ROOT = path.resolve(__dirname, '..');
+
+/** Cartella delle varianti, relativa alla radice del sito */
+var VARIANTI_DIR = 'assets/img/varianti';
+var NOME_MANIFEST = 'varianti.json';
+var MANIFEST_PATH = path.join(SITE_ROOT, VARIANTI_DIR, NOME_MANIFEST);
+
+/** Larghezze generate (px): card, scheda, lightbox e schermi ad alta densità */
+var LARGHEZZE = [400, 800, 1200];
+
+/** Formati moderni, nell’ordine in cui il browser li prova (source di picture) */
+var FORMATI_MODERNI = ['avif', 'webp'];
+
+var MIME = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  png: 'image/png',
+  jpg: 'image/jpeg'
+};
+
+/** Qualità di ImageMagick per formato (PNG è senza perdita) */
+var QUALITA = { avif: 50, webp: 78, jpg: 82 };
+
+// ---------- Dimensioni e formato ----------
+
+var PNG_FIRMA = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+/**
+ * Formato e dimensioni di un’immagine dall’intestazione del file (PNG, JPEG o WebP).
+ * @param {Buffer} buffer
+ * @returns {{ formato: string, larghezza: number, altezza: number }|null} null se il formato non è riconosciuto
+ */
+function leggiDimensioni(buffer) {
+  if (buffer.length >= 24 && buffer.slice(0, 8).equals(PNG_FIRMA)) {
+    return { formato: 'png', larghezza: buffer.readUInt32BE(16), altezza: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length >= 30 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return leggiDimensioniWebp(buffer);
+  }
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+  var pos = 2;
+  while (pos + 9 < buffer.length) {
+    if (buffer[pos] !== 0xff) return null;
+    var marker = buffer[pos + 1];
+    // SOF0…SOF15 tranne DHT (C4), JPG (C8) e DAC (CC): contengono altezza e larghezza
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return { formato: 'jpg', larghezza: buffer.readUInt16BE(pos + 7), altezza: buffer.readUInt16BE(pos + 5) };
+    }
+    pos += 2 + buffer.readUInt16BE(pos + 2);
+  }
+  return null;
+}
+
+/**
+ * Dimensioni di un WebP dal primo chunk: VP8X (formato esteso), VP8 (con perdita) o VP8L (senza perdita).
+ */
+function leggiDimensioniWebp(buffer) {
+  var chunk = buffer.toString('latin1', 12, 16);
+  if (chunk === 'VP8X') {
+    return { formato: 'webp', larghezza: buffer.readUIntLE(24, 3) + 1, altezza: buffer.readUIntLE(27, 3) + 1 };
+  }
+  if (chunk === 'VP8 ') {
+    return { formato: 'webp', larghezza: buffer.readUInt16LE(26) & 0x3fff, altezza: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L') {
+    var bits = buffer.readUInt32LE(21);
+    return { formato: 'webp', larghezza: (bits & 0x3fff) + 1, altezza: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  return null;
+}
+
+// ---------- PNG in Node (senza ImageMagick) ----------
+
+/** Canali per tipo di colore PNG: scala di grigi, RGB, palette, grigi + alfa, RGBA */
+var CANALI = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/** Passate dell’interlacciamento Adam7: colonna e riga iniziali, passo orizzontale e verticale */
+var ADAM7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+function paeth(a, b, c) {
+  var p = a + b - c;
+  var pa = Math.abs(p - a);
+  var pb = Math.abs(p - b);
+  var pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : (pb <= pc ? b : c);
+}
+
+/**
+ * Valore del campione n-esimo di una riga (profondità 1, 2, 4, 8 o 16 bit; di 16 bit si tiene il byte alto).
+ */
+function campione(riga, n, profondita) {
+  if (profondita === 8) return riga[n];
+  if (profondita === 16) return riga[n * 2];
+  var perByte = 8 / profondita;
+  var shift = 8 - profondita * (n % perByte + 1);
+  return (riga[Math.floor(n / perByte)] >> shift) & ((1 << profondita) - 1);
+}
+
+/**
+ * Decodifica un PNG in pixel RGBA a 8 bit (tutti i tipi di colore, interlacciato o no;
+ * la trasparenza tRNS è applicata solo alle immagini a palette).
+ * @param {Buffer} buffer
+ * @returns {{ larghezza: number, altezza: number, pixel: Buffer }}
+ */
+function decodificaPng(buffer) {
+  var pos = 8;
+  var ihdr = null;
+  var palette = null;
+  var trasparenza = null;
+  var dati = [];
+  while (pos + 8 <= buffer.length) {
+    var lunghezza = buffer.readUInt32BE(pos);
+    var tipo = buffer.toString('latin1', pos + 4, pos + 8);
+    var chunk = buffer.slice(pos + 8, pos + 8 + lunghezza);
+    if (tipo === 'IHDR') {
+      ihdr = { larghezza: chunk.readUInt32BE(0), altezza: chunk.readUInt32BE(4), profondita: chunk[8], colore: chunk[9], interlacciato: chunk[12] === 1 };
+    } else if (tipo === 'PLTE') {
+      palette = chunk;
+    } else if (tipo === 'tRNS') {
+      trasparenza = chunk;
+    } else if (tipo === 'IDAT') {
+      dati.push(chunk);
+    } else if (tipo === 'IEND') {
+      break;
+    }
+    pos += 12 + lunghezza;
+  }
+  if (!ihdr || !CANALI[ihdr.colore]) throw new Error('PNG non valido.');
+  if (ihdr.colore === 3 && !palette) throw new Error('PNG a palette senza PLTE.');
+
+  var larghezza = ihdr.larghezza;
+  var profondita = ihdr.profondita;
+  var canali = CANALI[ihdr.colore];
+  var bpp = Math.max(1, canali * profondita / 8);
+  var massimo = (1 << Math.min(profondita, 8)) - 1;
+  var grezzi = zlib.inflateSync(Buffer.concat(dati));
+  var pixel = Buffer.alloc(larghezza * ihdr.altezza * 4);
+  var letto = 0;
+
+  function scriviPixel(riga, px, x, y) {
+    var o = (y * larghezza + x) * 4;
+    var s = px * canali;
+    if (ihdr.colore === 3) {
+      var i = campione(riga, s, profondita);
+      pixel[o] = palette[i * 3];
+      pixel[o + 1] = palette[i * 3 + 1];
+      pixel[o + 2] = palette[i * 3 + 2];
+      pixel[o + 3] = trasparenza && i < trasparenza.length ? trasparenza[i] : 255;
+      return;
+    }
+    var scala = profondita < 8 ? 255 / massimo : 1;
+    if (canali <= 2) {
+      pixel[o] = pixel[o + 1] = pixel[o + 2] = Math.round(campione(riga, s, profondita) * scala);
+      pixel[o + 3] = canali === 2 ? campione(riga, s + 1, profondita) : 255;
+    } else {
+      pixel[o] = campione(riga, s, profondita);
+      pixel[o + 1] = campione(riga, s + 1, profondita);
+      pixel[o + 2] = campione(riga, s + 2, profondita);
+      pixel[o + 3] = canali === 4 ? campione(riga, s + 3, profondita) : 255;
+    }
+  }
+
+  /** Toglie i filtri di una passata (o dell’intera immagine) e ne scrive i pixel */
+  function passata(x0, y0, dx, dy) {
+    var w = Math.ceil((larghezza - x0) / dx);
+    var h = Math.ceil((ihdr.altezza - y0) / dy);
+    if (w <= 0 || h <= 0) return;
+    var byteRiga = Math.ceil(w * canali * profondita / 8);
+    var precedente = Buffer.alloc(byteRiga);
+    for (var y = 0; y < h; y++) {
+      var filtro = grezzi[letto];
+      var riga = Buffer.from(grezzi.slice(letto + 1, letto + 1 + byteRiga));
+      letto += 1 + byteRiga;
+      if (filtro > 4) throw new Error('PNG non valido (filtro ' + filtro + ').');
+      for (var i = 0; i < byteRiga; i++) {
+        var a = i >= bpp ? riga[i - bpp] : 0;
+        var b = precedente[i];
+        var c = i >= bpp ? precedente[i - bpp] : 0;
+        var predizione = filtro === 0 ? 0 : filtro === 1 ? a : filtro === 2 ? b : filtro === 3 ? (a + b) >> 1 : paeth(a, b, c);
+        riga[i] = (riga[i] + predizione) & 255;
+      }
+      for (var px = 0; px < w; px++) scriviPixel(riga, px, x0 + px * dx, y0 + y * dy);
+      precedente = riga;
+    }
+  }
+
+  if (ihdr.interlacciato) {
+    ADAM7.forEach(function (p) { passata(p[0], p[1], p[2], p[3]); });
+  } else {
+    passata(0, 0, 1, 1);
+  }
+  return { larghezza: larghezza, altezza: ihdr.altezza, pixel: pixel };
+}
+
+/**
+ * Ridimensiona (solo riduzione) con media delle aree, sui colori premoltiplicati per l’alfa:
+ * i bordi delle immagini scontornate non si scuriscono.
+ * @param {{ larghezza: number, altezza: number, pixel: Buffer }} img
+ * @param {number} larghezza
+ * @returns {{ larghezza: number, altezza: number, pixel: Buffer }}
+ */
+function ridimensiona(img, larghezza) {
+  var altezza = Math.max(1, Math.round(img.altezza * larghezza / img.larghezza));
+
+  /** Per ogni pixel di destinazione: pixel sorgenti coperti e quanto (peso) */
+  function pesi(origine, destinazione) {
+    var passo = origine / destinazione;
+    var elenco = [];
+    for (var d = 0; d < destinazione; d++) {
+      var inizio = d * passo;
+      var fine = inizio + passo;
+      var voci = [];
+      for (var s = Math.floor(inizio); s < Math.min(origine, Math.ceil(fine)); s++) {
+        voci.push([s, Math.min(fine, s + 1) - Math.max(inizio, s)]);
+      }
+      elenco.push(voci);
+    }
+    return elenco;
+  }
+
+  var pesiX = pesi(img.larghezza, larghezza);
+  var pesiY = pesi(img.altezza, altezza);
+  var pixel = Buffer.alloc(larghezza * altezza * 4);
+  for (var y = 0; y < altezza; y++) {
+    for (var x = 0; x < larghezza; x++) {
+      var r = 0, g = 0, b = 0, a = 0, totale = 0;
+      for (var i = 0; i < pesiY[y].length; i++) {
+        var vy = pesiY[y][i];
+        for (var j = 0; j < pesiX[x].length; j++) {
+          var vx = pesiX[x][j];
+          var o = (vy[0] * img.larghezza + vx[0]) * 4;
+          var peso = vy[1] * vx[1];
+          var alfa = img.pixel[o + 3] * peso;
+          r += img.pixel[o] * alfa;
+          g += img.pixel[o + 1] * alfa;
+          b += img.pixel[o + 2] * alfa;
+          a += alfa;
+          totale += peso;
+        }
+      }
+      var d = (y * larghezza + x) * 4;
+      if (a > 0) {
+        pixel[d] = Math.round(r / a);
+        pixel[d + 1] = Math.round(g / a);
+        pixel[d + 2] = Math.round(b / a);
+      }
+      pixel[d + 3] = Math.round(a / totale);
+    }
+  }
+  return { larghezza: larghezza, altezza: altezza, pixel: pixel };
+}
+
+var TABELLA_CRC = (function () {
+  var tabella = new Int32Array(256);
+  for (var n = 0; n < 256; n++) {
+    var c = n;
+    for (var k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    tabella[n] = c;
+  }
+  return tabella;
+})();
+
+function crc32(buffer) {
+  var c = -1;
+  for (var i = 0; i < buffer.length; i++) c = TABELLA_CRC[(c ^ buffer[i]) & 255] ^ (c >>> 8);
+  return (c ^ -1) >>> 0;
+}
+
+function chunkPng(tipo, dati) {
+  var intestazione = Buffer.alloc(8);
+  intestazione.writeUInt32BE(dati.length, 0);
+  intestazione.write(tipo, 4, 'latin1');
+  var crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([intestazione.slice(4), dati])), 0);
+  return Buffer.concat([intestazione, dati, crc]);
+}
+
+/**
+ * Codifica pixel RGBA in PNG (filtro Paeth su ogni riga, compressione massima).
+ * @param {{ larghezza: number, altezza: number, pixel: Buffer }} img
+ * @returns {Buffer}
+ */
+function codificaPng(img) {
+  var byteRiga = img.larghezza * 4;
+  var filtrati = Buffer.alloc((byteRiga + 1) * img.altezza);
+  for (var y = 0; y < img.altezza; y++) {
+    var riga = y * byteRiga;
+    var uscita = y * (byteRiga + 1);
+    filtrati[uscita] = 4;
+    for (var i = 0; i < byteRiga; i++) {
+      var a = i >= 4 ? img.pixel[riga + i - 4] : 0;
+      var b = y > 0 ? img.pixel[riga - byteRiga + i] : 0;
+      var c = i >= 4 && y > 0 ? img.pixel[riga - byteRiga + i - 4] : 0;
+      filtrati[uscita + 1 + i] = (img.pixel[riga + i] - paeth(a, b, c)) & 255;
+    }
+  }
+  var ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(img.larghezza, 0);
+  ihdr.writeUInt32BE(img.altezza, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 6;
+  return Buffer.concat([
+    PNG_FIRMA,
+    chunkPng('IHDR', ihdr),
+    chunkPng('IDAT', zlib.deflateSync(filtrati, { level: 9 })),
+    chunkPng('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// ---------- ImageMagick ----------
+
+/**
+ * Cerca ImageMagick (magick, poi convert) e i formati che sa scrivere.
+ * @returns {{ comando: string, formati: Array<string> }|null} null se non è installato
+ */
+function trovaImageMagick() {
+  var comandi = ['magick', 'convert'];
+  for (var i = 0; i < comandi.length; i++) {
+    var elenco;
+    try {
+      elenco = childProcess.execFileSync(comandi[i], ['-list', 'format'], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+    } catch (err) {
+      continue;
+    }
+    var formati = ['png', 'jpg'].concat(FORMATI_MODERNI).filter(function (formato) {
+      var nome = formato === 'jpg' ? 'JPEG' : formato.toUpperCase();
+      return new RegExp('^\\s*' + nome + '\\*?\\s+\\S+\\s+rw', 'm').test(elenco);
+    });
+    return { comando: comandi[i], formati: formati };
+  }
+  return null;
+}
+
+function convertiConImageMagick(magick, sorgente, destinazione, larghezza, formato) {
+  var args = [sorgente, '-auto-orient', '-strip', '-resize', larghezza + 'x>'];
+  if (QUALITA[formato]) args.push('-quality', String(QUALITA[formato]));
+  childProcess.execFileSync(magick.comando, args.concat(destinazione), { stdio: 'ignore' });
+}
+
+// ---------- Generazione ----------
+
+/**
+ * Nome di file senza estensione ridotto a minuscole, cifre e trattini (max 60 caratteri).
+ * Es. "pngimg.com - house_PNG7 (1).png" -> "pngimg-com-house-png7-1"
+ */
+function slugNomeFile(nomeFile) {
+  return path.basename(String(nomeFile || ''), path.extname(String(nomeFile || ''))).toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').slice(0, 60).replace(/^-+|-+$/g, '') || 'immagine';
+}
+
+/**
+ * Nome base delle varianti di un’immagine: nome del file ripulito più un hash del percorso,
+ * così due "cucina.jpg" in cartelle diverse non si sovrascrivono.
+ * Es. "assets/img/pngimg.com - house_PNG7 (1).png" -> "pngimg-com-house-png7-1-3f9a1c"
+ */
+function getNomeBase(src) {
+  return slugNomeFile(src) + '-' + crypto.createHash('sha1').update(src).digest('hex').slice(0, 6);
+}
+
+/**
+ * Larghezze delle varianti per un originale: quelle di LARGHEZZE più strette dell’originale,
+ * più l’originale stesso se è più stretto della più grande (nessun ingrandimento).
+ */
+function getLarghezze(larghezzaOriginale) {
+  var massima = LARGHEZZE[LARGHEZZE.length - 1];
+  var larghezze = LARGHEZZE.filter(function (l) { return l < larghezzaOriginale && l < massima; });
+  larghezze.push(Math.min(larghezzaOriginale, massima));
+  return larghezze;
+}
+
+/**
+ * Immagini locali degli annunci da cui generare varianti (foto e planimetrie sotto assets/img/),
+ * senza ripetizioni.
+ * @param {Array<Object>} list - Record di data/immobili.json
+ * @returns {Array<string>} Percorsi src
+ */
+function getSorgenti(list) {
+  var visti = {};
+  var sorgenti = [];
+  (Array.isArray(list) ? list : []).forEach(function (item) {
+    ((item && item.immagini) || []).forEach(function (im) {
+      if (!im || typeof im.src !== 'string' || im.src.indexOf('assets/img/') !== 0) return;
+      if (im.src.indexOf(VARIANTI_DIR + '/') === 0 || Galleria.TIPI_IMMAGINE.indexOf(Galleria.getTipo(im)) === -1) return;
+      if (!visti[im.src]) {
+        visti[im.src] = true;
+        sorgenti.push(im.src);
+      }
+    });
+  });
+  return sorgenti;
+}
+
+function firmaFile(stat) {
+  return stat.size + '-' + Math.floor(stat.mtimeMs);
+}
+
+function varianteEsiste(root, voce) {
+  return Object.keys(voce.varianti).every(function (formato) {
+    return voce.varianti[formato].every(function (v) {
+      return fs.existsSync(path.join(root, v.src));
+    });
+  });
+}
+
+/**
+ * Cartella delle varianti di un’agenzia (vedi Backend/agenzie.js): VARIANTI_DIR per la prima, una
+ * sottocartella con l’id per le altre. Ognuna ha il proprio manifest e la rimozione delle varianti
+ * non più usate riguarda solo le immagini dei suoi annunci.
+ * @param {{ id: string }} agenzia
+ * @param {boolean} predefinita - Prima agenzia del file
+ * @returns {string} Relativa alla radice del sito
+ */
+function getCartellaVarianti(agenzia, predefinita) {
+  return predefinita ? VARIANTI_DIR : VARIANTI_DIR + '/' + agenzia.id;
+}
+
+/**
+ * Percorso del manifest delle varianti di una cartella.
+ * @param {string} cartella - Relativa alla radice del sito (vedi getCartellaVarianti)
+ * @param {string} [siteRoot]
+ */
+function getManifestPath(cartella, siteRoot) {
+  return path.join(siteRoot || SITE_ROOT, cartella, NOME_MANIFEST);
+}
+
+/**
+ * Genera le varianti di tutte le immagini degli annunci e aggiorna il manifest.
+ * Un’immagine già presente nel manifest con lo stesso file di origine (dimensione e data) e
+ * con tutte le varianti su disco non viene rigenerata; le varianti non più usate vengono rimosse.
+ * @param {Array<Object>} list - Record di data/immobili.json
+ * @param {{ siteRoot?: string, cartella?: string, force?: boolean, imageMagick?: boolean }} [options] - cartella:
+ *   delle varianti e del manifest, relativa alla radice (default VARIANTI_DIR); force: rigenera tutto;
+ *   imageMagick: false per usare solo Node (default: ImageMagick se installato)
+ * @returns {{ manifest: Object, generate: Array<string>, invariate: Array<string>, avvisi: Array<{ campo: string, messaggio: string }>, formati: Array<string> }}
+ */
+function generaVarianti(list, options) {
+  options = options || {};
+  var root = options.siteRoot || SITE_ROOT;
+  var cartella = options.cartella || VARIANTI_DIR;
+  var dir = path.join(root, cartella);
+  var manifestPath = getManifestPath(cartella, root);
+  var magick = options.imageMagick === false ? null : trovaImageMagick();
+  var precedente = {};
+  try {
+    precedente = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  var manifest = {};
+  var risultato = { manifest: manifest, generate: [], invariate: [], avvisi: [], formati: magick ? magick.formati : ['png'] };
+  fs.mkdirSync(dir, { recursive: true });
+
+  getSorgenti(list).forEach(function (src) {
+    var filePath = path.resolve(root, src);
+    var stat;
+    try {
+      stat = fs.statSync(filePath);
+    } catch (err) {
+      risultato.avvisi.push({ campo: src, messaggio: 'File non trovato.' });
+      return;
+    }
+    var firma = firmaFile(stat);
+    var vecchia = precedente[src];
+    if (!options.force && vecchia && vecchia.firma === firma && varianteEsiste(root, vecchia)) {
+      manifest[src] = vecchia;
+      risultato.invariate.push(src);
+      return;
+    }
+
+    var buffer = fs.readFileSync(filePath);
+    var info = leggiDimensioni(buffer);
+    if (!info) {
+      risultato.avvisi.push({ campo: src, messaggio: 'Formato non riconosciuto (servono PNG, JPEG o WebP).' });
+      return;
+    }
+    if (!magick && info.formato !== 'png') {
+      risultato.avvisi.push({ campo: src, messaggio: 'Per le immagini JPEG e WebP serve ImageMagick (comando magick o convert).' });
+      return;
+    }
+
+    var formati = [info.formato].concat(magick ? FORMATI_MODERNI.filter(function (f) {
+      return f !== info.formato && magick.formati.indexOf(f) !== -1;
+    }) : []);
+    var larghezze = getLarghezze(info.larghezza);
+    var nomeBase = getNomeBase(src);
+    var voce = { firma: firma, formato: info.formato, larghezza: info.larghezza, altezza: info.altezza, varianti: {} };
+    var decodificata = null;
+    try {
+      formati.forEach(function (formato) {
+        voce.varianti[formato] = larghezze.map(function (larghezza) {
+          var nome = nomeBase + '-' + larghezza + '.' + formato;
+          var destinazione = path.join(dir, nome);
+          if (magick) {
+            convertiConImageMagick(magick, filePath, destinazione, larghezza, formato);
+          } else {
+            decodificata = decodificata || decodificaPng(buffer);
+            var ridotta = larghezza < decodificata.larghezza ? ridimensiona(decodificata, larghezza) : decodificata;
+            fs.writeFileSync(destinazione, codificaPng(ridotta));
+          }
+          return { src: cartella + '/' + nome, larghezza: larghezza };
+        });
+      });
+    } catch (err) {
+      risultato.avvisi.push({ campo: src, messaggio: 'Conversione non riuscita: ' + err.message });
+      return;
+    }
+    manifest[src] = voce;
+    risultato.generate.push(src);
+  });
+
+  // Varianti di immagini tolte dagli annunci o rigenerate con altri nomi (solo file: le sottocartelle
+  // delle altre agenzie restano)
+  var usate = {};
+  Object.keys(manifest).forEach(function (src) {
+    Object.keys(manifest[src].varianti).forEach(function (formato) {
+      manifest[src].varianti[formato].forEach(function (v) { usate[path.basename(v.src)] = true; });
+    });
+  });
+  fs.readdirSync(dir).forEach(function (nome) {
+    if (nome !== path.basename(manifestPath) && !usate[nome] && /\.(png|jpg|webp|avif)$/.test(nome)) {
+      fs.unlinkSync(path.join(dir, nome));
+    }
+  });
+
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+  return risultato;
+}
+
+// ---------- Uso nell’API ----------
+
+function buildSrcset(varianti) {
+  return varianti.map(function (v) {
+    return v.src + ' ' + v.larghezza + 'w';
+  }).join(', ');
+}
+
+/**
+ * Aggiunge a ogni immagine dell’immobile che ha varianti nel manifest:
+ * larghezza e altezza dell’originale, srcset nel formato originale e sorgenti nei formati
+ * moderni ({ formato: tipo MIME, srcset }), nell’ordine in cui vanno proposte al browser.
+ * @param {Object} immobile
+ * @param {Object} manifest - Contenuto di varianti.json
+ * @returns {Object} Copia dell’immobile (l’originale non viene modificato)
+ */
+function applicaVarianti(immobile, manifest) {
+  if (!immobile || !Array.isArray(immobile.immagini) || !manifest) return immobile;
+  var copia = Object.assign({}, immobile);
+  copia.immagini = immobile.immagini.map(function (im) {
+    var voce = im && manifest[im.src];
+    if (!voce || !voce.varianti) return im;
+    var conVarianti = Object.assign({}, im, { larghezza: voce.larghezza, altezza: voce.altezza });
+    var sorgenti = [];
+    if (voce.varianti[voce.formato]) conVarianti.srcset = buildSrcset(voce.varianti[voce.formato]);
+    FORMATI_MODERNI.forEach(function (formato) {
+      if (formato !== voce.formato && voce.varianti[formato]) sorgenti.push({ formato: MIME[formato], srcset: buildSrcset(voce.varianti[formato]) });
+    });
+    if (sorgenti.length > 0) conVarianti.sorgenti = sorgenti;
+    return conVarianti;
+  });
+  return copia;
+}
+
+module.exports = {
+  VARIANTI_DIR: VARIANTI_DIR,
+  MANIFEST_PATH: MANIFEST_PATH,
+  getCartellaVarianti: getCartellaVarianti,
+  getManifestPath: getManifestPath,
+  LARGHEZZE: LARGHEZZE,
+  FORMATI_MODERNI: FORMATI_MODERNI,
+  leggiDimensioni: leggiDimensioni,
+  decodificaPng: decodificaPng,
+  ridimensiona: ridimensiona,
+  codificaPng: codificaPng,
+  trovaImageMagick: trovaImageMagick,
+  slugNomeFile: slugNomeFile,
+  getNomeBase: getNomeBase,
+  getLarghezze: getLarghezze,
+  getSorgenti: getSorgenti,
+  generaVarianti: generaVarianti,
+  applicaVarianti: applicaVarianti
+};
@@ -0,0 +1,117 @@
+/**
+ * immobili.js - API elenco e dettaglio immobili
+ * GET /api/immobili: filtri (contratto, prezzo, località, tipologia), ordinamento e paginazione
+ * lato server, così il browser riceve solo la pagina di risultati richiesta.
+ * GET /api/immobili/:id: singolo immobile (410 "non più disponibile" se archiviato).
+ * Le API pubbliche espongono solo gli immobili pubblicati (vedi statoAnnuncio).
+ * Filtri, ordinamento e paginazione sono quelli del modulo condiviso assets/js/annunci.js,
+ * gli stessi usati dalle pagine del sito.
+ * Con ?lang= (es. lang=en, lingue di assets/js/i18n.js) titolo, descrizione e testi alternativi
+ * arrivano nella lingua richiesta, dove l’annuncio ha la traduzione; la ricerca libera usa gli
+ * stessi testi. Le risposte non riportano il campo traduzioni.
+ * Le immagini con varianti responsive (manifest di bin/genera-immagini.js, vedi immagini.js)
+ * arrivano con dimensioni, srcset e sorgenti AVIF/WebP.
+ */
+
+'use strict';
+
+var httpUtils = require('./http-utils');
+var immagini = require('./immagini');
+var Annunci = require('../assets/js/annunci');
+var I18n = require('../assets/js/i18n');
+
+/** Stati dell’annuncio: una bozza non è visibile, un archiviato resta raggiungibile solo come "non più disponibile" */
+var STATI = {
+  bozza: 'bozza',
+  pubblicato: 'pubblicato',
+  archiviato: 'archiviato'
+};
+
+/**
+ * Stato dell’annuncio; i record senza statoAnnuncio (inseriti a mano) sono pubblicati.
+ * @returns {string}
+ */
+function getStatoAnnuncio(item) {
+  return STATI.hasOwnProperty(item.statoAnnuncio) ? item.statoAnnuncio : STATI.pubblicato;
+}
+
+function isPubblicato(item) {
+  return getStatoAnnuncio(item) === STATI.pubblicato;
+}
+
+/**
+ * Immobile come lo ricevono le pagine: nella lingua richiesta, con le varianti responsive delle immagini.
+ * @param {Object} item - Record di data/immobili.json
+ * @param {string} lingua
+ * @param {Object|null} manifest - Manifest delle varianti (null: immagini con solo src)
+ * @returns {Object}
+ */
+function preparaImmobile(item, lingua, manifest) {
+  var immobile = Annunci.localizzaImmobile(item, lingua);
+  return manifest ? immagini.applicaVarianti(immobile, manifest) : immobile;
+}
+
+/**
+ * Crea gli handler delle route immobili legati all’archivio.
+ * @param {{ read: function(): Array }} store - Archivio immobili (vedi store.js)
+ * @param {{ variantiStore?: { read: function(): Object } }} [options] - Manifest delle varianti delle immagini
+ *   (senza, le immagini hanno solo src)
+ */
+function createHandlers(store, options) {
+  options = options || {};
+  var variantiStore = options.variantiStore;
+
+  function readAll() {
+    var data = store.read();
+    return Array.isArray(data) ? data : [];
+  }
+
+  /** Manifest delle varianti (null se non configurato) */
+  function readVarianti() {
+    return variantiStore ? variantiStore.read() : null;
+  }
+
+  /** Lingua richiesta con ?lang= (predefinita se assente o non prevista) */
+  function getLingua(ctx) {
+    return I18n.normalizeLingua(ctx.query.get('lang')) || I18n.LINGUA_DEFAULT;
+  }
+
+  return {
+    /** GET /api/immobili */
+    list: function (req, res, ctx) {
+      var lingua = getLingua(ctx);
+      var manifest = readVarianti();
+      var pubblicati = readAll().filter(isPubblicato).map(function (item) {
+        return preparaImmobile(item, lingua, manifest);
+      });
+      httpUtils.sendJson(res, 200, Annunci.queryImmobili(pubblicati, Annunci.parseQuery(ctx.query)));
+    },
+
+    /** GET /api/immobili/:id */
+    detail: function (req, res, ctx) {
+      var immobile = Annunci.findImmobileById(readAll(), ctx.params.id);
+      var stato = immobile ? getStatoAnnuncio(immobile) : null;
+      if (!immobile || stato === STATI.bozza) {
+        httpUtils.sendError(res, 404, 'Immobile non trovato');
+        return;
+      }
+      immobile = preparaImmobile(immobile, getLingua(ctx), readVarianti());
+      if (stato === STATI.archiviato) {
+        httpUtils.sendJson(res, 410, {
+          errore: 'Immobile non più disponibile',
+          immobile: { id: immobile.id, titolo: immobile.titolo, tipologia: immobile.tipologia, citta: immobile.citta }
+        });
+        return;
+      }
+      httpUtils.sendJson(res, 200, immobile);
+    }
+  };
+}
+
+module.exports = {
+  STATI: STATI,
+  getStatoAnnuncio: getStatoAnnuncio,
+  isPubblicato: isPubblicato,
+  preparaImmobile: preparaImmobile,
+  createHandlers: createHandlers
+};
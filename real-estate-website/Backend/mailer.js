@@ -0,0 +1,81 @@
+/**
+ * mailer.js - Invio email con trasporto intercambiabile
+ * Il resto del server chiama solo mailer.send({ to, subject, text, headers }): come il messaggio
+ * parte dipende dal trasporto, un oggetto con send(message) che restituisce una Promise.
+ * Il trasporto incluso è l’outbox su file: ogni email diventa un file JSON in una cartella
+ * (default Backend/storage/outbox), così il sito funziona offline e i messaggi si possono
+ * leggere o verificare nei test. In produzione si passa a createServer un trasporto verso
+ * il proprio servizio di invio (SMTP, API del fornitore) con la stessa interfaccia.
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+
+/** Mittente di default (variabile d’ambiente MAIL_FROM) */
+var DEFAULT_FROM = 'Agenzia Immobiliare <avvisi@example.com>';
+
+/**
+ * Trasporto che salva ogni messaggio come file JSON nella cartella indicata.
+ * Nome del file: data e ora di invio più id, così l’elenco della cartella è in ordine di invio.
+ * @param {string} dir - Cartella dell’outbox (creata al primo invio)
+ * @returns {{ dir: string, send: function(Object): Promise<{ id: string, file: string }> }}
+ */
+function createOutboxTransport(dir) {
+  return {
+    dir: dir,
+    send: function (message) {
+      return new Promise(function (resolve, reject) {
+        var file = path.join(dir, message.data.replace(/[:.]/g, '-') + '-' + message.id + '.json');
+        fs.mkdir(dir, { recursive: true }, function (err) {
+          if (err) {
+            reject(err);
+            return;
+          }
+          fs.writeFile(file, JSON.stringify(message, null, 2) + '\n', 'utf8', function (err2) {
+            if (err2) reject(err2);
+            else resolve({ id: message.id, file: file });
+          });
+        });
+      });
+    }
+  };
+}
+
+/**
+ * Crea il mailer.
+ * @param {{ transport: { send: function(Object): Promise }, from?: string }} options
+ * @returns {{ send: function({ to: string, subject: string, text: string, headers?: Object }): Promise }}
+ */
+function createMailer(options) {
+  var transport = options.transport;
+  var from = options.from || process.env.MAIL_FROM || DEFAULT_FROM;
+
+  return {
+    /**
+     * Invia un messaggio di solo testo. Aggiunge mittente, id e data di invio.
+     * @returns {Promise} Risultato del trasporto; rifiutata se l’invio non riesce
+     */
+    send: function (message) {
+      return Promise.resolve().then(function () {
+        return transport.send({
+          id: crypto.randomUUID(),
+          data: new Date().toISOString(),
+          from: from,
+          to: message.to,
+          subject: message.subject,
+          headers: message.headers || {},
+          text: message.text
+        });
+      });
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_FROM: DEFAULT_FROM,
+  createOutboxTransport: createOutboxTransport,
+  createMailer: createMailer
+};
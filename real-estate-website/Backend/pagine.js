@@ -0,0 +1,646 @@
+/**
+ * pagine.js - Elenco e scheda immobili generati dal server
+ * GET /immobili: template immobili.html con filtri, conteggio, card e pager già compilati per la query
+ * richiesta; /immobili.html rimanda con un 301 a /immobili, l’unico indirizzo dell’elenco (canonical,
+ * pager e link generati).
+ * GET /immobili/:id-slug: template immobile.html con la scheda, title, meta description, Open Graph,
+ * canonical, hreflang e JSON-LD (RealEstateAgent, RealEstateListing, BreadcrumbList); 404 per id inesistenti e bozze, 410 per gli annunci archiviati.
+ * Uno slug diverso da quello del titolo (o assente) e i vecchi indirizzi immobile.html?id= rimandano
+ * con un 301 all’indirizzo canonico.
+ * Il markup è quello dei moduli condivisi assets/js/annunci.js e i18n.js, gli stessi degli script:
+ * motori di ricerca, anteprime dei link e visitatori senza JavaScript ricevono la pagina completa.
+ * I dati usati per generarla viaggiano nella pagina (script application/json #immobili-dati e
+ * #immobile-dati): immobili.js e main.js aggiungono solo le parti interattive, senza richiederli all’API.
+ * La lingua è quella di ?lang= (default la lingua dell’agenzia): testi del template (data-i18n), annuncio e formati.
+ * Tutte le pagine HTML servite dal server, anche le altre (GET /, /contatti.html, /admin/...), ricevono i dati
+ * dell’agenzia del dominio (vedi agenzie.js): nome, logo e contatti negli elementi data-agenzia, nome nel
+ * title, colori e, per gli script, #agenzia-dati.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+var httpUtils = require('./http-utils');
+var immobili = require('./immobili');
+var Annunci = require('../assets/js/annunci');
+var I18n = require('../assets/js/i18n');
+var Agenzia = require('../assets/js/agenzia');
+
+var SITE_ROOT = path.resolve(__dirname, '..');
+
+/** Template delle pagine, nella radice del sito */
+var TEMPLATE_ELENCO = 'immobili.html';
+var TEMPLATE_SCHEDA = 'immobile.html';
+
+/** Id degli script con i dati della pagina (vedi Annunci.getDatiServer) */
+var DATI_ELENCO_ID = 'immobili-dati';
+var DATI_SCHEDA_ID = 'immobile-dati';
+var DATI_AGENZIA_ID = 'agenzia-dati';
+
+/** Id dei blocchi JSON-LD (gli stessi di main.js) */
+var JSONLD_AGENZIA_ID = 'jsonld-real-estate-agent';
+var JSONLD_ANNUNCIO_ID = 'jsonld-annuncio';
+var JSONLD_BREADCRUMB_ID = 'jsonld-breadcrumb';
+
+/** Elementi senza tag di chiusura */
+var ELEMENTI_VUOTI = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+/** Campi numerici del form filtri (name dell’input -> chiave dei filtri) */
+var CAMPI_NUMERICI = {
+  'prezzo-min': 'prezzoMin',
+  'prezzo-max': 'prezzoMax',
+  'canone-min': 'canoneMin',
+  'canone-max': 'canoneMax',
+  'superficie-min': 'superficieMin',
+  'superficie-max': 'superficieMax',
+  'locali-min': 'localiMin'
+};
+
+var escapeHtml = Annunci.escapeHtml;
+
+// ---------- Markup dei template ----------
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Inizio del tag di chiusura corrispondente, contando gli elementi annidati con lo stesso nome.
+ * @returns {number} -1 se manca
+ */
+function trovaChiusura(html, tag, da) {
+  var re = new RegExp('<(/?)' + tag + '(?=[\\s/>])', 'gi');
+  re.lastIndex = da;
+  var livello = 1;
+  var m;
+  while ((m = re.exec(html))) {
+    livello += m[1] ? -1 : 1;
+    if (livello === 0) return m.index;
+  }
+  return -1;
+}
+
+/**
+ * Primo elemento del template con l’attributo indicato.
+ * @param {string} html
+ * @param {string} attributo - Nome (es. 'data-posizione-indirizzo') o nome="valore" (es. 'id="immobile-header"')
+ * @returns {{ apertura: string, inizio: number, fineApertura: number, inizioChiusura: number }|null}
+ */
+function trovaElemento(html, attributo) {
+  var re = new RegExp('<([a-zA-Z][a-zA-Z0-9]*)\\b[^>]*?\\s' + escapeRegExp(attributo) + '(?![\\w-])[^>]*>');
+  var m = re.exec(html);
+  if (!m) return null;
+  var fineApertura = m.index + m[0].length;
+  var inizioChiusura = ELEMENTI_VUOTI.indexOf(m[1].toLowerCase()) !== -1 ? fineApertura : trovaChiusura(html, m[1], fineApertura);
+  if (inizioChiusura === -1) return null;
+  return { apertura: m[0], inizio: m.index, fineApertura: fineApertura, inizioChiusura: inizioChiusura };
+}
+
+/** Sostituisce il contenuto dell’elemento (template invariato se l’elemento manca) */
+function sostituisciContenuto(html, attributo, contenuto) {
+  var el = trovaElemento(html, attributo);
+  if (!el) return html;
+  return html.slice(0, el.fineApertura) + contenuto + html.slice(el.inizioChiusura);
+}
+
+/** Modifica il tag di apertura dell’elemento con fn(apertura) */
+function modificaApertura(html, attributo, fn) {
+  var el = trovaElemento(html, attributo);
+  if (!el) return html;
+  return html.slice(0, el.inizio) + fn(el.apertura) + html.slice(el.fineApertura);
+}
+
+/**
+ * Imposta un attributo nel tag di apertura: true per un attributo booleano, null o false lo rimuove.
+ * @returns {string}
+ */
+function impostaAttributo(apertura, nome, valore) {
+  var re = new RegExp('\\s' + escapeRegExp(nome) + '(?:="[^"]*")?(?=[\\s/>])');
+  var attr = valore == null || valore === false ? '' : ' ' + nome + (valore === true ? '' : '="' + escapeHtml(String(valore)) + '"');
+  if (re.test(apertura)) {
+    return apertura.replace(re, function () { return attr; });
+  }
+  return attr ? apertura.replace(/\s*\/?>$/, function (fine) { return attr + fine; }) : apertura;
+}
+
+/** Rende visibile un elemento nascosto con hidden o style="display: none;" */
+function mostra(apertura) {
+  return impostaAttributo(apertura, 'hidden', null)
+    .replace(/display:\s*none;?\s*/, '')
+    .replace(/\sstyle=""/, '');
+}
+
+/** Nasconde un elemento come fa lo script (style.display = 'none') */
+function nascondi(apertura) {
+  var stile = /\sstyle="([^"]*)"/.exec(apertura);
+  return impostaAttributo(apertura, 'style', 'display: none;' + (stile ? ' ' + stile[1] : ''));
+}
+
+/**
+ * Traduce i testi del template marcati con data-i18n, data-i18n-html e data-i18n-attr, come
+ * applyTraduzioni di main.js nel browser. Nella lingua predefinita il template resta com’è.
+ * @param {string} html
+ * @returns {string}
+ */
+function traduciMarkup(html) {
+  if (I18n.getLingua() === I18n.LINGUA_DEFAULT) return html;
+  var re = /<([a-zA-Z][a-zA-Z0-9]*)\b[^>]*\sdata-i18n(?:-html|-attr)?="[^"]*"[^>]*>/g;
+  var out = '';
+  var pos = 0;
+  var m;
+  while ((m = re.exec(html))) {
+    var apertura = m[0];
+    var fineApertura = m.index + apertura.length;
+    var testo = /\sdata-i18n="([^"]*)"/.exec(apertura);
+    var markup = /\sdata-i18n-html="([^"]*)"/.exec(apertura);
+    var attributi = /\sdata-i18n-attr="([^"]*)"/.exec(apertura);
+
+    if (attributi) {
+      attributi[1].split(';').forEach(function (coppia) {
+        var parts = coppia.split(':');
+        var key = (parts[1] || '').trim();
+        if (key && I18n.has(key)) apertura = impostaAttributo(apertura, parts[0].trim(), I18n.t(key));
+      });
+    }
+    out += html.slice(pos, m.index) + apertura;
+    pos = fineApertura;
+
+    var key = testo ? testo[1] : markup ? markup[1] : '';
+    if (!key || !I18n.has(key)) continue;
+    var chiusura = trovaChiusura(html, m[1], fineApertura);
+    if (chiusura === -1) continue;
+    out += testo ? escapeHtml(I18n.t(key)) : I18n.t(key);
+    pos = chiusura;
+    re.lastIndex = chiusura;
+  }
+  return out + html.slice(pos);
+}
+
+/** JSON da inserire in uno script: "<" codificato, lo script non può essere chiuso dai dati */
+function jsonInScript(dati) {
+  return JSON.stringify(dati).replace(/</g, '\\u003c').replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * Aggiunge i dati della pagina prima del primo script, così sono già nel documento quando
+ * gli script vengono eseguiti.
+ */
+function inserisciDati(html, id, dati) {
+  var tag = '  <script type="application/json" id="' + id + '">' + jsonInScript({ lingua: I18n.getLingua(), dati: dati }) + '</script>\n';
+  var i = html.search(/[ \t]*<script src=/);
+  if (i === -1) i = html.lastIndexOf('</body>');
+  return html.slice(0, i) + tag + html.slice(i);
+}
+
+/**
+ * Head della pagina: lingua, base per i percorsi relativi, title (con il nome dell’agenzia), description, Open Graph,
+ * canonical, hreflang, robots e blocchi JSON-LD (con l’id usato da main.js, che così non li ripete).
+ * I campi assenti lasciano invariato il template.
+ * @param {string} html
+ * @param {{ base?: string, titolo?: string, descrizione?: string, canonical?: string, alternate?: Array<{ hreflang: string, href: string }>, immagine?: string, robots?: string, jsonLd?: Array<{ id: string, dati: Object }>, agenzia?: Object }} head
+ * @returns {string}
+ */
+function impostaHead(html, head) {
+  html = html.replace(/<html\b[^>]*>/, function (tag) {
+    return impostaAttributo(tag, 'lang', I18n.getLingua());
+  });
+  if (head.base) {
+    html = html.replace(/<meta charset="[^"]*">/i, function (tag) {
+      return tag + '\n  <base href="' + escapeHtml(head.base) + '">';
+    });
+  }
+
+  var titolo = Agenzia.getTitoloPagina(head.titolo != null ? head.titolo : leggiTitolo(html), head.agenzia);
+  var descrizione = head.descrizione != null ? head.descrizione : leggiDescrizione(html);
+  // Title e description senza data-i18n: nel browser non devono tornare i testi generici del template
+  html = html.replace(/<title\b[^>]*>[\s\S]*?<\/title>/, function () {
+    return '<title>' + escapeHtml(titolo) + '</title>';
+  });
+  html = html.replace(/<meta name="description"[^>]*>/, function () {
+    return '<meta name="description" content="' + escapeHtml(descrizione) + '">';
+  });
+  html = html.replace(/[ \t]*<meta property="og:[^"]*"[^>]*>\r?\n/g, '');
+
+  var righe = [
+    '<meta property="og:type" content="website">',
+    '<meta property="og:title" content="' + escapeHtml(titolo) + '">',
+    '<meta property="og:description" content="' + escapeHtml(descrizione) + '">',
+    '<meta property="og:locale" content="' + escapeHtml(I18n.getLocale().replace('-', '_')) + '">'
+  ];
+  if (head.canonical) {
+    righe.push('<meta property="og:url" content="' + escapeHtml(head.canonical) + '">');
+    righe.push('<link rel="canonical" href="' + escapeHtml(head.canonical) + '">');
+  }
+  if (head.immagine) righe.push('<meta property="og:image" content="' + escapeHtml(head.immagine) + '">');
+  (head.alternate || []).forEach(function (item) {
+    righe.push('<link rel="alternate" hreflang="' + escapeHtml(item.hreflang) + '" href="' + escapeHtml(item.href) + '">');
+  });
+  if (head.robots) righe.push('<meta name="robots" content="' + escapeHtml(head.robots) + '">');
+  (head.jsonLd || []).forEach(function (blocco) {
+    righe.push('<script type="application/ld+json" id="' + escapeHtml(blocco.id) + '">' + jsonInScript(blocco.dati) + '</script>');
+  });
+
+  return html.replace('</head>', function () {
+    return righe.map(function (riga) { return '  ' + riga + '\n'; }).join('') + '</head>';
+  });
+}
+
+function decodificaEntita(str) {
+  return str.replace(/&quot;/g, '"').replace(/&#39;/g, '\'').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+/**
+ * Dati dell’agenzia nel template, come applyAgenzia di main.js nel browser: contenuto degli elementi
+ * data-agenzia (vedi Agenzia.buildContenuti), nome nel title, colori (style #agenzia-colori dopo i
+ * fogli di stile) e, nelle pagine che caricano agenzia.js, i dati per gli script (#agenzia-dati).
+ * @param {string} html
+ * @param {Object} agenzia
+ * @param {string} radice - Percorso della radice del sito dalla pagina (es. "../"), per il logo
+ * @returns {string}
+ */
+function impostaAgenzia(html, agenzia, radice) {
+  var contenuti = Agenzia.buildContenuti(agenzia, radice);
+  var re = /<([a-zA-Z][a-zA-Z0-9]*)\b[^>]*\sdata-agenzia="([^"]*)"[^>]*>/g;
+  var out = '';
+  var pos = 0;
+  var m;
+  while ((m = re.exec(html))) {
+    var contenuto = contenuti[m[2]];
+    var fineApertura = m.index + m[0].length;
+    var chiusura = contenuto ? trovaChiusura(html, m[1], fineApertura) : -1;
+    if (chiusura === -1) continue;
+    var apertura = m[0];
+    if (contenuto.href) apertura = impostaAttributo(apertura, 'href', contenuto.href);
+    if (contenuto.visibile != null) apertura = impostaAttributo(apertura, 'hidden', !contenuto.visibile);
+    out += html.slice(pos, m.index) + apertura + contenuto.html;
+    pos = chiusura;
+    re.lastIndex = chiusura;
+  }
+  html = out + html.slice(pos);
+
+  html = html.replace(/(<title\b[^>]*>)([\s\S]*?)(<\/title>)/, function (tag, apertura, testo, chiusuraTitolo) {
+    return apertura + escapeHtml(Agenzia.getTitoloPagina(decodificaEntita(testo.trim()), agenzia)) + chiusuraTitolo;
+  });
+  var css = Agenzia.buildCss(agenzia);
+  if (css) {
+    html = html.replace('</head>', function () {
+      return '  <style id="agenzia-colori">' + css + '</style>\n</head>';
+    });
+  }
+  if (html.indexOf('assets/js/agenzia.js') !== -1) html = inserisciDati(html, DATI_AGENZIA_ID, agenzia);
+  return html;
+}
+
+/** Title del template (già tradotto) */
+function leggiTitolo(html) {
+  var m = /<title\b[^>]*>([\s\S]*?)<\/title>/.exec(html);
+  return m ? decodificaEntita(m[1].trim()) : '';
+}
+
+/** Meta description del template (già tradotta) */
+function leggiDescrizione(html) {
+  var m = /<meta name="description"[^>]*\scontent="([^"]*)"/.exec(html);
+  return m ? decodificaEntita(m[1]) : '';
+}
+
+// ---------- Indirizzi ----------
+
+/**
+ * Base dei percorsi relativi di una pagina servita sotto /immobili/ (es. "../"): i template usano
+ * percorsi relativi alla radice del sito. '' per le pagine nella radice.
+ */
+function getBase(pathname) {
+  var profondita = pathname.split('/').length - 2;
+  return profondita > 0 ? new Array(profondita + 1).join('../') : '';
+}
+
+/** Query string con ?lang= per le lingue diverse da quella predefinita */
+function conParametroLingua(qs, lingua) {
+  var lang = lingua === I18n.LINGUA_DEFAULT ? '' : I18n.PARAM + '=' + encodeURIComponent(lingua);
+  var query = [qs, lang].filter(Boolean).join('&');
+  return query ? '?' + query : '';
+}
+
+/**
+ * Link alternate hreflang: una versione per lingua più x-default (la lingua predefinita).
+ * @param {function(string): string} getUrl - Indirizzo assoluto della pagina nella lingua indicata
+ */
+function getAlternate(getUrl) {
+  return I18n.LINGUE.map(function (lingua) {
+    return { hreflang: lingua, href: getUrl(lingua) };
+  }).concat({ hreflang: 'x-default', href: getUrl(I18n.LINGUA_DEFAULT) });
+}
+
+// ---------- Contenuti ----------
+
+/**
+ * Galleria senza JavaScript: la prima foto e le miniature come link alle immagini intere.
+ * Nel browser galleria.js la sostituisce con quella interattiva.
+ */
+function buildGalleriaHtml(immobile) {
+  var lista = (immobile.immagini || []).filter(function (im) {
+    return im && im.src && (!im.tipo || im.tipo === 'foto' || im.tipo === 'planimetria');
+  });
+  var html = '<div class="galleria"><figure class="galleria__principale">' +
+    Annunci.buildImmagineHtml(Annunci.getPrimaImmagine(immobile), { width: 720, height: 540, sizes: '100vw', loading: 'eager' }) +
+    '</figure>';
+  if (lista.length > 1) {
+    html += '<div class="galleria__thumbs">' + lista.map(function (im, i) {
+      return '<a class="galleria__thumb" href="' + escapeHtml(im.src) + '" aria-label="' + escapeHtml(I18n.t('galleria.vedi', { n: i + 1 })) + '">' +
+        Annunci.buildImmagineHtml(im, { width: 80, height: 60, sizes: '80px', alt: '' }) + '</a>';
+    }).join('') + '</div>';
+  }
+  return html + '</div>';
+}
+
+/**
+ * Form filtri con i valori della query: campi, select e caselle delle caratteristiche.
+ */
+function compilaFiltri(html, filters, opzioni) {
+  Object.keys(CAMPI_NUMERICI).forEach(function (name) {
+    var valore = filters[CAMPI_NUMERICI[name]];
+    if (valore == null) return;
+    html = modificaApertura(html, 'name="' + name + '"', function (apertura) {
+      return impostaAttributo(apertura, 'value', valore);
+    });
+  });
+  if (filters.testo) {
+    html = modificaApertura(html, 'name="q"', function (apertura) {
+      return impostaAttributo(apertura, 'value', filters.testo);
+    });
+  }
+  [['contratto', filters.contratto], ['ordine', filters.ordine]].forEach(function (campo) {
+    var select = trovaElemento(html, 'name="' + campo[0] + '"');
+    if (!select || !campo[1]) return;
+    var contenuto = html.slice(select.fineApertura, select.inizioChiusura).replace(/<option value="([^"]*)"/g, function (tag, valore) {
+      return valore === campo[1] ? tag + ' selected' : tag;
+    });
+    html = html.slice(0, select.fineApertura) + contenuto + html.slice(select.inizioChiusura);
+  });
+
+  var opzioniHtml = Annunci.buildOpzioniFiltriHtml(opzioni, filters);
+  html = sostituisciContenuto(html, 'name="localita"', opzioniHtml.localita);
+  html = sostituisciContenuto(html, 'name="tipo-immobile"', opzioniHtml.tipoImmobile);
+  html = sostituisciContenuto(html, 'name="classe-energetica"', opzioniHtml.classeEnergetica);
+  if (opzioniHtml.caratteristiche) {
+    html = sostituisciContenuto(html, 'data-caratteristiche-opzioni', opzioniHtml.caratteristiche);
+    html = modificaApertura(html, 'id="filtro-caratteristiche"', mostra);
+  }
+  return html;
+}
+
+/**
+ * Crea gli handler delle pagine generate dal server.
+ * @param {{ read: function(): Array }} store - Archivio immobili (vedi store.js)
+ * @param {{ variantiStore?: { read: function(): Object }, siteUrl?: string, siteRoot?: string, agenzia?: Object }} [options] - Manifest
+ *   delle varianti delle immagini, indirizzo pubblico del sito (canonical, Open Graph, JSON-LD; default l’host
+ *   della richiesta), cartella dei template (default la radice del sito) e agenzia del sito (default quella
+ *   del template, vedi agenzia.js)
+ */
+function createHandlers(store, options) {
+  options = options || {};
+  var variantiStore = options.variantiStore;
+  var agenzia = options.agenzia || Agenzia.getConfig();
+  var siteRoot = options.siteRoot || SITE_ROOT;
+  var cacheTemplate = {};
+
+  function readAll() {
+    var data = store.read();
+    return Array.isArray(data) ? data : [];
+  }
+
+  function readVarianti() {
+    return variantiStore ? variantiStore.read() : null;
+  }
+
+  /** Template letto dal disco solo quando cambia */
+  function leggiTemplate(nome) {
+    var file = path.join(siteRoot, nome);
+    var mtime = fs.statSync(file).mtimeMs;
+    var voce = cacheTemplate[file];
+    if (!voce || voce.mtime !== mtime) {
+      voce = { mtime: mtime, html: fs.readFileSync(file, 'utf8') };
+      cacheTemplate[file] = voce;
+    }
+    return voce.html;
+  }
+
+  function getLingua(ctx) {
+    return I18n.normalizeLingua(ctx.query.get(I18n.PARAM)) || I18n.normalizeLingua(agenzia.lingua) || I18n.LINGUA_DEFAULT;
+  }
+
+  function sendHtml(res, status, html) {
+    res.writeHead(status, {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Content-Length': Buffer.byteLength(html),
+      'Content-Language': I18n.getLingua(),
+      'Cache-Control': 'no-cache'
+    });
+    res.end(html);
+  }
+
+  /** Redirect a un indirizzo relativo alla radice del sito */
+  function redirect(res, status, ctx, percorso) {
+    res.writeHead(status, { Location: getBase(ctx.url.pathname) + percorso, 'Cache-Control': 'no-cache' });
+    res.end();
+  }
+
+  /** Indirizzo canonico della scheda nella lingua indicata, relativo alla radice del sito */
+  function getUrlScheda(item, lingua) {
+    return I18n.conLingua(lingua, function () {
+      return Annunci.getUrlImmobile(Annunci.localizzaImmobile(item, lingua));
+    });
+  }
+
+  /** Scheda "non trovato" (404) o "non più disponibile" (410, con il titolo dell’annuncio) */
+  function sendSchedaAssente(res, ctx, immobile) {
+    var html = impostaAgenzia(traduciMarkup(leggiTemplate(TEMPLATE_SCHEDA)), agenzia, '');
+    var head = { base: getBase(ctx.url.pathname), robots: 'noindex', agenzia: agenzia };
+    html = modificaApertura(html, 'id="immobile-detail"', nascondi);
+    if (immobile) {
+      head.titolo = I18n.t('meta.non_disponibile');
+      html = modificaApertura(html, 'id="immobile-non-disponibile"', mostra);
+      html = sostituisciContenuto(html, 'data-immobile-titolo', escapeHtml(immobile.titolo || ''));
+      html = inserisciDati(html, DATI_SCHEDA_ID, { immobile: immobile, nonDisponibile: true });
+    } else {
+      html = modificaApertura(html, 'id="immobile-not-found"', mostra);
+    }
+    sendHtml(res, immobile ? 410 : 404, impostaHead(html, head));
+  }
+
+  /** Scheda completa di un immobile pubblicato */
+  function sendScheda(req, res, ctx, item, immobile) {
+    var siteUrl = httpUtils.getSiteUrl(req, options.siteUrl);
+    var canonical = siteUrl + '/' + Annunci.getUrlImmobile(immobile);
+    var meta = Annunci.getMetaImmobile(immobile);
+    var html = impostaAgenzia(traduciMarkup(leggiTemplate(TEMPLATE_SCHEDA)), agenzia, '');
+
+    html = modificaApertura(html, 'id="immobile-detail"', function (apertura) {
+      return impostaAttributo(mostra(apertura), 'data-immobile-id', immobile.id);
+    });
+    var sezioni = Annunci.buildSchedaHtml(immobile);
+    Object.keys(sezioni).forEach(function (id) {
+      html = sostituisciContenuto(html, 'id="' + id + '"', sezioni[id]);
+    });
+    html = sostituisciContenuto(html, 'id="immobile-gallery"', buildGalleriaHtml(immobile));
+    if (immobile.indirizzo || Annunci.hasCoordinate(immobile)) {
+      html = modificaApertura(html, 'id="immobile-posizione"', mostra);
+      html = sostituisciContenuto(html, 'data-posizione-indirizzo', escapeHtml(immobile.indirizzo || immobile.citta || ''));
+    }
+    html = inserisciDati(html, DATI_SCHEDA_ID, { immobile: immobile, nonDisponibile: false });
+
+    sendHtml(res, 200, impostaHead(html, {
+      base: getBase(ctx.url.pathname),
+      titolo: meta.titolo,
+      descrizione: meta.descrizione,
+      canonical: canonical,
+      alternate: getAlternate(function (lingua) {
+        return siteUrl + '/' + getUrlScheda(item, lingua);
+      }),
+      immagine: siteUrl + '/' + Annunci.getPrimaImmagine(immobile).src,
+      agenzia: agenzia,
+      jsonLd: [
+        { id: JSONLD_AGENZIA_ID, dati: Agenzia.buildJsonLdAgenzia(agenzia, siteUrl + '/') },
+        { id: JSONLD_ANNUNCIO_ID, dati: Annunci.buildJsonLdAnnuncio(immobile, canonical, siteUrl + '/', agenzia) },
+        { id: JSONLD_BREADCRUMB_ID, dati: Annunci.buildJsonLdBreadcrumb(immobile, canonical, siteUrl + '/') }
+      ]
+    }));
+  }
+
+  return {
+    /** GET /immobili */
+    elenco: function (req, res, ctx) {
+      I18n.conLingua(getLingua(ctx), function () {
+        var manifest = readVarianti();
+        var pubblicati = readAll().filter(immobili.isPubblicato).map(function (item) {
+          return immobili.preparaImmobile(item, I18n.getLingua(), manifest);
+        });
+        var parsed = Annunci.parseQuery(ctx.query);
+        // Stessi filtri di immobili.js (getFiltersFromUrl): solo quelli del form, pagine da PER_PAGINA_DEFAULT;
+        // località e tipologia inesistenti si scartano già qui, così form, pager e canonical non le riportano
+        var filters = Annunci.validaFiltri(Object.assign({}, parsed, { ids: [], perPagina: Annunci.PER_PAGINA_DEFAULT }),
+          Annunci.getOpzioniFiltri(pubblicati));
+        var risultati = Annunci.queryImmobili(pubblicati, filters);
+        var vista = ctx.query.get('vista') === 'mappa' ? 'mappa' : '';
+
+        function getSearch(pagina, lingua) {
+          var qs = Annunci.buildQueryString(Object.assign({}, filters, {
+            ordine: filters.ordine === 'recente' ? '' : filters.ordine,
+            perPagina: null,
+            pagina: pagina
+          }));
+          if (vista) qs += (qs ? '&' : '') + 'vista=' + vista;
+          return conParametroLingua(qs, lingua);
+        }
+
+        // Pagina oltre l’ultima (es. link vecchio dopo la vendita di qualche immobile): si va all’ultima
+        if (risultati.immobili.length === 0 && risultati.totale > 0) {
+          redirect(res, 302, ctx, 'immobili' + getSearch(risultati.pagine, I18n.getLingua()));
+          return;
+        }
+
+        var html = impostaAgenzia(traduciMarkup(leggiTemplate(TEMPLATE_ELENCO)), agenzia, '');
+        html = compilaFiltri(html, filters, risultati.opzioni);
+        if (filters.area) html = modificaApertura(html, 'id="immobili-area"', mostra);
+
+        var primo = (filters.pagina - 1) * filters.perPagina + 1;
+        html = sostituisciContenuto(html, 'id="immobili-result-count"',
+          escapeHtml(Annunci.getRisultatiTesto(risultati.totale, primo, primo + risultati.immobili.length - 1)));
+        if (risultati.immobili.length > 0) {
+          var confronto = trovaElemento(html, 'id="confronto-barra"') !== null;
+          html = sostituisciContenuto(html, 'id="immobili-grid"', risultati.immobili.map(function (immobile) {
+            return Annunci.buildCardHtml(immobile, { confronto: confronto });
+          }).join(''));
+        } else {
+          html = modificaApertura(html, 'id="immobili-grid"', nascondi);
+          html = modificaApertura(html, 'id="immobili-fallback"', mostra);
+        }
+        // Pagine numerate anche con "carica altri" o scroll: senza JavaScript sono l’unica navigazione
+        if (risultati.pagine > 1) {
+          html = sostituisciContenuto(html, 'id="immobili-pager"', Annunci.buildPagerHtml(filters.pagina, risultati.pagine, function (n) {
+            return 'immobili' + getSearch(n, I18n.getLingua());
+          }));
+        }
+        html = inserisciDati(html, DATI_ELENCO_ID, {
+          query: Annunci.buildQueryString(Object.assign({}, filters, { ids: null })),
+          risultati: risultati
+        });
+
+        var siteUrl = httpUtils.getSiteUrl(req, options.siteUrl);
+        sendHtml(res, 200, impostaHead(html, {
+          base: getBase(ctx.url.pathname),
+          canonical: siteUrl + '/immobili' + getSearch(filters.pagina, I18n.getLingua()),
+          alternate: getAlternate(function (lingua) {
+            return siteUrl + '/immobili' + getSearch(filters.pagina, lingua);
+          }),
+          agenzia: agenzia,
+          jsonLd: [{ id: JSONLD_AGENZIA_ID, dati: Agenzia.buildJsonLdAgenzia(agenzia, siteUrl + '/') }]
+        }));
+      });
+    },
+
+    /** GET /immobili/:slug ("3-villa-con-giardino", o solo l’id) */
+    scheda: function (req, res, ctx) {
+      I18n.conLingua(getLingua(ctx), function () {
+        var id = /^[^-]*/.exec(ctx.params.slug)[0];
+        var item = Annunci.findImmobileById(readAll(), id);
+        var stato = item ? immobili.getStatoAnnuncio(item) : null;
+        if (!item || stato === immobili.STATI.bozza) {
+          sendSchedaAssente(res, ctx, null);
+          return;
+        }
+        var immobile = immobili.preparaImmobile(item, I18n.getLingua(), readVarianti());
+        var percorso = Annunci.getUrlImmobile(immobile);
+        if ('immobili/' + encodeURIComponent(ctx.params.slug) !== percorso.split('?')[0]) {
+          redirect(res, 301, ctx, percorso);
+          return;
+        }
+        if (stato === immobili.STATI.archiviato) {
+          sendSchedaAssente(res, ctx, { id: immobile.id, titolo: immobile.titolo, tipologia: immobile.tipologia, citta: immobile.citta });
+          return;
+        }
+        sendScheda(req, res, ctx, item, immobile);
+      });
+    },
+
+    /** GET /immobili.html: indirizzo del template, rimanda a /immobili con la stessa query */
+    vecchioElenco: function (req, res, ctx) {
+      redirect(res, 301, ctx, 'immobili' + ctx.url.search);
+    },
+
+    /** GET /immobile.html?id=: vecchio indirizzo della scheda, rimanda a quello canonico */
+    vecchiaScheda: function (req, res, ctx) {
+      I18n.conLingua(getLingua(ctx), function () {
+        var id = ctx.query.get('id');
+        var item = id ? Annunci.findImmobileById(readAll(), id) : null;
+        if (!item || immobili.getStatoAnnuncio(item) === immobili.STATI.bozza) {
+          sendSchedaAssente(res, ctx, null);
+          return;
+        }
+        redirect(res, 301, ctx, getUrlScheda(item, I18n.getLingua()));
+      });
+    },
+
+    /** GET delle altre pagine HTML (anche / e /admin/): il template con i dati dell’agenzia */
+    pagina: function (req, res, ctx) {
+      var nome = ctx.url.pathname.slice(1);
+      if (nome === '' || nome.slice(-1) === '/') nome += 'index.html';
+      var html;
+      try {
+        html = leggiTemplate(nome);
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        // Pagina inesistente: la risposta 404 dei file statici
+        httpUtils.serveStatic(req, res, siteRoot, ctx.url.pathname);
+        return;
+      }
+      sendHtml(res, 200, impostaAgenzia(html, agenzia, getBase(ctx.url.pathname)));
+    }
+  };
+}
+
+module.exports = {
+  createHandlers: createHandlers
+};
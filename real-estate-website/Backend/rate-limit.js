@@ -0,0 +1,81 @@
+/**
+ * rate-limit.js - Limite di richieste per client (es. indirizzo IP) in memoria
+ * Finestra scorrevole: al massimo max richieste negli ultimi windowMs millisecondi per chiave.
+ * I contatori vivono nel processo del server (si azzerano al riavvio), come le sessioni admin:
+ * basta per fermare gli invii automatici ripetuti senza database né servizi esterni.
+ */
+
+'use strict';
+
+/** Ogni quante verifiche si eliminano le chiavi senza richieste recenti */
+var PULIZIA_OGNI = 500;
+
+/**
+ * Crea un limitatore.
+ * @param {{ max: number, windowMs: number }} options
+ * @returns {{ hit: function(string, number=): { allowed: boolean, retryAfterMs: number }, check: function(string, number=): { allowed: boolean, retryAfterMs: number }, reset: function(): void }}
+ */
+function createRateLimiter(options) {
+  var max = options.max;
+  var windowMs = options.windowMs;
+  /** Istanti delle richieste recenti per chiave */
+  var hits = new Map();
+  var verifiche = 0;
+
+  function pulisci(now) {
+    hits.forEach(function (list, key) {
+      if (list[list.length - 1] <= now - windowMs) hits.delete(key);
+    });
+  }
+
+  /** Istanti della chiave ancora dentro la finestra */
+  function recenti(key, now) {
+    return (hits.get(key) || []).filter(function (t) {
+      return t > now - windowMs;
+    });
+  }
+
+  return {
+    /**
+     * Registra una richiesta della chiave, se consentita.
+     * @param {string} key
+     * @param {number} [now] - Istante corrente in ms (default Date.now())
+     * @returns {{ allowed: boolean, retryAfterMs: number }} retryAfterMs: attesa prima della prossima richiesta consentita
+     */
+    hit: function (key, now) {
+      now = now || Date.now();
+      if (++verifiche % PULIZIA_OGNI === 0) pulisci(now);
+      var list = recenti(key, now);
+      if (list.length >= max) {
+        hits.set(key, list);
+        return { allowed: false, retryAfterMs: list[0] + windowMs - now };
+      }
+      list.push(now);
+      hits.set(key, list);
+      return { allowed: true, retryAfterMs: 0 };
+    },
+
+    /**
+     * Come hit, ma senza registrare la richiesta: per rifiutare subito un client oltre il limite
+     * e contare con hit solo le richieste che lo meritano (es. non quelle con dati non validi).
+     * @param {string} key
+     * @param {number} [now] - Istante corrente in ms (default Date.now())
+     * @returns {{ allowed: boolean, retryAfterMs: number }}
+     */
+    check: function (key, now) {
+      now = now || Date.now();
+      var list = recenti(key, now);
+      if (list.length >= max) return { allowed: false, retryAfterMs: list[0] + windowMs - now };
+      return { allowed: true, retryAfterMs: 0 };
+    },
+
+    /** Azzera tutti i contatori */
+    reset: function () {
+      hits.clear();
+    }
+  };
+}
+
+module.exports = {
+  createRateLimiter: createRateLimiter
+};
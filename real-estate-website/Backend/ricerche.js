@@ -0,0 +1,315 @@
+/**
+ * ricerche.js - Ricerche salvate e avvisi email per i nuovi immobili
+ * POST /api/ricerche: il visitatore salva i filtri di immobili.html con la propria email e il
+ * consenso GDPR (stesse regole del form contatti, assets/js/validazione-contatti.js).
+ * Doppio opt-in: la ricerca resta “in attesa” finché il visitatore non apre il link di conferma
+ * ricevuto via email; senza conferma entro SCADENZA_CONFERMA_MS non riceve altro.
+ * Quando un immobile viene pubblicato dal back-office (admin-immobili.js) ogni ricerca attiva i
+ * cui filtri lo includono riceve un avviso, una sola volta per immobile. Ogni avviso contiene il
+ * link per annullare l’iscrizione (anche “one-click” dal client di posta, header List-Unsubscribe).
+ * I link delle email aprono ricerca-salvata.html, che conferma o annulla con una richiesta POST:
+ * i programmi che controllano in anticipo i link delle email non possono attivare né annullare nulla.
+ * Contro l’uso del modulo per inviare email a indirizzi altrui: limite di richieste per IP
+ * (RATE_LIMIT), una sola email di conferma per indirizzo e ricerca ogni ATTESA_REINVIO_MS e link
+ * costruiti solo con l’indirizzo del sito configurato, mai con l’host della richiesta.
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+
+var httpUtils = require('./http-utils');
+var Annunci = require('../assets/js/annunci');
+var Validazione = require('../assets/js/validazione-contatti');
+var Agenzia = require('../assets/js/agenzia');
+var rateLimit = require('./rate-limit');
+
+var STATI = {
+  inAttesa: 'in-attesa',
+  attiva: 'attiva',
+  disiscritta: 'disiscritta'
+};
+
+/** Validità del link di conferma */
+var SCADENZA_CONFERMA_MS = 7 * 24 * 60 * 60 * 1000;
+/** Attesa prima di inviare di nuovo l’email di conferma della stessa ricerca */
+var ATTESA_REINVIO_MS = 15 * 60 * 1000;
+/** Ricerche salvate consentite per IP nella finestra di tempo */
+var RATE_LIMIT = { max: 5, windowMs: 15 * 60 * 1000 };
+/** Ricerche in attesa o attive per lo stesso indirizzo email */
+var MAX_RICERCHE_PER_EMAIL = 10;
+/** Id degli immobili già segnalati conservati per ricerca (evita avvisi doppi) */
+var MAX_NOTIFICATI = 500;
+
+function toTrimmedString(value) {
+  return value == null ? '' : String(value).trim();
+}
+
+/**
+ * Query string canonica dei filtri da salvare: stessi parametri di immobili.html, senza
+ * ordinamento, paginazione ed elenco di id (non descrivono quali immobili cercare).
+ * @param {string} value - Query string della pagina (con o senza "?")
+ * @returns {string}
+ */
+function normalizeQuery(value) {
+  var filters = Annunci.parseQuery(new URLSearchParams(toTrimmedString(value).replace(/^\?/, '')));
+  return Annunci.buildQueryString(Object.assign({}, filters, { ids: [], ordine: '', pagina: 1, perPagina: 0 }));
+}
+
+/**
+ * Filtri di una ricerca salvata.
+ */
+function getFiltri(ricerca) {
+  return Annunci.parseQuery(new URLSearchParams(ricerca.query));
+}
+
+/**
+ * Riepilogo leggibile dei filtri, es. "Affitto, Milano, Canone fino a € 1.500/mese".
+ */
+function describeRicerca(ricerca) {
+  var parts = Annunci.describeFiltri(getFiltri(ricerca));
+  return parts.length > 0 ? parts.join(', ') : 'tutti gli immobili';
+}
+
+function createToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Vero se la ricerca è in attesa di conferma da più di SCADENZA_CONFERMA_MS.
+ */
+function isScaduta(ricerca, now) {
+  return ricerca.stato === STATI.inAttesa && now - Date.parse(ricerca.dataRichiesta) > SCADENZA_CONFERMA_MS;
+}
+
+/**
+ * Crea gli handler delle ricerche salvate.
+ * @param {{ read: function(): Array, update: function(function(Array): Array): Array }} store - Archivio ricerche (vedi store.js)
+ * @param {{ mailer: { send: function(Object): Promise }, siteUrl?: string, agenzia?: Object, rateLimit?: { max: number, windowMs: number }, trustProxy?: boolean }} options
+ *   siteUrl: indirizzo pubblico del sito per i link delle email (senza, le email non partono e il salvataggio
+ *   risponde 503); agenzia: dati dell’agenzia per la firma delle email (default quella del template, vedi
+ *   agenzia.js); rateLimit: default RATE_LIMIT; trustProxy: IP del client da X-Forwarded-For (server dietro un proxy)
+ */
+function createHandlers(store, options) {
+  var mailer = options.mailer;
+  var firma = (options.agenzia || Agenzia.getConfig()).nome;
+  var limiter = rateLimit.createRateLimiter(options.rateLimit || RATE_LIMIT);
+
+  function buildConfermaMessage(ricerca, siteUrl) {
+    return {
+      to: ricerca.email,
+      subject: 'Conferma la tua ricerca salvata',
+      text: 'Buongiorno,\n\n' +
+        'abbiamo ricevuto la richiesta di avvisi per i nuovi immobili di questa ricerca:\n' +
+        describeRicerca(ricerca) + '\n\n' +
+        'Per attivarla conferma da questo link (valido 7 giorni):\n' +
+        siteUrl + '/ricerca-salvata.html?conferma=' + ricerca.tokenConferma + '\n\n' +
+        'Se non hai fatto tu la richiesta ignora questo messaggio: senza conferma non riceverai altre email.\n\n' +
+        firma + '\n'
+    };
+  }
+
+  function buildAvvisoMessage(ricerca, immobile, siteUrl) {
+    var disiscrivi = siteUrl + '/api/ricerche/disiscrivi/' + ricerca.tokenDisiscrizione;
+    return {
+      to: ricerca.email,
+      subject: 'Nuovo immobile per la tua ricerca: ' + immobile.titolo,
+      headers: {
+        'List-Unsubscribe': '<' + disiscrivi + '>',
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      },
+      text: 'Buongiorno,\n\n' +
+        'è stato pubblicato un nuovo immobile per la tua ricerca salvata (' + describeRicerca(ricerca) + '):\n\n' +
+        immobile.titolo + '\n' +
+        [Annunci.formatPrezzo(immobile), Annunci.getMetaLine(immobile)].filter(Boolean).join(' · ') + '\n' +
+        siteUrl + '/' + Annunci.getUrlImmobile(immobile) + '\n\n' +
+        'Tutti i risultati della ricerca:\n' +
+        siteUrl + '/immobili' + (ricerca.query ? '?' + ricerca.query : '') + '\n\n' +
+        'Non vuoi più ricevere questi avvisi? Annulla l’iscrizione:\n' +
+        siteUrl + '/ricerca-salvata.html?disiscrivi=' + ricerca.tokenDisiscrizione + '\n\n' +
+        firma + '\n'
+    };
+  }
+
+  /**
+   * Trova una ricerca per token nell’elenco.
+   * @throws {HttpError} 404 se il token non corrisponde a nessuna ricerca
+   */
+  function findByToken(list, key, token) {
+    for (var i = 0; i < list.length; i++) {
+      if (list[i][key] && list[i][key] === token) return list[i];
+    }
+    throw new httpUtils.HttpError(404, 'Link non valido o non più attivo');
+  }
+
+  /**
+   * Risposta di conferma e annullamento: i filtri della ricerca, per mostrarli nella pagina.
+   */
+  function sendRicerca(res, ricerca) {
+    httpUtils.sendJson(res, 200, {
+      ok: true,
+      stato: ricerca.stato,
+      descrizione: describeRicerca(ricerca),
+      query: ricerca.query
+    });
+  }
+
+  return {
+    /**
+     * POST /api/ricerche: { email, gdpr, filtri } (filtri = query string di immobili.html).
+     * Risponde 201 anche se la ricerca era già salvata, senza rivelare quali email sono iscritte.
+     */
+    create: function (req, res) {
+      var limite = limiter.hit(httpUtils.getClientIp(req, options.trustProxy));
+      if (!limite.allowed) {
+        req.resume();
+        res.setHeader('Retry-After', String(Math.ceil(limite.retryAfterMs / 1000)));
+        throw new httpUtils.HttpError(429, 'Hai inviato troppe richieste. Riprova tra qualche minuto.');
+      }
+      return httpUtils.readJsonBody(req).then(function (body) {
+        var siteUrl = httpUtils.getSiteUrlEmail(options.siteUrl);
+        var result = Validazione.validateIscrizione(body);
+        if (!result.valid) {
+          throw new httpUtils.HttpError(422, 'Dati non validi', { campi: result.errors });
+        }
+        var email = toTrimmedString(body.email).toLowerCase();
+        var query = normalizeQuery(body.filtri);
+        var now = new Date();
+        var daConfermare = null;
+
+        store.update(function (list) {
+          list = list.filter(function (item) { return !isScaduta(item, now); });
+          var stessoIndirizzo = list.filter(function (item) {
+            return item.email === email && item.stato !== STATI.disiscritta;
+          });
+          var esistente = stessoIndirizzo.filter(function (item) { return item.query === query; })[0];
+          if (esistente) {
+            // Già attiva: nessuna email; in attesa: di nuovo lo stesso link, non prima di ATTESA_REINVIO_MS
+            if (esistente.stato === STATI.inAttesa && now - Date.parse(esistente.dataRichiesta) >= ATTESA_REINVIO_MS) {
+              esistente.dataRichiesta = now.toISOString();
+              esistente.consensoGdpr = { accettato: true, data: now.toISOString() };
+              daConfermare = esistente;
+            }
+            return list;
+          }
+          if (stessoIndirizzo.length >= MAX_RICERCHE_PER_EMAIL) {
+            throw new httpUtils.HttpError(422, 'Dati non validi', {
+              campi: { email: 'Hai già ' + MAX_RICERCHE_PER_EMAIL + ' ricerche salvate: annulla una di quelle che non ti servono più.' }
+            });
+          }
+          daConfermare = {
+            id: crypto.randomUUID(),
+            email: email,
+            query: query,
+            stato: STATI.inAttesa,
+            tokenConferma: createToken(),
+            tokenDisiscrizione: createToken(),
+            consensoGdpr: { accettato: true, data: now.toISOString() },
+            dataRichiesta: now.toISOString(),
+            notificati: []
+          };
+          list.push(daConfermare);
+          return list;
+        });
+
+        if (!daConfermare) {
+          httpUtils.sendJson(res, 201, { ok: true });
+          return;
+        }
+        return mailer.send(buildConfermaMessage(daConfermare, siteUrl)).then(function () {
+          httpUtils.sendJson(res, 201, { ok: true });
+        }, function (err) {
+          console.error('[ricerche] invio conferma non riuscito: ' + err.message);
+          throw new httpUtils.HttpError(503, 'Impossibile inviare l’email di conferma. Riprova tra qualche minuto.');
+        });
+      });
+    },
+
+    /** POST /api/ricerche/conferma/:token (dalla pagina ricerca-salvata.html) */
+    conferma: function (req, res, ctx) {
+      req.resume();
+      var now = new Date();
+      var ricerca;
+      store.update(function (list) {
+        ricerca = findByToken(list, 'tokenConferma', ctx.params.token);
+        if (ricerca.stato === STATI.disiscritta) {
+          throw new httpUtils.HttpError(410, 'Questa ricerca è stata annullata: salvala di nuovo per ricevere gli avvisi.');
+        }
+        if (isScaduta(ricerca, now)) {
+          throw new httpUtils.HttpError(410, 'Il link di conferma è scaduto: salva di nuovo la ricerca.');
+        }
+        if (ricerca.stato === STATI.inAttesa) {
+          ricerca.stato = STATI.attiva;
+          ricerca.dataConferma = now.toISOString();
+        }
+        return list;
+      });
+      sendRicerca(res, ricerca);
+    },
+
+    /**
+     * POST /api/ricerche/disiscrivi/:token (dalla pagina o “one-click” dal client di posta).
+     * L’indirizzo email viene cancellato; ripetere la richiesta non è un errore.
+     */
+    disiscrivi: function (req, res, ctx) {
+      req.resume();
+      var ricerca;
+      store.update(function (list) {
+        ricerca = findByToken(list, 'tokenDisiscrizione', ctx.params.token);
+        if (ricerca.stato !== STATI.disiscritta) {
+          ricerca.stato = STATI.disiscritta;
+          ricerca.email = '';
+          ricerca.dataDisiscrizione = new Date().toISOString();
+          delete ricerca.tokenConferma;
+        }
+        return list;
+      });
+      sendRicerca(res, ricerca);
+    },
+
+    /**
+     * Avvisa le ricerche attive che includono un immobile appena pubblicato.
+     * Chiamata da admin-immobili.js dopo il salvataggio: gli errori di invio finiscono nel log
+     * e non cambiano la risposta del back-office.
+     * Senza indirizzo del sito configurato nessun avviso parte (gli immobili restano da segnalare).
+     * @param {Object} immobile
+     * @returns {Promise<number>} Avvisi inviati
+     */
+    notifyNuovoImmobile: function (immobile) {
+      if (!options.siteUrl) {
+        console.error('[ricerche] avvisi per l’immobile ' + immobile.id + ' non inviati: indirizzo del sito non configurato (SITE_URL o siteUrl dell’agenzia)');
+        return Promise.resolve(0);
+      }
+      var siteUrl = httpUtils.getSiteUrlEmail(options.siteUrl);
+      var id = String(immobile.id);
+      var messages = [];
+      store.update(function (list) {
+        list.forEach(function (ricerca) {
+          if (ricerca.stato !== STATI.attiva || ricerca.notificati.indexOf(id) !== -1) return;
+          if (Annunci.filterImmobili([immobile], getFiltri(ricerca)).length === 0) return;
+          ricerca.notificati = ricerca.notificati.concat(id).slice(-MAX_NOTIFICATI);
+          messages.push(buildAvvisoMessage(ricerca, immobile, siteUrl));
+        });
+        return list;
+      });
+      return Promise.all(messages.map(function (message) {
+        return mailer.send(message).then(function () {
+          return 1;
+        }, function (err) {
+          console.error('[ricerche] avviso immobile ' + id + ' non inviato: ' + err.message);
+          return 0;
+        });
+      })).then(function (sent) {
+        return sent.reduce(function (a, b) { return a + b; }, 0);
+      });
+    }
+  };
+}
+
+module.exports = {
+  STATI: STATI,
+  RATE_LIMIT: RATE_LIMIT,
+  normalizeQuery: normalizeQuery,
+  describeRicerca: describeRicerca,
+  createHandlers: createHandlers
+};
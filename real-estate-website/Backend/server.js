@@ -0,0 +1,298 @@
+/**
+ * server.js - Server HTTP del template agenzia immobiliare
+ * Serve i file statici del sito, le pagine generate dal server e le API JSON usate dalle pagine, per
+ * una o più agenzie scelte dal dominio della richiesta (data/agenzie.json, vedi agenzie.js): ogni
+ * agenzia ha i propri immobili, archivi in Backend/storage e dati nelle pagine.
+ * - pagine HTML: nome, logo, contatti e colori dell’agenzia già inseriti (vedi pagine.js)
+ * - GET /immobili e /immobili/:id-slug: elenco e scheda immobili già compilati (vedi pagine.js);
+ *   i vecchi indirizzi immobile.html?id= rimandano alla scheda
+ * - GET /sitemap.xml: sitemap generata dagli immobili pubblicati (vedi sitemap.js)
+ * - GET /api/immobili: elenco con filtri, ordinamento e paginazione
+ * - GET /api/immobili/:id: dettaglio singolo immobile
+ * - POST /api/contatti: richiesta dal form contatti (validata e salvata in Backend/storage);
+ *   GET /api/contatti/caricato: istante di apertura firmato per l’anti-spam del form
+ * - POST /api/ricerche: ricerca salvata con avvisi email dei nuovi immobili (conferma e annullamento via token)
+ * - /api/visite: orari liberi e prenotazione delle visite (dettaglio, .ics, spostamento e annullamento via token)
+ * - /api/admin/*: login, back-office immobili (creazione, modifica, duplicazione, stato), caricamento immagini,
+ *   disponibilità e visite
+ * - GET /tiles/:z/:x/:y.:ext: tile della mappa in locale (cartella TILES_DIR o segnaposto, vedi tiles.js)
+ * Nessuna dipendenza esterna: solo moduli core di Node.
+ * Avvio: node Backend/server.js (porta da variabile d’ambiente PORT, default 3000).
+ */
+
+'use strict';
+
+var http = require('http');
+var path = require('path');
+
+var httpUtils = require('./http-utils');
+var store = require('./store');
+var immobili = require('./immobili');
+var contatti = require('./contatti');
+var auth = require('./auth');
+var adminImmobili = require('./admin-immobili');
+var validazioneImmobili = require('./validazione-immobili');
+var tiles = require('./tiles');
+var immagini = require('./immagini');
+var caricamenti = require('./caricamenti');
+var mailer = require('./mailer');
+var ricerche = require('./ricerche');
+var disponibilita = require('./disponibilita');
+var visite = require('./visite');
+var pagine = require('./pagine');
+var sitemap = require('./sitemap');
+var agenzie = require('./agenzie');
+
+var SITE_ROOT = path.resolve(__dirname, '..');
+var STORAGE_DIR = path.join(__dirname, 'storage');
+var DEFAULT_PORT = 3000;
+
+/**
+ * Crea il server: un sito per ogni agenzia di data/agenzie.json (vedi agenzie.js), scelto dal dominio della richiesta.
+ * @param {{ agenziePath?: string, immobiliPath?: string, variantiPath?: string, disponibilitaPath?: string, storageDir?: string, tilesDir?: string, admin?: { user: string, password: string }, mailTransport?: { send: function(Object): Promise }, siteUrl?: string, contattiRateLimit?: { max: number, windowMs: number }, ricercheRateLimit?: { max: number, windowMs: number }, loginRateLimit?: { max: number, windowMs: number }, trustProxy?: boolean }} [options]
+ *   File delle agenzie, percorsi alternativi (es. dati di prova, manifest delle varianti delle immagini, tile della mappa), credenziali admin (default da variabili d’ambiente),
+ *   trasporto delle email (default: outbox su file in storageDir/outbox, vedi mailer.js), indirizzo pubblico del sito
+ *   per pagine ed email (default: siteUrl dell’agenzia o variabile SITE_URL; senza, le pagine usano l’host della richiesta
+ *   e le email con link non partono), limiti di richieste per IP di contatti e ricerche salvate (default contatti.RATE_LIMIT
+ *   e ricerche.RATE_LIMIT) e uso di X-Forwarded-For dietro un proxy (default: TRUST_PROXY=1).
+ *   immobiliPath, disponibilitaPath, variantiPath, admin e siteUrl valgono per la prima agenzia; le altre usano i propri
+ *   file, il proprio manifest delle varianti, le credenziali ADMIN_USER_<ID>/ADMIN_PASSWORD_<ID> (vedi
+ *   auth.getCredenzialiAgenzia) e la sottocartella di storageDir con il proprio id
+ * @returns {http.Server}
+ */
+function createServer(options) {
+  options = options || {};
+  var elenco = agenzie.caricaAgenzie(options.agenziePath);
+  var siti = {};
+  elenco.forEach(function (agenzia, i) {
+    siti[agenzia.id] = createSito(agenzia, i === 0, options);
+  });
+
+  return http.createServer(function (req, res) {
+    siti[agenzie.trovaAgenzia(elenco, req.headers.host).id](req, res);
+  });
+}
+
+/**
+ * Sito di un’agenzia: archivi, handler e tabella route.
+ * @param {Object} agenzia - Vedi agenzie.caricaAgenzie
+ * @param {boolean} predefinita - Prima agenzia del file: percorsi dei dati e siteUrl delle opzioni hanno la precedenza
+ * @param {Object} options - Opzioni di createServer
+ * @returns {function(http.IncomingMessage, http.ServerResponse)}
+ */
+function createSito(agenzia, predefinita, options) {
+  var immobiliPath = predefinita && options.immobiliPath || agenzia.immobiliPath;
+  var immobiliStore = store.createJsonStore(immobiliPath, [], {
+    onLoad: function (list) {
+      logValidazioneImmobili(list, path.basename(immobiliPath));
+    }
+  });
+  // Caricamento immediato: eventuali problemi nei dati compaiono nel log già all’avvio
+  try {
+    immobiliStore.read();
+  } catch (err) {
+    console.error('[' + path.basename(immobiliPath) + '] ' + err.message);
+  }
+  var storageDir = options.storageDir || STORAGE_DIR;
+  if (!predefinita) storageDir = path.join(storageDir, agenzia.id);
+  var contattiStore = store.createJsonStore(path.join(storageDir, 'contatti.json'), []);
+  var variantiStore = store.createJsonStore(predefinita && options.variantiPath ||
+    immagini.getManifestPath(immagini.getCartellaVarianti(agenzia, predefinita)), null);
+  var immobiliHandlers = immobili.createHandlers(immobiliStore, { variantiStore: variantiStore });
+  var trustProxy = options.trustProxy != null ? options.trustProxy : process.env.TRUST_PROXY === '1';
+  var contattiHandlers = contatti.createHandlers(contattiStore, {
+    immobiliStore: immobiliStore,
+    rateLimit: options.contattiRateLimit,
+    trustProxy: trustProxy
+  });
+  var siteMailer = mailer.createMailer({
+    transport: options.mailTransport || mailer.createOutboxTransport(path.join(storageDir, 'outbox')),
+    // Senza mittente nel file: MAIL_FROM per la prima agenzia, nome e email dell’agenzia per le altre
+    from: agenzia.mittente || (predefinita ? '' : agenzia.config.nome + ' <' + agenzia.config.email + '>')
+  });
+  var siteUrl = predefinita ? options.siteUrl || agenzia.siteUrl || process.env.SITE_URL : agenzia.siteUrl;
+  var ricercheHandlers = ricerche.createHandlers(store.createJsonStore(path.join(storageDir, 'ricerche.json'), []), {
+    mailer: siteMailer,
+    siteUrl: siteUrl,
+    agenzia: agenzia.config,
+    rateLimit: options.ricercheRateLimit,
+    trustProxy: trustProxy
+  });
+  var visiteHandlers = visite.createHandlers(store.createJsonStore(path.join(storageDir, 'visite.json'), []), {
+    disponibilitaStore: store.createJsonStore(predefinita && options.disponibilitaPath || agenzia.disponibilitaPath, disponibilita.DEFAULT_DISPONIBILITA),
+    immobiliStore: immobiliStore,
+    mailer: siteMailer,
+    siteUrl: siteUrl,
+    agenzia: agenzia.config
+  });
+  // Credenziali proprie per ogni agenzia: con quelle della prima non si entra nell’area admin delle altre
+  var adminAuth = auth.createAuth(predefinita ? options.admin : auth.getCredenzialiAgenzia(agenzia.id), {
+    rateLimit: options.loginRateLimit,
+    trustProxy: trustProxy
+  });
+  var adminHandlers = adminImmobili.createHandlers(immobiliStore, { onPubblicato: ricercheHandlers.notifyNuovoImmobile });
+  // Una cartella di caricamenti per agenzia: i file orfani di una non sono quelli delle altre
+  var caricamentiHandlers = caricamenti.createHandlers(immobiliStore, {
+    cartella: predefinita ? caricamenti.CARICAMENTI_DIR : caricamenti.CARICAMENTI_DIR + '/' + agenzia.id
+  });
+  var requireAdmin = adminAuth.requireAdmin;
+  var tilesHandlers = tiles.createHandlers({ tilesDir: options.tilesDir });
+  var pagineHandlers = pagine.createHandlers(immobiliStore, { variantiStore: variantiStore, siteUrl: siteUrl, siteRoot: SITE_ROOT, agenzia: agenzia.config });
+  var sitemapHandlers = sitemap.createHandlers(immobiliStore, { siteUrl: siteUrl, siteRoot: SITE_ROOT });
+
+  /** Tabella route: metodo, pattern del path (gruppi nominati = params), handler */
+  var routes = [
+    { method: 'GET', pattern: /^\/immobili\/?$/, handler: pagineHandlers.elenco },
+    { method: 'GET', pattern: /^\/immobili\.html$/, handler: pagineHandlers.vecchioElenco },
+    { method: 'GET', pattern: /^\/immobili\/(?<slug>[^/]+)\/?$/, handler: pagineHandlers.scheda },
+    { method: 'GET', pattern: /^\/immobile\.html$/, handler: pagineHandlers.vecchiaScheda },
+    { method: 'GET', pattern: /^\/(?:admin\/)?(?:[\w-]+\.html)?$/, handler: pagineHandlers.pagina },
+    { method: 'GET', pattern: /^\/(?<nome>sitemap(?:-\d+)?\.xml)$/, handler: sitemapHandlers.sitemap },
+    { method: 'GET', pattern: /^\/api\/immobili\/?$/, handler: immobiliHandlers.list },
+    { method: 'GET', pattern: /^\/api\/immobili\/(?<id>[^/]+)\/?$/, handler: immobiliHandlers.detail },
+    { method: 'GET', pattern: /^\/api\/contatti\/caricato\/?$/, handler: contattiHandlers.caricato },
+    { method: 'POST', pattern: /^\/api\/contatti\/?$/, handler: contattiHandlers.create },
+    { method: 'POST', pattern: /^\/api\/ricerche\/?$/, handler: ricercheHandlers.create },
+    { method: 'POST', pattern: /^\/api\/ricerche\/conferma\/(?<token>[^/]+)\/?$/, handler: ricercheHandlers.conferma },
+    { method: 'POST', pattern: /^\/api\/ricerche\/disiscrivi\/(?<token>[^/]+)\/?$/, handler: ricercheHandlers.disiscrivi },
+    // disponibilita prima del token: la route /api/visite/:token la catturerebbe
+    { method: 'GET', pattern: /^\/api\/visite\/disponibilita\/?$/, handler: visiteHandlers.disponibilita },
+    { method: 'POST', pattern: /^\/api\/visite\/?$/, handler: visiteHandlers.create },
+    { method: 'GET', pattern: /^\/api\/visite\/(?<token>[^/]+)\/?$/, handler: visiteHandlers.detail },
+    { method: 'GET', pattern: /^\/api\/visite\/(?<token>[^/]+)\/ics\/?$/, handler: visiteHandlers.ics },
+    { method: 'POST', pattern: /^\/api\/visite\/(?<token>[^/]+)\/annulla\/?$/, handler: visiteHandlers.annulla },
+    { method: 'POST', pattern: /^\/api\/visite\/(?<token>[^/]+)\/sposta\/?$/, handler: visiteHandlers.sposta },
+    { method: 'POST', pattern: /^\/api\/admin\/login\/?$/, handler: adminAuth.login },
+    { method: 'POST', pattern: /^\/api\/admin\/logout\/?$/, handler: adminAuth.logout },
+    { method: 'GET', pattern: /^\/api\/admin\/sessione\/?$/, handler: adminAuth.session },
+    { method: 'GET', pattern: /^\/api\/admin\/immobili\/?$/, handler: requireAdmin(adminHandlers.list) },
+    { method: 'POST', pattern: /^\/api\/admin\/immobili\/?$/, handler: requireAdmin(adminHandlers.create) },
+    { method: 'GET', pattern: /^\/api\/admin\/immobili\/(?<id>[^/]+)\/?$/, handler: requireAdmin(adminHandlers.detail) },
+    { method: 'PUT', pattern: /^\/api\/admin\/immobili\/(?<id>[^/]+)\/?$/, handler: requireAdmin(adminHandlers.update) },
+    { method: 'POST', pattern: /^\/api\/admin\/immobili\/(?<id>[^/]+)\/duplica\/?$/, handler: requireAdmin(adminHandlers.duplicate) },
+    { method: 'POST', pattern: /^\/api\/admin\/immobili\/(?<id>[^/]+)\/stato\/?$/, handler: requireAdmin(adminHandlers.setStato) },
+    { method: 'POST', pattern: /^\/api\/admin\/immagini\/?$/, handler: requireAdmin(caricamentiHandlers.upload) },
+    { method: 'GET', pattern: /^\/api\/admin\/immagini\/orfane\/?$/, handler: requireAdmin(caricamentiHandlers.orfane) },
+    { method: 'DELETE', pattern: /^\/api\/admin\/immagini\/(?<nome>[^/]+)\/?$/, handler: requireAdmin(caricamentiHandlers.elimina) },
+    { method: 'GET', pattern: /^\/api\/admin\/disponibilita\/?$/, handler: requireAdmin(visiteHandlers.adminGetDisponibilita) },
+    { method: 'PUT', pattern: /^\/api\/admin\/disponibilita\/?$/, handler: requireAdmin(visiteHandlers.adminSetDisponibilita) },
+    { method: 'GET', pattern: /^\/api\/admin\/visite\/?$/, handler: requireAdmin(visiteHandlers.adminList) },
+    { method: 'POST', pattern: /^\/api\/admin\/visite\/(?<id>[^/]+)\/annulla\/?$/, handler: requireAdmin(visiteHandlers.adminAnnulla) },
+    { method: 'GET', pattern: /^\/tiles\/(?<z>\d{1,2})\/(?<x>\d{1,7})\/(?<y>\d{1,7})\.(?<ext>png|jpg|webp|svg)$/, handler: tilesHandlers.tile }
+  ];
+
+  return function (req, res) {
+    var url = new URL(req.url, 'http://localhost');
+    var pathname = url.pathname;
+    var method = req.method === 'HEAD' ? 'GET' : req.method;
+    var pathMatched = false;
+
+    for (var i = 0; i < routes.length; i++) {
+      var match = routes[i].pattern.exec(pathname);
+      if (!match) continue;
+      pathMatched = true;
+      if (routes[i].method !== method) continue;
+      var ctx = { params: decodeParams(match.groups), query: url.searchParams, url: url };
+      runHandler(routes[i].handler, req, res, ctx);
+      return;
+    }
+
+    if (pathMatched) {
+      httpUtils.sendError(res, 405, 'Metodo non consentito');
+      return;
+    }
+    if (pathname.indexOf('/api/') === 0) {
+      httpUtils.sendError(res, 404, 'Endpoint non trovato');
+      return;
+    }
+    if (method !== 'GET') {
+      httpUtils.sendError(res, 405, 'Metodo non consentito');
+      return;
+    }
+    httpUtils.serveStatic(req, res, SITE_ROOT, pathname);
+  };
+}
+
+/**
+ * Valida il file degli immobili a ogni caricamento da disco e segnala i problemi nel log:
+ * il sito continua a funzionare, ma un errore di battitura nel file non passa inosservato.
+ * @param {Array} list
+ * @param {string} nome - Nome del file nei messaggi (es. "immobili.json")
+ */
+function logValidazioneImmobili(list, nome) {
+  var report = validazioneImmobili.validateImmobili(list);
+  report.errori.forEach(function (e) {
+    console.warn('[' + nome + '] record #' + e.indice + (e.id != null ? ' (id ' + e.id + ')' : '') + ' ' + e.campo + ': ' + e.messaggio);
+  });
+  if (report.avvisi.length > 0) {
+    console.warn('[' + nome + '] ' + report.avvisi.length + ' avvisi (es. immagini mancanti): node Backend/bin/valida-immobili.js per i dettagli');
+  }
+}
+
+/**
+ * Decodifica i parametri catturati dal path (es. id con caratteri codificati).
+ */
+function decodeParams(groups) {
+  var params = {};
+  if (!groups) return params;
+  Object.keys(groups).forEach(function (key) {
+    try {
+      params[key] = decodeURIComponent(groups[key]);
+    } catch (e) {
+      params[key] = groups[key];
+    }
+  });
+  return params;
+}
+
+/**
+ * Esegue un handler gestendo sia eccezioni sincrone sia Promise rifiutate.
+ */
+function runHandler(handler, req, res, ctx) {
+  try {
+    var result = handler(req, res, ctx);
+    if (result && typeof result.then === 'function') {
+      result.then(null, function (err) {
+        handleError(res, err);
+      });
+    }
+  } catch (err) {
+    handleError(res, err);
+  }
+}
+
+/**
+ * Risposta per errori degli handler: HttpError diventa la risposta con il suo codice,
+ * ogni altro errore un 500 (es. JSON su disco non valido).
+ */
+function handleError(res, err) {
+  if (err instanceof httpUtils.HttpError && !res.headersSent) {
+    httpUtils.sendJson(res, err.status, Object.assign({ errore: err.message }, err.extra));
+    return;
+  }
+  console.error(err);
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  httpUtils.sendError(res, 500, 'Errore interno del server');
+}
+
+if (require.main === module) {
+  var port = parseInt(process.env.PORT, 10) || DEFAULT_PORT;
+  var server;
+  try {
+    server = createServer();
+  } catch (err) {
+    // data/agenzie.json non valido: meglio non partire che servire le agenzie sbagliate
+    console.error(err.message);
+    process.exit(1);
+  }
+  server.listen(port, function () {
+    console.log('Server in ascolto su http://localhost:' + port);
+  });
+}
+
+module.exports = {
+  createServer: createServer
+};
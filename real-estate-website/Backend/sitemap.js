@@ -0,0 +1,219 @@
+/**
+ * sitemap.js - Sitemap XML generata dagli annunci
+ * GET /sitemap.xml: pagine fisse del sito più una voce per ogni immobile pubblicato (bozze e
+ * archiviati esclusi), con lastmod dall’ultima modifica (dataModifica) o da dataInserimento e le
+ * foto e planimetrie dell’annuncio come voci image:image (estensione Google per le immagini).
+ * Oltre MAX_URL indirizzi la sitemap diventa un indice (sitemapindex) di file sitemap-1.xml,
+ * sitemap-2.xml, ... serviti da GET /sitemap-:n.xml.
+ * Gli stessi file si possono esportare su disco con bin/esporta-sitemap.js, per i siti pubblicati
+ * senza questo server.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+var httpUtils = require('./http-utils');
+var immobili = require('./immobili');
+var Annunci = require('../assets/js/annunci');
+
+var SITE_ROOT = path.resolve(__dirname, '..');
+
+/** Limite di indirizzi per file del protocollo sitemap */
+var MAX_URL = 50000;
+
+var NS_SITEMAP = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+var NS_IMAGE = 'http://www.google.com/schemas/sitemap-image/1.1';
+
+/**
+ * Pagine fisse: indirizzo (con e senza il server, che genera l’elenco su /immobili), template per
+ * il lastmod, frequenza e priorità.
+ */
+var PAGINE = [
+  { percorso: 'index.html', file: 'index.html', changefreq: 'weekly', priority: '1.0' },
+  { percorso: 'immobili', percorsoSenzaServer: 'immobili.html', file: 'immobili.html', changefreq: 'daily', priority: '0.9' },
+  { percorso: 'chi-siamo.html', file: 'chi-siamo.html', changefreq: 'monthly', priority: '0.6' },
+  { percorso: 'servizi.html', file: 'servizi.html', changefreq: 'monthly', priority: '0.6' },
+  { percorso: 'contatti.html', file: 'contatti.html', changefreq: 'monthly', priority: '0.7' }
+];
+
+/** Tipi di media della galleria inseriti come immagini (video e tour esclusi) */
+var TIPI_IMMAGINE = ['foto', 'planimetria'];
+
+var XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+function escapeXml(str) {
+  return String(str).replace(/[&<>"']/g, function (ch) {
+    return XML_ESCAPES[ch];
+  });
+}
+
+/**
+ * Data dell’ultima modifica di un annuncio (AAAA-MM-GG): dataModifica se presente, altrimenti dataInserimento.
+ * @returns {string} '' se il record non ha date
+ */
+function getLastmod(item) {
+  return String(item.dataModifica || item.dataInserimento || '').slice(0, 10);
+}
+
+/** Indirizzo assoluto di un percorso relativo alla radice del sito (quelli già assoluti restano invariati) */
+function assoluto(siteUrl, src) {
+  return /^https?:\/\//i.test(src) ? src : siteUrl + '/' + String(src).replace(/^\/+/, '');
+}
+
+/**
+ * Voci della sitemap: pagine fisse e immobili pubblicati.
+ * @param {Array} list - Record di data/immobili.json
+ * @param {{ siteUrl: string, siteRoot?: string, senzaServer?: boolean }} options - Indirizzo pubblico del sito
+ *   (senza "/" finale), cartella dei template per il lastmod delle pagine fisse; senzaServer usa gli
+ *   indirizzi delle pagine statiche (immobili.html, immobile.html?id=) invece di quelli generati dal server
+ * @returns {Array<{ loc: string, lastmod: string, changefreq?: string, priority?: string, immagini: Array<string> }>}
+ */
+function buildVoci(list, options) {
+  var siteRoot = options.siteRoot || SITE_ROOT;
+  var pubblicati = (Array.isArray(list) ? list : []).filter(immobili.isPubblicato);
+  var ultimoAnnuncio = pubblicati.map(getLastmod).sort().pop() || '';
+
+  var voci = PAGINE.map(function (pagina) {
+    var lastmod = '';
+    try {
+      lastmod = fs.statSync(path.join(siteRoot, pagina.file)).mtime.toISOString().slice(0, 10);
+    } catch (e) {
+      // Template assente: voce senza lastmod
+    }
+    // L’elenco cambia con gli annunci
+    if (pagina.file === 'immobili.html' && ultimoAnnuncio > lastmod) lastmod = ultimoAnnuncio;
+    return {
+      loc: options.siteUrl + '/' + (options.senzaServer && pagina.percorsoSenzaServer || pagina.percorso),
+      lastmod: lastmod,
+      changefreq: pagina.changefreq,
+      priority: pagina.priority,
+      immagini: []
+    };
+  });
+
+  return voci.concat(pubblicati.map(function (item) {
+    return {
+      loc: options.siteUrl + '/' + (options.senzaServer ? 'immobile.html?id=' + encodeURIComponent(item.id) : Annunci.getUrlImmobile(item)),
+      lastmod: getLastmod(item),
+      changefreq: 'weekly',
+      priority: '0.8',
+      immagini: (item.immagini || []).filter(function (im) {
+        return im && im.src && (!im.tipo || TIPI_IMMAGINE.indexOf(im.tipo) !== -1);
+      }).map(function (im) {
+        return assoluto(options.siteUrl, im.src);
+      }).filter(function (src, i, lista) {
+        return lista.indexOf(src) === i;
+      })
+    };
+  }));
+}
+
+/**
+ * Sitemap (urlset) di un gruppo di voci.
+ * @returns {string} XML
+ */
+function buildUrlset(voci) {
+  var conImmagini = voci.some(function (voce) { return voce.immagini.length > 0; });
+  var righe = ['<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="' + NS_SITEMAP + '"' + (conImmagini ? ' xmlns:image="' + NS_IMAGE + '"' : '') + '>'];
+  voci.forEach(function (voce) {
+    righe.push('  <url>');
+    righe.push('    <loc>' + escapeXml(voce.loc) + '</loc>');
+    if (voce.lastmod) righe.push('    <lastmod>' + escapeXml(voce.lastmod) + '</lastmod>');
+    if (voce.changefreq) righe.push('    <changefreq>' + voce.changefreq + '</changefreq>');
+    if (voce.priority) righe.push('    <priority>' + voce.priority + '</priority>');
+    voce.immagini.forEach(function (src) {
+      righe.push('    <image:image>');
+      righe.push('      <image:loc>' + escapeXml(src) + '</image:loc>');
+      righe.push('    </image:image>');
+    });
+    righe.push('  </url>');
+  });
+  righe.push('</urlset>');
+  return righe.join('\n') + '\n';
+}
+
+/**
+ * Indice delle sitemap (sitemapindex).
+ * @param {Array<{ loc: string, lastmod: string }>} sitemap
+ * @returns {string} XML
+ */
+function buildIndice(sitemap) {
+  var righe = ['<?xml version="1.0" encoding="UTF-8"?>', '<sitemapindex xmlns="' + NS_SITEMAP + '">'];
+  sitemap.forEach(function (voce) {
+    righe.push('  <sitemap>');
+    righe.push('    <loc>' + escapeXml(voce.loc) + '</loc>');
+    if (voce.lastmod) righe.push('    <lastmod>' + escapeXml(voce.lastmod) + '</lastmod>');
+    righe.push('  </sitemap>');
+  });
+  righe.push('</sitemapindex>');
+  return righe.join('\n') + '\n';
+}
+
+/**
+ * File della sitemap per nome: solo sitemap.xml finché gli indirizzi stanno in un file,
+ * altrimenti sitemap.xml come indice più sitemap-1.xml, sitemap-2.xml, ...
+ * @param {Array} list - Record di data/immobili.json
+ * @param {{ siteUrl: string, siteRoot?: string, senzaServer?: boolean, maxUrl?: number }} options - vedi buildVoci;
+ *   maxUrl: indirizzi per file (default MAX_URL)
+ * @returns {Object<string, string>} XML per nome del file
+ */
+function generaSitemap(list, options) {
+  var voci = buildVoci(list, options);
+  var maxUrl = options.maxUrl || MAX_URL;
+  if (voci.length <= maxUrl) return { 'sitemap.xml': buildUrlset(voci) };
+
+  var file = {};
+  var indice = [];
+  for (var i = 0; i * maxUrl < voci.length; i++) {
+    var gruppo = voci.slice(i * maxUrl, (i + 1) * maxUrl);
+    var nome = 'sitemap-' + (i + 1) + '.xml';
+    file[nome] = buildUrlset(gruppo);
+    indice.push({ loc: options.siteUrl + '/' + nome, lastmod: gruppo.map(function (v) { return v.lastmod; }).sort().pop() });
+  }
+  file['sitemap.xml'] = buildIndice(indice);
+  return file;
+}
+
+/**
+ * Crea l’handler della sitemap legato all’archivio immobili.
+ * @param {{ read: function(): Array }} store - Archivio immobili (vedi store.js)
+ * @param {{ siteUrl?: string, siteRoot?: string, maxUrl?: number }} [options] - Indirizzo pubblico del sito
+ *   (default: l’host della richiesta), cartella dei template e indirizzi per file (vedi generaSitemap)
+ */
+function createHandlers(store, options) {
+  options = options || {};
+
+  return {
+    /** GET /sitemap.xml e /sitemap-:n.xml */
+    sitemap: function (req, res, ctx) {
+      var file = generaSitemap(store.read(), {
+        siteUrl: httpUtils.getSiteUrl(req, options.siteUrl),
+        siteRoot: options.siteRoot,
+        maxUrl: options.maxUrl
+      });
+      var xml = file[ctx.params.nome];
+      if (!xml) {
+        throw new httpUtils.HttpError(404, 'Sitemap non trovata');
+      }
+      res.writeHead(200, {
+        'Content-Type': httpUtils.MIME_TYPES['.xml'],
+        'Content-Length': Buffer.byteLength(xml),
+        'Cache-Control': 'no-cache'
+      });
+      res.end(req.method === 'HEAD' ? undefined : xml);
+    }
+  };
+}
+
+module.exports = {
+  MAX_URL: MAX_URL,
+  getLastmod: getLastmod,
+  buildVoci: buildVoci,
+  buildUrlset: buildUrlset,
+  buildIndice: buildIndice,
+  generaSitemap: generaSitemap,
+  createHandlers: createHandlers
+};
@@ -0,0 +1,79 @@
+/**
+ * store.js - Archivio su file JSON
+ * Legge un file JSON tenendolo in cache finché non cambia su disco (così le modifiche
+ * manuali a data/immobili.json sono viste senza riavviare il server) e scrive in modo
+ * atomico (file temporaneo + rename) per non lasciare mai un JSON troncato.
+ * Le operazioni sono sincrone: il server è un singolo processo e ogni lettura/scrittura
+ * avviene senza interleaving tra richieste concorrenti.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+/**
+ * Crea un archivio legato a un file JSON.
+ * @param {string} filePath - Percorso assoluto del file
+ * @param {*} defaultValue - Valore restituito se il file non esiste ancora
+ * @param {{ onLoad?: function(*): void }} [options] - onLoad: chiamata a ogni lettura da disco
+ *   (primo accesso e modifiche esterne al file), es. per validarne il contenuto
+ * @returns {{ read: function(): *, write: function(*): void, update: function(function(*): *): * }}
+ */
+function createJsonStore(filePath, defaultValue, options) {
+  options = options || {};
+  var cache = null;
+  var cacheMtime = 0;
+
+  /**
+   * Restituisce il contenuto del file (copia profonda, modificabile dal chiamante).
+   */
+  function read() {
+    var stat;
+    try {
+      stat = fs.statSync(filePath);
+    } catch (err) {
+      if (err.code === 'ENOENT') return clone(defaultValue);
+      throw err;
+    }
+    if (cache === null || stat.mtimeMs !== cacheMtime) {
+      cache = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      cacheMtime = stat.mtimeMs;
+      if (options.onLoad) options.onLoad(clone(cache));
+    }
+    return clone(cache);
+  }
+
+  /**
+   * Sostituisce il contenuto del file.
+   */
+  function write(data) {
+    var dir = path.dirname(filePath);
+    fs.mkdirSync(dir, { recursive: true });
+    var tmp = path.join(dir, '.' + path.basename(filePath) + '.' + process.pid + '.tmp');
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n', 'utf8');
+    fs.renameSync(tmp, filePath);
+    cache = clone(data);
+    cacheMtime = fs.statSync(filePath).mtimeMs;
+  }
+
+  /**
+   * Legge, applica la funzione di modifica e salva. Restituisce il nuovo contenuto.
+   * Se la funzione lancia un’eccezione il file non viene modificato.
+   */
+  function update(fn) {
+    var next = fn(read());
+    write(next);
+    return next;
+  }
+
+  return { read: read, write: write, update: update };
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+  createJsonStore: createJsonStore
+};
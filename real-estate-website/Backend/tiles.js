@@ -0,0 +1,88 @@
+/**
+ * tiles.js - Tile della mappa servite in locale (GET /tiles/:z/:x/:y.:ext)
+ * La mappa delle pagine (assets/js/mappa.js) carica le tile da un URL configurabile: in
+ * produzione quello di un fornitore esterno, in sviluppo e nei test questa route, così il
+ * sito funziona anche offline. Se è configurata una cartella di tile (opzione tilesDir o
+ * variabile d’ambiente TILES_DIR, struttura z/x/y.png come le tile OpenStreetMap) il file
+ * viene servito da lì; altrimenti le richieste .svg ricevono una tile segnaposto generata
+ * al volo (griglia con coordinate), sufficiente per provare spostamenti, zoom e marker.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+var httpUtils = require('./http-utils');
+var Mappa = require('../assets/js/mappa');
+
+var MAX_ZOOM = 19;
+/** Le tile segnaposto non cambiano: il browser può tenerle in cache a lungo */
+var PLACEHOLDER_CACHE = 'public, max-age=604800';
+
+/**
+ * Tile segnaposto: sfondo a scacchiera leggera, griglia, z/x/y e coordinate dell’angolo in alto a sinistra.
+ * @returns {string} SVG di TILE_SIZE x TILE_SIZE pixel
+ */
+function buildPlaceholderTile(z, x, y) {
+  var size = Mappa.TILE_SIZE;
+  var nw = Mappa.unproject(x * size, y * size, z);
+  var fill = (x + y) % 2 === 0 ? '#eef2f0' : '#e6ece9';
+  var grid = '';
+  for (var i = size / 4; i < size; i += size / 4) {
+    grid += '<line x1="' + i + '" y1="0" x2="' + i + '" y2="' + size + '"/>' +
+      '<line x1="0" y1="' + i + '" x2="' + size + '" y2="' + i + '"/>';
+  }
+  return '<svg xmlns="http://www.w3.org/2000/svg" width="' + size + '" height="' + size + '" viewBox="0 0 ' + size + ' ' + size + '">' +
+    '<rect width="' + size + '" height="' + size + '" fill="' + fill + '"/>' +
+    '<g stroke="#d5ddd9" stroke-width="1">' + grid + '</g>' +
+    '<rect x="0.5" y="0.5" width="' + (size - 1) + '" height="' + (size - 1) + '" fill="none" stroke="#c3ccc8"/>' +
+    '<text x="8" y="18" font-family="sans-serif" font-size="11" fill="#8a9792">' + z + '/' + x + '/' + y + '</text>' +
+    '<text x="8" y="32" font-family="sans-serif" font-size="10" fill="#a3aeaa">' + nw.lat.toFixed(3) + ', ' + nw.lng.toFixed(3) + '</text>' +
+    '</svg>';
+}
+
+/**
+ * Crea l’handler delle tile.
+ * @param {{ tilesDir?: string }} [options] - Cartella con le tile reali (default: variabile TILES_DIR)
+ */
+function createHandlers(options) {
+  options = options || {};
+  var tilesDir = options.tilesDir || process.env.TILES_DIR || null;
+
+  return {
+    /** GET /tiles/:z/:x/:y.:ext */
+    tile: function (req, res, ctx) {
+      var z = parseInt(ctx.params.z, 10);
+      var x = parseInt(ctx.params.x, 10);
+      var y = parseInt(ctx.params.y, 10);
+      var n = Math.pow(2, z);
+      if (z > MAX_ZOOM || x >= n || y >= n) {
+        throw new httpUtils.HttpError(404, 'Tile non trovata');
+      }
+
+      var relative = '/' + z + '/' + x + '/' + y + '.' + ctx.params.ext;
+      if (tilesDir && fs.existsSync(path.join(tilesDir, relative))) {
+        httpUtils.serveStatic(req, res, tilesDir, relative);
+        return;
+      }
+      if (ctx.params.ext !== 'svg') {
+        throw new httpUtils.HttpError(404, 'Tile non trovata');
+      }
+
+      var svg = buildPlaceholderTile(z, x, y);
+      res.writeHead(200, {
+        'Content-Type': httpUtils.MIME_TYPES['.svg'],
+        'Content-Length': Buffer.byteLength(svg),
+        'Cache-Control': PLACEHOLDER_CACHE
+      });
+      res.end(req.method === 'HEAD' ? undefined : svg);
+    }
+  };
+}
+
+module.exports = {
+  MAX_ZOOM: MAX_ZOOM,
+  buildPlaceholderTile: buildPlaceholderTile,
+  createHandlers: createHandlers
+};
@@ -0,0 +1,306 @@
+/**
+ * validazione-immobili.js - Validazione dei record di data/immobili.json
+ * Applica lo schema formale data/immobile.schema.json (sottoinsieme di JSON Schema:
+ * type, enum, required, properties, additionalProperties, items, $ref, minimum,
+ * maximum, exclusiveMinimum, minLength, maxLength, pattern, format date/date-time) e i controlli
+ * che uno schema non può esprimere: id duplicati, prezzo obbligatorio salvo prezzoSuRichiesta,
+ * prezzoPrecedente maggiore del prezzo, percorso dei media coerente con il tipo (foto, planimetria,
+ * video, tour) e file esistenti sotto assets/, compreso il segnaposto degli annunci senza foto.
+ * Usato dal server (al caricamento e a ogni scrittura admin) e dalla CLI bin/valida-immobili.js.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var Annunci = require('../assets/js/annunci');
+var Galleria = require('../assets/js/galleria');
+
+var SCHEMA_PATH = path.resolve(__dirname, '..', 'data', 'immobile.schema.json');
+var SITE_ROOT = path.resolve(__dirname, '..');
+
+var schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+
+var TYPE_LABELS = {
+  string: 'un testo',
+  number: 'un numero',
+  integer: 'un numero intero',
+  object: 'un oggetto',
+  array: 'un elenco',
+  boolean: 'vero/falso'
+};
+
+/**
+ * Tipo JSON Schema di un valore ("integer" solo per numeri interi).
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  var actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Verifica una data AAAA-MM-GG reale (es. 2025-02-30 non è valida).
+ */
+function isValidDate(str) {
+  var m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(str);
+  if (!m) return false;
+  var d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  return d.getUTCFullYear() === +m[1] && d.getUTCMonth() === +m[2] - 1 && d.getUTCDate() === +m[3];
+}
+
+function isValidDateTime(str) {
+  return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(str) &&
+    isValidDate(str.slice(0, 10)) && !isNaN(Date.parse(str));
+}
+
+function resolveRef(ref) {
+  var parts = ref.replace(/^#\//, '').split('/');
+  return parts.reduce(function (node, key) { return node[key]; }, schema);
+}
+
+function joinPath(base, key) {
+  if (typeof key === 'number') return base + '[' + key + ']';
+  return base ? base + '.' + key : key;
+}
+
+/**
+ * Valida un valore contro un nodo dello schema, accumulando gli errori.
+ * @param {*} value
+ * @param {Object} node - Nodo dello schema
+ * @param {string} campo - Percorso del campo (es. "immagini[0].src")
+ * @param {Array<{ campo: string, messaggio: string }>} errors
+ */
+function validateNode(value, node, campo, errors) {
+  if (node.$ref) node = resolveRef(node.$ref);
+
+  if (node.enum && node.enum.indexOf(value) === -1) {
+    errors.push({ campo: campo, messaggio: 'Valore non ammesso: usa ' + node.enum.join(', ') + '.' });
+    return;
+  }
+  if (node.type && !matchesType(value, node.type)) {
+    errors.push({ campo: campo, messaggio: 'Deve essere ' + (TYPE_LABELS[node.type] || node.type) + '.' });
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (node.minLength != null && value.trim().length < node.minLength) {
+      errors.push({ campo: campo, messaggio: 'Campo obbligatorio.' });
+    } else if (node.maxLength != null && value.length > node.maxLength) {
+      errors.push({ campo: campo, messaggio: 'Massimo ' + node.maxLength + ' caratteri.' });
+    }
+    if (node.pattern && !new RegExp(node.pattern).test(value)) {
+      errors.push({ campo: campo, messaggio: 'Formato non valido (atteso: ' + node.pattern.replace(/^\^/, '') + '…).' });
+    }
+    if (node.format === 'date' && !isValidDate(value)) {
+      errors.push({ campo: campo, messaggio: 'Data non valida (formato AAAA-MM-GG).' });
+    }
+    if (node.format === 'date-time' && !isValidDateTime(value)) {
+      errors.push({ campo: campo, messaggio: 'Data e ora non valide (formato ISO 8601).' });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (node.minimum != null && value < node.minimum) {
+      errors.push({ campo: campo, messaggio: 'Deve essere almeno ' + node.minimum + '.' });
+    }
+    if (node.exclusiveMinimum != null && value <= node.exclusiveMinimum) {
+      errors.push({ campo: campo, messaggio: 'Deve essere maggiore di ' + node.exclusiveMinimum + '.' });
+    }
+    if (node.maximum != null && value > node.maximum) {
+      errors.push({ campo: campo, messaggio: 'Deve essere al massimo ' + node.maximum + '.' });
+    }
+  }
+
+  if (Array.isArray(value) && node.items) {
+    value.forEach(function (item, i) {
+      validateNode(item, node.items, joinPath(campo, i), errors);
+    });
+  }
+
+  if (typeOf(value) === 'object') {
+    var properties = node.properties || {};
+    (node.required || []).forEach(function (key) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({ campo: joinPath(campo, key), messaggio: 'Campo obbligatorio.' });
+      }
+    });
+    Object.keys(value).forEach(function (key) {
+      var child = joinPath(campo, key);
+      if (properties[key]) {
+        if (value[key] !== undefined && value[key] !== null) validateNode(value[key], properties[key], child, errors);
+      } else if (node.additionalProperties === false) {
+        errors.push({ campo: child, messaggio: 'Campo non previsto dallo schema.' });
+      } else if (node.additionalProperties && typeof node.additionalProperties === 'object') {
+        validateNode(value[key], node.additionalProperties, child, errors);
+      }
+    });
+  }
+}
+
+/**
+ * Controlla i campi del prezzo tra loro: prezzo obbligatorio, salvo prezzoSuRichiesta (che non
+ * ammette né prezzo né prezzoPrecedente), e prezzoPrecedente maggiore del prezzo attuale.
+ * @returns {Array<{ campo: string, messaggio: string }>}
+ */
+function checkPrezzo(item) {
+  var errori = [];
+  var haPrezzo = item.prezzo !== undefined && item.prezzo !== null;
+  var haPrecedente = item.prezzoPrecedente !== undefined && item.prezzoPrecedente !== null;
+  if (item.prezzoSuRichiesta === true) {
+    if (haPrezzo) errori.push({ campo: 'prezzo', messaggio: 'Da lasciare vuoto con il prezzo su richiesta.' });
+    if (haPrecedente) errori.push({ campo: 'prezzoPrecedente', messaggio: 'Da lasciare vuoto con il prezzo su richiesta.' });
+    return errori;
+  }
+  if (!haPrezzo) {
+    errori.push({ campo: 'prezzo', messaggio: 'Campo obbligatorio (oppure indica il prezzo su richiesta).' });
+  } else if (haPrecedente && typeof item.prezzo === 'number' && typeof item.prezzoPrecedente === 'number' &&
+    item.prezzoPrecedente <= item.prezzo) {
+    errori.push({ campo: 'prezzoPrecedente', messaggio: 'Deve essere maggiore del prezzo attuale (' + item.prezzo + ').' });
+  }
+  return errori;
+}
+
+/**
+ * Percorsi ammessi per tipo di media (il formato generale di src è nello schema).
+ */
+var MEDIA_SRC = {
+  foto: { pattern: /^assets\/img\//, messaggio: 'Per una foto il percorso deve iniziare con assets/img/.' },
+  planimetria: { pattern: /^assets\/img\//, messaggio: 'Per una planimetria il percorso deve iniziare con assets/img/.' },
+  video: { pattern: /^(assets\/video\/|https:\/\/)/, messaggio: 'Per un video usa un file sotto assets/video/ o l’indirizzo https del player.' },
+  tour: { pattern: /^https:\/\//, messaggio: 'Per un tour virtuale usa l’indirizzo https del tour.' }
+};
+
+/**
+ * Controlla che il percorso di ogni media sia adatto al suo tipo.
+ * @returns {Array<{ campo: string, messaggio: string }>}
+ */
+function checkMedia(item) {
+  var errori = [];
+  if (!Array.isArray(item.immagini)) return errori;
+  item.immagini.forEach(function (im, i) {
+    if (!im || typeof im.src !== 'string') return;
+    var regola = MEDIA_SRC[Galleria.getTipo(im)];
+    if (!regola.pattern.test(im.src)) errori.push({ campo: 'immagini[' + i + '].src', messaggio: regola.messaggio });
+  });
+  return errori;
+}
+
+/**
+ * Controlla che esista l’immagine segnaposto mostrata da card e confronto per gli annunci senza
+ * foto (Annunci.PLACEHOLDER_IMMAGINE): se manca, quegli annunci hanno un’immagine rotta.
+ * @param {{ siteRoot?: string }} [options]
+ * @returns {Array<{ campo: string, messaggio: string }>}
+ */
+function checkPlaceholder(options) {
+  var root = (options && options.siteRoot) || SITE_ROOT;
+  if (fs.existsSync(path.resolve(root, Annunci.PLACEHOLDER_IMMAGINE))) return [];
+  return [{ campo: Annunci.PLACEHOLDER_IMMAGINE, messaggio: 'Immagine segnaposto non trovata: gli annunci senza foto avranno un’immagine rotta.' }];
+}
+
+/**
+ * Valida un singolo immobile.
+ * @param {Object} item
+ * @param {{ siteRoot?: string, checkImages?: boolean }} [options] - checkImages (default true)
+ *   verifica che i file dei media del sito (assets/…) esistano sotto siteRoot
+ * @returns {{ errori: Array<{ campo: string, messaggio: string }>, avvisi: Array<{ campo: string, messaggio: string }> }}
+ */
+function validateImmobile(item, options) {
+  options = options || {};
+  var root = options.siteRoot || SITE_ROOT;
+  var errori = [];
+  var avvisi = [];
+
+  validateNode(item, schema, '', errori);
+  if (typeOf(item) !== 'object') return { errori: errori, avvisi: avvisi };
+
+  errori.push.apply(errori, checkPrezzo(item));
+  errori.push.apply(errori, checkMedia(item));
+  if (item.prezzoDisplay !== undefined) {
+    avvisi.push({ campo: 'prezzoDisplay', messaggio: 'Campo non più usato: il prezzo mostrato è calcolato da prezzo e valuta, si può togliere.' });
+  }
+
+  if (options.checkImages !== false && Array.isArray(item.immagini)) {
+    item.immagini.forEach(function (im, i) {
+      if (!im || typeof im.src !== 'string' || im.src.indexOf('assets/') !== 0) return;
+      var filePath = path.resolve(root, im.src);
+      if (filePath.indexOf(path.join(root, 'assets') + path.sep) !== 0 || !fs.existsSync(filePath)) {
+        avvisi.push({ campo: 'immagini[' + i + '].src', messaggio: 'File non trovato: ' + im.src });
+      }
+    });
+  }
+
+  return { errori: errori, avvisi: avvisi };
+}
+
+/**
+ * Valida l’intero elenco: ogni record più gli id duplicati e, se si controllano i file,
+ * il segnaposto delle immagini. Ogni voce riporta indice e id del record a cui si riferisce
+ * (null per i controlli non legati a un record).
+ * @param {Array} list
+ * @param {Object} [options] - vedi validateImmobile
+ * @returns {{ errori: Array<{ indice: number, id: *, campo: string, messaggio: string }>, avvisi: Array }}
+ */
+function validateImmobili(list, options) {
+  var errori = [];
+  var avvisi = [];
+  if (!Array.isArray(list)) {
+    return { errori: [{ indice: null, id: null, campo: '', messaggio: 'Il file deve contenere un array di immobili.' }], avvisi: avvisi };
+  }
+
+  var seen = {};
+  list.forEach(function (item, indice) {
+    var id = item && item.id;
+    var result = validateImmobile(item, options);
+    result.errori.forEach(function (e) {
+      errori.push({ indice: indice, id: id, campo: e.campo, messaggio: e.messaggio });
+    });
+    result.avvisi.forEach(function (a) {
+      avvisi.push({ indice: indice, id: id, campo: a.campo, messaggio: a.messaggio });
+    });
+    if (id != null) {
+      var key = String(id);
+      if (seen.hasOwnProperty(key)) {
+        errori.push({ indice: indice, id: id, campo: 'id', messaggio: 'Id duplicato (già usato dal record #' + seen[key] + ').' });
+      } else {
+        seen[key] = indice;
+      }
+    }
+  });
+
+  if (!options || options.checkImages !== false) {
+    checkPlaceholder(options).forEach(function (a) {
+      avvisi.push({ indice: null, id: null, campo: a.campo, messaggio: a.messaggio });
+    });
+  }
+
+  return { errori: errori, avvisi: avvisi };
+}
+
+/**
+ * Raggruppa gli errori per campo di primo livello (es. "immagini[0].src" -> "immagini"),
+ * nel formato { campo: messaggio } usato dalle risposte 422 dell’API.
+ */
+function toCampi(errori) {
+  var campi = {};
+  errori.forEach(function (e) {
+    var key = e.campo.split(/[.[]/)[0] || 'immobile';
+    if (!campi[key]) campi[key] = e.campo === key ? e.messaggio : e.campo + ': ' + e.messaggio;
+  });
+  return campi;
+}
+
+module.exports = {
+  SCHEMA_PATH: SCHEMA_PATH,
+  isValidDate: isValidDate,
+  validateImmobile: validateImmobile,
+  validateImmobili: validateImmobili,
+  checkPlaceholder: checkPlaceholder,
+  toCampi: toCampi
+};
@@ -0,0 +1,375 @@
+/**
+ * visite.js - Prenotazione delle visite agli immobili
+ * Il visitatore sceglie un orario libero dall’agenda dell’agente (disponibilita.js) e prenota dalla
+ * scheda immobile; il server ricontrolla l’orario al momento del salvataggio, così due richieste
+ * per lo stesso orario non possono riuscire entrambe (la seconda riceve 409).
+ * Ogni prenotazione ha un token casuale: il link con il token (visita.html?token=…) permette di
+ * vedere, spostare o annullare la visita senza account, e di scaricare il file .ics (ics.js).
+ * Conferma, spostamento e annullamento arrivano anche via email (mailer.js); un invio non riuscito
+ * finisce nel log e non annulla la prenotazione, già salvata. I link delle email usano solo l’indirizzo
+ * del sito configurato, mai l’host della richiesta: senza, le prenotazioni rispondono 503.
+ * L’area admin imposta la disponibilità (data/disponibilita.json) e vede o annulla le prenotazioni.
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+
+var httpUtils = require('./http-utils');
+var immobili = require('./immobili');
+var disponibilita = require('./disponibilita');
+var ics = require('./ics');
+var Annunci = require('../assets/js/annunci');
+var Agenzia = require('../assets/js/agenzia');
+var Validazione = require('../assets/js/validazione-contatti');
+
+var STATI = {
+  confermata: 'confermata',
+  annullata: 'annullata'
+};
+
+function toTrimmedString(value) {
+  return value == null ? '' : String(value).trim();
+}
+
+/**
+ * Giorno e ora della visita per email e pagine, es. "martedì 20 ottobre 2026, ore 09:30".
+ * @param {string} inizio - "AAAA-MM-GGTHH:MM" nel fuso dell’agenzia
+ */
+function formatQuando(inizio) {
+  var parts = inizio.split('T');
+  var giorno = new Date(parts[0] + 'T12:00:00Z').toLocaleDateString('it-IT', {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+  return giorno + ', ore ' + parts[1];
+}
+
+/**
+ * Vero se la visita è confermata e non ancora iniziata: solo allora si può spostare o annullare.
+ */
+function isModificabile(visita, now) {
+  return visita.stato === STATI.confermata && Date.parse(visita.inizioUtc) > now.getTime();
+}
+
+/**
+ * Dati della visita mostrati a chi ha il link (senza id interni né storico).
+ */
+function toPublicView(visita, now) {
+  return {
+    immobile: visita.immobile,
+    inizio: visita.inizio,
+    quando: formatQuando(visita.inizio),
+    durataMinuti: visita.durataMinuti,
+    nome: visita.nome,
+    stato: visita.stato,
+    modificabile: isModificabile(visita, now)
+  };
+}
+
+/**
+ * Prenotazione come mostrata nell’area admin (senza token).
+ */
+function toAdminView(visita) {
+  var view = Object.assign({}, visita, { quando: formatQuando(visita.inizio) });
+  delete view.token;
+  return view;
+}
+
+/**
+ * Crea gli handler delle visite.
+ * @param {{ read: function(): Array, update: function(function(Array): Array): Array }} store - Archivio prenotazioni (vedi store.js)
+ * @param {{ disponibilitaStore: Object, immobiliStore: Object, mailer: { send: function(Object): Promise }, siteUrl?: string, agenzia?: Object }} options
+ *   disponibilitaStore: data/disponibilita.json; siteUrl: indirizzo pubblico per i link delle email (obbligatorio per prenotare);
+ *   agenzia: dati dell’agenzia per email e calendario (default quella del template, vedi agenzia.js)
+ */
+function createHandlers(store, options) {
+  var disponibilitaStore = options.disponibilitaStore;
+  var immobiliStore = options.immobiliStore;
+  var mailer = options.mailer;
+  var firma = (options.agenzia || Agenzia.getConfig()).nome;
+
+  function readVisite() {
+    var list = store.read();
+    return Array.isArray(list) ? list : [];
+  }
+
+  function readImmobili() {
+    var list = immobiliStore.read();
+    return Array.isArray(list) ? list : [];
+  }
+
+  /** Link della visita a partire dall’indirizzo pubblico del sito */
+  function getLinks(visita, siteUrl) {
+    return {
+      gestione: siteUrl + '/visita.html?token=' + visita.token,
+      ics: siteUrl + '/api/visite/' + visita.token + '/ics',
+      immobile: siteUrl + '/' + Annunci.getUrlImmobile(visita.immobile)
+    };
+  }
+
+  function buildIcs(visita, siteUrl) {
+    var inizio = new Date(visita.inizioUtc);
+    var links = getLinks(visita, siteUrl);
+    return ics.buildIcs({
+      prodotto: firma,
+      uid: visita.id + '@agenzia-immobiliare',
+      sequence: visita.sequenza,
+      inizio: inizio,
+      fine: new Date(inizio.getTime() + visita.durataMinuti * 60000),
+      titolo: 'Visita: ' + visita.immobile.titolo,
+      luogo: visita.immobile.luogo,
+      descrizione: 'Visita all’immobile con un nostro agente.\nScheda: ' + links.immobile + '\nPer spostare o annullare la visita: ' + links.gestione,
+      url: links.gestione,
+      annullato: visita.stato === STATI.annullata
+    });
+  }
+
+  /**
+   * Email al visitatore: conferma, spostamento o annullamento.
+   * @param {string} tipo - 'confermata' | 'spostata' | 'annullata'
+   */
+  function sendEmail(visita, tipo) {
+    if (!options.siteUrl) {
+      console.error('[visite] email ' + tipo + ' per la visita ' + visita.id + ' non inviata: indirizzo del sito non configurato (SITE_URL o siteUrl dell’agenzia)');
+      return Promise.resolve();
+    }
+    var links = getLinks(visita, httpUtils.getSiteUrlEmail(options.siteUrl));
+    var intro = {
+      confermata: 'la tua visita è prenotata',
+      spostata: 'la tua visita è stata spostata',
+      annullata: 'la tua visita è stata annullata'
+    }[tipo];
+    var righe = [
+      'Buongiorno ' + visita.nome + ',',
+      '',
+      intro + ':',
+      visita.immobile.titolo + (visita.immobile.luogo ? ' – ' + visita.immobile.luogo : ''),
+      formatQuando(visita.inizio) + ' (durata ' + visita.durataMinuti + ' minuti)',
+      ''
+    ];
+    if (tipo === 'annullata') {
+      righe.push('Puoi prenotare un altro orario dalla scheda dell’immobile:', links.immobile);
+    } else {
+      righe.push(
+        'Aggiungi la visita al calendario:', links.ics, '',
+        'Per spostarla o annullarla:', links.gestione
+      );
+    }
+    righe.push('', firma, '');
+    return mailer.send({
+      to: visita.email,
+      subject: (tipo === 'confermata' ? 'Visita prenotata: ' : tipo === 'spostata' ? 'Visita spostata: ' : 'Visita annullata: ') + visita.immobile.titolo,
+      text: righe.join('\n')
+    }).then(null, function (err) {
+      console.error('[visite] email ' + tipo + ' per la visita ' + visita.id + ' non inviata: ' + err.message);
+    });
+  }
+
+  /**
+   * Trova una prenotazione per token (o per id, dall’area admin).
+   * @throws {HttpError} 404 se non esiste
+   */
+  function findVisita(list, key, value) {
+    for (var i = 0; i < list.length; i++) {
+      if (list[i][key] === value) return list[i];
+    }
+    throw new httpUtils.HttpError(404, key === 'token'
+      ? 'Prenotazione non trovata: controlla il link ricevuto via email.'
+      : 'Prenotazione non trovata');
+  }
+
+  /**
+   * @throws {HttpError} 410 se annullata, 409 se già passata
+   */
+  function assertModificabile(visita, now) {
+    if (visita.stato === STATI.annullata) {
+      throw new httpUtils.HttpError(410, 'Questa visita è stata annullata.');
+    }
+    if (!isModificabile(visita, now)) {
+      throw new httpUtils.HttpError(409, 'La visita è già passata e non si può più modificare.');
+    }
+  }
+
+  /**
+   * @throws {HttpError} 409 se l’orario non è (più) libero
+   */
+  function assertOrarioLibero(list, inizio, now, escludiId) {
+    if (!disponibilita.isOrarioLibero(disponibilitaStore.read(), list, inizio, now, escludiId)) {
+      throw new httpUtils.HttpError(409, 'L’orario scelto non è più disponibile: scegline un altro.', {
+        campi: { inizio: 'Orario non più disponibile.' }
+      });
+    }
+  }
+
+  /**
+   * Annulla una visita (dal link del visitatore o dall’area admin) e invia l’email.
+   */
+  function annulla(req, res, key, value) {
+    var now = new Date();
+    var visita;
+    store.update(function (list) {
+      visita = findVisita(list, key, value);
+      assertModificabile(visita, now);
+      visita.stato = STATI.annullata;
+      visita.sequenza += 1;
+      visita.dataAnnullamento = now.toISOString();
+      visita.annullataDa = key === 'token' ? 'visitatore' : 'agenzia';
+      return list;
+    });
+    return sendEmail(visita, 'annullata').then(function () {
+      httpUtils.sendJson(res, 200, key === 'token' ? toPublicView(visita, now) : toAdminView(visita));
+    });
+  }
+
+  return {
+    /** GET /api/visite/disponibilita: orari liberi dei prossimi giorni */
+    disponibilita: function (req, res) {
+      var config = disponibilitaStore.read();
+      httpUtils.sendJson(res, 200, {
+        durataMinuti: config.durataMinuti,
+        giorni: disponibilita.getOrariLiberi(config, readVisite(), new Date())
+      });
+    },
+
+    /** POST /api/visite: { immobile, inizio, nome, email, telefono, gdpr } */
+    create: function (req, res) {
+      return httpUtils.readJsonBody(req).then(function (body) {
+        // Senza indirizzo del sito la conferma non può partire: nessuna prenotazione
+        httpUtils.getSiteUrlEmail(options.siteUrl);
+        var result = Validazione.validateVisita(body);
+        if (!result.valid) {
+          throw new httpUtils.HttpError(422, 'Dati non validi', { campi: result.errors });
+        }
+        var id = body.immobile;
+        var immobile = (typeof id === 'string' || typeof id === 'number') ? Annunci.findImmobileById(readImmobili(), id) : null;
+        if (!immobile || !immobili.isPubblicato(immobile)) {
+          throw new httpUtils.HttpError(404, 'Immobile non disponibile per le visite');
+        }
+        var inizio = toTrimmedString(body.inizio);
+        var now = new Date();
+        var visita;
+        store.update(function (list) {
+          assertOrarioLibero(list, inizio, now);
+          var config = disponibilitaStore.read();
+          var m = disponibilita.INIZIO_PATTERN.exec(inizio);
+          visita = {
+            id: crypto.randomUUID(),
+            token: crypto.randomBytes(24).toString('base64url'),
+            immobile: { id: immobile.id, titolo: immobile.titolo, luogo: immobile.indirizzo || immobile.citta || '' },
+            inizio: inizio,
+            inizioUtc: disponibilita.toUtc(m[1], m[2], config.fusoOrario).toISOString(),
+            durataMinuti: config.durataMinuti,
+            nome: toTrimmedString(body.nome),
+            email: toTrimmedString(body.email),
+            telefono: toTrimmedString(body.telefono),
+            consensoGdpr: { accettato: true, data: now.toISOString() },
+            stato: STATI.confermata,
+            sequenza: 0,
+            dataPrenotazione: now.toISOString()
+          };
+          list.push(visita);
+          return list;
+        });
+        return sendEmail(visita, 'confermata').then(function () {
+          httpUtils.sendJson(res, 201, Object.assign({ ok: true, token: visita.token }, toPublicView(visita, now)));
+        });
+      });
+    },
+
+    /** GET /api/visite/:token */
+    detail: function (req, res, ctx) {
+      var visita = findVisita(readVisite(), 'token', ctx.params.token);
+      httpUtils.sendJson(res, 200, toPublicView(visita, new Date()));
+    },
+
+    /** GET /api/visite/:token/ics: file da aggiungere al calendario */
+    ics: function (req, res, ctx) {
+      var visita = findVisita(readVisite(), 'token', ctx.params.token);
+      var payload = buildIcs(visita, httpUtils.getSiteUrl(req, options.siteUrl));
+      res.writeHead(200, {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'attachment; filename="visita-' + visita.inizio.slice(0, 10) + '.ics"',
+        'Content-Length': Buffer.byteLength(payload),
+        'Cache-Control': 'no-store'
+      });
+      res.end(payload);
+    },
+
+    /** POST /api/visite/:token/annulla */
+    annulla: function (req, res, ctx) {
+      req.resume();
+      return annulla(req, res, 'token', ctx.params.token);
+    },
+
+    /** POST /api/visite/:token/sposta: { inizio } */
+    sposta: function (req, res, ctx) {
+      return httpUtils.readJsonBody(req).then(function (body) {
+        var inizio = toTrimmedString(body.inizio);
+        if (!inizio) {
+          throw new httpUtils.HttpError(422, 'Dati non validi', { campi: { inizio: Validazione.MESSAGES.visita_inizio_required } });
+        }
+        var now = new Date();
+        var visita;
+        store.update(function (list) {
+          visita = findVisita(list, 'token', ctx.params.token);
+          assertModificabile(visita, now);
+          assertOrarioLibero(list, inizio, now, visita.id);
+          var config = disponibilitaStore.read();
+          var m = disponibilita.INIZIO_PATTERN.exec(inizio);
+          visita.inizio = inizio;
+          visita.inizioUtc = disponibilita.toUtc(m[1], m[2], config.fusoOrario).toISOString();
+          visita.durataMinuti = config.durataMinuti;
+          visita.sequenza += 1;
+          visita.dataModifica = now.toISOString();
+          return list;
+        });
+        return sendEmail(visita, 'spostata').then(function () {
+          httpUtils.sendJson(res, 200, toPublicView(visita, now));
+        });
+      });
+    },
+
+    /** GET /api/admin/disponibilita */
+    adminGetDisponibilita: function (req, res) {
+      httpUtils.sendJson(res, 200, disponibilitaStore.read());
+    },
+
+    /** PUT /api/admin/disponibilita: configurazione completa (vedi disponibilita.normalizeDisponibilita) */
+    adminSetDisponibilita: function (req, res) {
+      return httpUtils.readJsonBody(req).then(function (body) {
+        var result = disponibilita.normalizeDisponibilita(body);
+        if (Object.keys(result.campi).length > 0) {
+          throw new httpUtils.HttpError(422, 'Dati non validi', { campi: result.campi });
+        }
+        disponibilitaStore.write(result.config);
+        httpUtils.sendJson(res, 200, result.config);
+      });
+    },
+
+    /** GET /api/admin/visite: prenotazioni in ordine di data, ?tutte=1 per includere quelle passate */
+    adminList: function (req, res, ctx) {
+      var now = Date.now();
+      var tutte = ctx.query.get('tutte') === '1';
+      var list = readVisite()
+        .filter(function (v) { return tutte || Date.parse(v.inizioUtc) + v.durataMinuti * 60000 > now; })
+        .sort(function (a, b) { return a.inizioUtc < b.inizioUtc ? -1 : a.inizioUtc > b.inizioUtc ? 1 : 0; });
+      httpUtils.sendJson(res, 200, { visite: list.map(toAdminView) });
+    },
+
+    /** POST /api/admin/visite/:id/annulla */
+    adminAnnulla: function (req, res, ctx) {
+      req.resume();
+      return annulla(req, res, 'id', ctx.params.id);
+    }
+  };
+}
+
+module.exports = {
+  STATI: STATI,
+  formatQuando: formatQuando,
+  createHandlers: createHandlers
+};
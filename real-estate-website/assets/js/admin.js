@@ -0,0 +1,874 @@
+/**
+ * admin.js - Back-office immobili (pagine in /admin)
+ * Gestisce:
+ * - admin/login.html: login (sessione in cookie HttpOnly impostato dal server)
+ * - admin/index.html: elenco di tutti gli annunci con azioni duplica, pubblica/ritira, archivia;
+ *   immagini caricate e non più usate, da eliminare
+ * - admin/immobile.html: editor di un immobile nuovo (senza ?id=) o esistente (?id=), con caricamento,
+ *   ordinamento e anteprima delle immagini
+ * - admin/visite.html: visite prenotate (con annullamento) e disponibilità per le prenotazioni
+ * Tutte le chiamate vanno a /api/admin/*; una risposta 401 riporta al login.
+ */
+
+(function () {
+  'use strict';
+
+  var API_ADMIN_PATH = '../api/admin';
+  var LOGIN_PAGE = 'login.html';
+  var LIST_PAGE = 'index.html';
+  var EDITOR_PAGE = 'immobile.html';
+
+  var SELECTORS = {
+    message: '#admin-message',
+    loginForm: '#admin-login-form',
+    table: '#admin-immobili-table',
+    filtroStato: '#admin-filtro-stato',
+    editorForm: '#admin-immobile-form',
+    editorTitle: '#admin-editor-titolo',
+    editorStato: '#admin-editor-stato',
+    immagini: '#admin-immagini',
+    immagineTemplate: '#admin-immagine-template',
+    caricaImmagini: '#admin-carica-immagini',
+    orfane: '#admin-orfane',
+    visiteTable: '#admin-visite-table',
+    visiteTutte: '#admin-visite-tutte',
+    disponibilitaForm: '#admin-disponibilita-form',
+    chiusure: '#admin-chiusure',
+    chiusuraTemplate: '#admin-chiusura-template'
+  };
+
+  /** Chiavi di dettagliTecnici modificabili (campi "dt-<chiave>" nell’editor) */
+  var DETTAGLI_KEYS = ['piano', 'riscaldamento', 'classeEnergetica', 'annoCostruzione', 'stato', 'giardino', 'postiAuto', 'terrazzo', 'garage'];
+
+  /** Campi base dell’immobile nell’editor (name del campo = chiave del record) */
+  var BASE_FIELDS = ['titolo', 'tipologia', 'tipoImmobile', 'prezzo', 'prezzoPrecedente', 'superficie', 'locali', 'citta', 'indirizzo', 'descrizione'];
+
+  /** Formati e dimensione massima delle immagini caricate (gli stessi controlli li ripete il server, Backend/caricamenti.js) */
+  var IMMAGINE_FORMATI = ['image/jpeg', 'image/png', 'image/webp'];
+  var IMMAGINE_MAX_BYTES = 10 * 1024 * 1024;
+
+  /** Valuta proposta per i nuovi annunci e per i record senza valuta (come Annunci.VALUTA_DEFAULT) */
+  var VALUTA_DEFAULT = 'EUR';
+
+  /** Lingue dei testi tradotti nell’editor (campi "<chiave>-<lingua>", vedi assets/js/i18n.js) */
+  var LINGUE_TRADOTTE = ['en'];
+
+  /** Campi dell’immobile traducibili (salvati in traduzioni.<lingua>) */
+  var TRADOTTI_FIELDS = ['titolo', 'descrizione'];
+
+  /** Campo dell’editor su cui mostrare gli errori di un campo composto del record */
+  var ERROR_FIELDS = { coordinate: 'coordinate-lat', traduzioni: 'titolo-' + LINGUE_TRADOTTE[0] };
+
+  var STATO_LABELS = { bozza: 'Bozza', pubblicato: 'Pubblicato', archiviato: 'Archiviato' };
+
+  var STATO_VISITA_LABELS = { confermata: 'Confermata', annullata: 'Annullata' };
+
+  /** Giorni della settimana nella disponibilità (campi "settimana.<giorno>") */
+  var GIORNI = ['lun', 'mar', 'mer', 'gio', 'ven', 'sab', 'dom'];
+
+  /** Campi numerici e di testo della disponibilità (name del campo = chiave) */
+  var DISPONIBILITA_FIELDS = ['fusoOrario', 'durataMinuti', 'preavvisoOre', 'giorniPrenotabili'];
+
+  /**
+   * Escape caratteri speciali per uso in HTML (evita XSS).
+   */
+  function escapeHtml(str) {
+    if (str == null) return '';
+    var div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+  }
+
+  /**
+   * Prezzo per la tabella degli annunci, nella valuta del record: "420.000 €", "2200 €/mese", "Su richiesta".
+   */
+  function formatPrezzo(item) {
+    if (item.prezzoSuRichiesta) return 'Su richiesta';
+    if (typeof item.prezzo !== 'number') return '';
+    return new Intl.NumberFormat('it-IT', { style: 'currency', currency: item.valuta || VALUTA_DEFAULT, maximumFractionDigits: 2 })
+      .format(item.prezzo) + (item.tipologia === 'affitto' ? '/mese' : '');
+  }
+
+  function redirectToLogin() {
+    var next = window.location.pathname.split('/').pop() + window.location.search;
+    window.location.href = LOGIN_PAGE + '?next=' + encodeURIComponent(next);
+  }
+
+  /**
+   * Chiamata alle API admin con corpo JSON, o con un file inviato così com’è (caricamento immagini).
+   * Una risposta 401 (sessione assente o scaduta) reindirizza al login.
+   * @param {string} method
+   * @param {string} path - Path relativo a /api/admin (es. "/immobili")
+   * @param {Object|Blob} [body]
+   * @returns {Promise<{ status: number, body: Object }>}
+   */
+  function apiRequest(method, path, body) {
+    var options = { method: method, headers: {}, credentials: 'same-origin' };
+    if (body instanceof Blob) {
+      options.headers['Content-Type'] = body.type;
+      options.body = body;
+    } else if (body !== undefined) {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(body);
+    }
+    return fetch(API_ADMIN_PATH + path, options).then(function (res) {
+      return res.json()
+        .catch(function () { return {}; })
+        .then(function (data) {
+          if (res.status === 401 && path !== '/login') {
+            redirectToLogin();
+            throw new Error('Sessione scaduta');
+          }
+          return { status: res.status, body: data || {} };
+        });
+    });
+  }
+
+  /**
+   * Mostra un messaggio di esito nella regione #admin-message.
+   * @param {string} text
+   * @param {'success'|'error'} [type]
+   */
+  function showMessage(text, type) {
+    var el = document.querySelector(SELECTORS.message);
+    if (!el) return;
+    el.className = 'admin-message' + (type ? ' admin-message--' + type : '');
+    el.textContent = text;
+  }
+
+  /**
+   * Riepilogo testuale degli errori per campo ({ campo: messaggio }) restituiti dal server.
+   */
+  function formatCampi(campi) {
+    return Object.keys(campi).map(function (key) {
+      return key + ': ' + campi[key];
+    }).join(' ');
+  }
+
+  /**
+   * Riepilogo degli avvisi di validazione (es. immagini non trovate), che non bloccano il salvataggio.
+   */
+  function formatAvvisi(avvisi) {
+    if (!avvisi || avvisi.length === 0) return '';
+    return ' Attenzione: ' + avvisi.map(function (a) { return a.messaggio; }).join('; ') + '.';
+  }
+
+  // ---------- Login (admin/login.html) ----------
+
+  function initLogin(form) {
+    form.addEventListener('submit', function (e) {
+      e.preventDefault();
+      apiRequest('POST', '/login', {
+        username: form.elements.username.value.trim(),
+        password: form.elements.password.value
+      })
+        .then(function (response) {
+          if (response.status === 200) {
+            var next = new URLSearchParams(window.location.search).get('next') || '';
+            // Solo pagine dell’area admin (niente redirect verso altri siti)
+            window.location.href = /^[\w-]+\.html(\?.*)?$/.test(next) ? next : LIST_PAGE;
+            return;
+          }
+          showMessage(response.body.errore || 'Accesso non riuscito.', 'error');
+          form.elements.password.value = '';
+          form.elements.password.focus();
+        })
+        .catch(function () {
+          showMessage('Impossibile contattare il server. Riprova.', 'error');
+        });
+    });
+  }
+
+  // ---------- Elenco annunci (admin/index.html) ----------
+
+  /** Cache dell’elenco per il filtro per stato */
+  var allImmobili = [];
+
+  /**
+   * Bottoni azione per una riga, in base allo stato corrente.
+   */
+  function buildActionsHtml(immobile) {
+    var id = escapeHtml(immobile.id);
+    var html = '<a href="' + EDITOR_PAGE + '?id=' + encodeURIComponent(immobile.id) + '" class="btn btn--primary btn--sm">Modifica</a>';
+    html += '<button type="button" class="btn btn--secondary btn--sm" data-action="duplica" data-id="' + id + '">Duplica</button>';
+    if (immobile.statoAnnuncio === 'pubblicato') {
+      html += '<button type="button" class="btn btn--secondary btn--sm" data-action="bozza" data-id="' + id + '">Ritira</button>';
+    } else {
+      html += '<button type="button" class="btn btn--secondary btn--sm" data-action="pubblicato" data-id="' + id + '">Pubblica</button>';
+    }
+    if (immobile.statoAnnuncio !== 'archiviato') {
+      html += '<button type="button" class="btn btn--secondary btn--sm" data-action="archiviato" data-id="' + id + '">Archivia</button>';
+    }
+    return html;
+  }
+
+  function renderTable(table) {
+    var tbody = table.querySelector('tbody');
+    var filtro = document.querySelector(SELECTORS.filtroStato);
+    var stato = filtro ? filtro.value : '';
+    var rows = allImmobili.filter(function (item) {
+      return !stato || item.statoAnnuncio === stato;
+    });
+    if (rows.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="7">Nessun annuncio.</td></tr>';
+      return;
+    }
+    tbody.innerHTML = rows.map(function (item) {
+      var linkSito = '../immobile.html?id=' + encodeURIComponent(item.id);
+      return '<tr>' +
+        '<td>' + escapeHtml(item.id) + '</td>' +
+        '<td><a href="' + escapeHtml(linkSito) + '" target="_blank" rel="noopener">' + escapeHtml(item.titolo) + '</a></td>' +
+        '<td>' + escapeHtml(item.tipologia === 'affitto' ? 'Affitto' : 'Vendita') + '</td>' +
+        '<td>' + escapeHtml(item.citta) + '</td>' +
+        '<td>' + escapeHtml(formatPrezzo(item)) + '</td>' +
+        '<td><span class="badge badge--' + escapeHtml(item.statoAnnuncio) + '">' + escapeHtml(STATO_LABELS[item.statoAnnuncio] || item.statoAnnuncio) + '</span></td>' +
+        '<td><div class="admin-table__actions">' + buildActionsHtml(item) + '</div></td>' +
+        '</tr>';
+    }).join('');
+  }
+
+  function loadList(table) {
+    return apiRequest('GET', '/immobili').then(function (response) {
+      allImmobili = response.body.immobili || [];
+      renderTable(table);
+    });
+  }
+
+  /**
+   * Esegue un’azione di riga: duplica o cambio stato (pubblica, ritira, archivia).
+   */
+  function runAction(table, action, id) {
+    if (action === 'archiviato' && !window.confirm('Archiviare l’annuncio? Sparirà dal sito ma la sua pagina resterà raggiungibile come “non più disponibile”.')) {
+      return;
+    }
+    var request = action === 'duplica'
+      ? apiRequest('POST', '/immobili/' + encodeURIComponent(id) + '/duplica')
+      : apiRequest('POST', '/immobili/' + encodeURIComponent(id) + '/stato', { stato: action });
+    request
+      .then(function (response) {
+        if (response.status === 422 && response.body.campi) {
+          showMessage('Operazione non riuscita: ' + formatCampi(response.body.campi) + ' Correggi l’annuncio dall’editor.', 'error');
+          return;
+        }
+        if (response.status >= 400) {
+          showMessage(response.body.errore || 'Operazione non riuscita.', 'error');
+          return;
+        }
+        if (action === 'duplica') {
+          window.location.href = EDITOR_PAGE + '?id=' + encodeURIComponent(response.body.immobile.id);
+          return;
+        }
+        showMessage('Annuncio “' + response.body.immobile.titolo + '”: ' + STATO_LABELS[action].toLowerCase() + '.', 'success');
+        return loadList(table);
+      })
+      .catch(function () {
+        showMessage('Impossibile contattare il server. Riprova.', 'error');
+      });
+  }
+
+  function initList(table) {
+    loadList(table).catch(function () {
+      showMessage('Impossibile caricare gli annunci.', 'error');
+    });
+    table.addEventListener('click', function (e) {
+      var btn = e.target.closest('[data-action]');
+      if (btn) runAction(table, btn.getAttribute('data-action'), btn.getAttribute('data-id'));
+    });
+    var filtro = document.querySelector(SELECTORS.filtroStato);
+    if (filtro) {
+      filtro.addEventListener('change', function () {
+        renderTable(table);
+      });
+    }
+  }
+
+  // ---------- Editor immobile (admin/immobile.html) ----------
+
+  var immagineCounter = 0;
+
+  /**
+   * Valore di un campo della riga immagine: "tipo", "src", "alt" o "alt-<lingua>" (da traduzioni).
+   */
+  function getImmagineValue(immagine, field) {
+    if (field === 'tipo') return (immagine && immagine.tipo) || 'foto';
+    if (!immagine) return '';
+    var parts = field.split('-');
+    var source = parts[1] ? (immagine.traduzioni && immagine.traduzioni[parts[1]]) || {} : immagine;
+    return source[parts[0]] || '';
+  }
+
+  /**
+   * Anteprima della riga: foto e planimetrie con percorso nel sito; vuota per video, tour e indirizzi esterni.
+   */
+  function updateAnteprima(row) {
+    var img = row.querySelector('.admin-immagine-row__anteprima');
+    if (!img) return;
+    var tipo = row.querySelector('[data-field="tipo"]').value;
+    var src = row.querySelector('[data-field="src"]').value.trim();
+    if ((tipo === 'foto' || tipo === 'planimetria') && src.indexOf('assets/img/') === 0) {
+      img.src = '../' + src;
+    } else {
+      img.removeAttribute('src');
+    }
+  }
+
+  /**
+   * Aggiunge una riga media (anteprima, tipo, percorso, alt e alt tradotti) clonando il template.
+   * @returns {HTMLElement|undefined} La riga aggiunta
+   */
+  function addImmagineRow(container, immagine) {
+    var template = document.querySelector(SELECTORS.immagineTemplate);
+    if (!template) return;
+    var row = template.content.firstElementChild.cloneNode(true);
+    immagineCounter++;
+    row.querySelectorAll('[data-field]').forEach(function (input) {
+      var id = 'immagine-' + immagineCounter + '-' + input.getAttribute('data-field');
+      input.id = id;
+      input.closest('.form-group').querySelector('label').setAttribute('for', id);
+      input.value = getImmagineValue(immagine, input.getAttribute('data-field'));
+    });
+    updateAnteprima(row);
+    container.appendChild(row);
+    return row;
+  }
+
+  /**
+   * Sposta una riga media di una posizione (direzione -1 su, 1 giù); il focus resta sul bottone.
+   */
+  function moveImmagineRow(row, direzione, button) {
+    var vicina = direzione < 0 ? row.previousElementSibling : row.nextElementSibling;
+    if (!vicina) return;
+    row.parentNode.insertBefore(row, direzione < 0 ? vicina : vicina.nextElementSibling);
+    button.focus();
+  }
+
+  /**
+   * Carica i file scelti uno alla volta: per ognuno aggiunge una riga foto con il percorso restituito
+   * dal server. I file di formato o dimensione non ammessi vengono saltati con un messaggio.
+   */
+  function uploadImmagini(input, container) {
+    var files = Array.prototype.slice.call(input.files || []);
+    var caricate = [];
+    var errori = [];
+    input.disabled = true;
+    showMessage('Caricamento di ' + files.length + (files.length === 1 ? ' immagine' : ' immagini') + '…');
+
+    var chain = files.reduce(function (prev, file) {
+      return prev.then(function () {
+        if (IMMAGINE_FORMATI.indexOf(file.type) === -1) {
+          errori.push(file.name + ': formato non supportato (usa JPEG, PNG o WebP)');
+          return;
+        }
+        if (file.size > IMMAGINE_MAX_BYTES) {
+          errori.push(file.name + ': file troppo grande (massimo 10 MB)');
+          return;
+        }
+        return apiRequest('POST', '/immagini?nome=' + encodeURIComponent(file.name), file).then(function (response) {
+          if (response.status !== 201) {
+            errori.push(file.name + ': ' + (response.body.errore || 'caricamento non riuscito'));
+            return;
+          }
+          caricate.push(addImmagineRow(container, { tipo: 'foto', src: response.body.src }));
+        });
+      });
+    }, Promise.resolve());
+
+    chain
+      .catch(function () {
+        errori.push('impossibile contattare il server');
+      })
+      .then(function () {
+        input.disabled = false;
+        input.value = '';
+        var testo = caricate.length > 0
+          ? 'Caricate ' + caricate.length + ' immagini: aggiungi il testo alternativo e salva l’immobile.'
+          : '';
+        if (errori.length > 0) testo += (testo ? ' ' : '') + 'Non caricate: ' + errori.join('; ') + '.';
+        showMessage(testo, errori.length > 0 ? 'error' : 'success');
+        if (caricate.length > 0) caricate[0].querySelector('[data-field="alt"]').focus();
+      });
+  }
+
+  /** Dettagli tecnici del record senza un campo nell’editor: si reinviano invariati al salvataggio */
+  var dettagliAltri = {};
+
+  /**
+   * Valori dell’editor nel formato atteso da POST/PUT /api/admin/immobili.
+   */
+  function getEditorValues(form) {
+    var values = {};
+    BASE_FIELDS.forEach(function (name) {
+      values[name] = form.elements[name] ? form.elements[name].value.trim() : '';
+    });
+    values.dettagliTecnici = Object.assign({}, dettagliAltri);
+    DETTAGLI_KEYS.forEach(function (key) {
+      var el = form.elements['dt-' + key];
+      if (el && el.value.trim()) values.dettagliTecnici[key] = el.value.trim();
+    });
+    values.immagini = [];
+    form.querySelectorAll('.admin-immagine-row').forEach(function (row) {
+      var src = row.querySelector('[data-field="src"]').value.trim();
+      if (!src) return;
+      var immagine = {
+        tipo: row.querySelector('[data-field="tipo"]').value,
+        src: src,
+        alt: row.querySelector('[data-field="alt"]').value.trim(),
+        traduzioni: {}
+      };
+      LINGUE_TRADOTTE.forEach(function (lingua) {
+        var el = row.querySelector('[data-field="alt-' + lingua + '"]');
+        immagine.traduzioni[lingua] = { alt: el ? el.value.trim() : '' };
+      });
+      values.immagini.push(immagine);
+    });
+    values.traduzioni = {};
+    LINGUE_TRADOTTE.forEach(function (lingua) {
+      values.traduzioni[lingua] = {};
+      TRADOTTI_FIELDS.forEach(function (name) {
+        var el = form.elements[name + '-' + lingua];
+        values.traduzioni[lingua][name] = el ? el.value.trim() : '';
+      });
+    });
+    values.valuta = form.elements.valuta ? form.elements.valuta.value : VALUTA_DEFAULT;
+    values.prezzoSuRichiesta = !!(form.elements.prezzoSuRichiesta && form.elements.prezzoSuRichiesta.checked);
+    if (values.prezzoSuRichiesta) {
+      values.prezzo = '';
+      values.prezzoPrecedente = '';
+    }
+    var lat = form.elements['coordinate-lat'] ? form.elements['coordinate-lat'].value.trim() : '';
+    var lng = form.elements['coordinate-lng'] ? form.elements['coordinate-lng'].value.trim() : '';
+    if (lat || lng) values.coordinate = { lat: lat, lng: lng };
+    return values;
+  }
+
+  function fillEditor(form, immobile) {
+    BASE_FIELDS.forEach(function (name) {
+      if (form.elements[name]) form.elements[name].value = immobile[name] != null ? immobile[name] : '';
+    });
+    var dt = immobile.dettagliTecnici || {};
+    DETTAGLI_KEYS.forEach(function (key) {
+      var el = form.elements['dt-' + key];
+      if (el) el.value = dt[key] != null ? dt[key] : '';
+    });
+    dettagliAltri = {};
+    Object.keys(dt).forEach(function (key) {
+      if (DETTAGLI_KEYS.indexOf(key) === -1) dettagliAltri[key] = dt[key];
+    });
+    var traduzioni = immobile.traduzioni || {};
+    LINGUE_TRADOTTE.forEach(function (lingua) {
+      TRADOTTI_FIELDS.forEach(function (name) {
+        var el = form.elements[name + '-' + lingua];
+        if (el) el.value = (traduzioni[lingua] && traduzioni[lingua][name]) || '';
+      });
+    });
+    if (form.elements.valuta) form.elements.valuta.value = immobile.valuta || VALUTA_DEFAULT;
+    if (form.elements.prezzoSuRichiesta) form.elements.prezzoSuRichiesta.checked = immobile.prezzoSuRichiesta === true;
+    syncPrezzoSuRichiesta(form);
+    var coordinate = immobile.coordinate || {};
+    if (form.elements['coordinate-lat']) form.elements['coordinate-lat'].value = coordinate.lat != null ? coordinate.lat : '';
+    if (form.elements['coordinate-lng']) form.elements['coordinate-lng'].value = coordinate.lng != null ? coordinate.lng : '';
+    var container = document.querySelector(SELECTORS.immagini);
+    container.innerHTML = '';
+    (immobile.immagini || []).forEach(function (im) {
+      addImmagineRow(container, im);
+    });
+  }
+
+  /**
+   * Con il prezzo su richiesta, prezzo e prezzo precedente non si compilano (il server li rifiuterebbe).
+   */
+  function syncPrezzoSuRichiesta(form) {
+    var suRichiesta = form.elements.prezzoSuRichiesta;
+    if (!suRichiesta) return;
+    ['prezzo', 'prezzoPrecedente'].forEach(function (name) {
+      if (form.elements[name]) form.elements[name].disabled = suRichiesta.checked;
+    });
+  }
+
+  function showEditorStato(immobile) {
+    var el = document.querySelector(SELECTORS.editorStato);
+    if (!el) return;
+    el.innerHTML = 'Stato: <span class="badge badge--' + escapeHtml(immobile.statoAnnuncio) + '">' +
+      escapeHtml(STATO_LABELS[immobile.statoAnnuncio] || immobile.statoAnnuncio) + '</span>' +
+      ' · <a href="../immobile.html?id=' + encodeURIComponent(immobile.id) + '" target="_blank" rel="noopener">Vedi sul sito</a>';
+  }
+
+  function clearEditorErrors(form) {
+    form.querySelectorAll('.form-error').forEach(function (el) { el.remove(); });
+    form.querySelectorAll('[aria-invalid]').forEach(function (el) {
+      el.removeAttribute('aria-invalid');
+      el.classList.remove('form-input--error', 'form-textarea--error');
+    });
+  }
+
+  /**
+   * Mostra gli errori per campo restituiti dal server (422) e porta il focus sul primo.
+   */
+  function showEditorErrors(form, errors) {
+    var first = null;
+    Object.keys(errors).forEach(function (name) {
+      var el = form.elements[ERROR_FIELDS[name] || name];
+      if (!el) return;
+      var group = el.closest('.form-group');
+      el.setAttribute('aria-invalid', 'true');
+      el.classList.add(el.tagName === 'TEXTAREA' ? 'form-textarea--error' : 'form-input--error');
+      if (group) {
+        var span = document.createElement('span');
+        span.className = 'form-error';
+        span.textContent = errors[name];
+        group.appendChild(span);
+      }
+      if (!first) first = el;
+    });
+    if (first) first.focus();
+  }
+
+  function initEditor(form) {
+    var id = new URLSearchParams(window.location.search).get('id');
+    var container = document.querySelector(SELECTORS.immagini);
+
+    document.querySelector('[data-admin-add-immagine]').addEventListener('click', function () {
+      addImmagineRow(container);
+    });
+    container.addEventListener('click', function (e) {
+      var btn = e.target.closest('[data-admin-remove-immagine]');
+      if (btn) btn.closest('.admin-immagine-row').remove();
+      var sposta = e.target.closest('[data-admin-sposta-immagine]');
+      if (sposta) {
+        moveImmagineRow(sposta.closest('.admin-immagine-row'), Number(sposta.getAttribute('data-admin-sposta-immagine')), sposta);
+      }
+    });
+    container.addEventListener('change', function (e) {
+      if (e.target.matches('[data-field="tipo"], [data-field="src"]')) updateAnteprima(e.target.closest('.admin-immagine-row'));
+    });
+    var caricaInput = document.querySelector(SELECTORS.caricaImmagini);
+    if (caricaInput) {
+      caricaInput.addEventListener('change', function () {
+        if (caricaInput.files && caricaInput.files.length > 0) uploadImmagini(caricaInput, container);
+      });
+    }
+    if (form.elements.prezzoSuRichiesta) {
+      form.elements.prezzoSuRichiesta.addEventListener('change', function () {
+        syncPrezzoSuRichiesta(form);
+      });
+    }
+
+    if (id) {
+      document.querySelector(SELECTORS.editorTitle).textContent = 'Modifica immobile';
+      apiRequest('GET', '/immobili/' + encodeURIComponent(id))
+        .then(function (response) {
+          if (response.status !== 200) {
+            showMessage(response.body.errore || 'Immobile non trovato.', 'error');
+            form.style.display = 'none';
+            return;
+          }
+          fillEditor(form, response.body);
+          showEditorStato(response.body);
+        })
+        .catch(function () {
+          showMessage('Impossibile caricare l’immobile.', 'error');
+        });
+    } else {
+      addImmagineRow(container);
+    }
+
+    form.addEventListener('submit', function (e) {
+      e.preventDefault();
+      clearEditorErrors(form);
+      var request = id
+        ? apiRequest('PUT', '/immobili/' + encodeURIComponent(id), getEditorValues(form))
+        : apiRequest('POST', '/immobili', getEditorValues(form));
+      request
+        .then(function (response) {
+          if (response.status === 422 && response.body.campi) {
+            showMessage('Correggi i campi evidenziati. ' + formatCampi(response.body.campi), 'error');
+            showEditorErrors(form, response.body.campi);
+            return;
+          }
+          if (response.status >= 400) {
+            showMessage(response.body.errore || 'Salvataggio non riuscito.', 'error');
+            return;
+          }
+          if (!id) {
+            // Nuovo immobile salvato come bozza: passa alla modifica dell’id assegnato
+            window.location.href = EDITOR_PAGE + '?id=' + encodeURIComponent(response.body.immobile.id) + '&creato=1';
+            return;
+          }
+          showEditorStato(response.body.immobile);
+          showMessage('Modifiche salvate.' + formatAvvisi(response.body.avvisi), 'success');
+        })
+        .catch(function () {
+          showMessage('Impossibile contattare il server. Riprova.', 'error');
+        });
+    });
+
+    if (new URLSearchParams(window.location.search).get('creato')) {
+      showMessage('Immobile creato come bozza. Pubblicalo dall’elenco quando è pronto.', 'success');
+    }
+  }
+
+  // ---------- Visite e disponibilità (admin/visite.html) ----------
+
+  function renderVisite(table, visite) {
+    var tbody = table.querySelector('tbody');
+    if (visite.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="5">Nessuna visita prenotata.</td></tr>';
+      return;
+    }
+    var now = Date.now();
+    tbody.innerHTML = visite.map(function (v) {
+      var futura = Date.parse(v.inizioUtc) > now;
+      return '<tr>' +
+        '<td>' + escapeHtml(v.quando) + '<br><span class="form-hint">' + escapeHtml(v.durataMinuti) + ' minuti</span></td>' +
+        '<td><a href="../immobile.html?id=' + encodeURIComponent(v.immobile.id) + '" target="_blank" rel="noopener">' + escapeHtml(v.immobile.titolo) + '</a></td>' +
+        '<td>' + escapeHtml(v.nome) + '<br><a href="mailto:' + escapeHtml(v.email) + '">' + escapeHtml(v.email) + '</a><br>' +
+        '<a href="tel:' + escapeHtml(v.telefono.replace(/[^\d+]/g, '')) + '">' + escapeHtml(v.telefono) + '</a></td>' +
+        '<td><span class="badge badge--' + escapeHtml(v.stato) + '">' + escapeHtml(STATO_VISITA_LABELS[v.stato] || v.stato) + '</span></td>' +
+        '<td><div class="admin-table__actions">' + (v.stato === 'confermata' && futura
+          ? '<button type="button" class="btn btn--secondary btn--sm" data-action="annulla-visita" data-id="' + escapeHtml(v.id) + '">Annulla</button>'
+          : '') + '</div></td>' +
+        '</tr>';
+    }).join('');
+  }
+
+  function loadVisite(table) {
+    var tutte = document.querySelector(SELECTORS.visiteTutte);
+    return apiRequest('GET', '/visite' + (tutte && tutte.checked ? '?tutte=1' : '')).then(function (response) {
+      renderVisite(table, response.body.visite || []);
+    });
+  }
+
+  function initVisite(table) {
+    loadVisite(table).catch(function () {
+      showMessage('Impossibile caricare le visite.', 'error');
+    });
+    table.addEventListener('click', function (e) {
+      var btn = e.target.closest('[data-action="annulla-visita"]');
+      if (!btn || !window.confirm('Annullare la visita? Il visitatore riceverà un’email.')) return;
+      apiRequest('POST', '/visite/' + encodeURIComponent(btn.getAttribute('data-id')) + '/annulla')
+        .then(function (response) {
+          if (response.status >= 400) {
+            showMessage(response.body.errore || 'Operazione non riuscita.', 'error');
+            return;
+          }
+          showMessage('Visita di ' + response.body.nome + ' (' + response.body.quando + ') annullata.', 'success');
+          return loadVisite(table);
+        })
+        .catch(function () {
+          showMessage('Impossibile contattare il server. Riprova.', 'error');
+        });
+    });
+    var tutte = document.querySelector(SELECTORS.visiteTutte);
+    if (tutte) {
+      tutte.addEventListener('change', function () {
+        loadVisite(table);
+      });
+    }
+  }
+
+  var chiusuraCounter = 0;
+
+  /**
+   * Aggiunge una riga chiusura (dal, al, motivo) clonando il template.
+   */
+  function addChiusuraRow(container, chiusura) {
+    var template = document.querySelector(SELECTORS.chiusuraTemplate);
+    if (!template) return;
+    var row = template.content.firstElementChild.cloneNode(true);
+    chiusuraCounter++;
+    row.querySelectorAll('[data-field]').forEach(function (input) {
+      var id = 'chiusura-' + chiusuraCounter + '-' + input.getAttribute('data-field');
+      input.id = id;
+      input.closest('.form-group').querySelector('label').setAttribute('for', id);
+      input.value = (chiusura && chiusura[input.getAttribute('data-field')]) || '';
+    });
+    container.appendChild(row);
+  }
+
+  /**
+   * Fasce orarie scritte come "09:30-12:30, 15:00-18:30". Le parti non interpretabili passano
+   * così come sono: è il server a segnalarle come errore del giorno.
+   */
+  function parseFasce(value) {
+    return value.split(',').map(function (part) {
+      return part.trim();
+    }).filter(Boolean).map(function (part) {
+      var ore = part.split(/\s*[-–]\s*/);
+      return { dalle: ore[0], alle: ore[1] || '' };
+    });
+  }
+
+  function formatFasce(fasce) {
+    return (fasce || []).map(function (f) {
+      return f.dalle + '-' + f.alle;
+    }).join(', ');
+  }
+
+  function fillDisponibilita(form, config) {
+    DISPONIBILITA_FIELDS.forEach(function (name) {
+      form.elements[name].value = config[name] != null ? config[name] : '';
+    });
+    GIORNI.forEach(function (giorno) {
+      form.elements['settimana.' + giorno].value = formatFasce((config.settimana || {})[giorno]);
+    });
+    var container = document.querySelector(SELECTORS.chiusure);
+    container.innerHTML = '';
+    (config.chiusure || []).forEach(function (c) {
+      addChiusuraRow(container, c);
+    });
+  }
+
+  /**
+   * Valori del form nel formato di PUT /api/admin/disponibilita. Le righe chiusura compilate
+   * ricevono il name "chiusure.<indice>" per mostrare sul campo giusto gli errori del server.
+   */
+  function getDisponibilitaValues(form) {
+    var values = { settimana: {}, chiusure: [] };
+    DISPONIBILITA_FIELDS.forEach(function (name) {
+      var value = form.elements[name].value.trim();
+      values[name] = name === 'fusoOrario' ? value : Number(value);
+    });
+    GIORNI.forEach(function (giorno) {
+      values.settimana[giorno] = parseFasce(form.elements['settimana.' + giorno].value);
+    });
+    form.querySelectorAll('.admin-chiusura-row').forEach(function (row) {
+      var dal = row.querySelector('[data-field="dal"]');
+      var al = row.querySelector('[data-field="al"]').value;
+      var motivo = row.querySelector('[data-field="motivo"]').value.trim();
+      dal.removeAttribute('name');
+      if (!dal.value && !al && !motivo) return;
+      dal.name = 'chiusure.' + values.chiusure.length;
+      values.chiusure.push({ dal: dal.value, al: al, motivo: motivo });
+    });
+    return values;
+  }
+
+  function initDisponibilita(form) {
+    var container = document.querySelector(SELECTORS.chiusure);
+    document.querySelector('[data-admin-add-chiusura]').addEventListener('click', function () {
+      addChiusuraRow(container);
+      container.lastElementChild.querySelector('input').focus();
+    });
+    container.addEventListener('click', function (e) {
+      var btn = e.target.closest('[data-admin-remove-chiusura]');
+      if (btn) btn.closest('.admin-chiusura-row').remove();
+    });
+
+    apiRequest('GET', '/disponibilita')
+      .then(function (response) {
+        fillDisponibilita(form, response.body);
+      })
+      .catch(function () {
+        showMessage('Impossibile caricare la disponibilità.', 'error');
+      });
+
+    form.addEventListener('submit', function (e) {
+      e.preventDefault();
+      clearEditorErrors(form);
+      apiRequest('PUT', '/disponibilita', getDisponibilitaValues(form))
+        .then(function (response) {
+          if (response.status === 422 && response.body.campi) {
+            showMessage('Correggi i campi evidenziati. ' + formatCampi(response.body.campi), 'error');
+            showEditorErrors(form, response.body.campi);
+            return;
+          }
+          if (response.status >= 400) {
+            showMessage(response.body.errore || 'Salvataggio non riuscito.', 'error');
+            return;
+          }
+          fillDisponibilita(form, response.body);
+          showMessage('Disponibilità salvata: le prenotazioni già fatte restano valide.', 'success');
+        })
+        .catch(function () {
+          showMessage('Impossibile contattare il server. Riprova.', 'error');
+        });
+    });
+  }
+
+  // ---------- Avvio ----------
+
+  function initLogout() {
+    document.querySelectorAll('[data-admin-logout]').forEach(function (btn) {
+      btn.addEventListener('click', function () {
+        apiRequest('POST', '/logout').then(function () {
+          window.location.href = LOGIN_PAGE;
+        });
+      });
+    });
+  }
+
+  /**
+   * Avvio: pagina di login oppure, previa verifica della sessione, elenco o editor.
+   */
+  // ---------- Immagini non usate (admin/index.html) ----------
+
+  /**
+   * Elenca i file caricati che nessun immobile usa più; la sezione resta nascosta se non ce ne sono.
+   */
+  function loadOrfane(section) {
+    return apiRequest('GET', '/immagini/orfane').then(function (response) {
+      var orfane = response.body.orfane || [];
+      section.hidden = orfane.length === 0;
+      section.querySelector('.admin-orfane').innerHTML = orfane.map(function (file) {
+        return '<li>' +
+          '<img src="../' + escapeHtml(file.src) + '" alt="" width="80" height="60" loading="lazy">' +
+          '<span>' + escapeHtml(file.nome) + ' · ' + Math.ceil(file.byte / 1024) + ' KB · caricata il ' +
+          new Date(file.caricato).toLocaleDateString('it-IT') + '</span>' +
+          '<button type="button" class="btn btn-secondary" data-admin-elimina-orfana="' + escapeHtml(file.nome) + '">Elimina</button>' +
+          '</li>';
+      }).join('');
+    });
+  }
+
+  function initOrfane(section) {
+    loadOrfane(section).catch(function () {});
+    section.addEventListener('click', function (e) {
+      var btn = e.target.closest('[data-admin-elimina-orfana]');
+      if (!btn) return;
+      var nome = btn.getAttribute('data-admin-elimina-orfana');
+      if (!window.confirm('Eliminare definitivamente ' + nome + '?')) return;
+      apiRequest('DELETE', '/immagini/' + encodeURIComponent(nome))
+        .then(function (response) {
+          if (response.status >= 400) {
+            showMessage(response.body.errore || 'Eliminazione non riuscita.', 'error');
+          } else {
+            showMessage('Immagine ' + nome + ' eliminata.', 'success');
+          }
+          return loadOrfane(section);
+        })
+        .catch(function () {
+          showMessage('Impossibile contattare il server. Riprova.', 'error');
+        });
+    });
+  }
+
+  function boot() {
+    var loginForm = document.querySelector(SELECTORS.loginForm);
+    if (loginForm) {
+      initLogin(loginForm);
+      return;
+    }
+
+    initLogout();
+    apiRequest('GET', '/sessione')
+      .then(function () {
+        var table = document.querySelector(SELECTORS.table);
+        var editorForm = document.querySelector(SELECTORS.editorForm);
+        if (table) initList(table);
+        if (editorForm) initEditor(editorForm);
+        var visiteTable = document.querySelector(SELECTORS.visiteTable);
+        var disponibilitaForm = document.querySelector(SELECTORS.disponibilitaForm);
+        if (visiteTable) initVisite(visiteTable);
+        if (disponibilitaForm) initDisponibilita(disponibilitaForm);
+        var orfane = document.querySelector(SELECTORS.orfane);
+        if (orfane) initOrfane(orfane);
+      })
+      .catch(function () {});
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', boot);
+  } else {
+    boot();
+  }
+})();
@@ -0,0 +1,236 @@
+/**
+ * agenzia.js - Dati e marchio dell’agenzia (nome, logo, contatti, indirizzo, social, colori, lingua)
+ * Unico punto in cui stanno i dati dell’agenzia usati da pagine e script: intestazione e piè di
+ * pagina (elementi con data-agenzia="campo", vedi buildContenuti), nome nei title, colori che
+ * sostituiscono quelli di variables.css, JSON-LD RealEstateAgent e venditore degli annunci
+ * (vedi Annunci.buildJsonLdAnnuncio).
+ * Condiviso tra browser (esposto come window.Agenzia, da caricare per primo: anche i18n.js ne usa la
+ * lingua predefinita) e server (Backend/agenzie.js e Backend/pagine.js, via require).
+ *
+ * CONFIG è l’agenzia del template: vale per i siti pubblicati senza il server e come default dei
+ * campi mancanti. Con il server le agenzie stanno in data/agenzie.json, una per dominio: le pagine
+ * ricevono i dati di quella della richiesta (script application/json #agenzia-dati), letti da getConfig().
+ *
+ * API pubblica: CAMPI, normalizza(dati), getConfig(), getTitoloPagina(titolo, [agenzia]),
+ * buildContenuti(agenzia, [radice]), buildCss(agenzia), getIdJsonLd(base), buildJsonLdAgenzia(agenzia, base)
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Agenzia = factory();
+  }
+})(this, function () {
+  'use strict';
+
+  /**
+   * Agenzia del template. telefono in formato internazionale; indirizzo.paese come codice ISO 3166
+   * (es. "IT"), usato anche per gli indirizzi degli immobili; areaServita: paese servito;
+   * logo: percorso relativo alla radice del sito ('' = nome in testo); social: indirizzi dei profili
+   * per rete (vedi NOMI_SOCIAL); colori: variabili di variables.css senza "--" (es. "color-primary");
+   * lingua: lingua predefinita del sito (una di I18n.LINGUE).
+   */
+  var CONFIG = {
+    nome: 'Agenzia Immobiliare',
+    descrizione: 'Vendita e affitto di immobili. Consulenza professionale e trasparente.',
+    logo: '',
+    telefono: '+39 02 1234567',
+    email: 'info@example.com',
+    indirizzo: {
+      via: 'Via Example 1',
+      cap: '20100',
+      citta: 'Milano',
+      provincia: 'MI',
+      paese: 'IT'
+    },
+    areaServita: 'Italia',
+    social: {},
+    colori: {},
+    lingua: 'it'
+  };
+
+  /** Campi dei dati dell’agenzia (gli altri campi di data/agenzie.json restano al server) */
+  var CAMPI = Object.keys(CONFIG);
+
+  /** Reti social nel piè di pagina e nel JSON-LD, nell’ordine in cui compaiono */
+  var NOMI_SOCIAL = {
+    facebook: 'Facebook',
+    instagram: 'Instagram',
+    linkedin: 'LinkedIn',
+    youtube: 'YouTube',
+    tiktok: 'TikTok',
+    x: 'X'
+  };
+
+  /** Id dello script con i dati dell’agenzia nelle pagine servite dal server */
+  var DATI_ID = 'agenzia-dati';
+
+  var configPagina = null;
+
+  function escapeHtml(str) {
+    return String(str == null ? '' : str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Dati completi dell’agenzia: i campi di dati (solo quelli di CAMPI) sopra quelli di CONFIG;
+   * l’indirizzo si completa campo per campo.
+   * @param {Object} [dati]
+   * @returns {Object}
+   */
+  function normalizza(dati) {
+    dati = dati || {};
+    var agenzia = {};
+    CAMPI.forEach(function (campo) {
+      agenzia[campo] = dati[campo] != null ? dati[campo] : CONFIG[campo];
+    });
+    agenzia.indirizzo = Object.assign({}, CONFIG.indirizzo, dati.indirizzo);
+    return agenzia;
+  }
+
+  /**
+   * Agenzia della pagina: nel browser quella inviata dal server (#agenzia-dati) o, senza server,
+   * CONFIG; sul server CONFIG (l’agenzia di ogni richiesta la sceglie Backend/agenzie.js).
+   * @returns {Object}
+   */
+  function getConfig() {
+    if (configPagina) return configPagina;
+    var dati = null;
+    var el = typeof document !== 'undefined' ? document.getElementById(DATI_ID) : null;
+    if (el) {
+      try {
+        dati = JSON.parse(el.textContent).dati;
+      } catch (e) {
+        // Dati non leggibili: restano quelli del template
+      }
+    }
+    configPagina = normalizza(dati);
+    return configPagina;
+  }
+
+  /**
+   * Title della pagina con il nome dell’agenzia come ultima parte: nei template e nei cataloghi
+   * i title finiscono con " | " e il nome (o il segnaposto {agenzia}), qui sostituito.
+   * Applicata più volte dà lo stesso risultato.
+   * @param {string} titolo - Es. "Contatti | {agenzia}"
+   * @param {Object} [agenzia] - Default getConfig()
+   * @returns {string} Es. "Contatti | Agenzia Immobiliare"
+   */
+  function getTitoloPagina(titolo, agenzia) {
+    var nome = (agenzia || getConfig()).nome;
+    var base = String(titolo || '').replace(/\s*\|[^|]*$/, '');
+    return base ? base + ' | ' + nome : nome;
+  }
+
+  /** Indirizzo su una riga: "Via Example 1, 20100 Milano (MI)" */
+  function formatIndirizzo(indirizzo) {
+    var localita = [indirizzo.cap, indirizzo.citta].filter(Boolean).join(' ');
+    if (localita && indirizzo.provincia) localita += ' (' + indirizzo.provincia + ')';
+    return [indirizzo.via, localita].filter(Boolean).join(', ');
+  }
+
+  /**
+   * Contenuto degli elementi con data-agenzia="campo", uguale nel browser (main.js) e sul server
+   * (Backend/pagine.js): html interno, href per i link e, per gli elementi che senza dati restano
+   * nascosti, visibile. Campi: nome, logo (immagine o nome), indirizzo, via, telefono, email, social.
+   * @param {Object} agenzia
+   * @param {string} [radice] - Percorso della radice del sito dalla pagina (es. "../"), per il logo
+   * @returns {Object<string, { html: string, href?: string, visibile?: boolean }>}
+   */
+  function buildContenuti(agenzia, radice) {
+    var nome = escapeHtml(agenzia.nome);
+    var indirizzo = agenzia.indirizzo || {};
+    var social = agenzia.social || {};
+    var vociSocial = Object.keys(NOMI_SOCIAL).filter(function (rete) {
+      return /^https?:\/\//.test(social[rete] || '');
+    }).map(function (rete) {
+      return '<li><a href="' + escapeHtml(social[rete]) + '" rel="noopener me" target="_blank">' + NOMI_SOCIAL[rete] + '</a></li>';
+    });
+    return {
+      nome: { html: nome },
+      logo: {
+        html: agenzia.logo
+          ? '<img src="' + escapeHtml((radice || '') + agenzia.logo) + '" alt="' + nome + '" class="layout-header__logo-img">'
+          : nome
+      },
+      indirizzo: { html: escapeHtml(formatIndirizzo(indirizzo)) },
+      via: { html: escapeHtml(indirizzo.via) },
+      telefono: { html: escapeHtml(agenzia.telefono), href: 'tel:' + String(agenzia.telefono || '').replace(/[^\d+]/g, '') },
+      email: { html: escapeHtml(agenzia.email), href: 'mailto:' + agenzia.email },
+      social: { html: vociSocial.join(''), visibile: vociSocial.length > 0 }
+    };
+  }
+
+  /**
+   * Regola CSS con i colori dell’agenzia, da inserire dopo i fogli di stile: le variabili
+   * ridefinite in :root prevalgono su quelle di variables.css. Nomi e valori non validi sono ignorati.
+   * @param {Object} agenzia
+   * @returns {string} '' senza colori
+   */
+  function buildCss(agenzia) {
+    var colori = agenzia.colori || {};
+    var dichiarazioni = Object.keys(colori).filter(function (nome) {
+      return /^[a-z0-9-]+$/i.test(nome) && /^[^;{}<>]+$/.test(String(colori[nome]));
+    }).map(function (nome) {
+      return '--' + nome + ': ' + String(colori[nome]).trim() + ';';
+    });
+    return dichiarazioni.length > 0 ? ':root { ' + dichiarazioni.join(' ') + ' }' : '';
+  }
+
+  /**
+   * Identificativo dell’agenzia nei JSON-LD (@id): gli annunci vi fanno riferimento come venditore.
+   * @param {string} base - Indirizzo assoluto della radice del sito, con "/" finale
+   */
+  function getIdJsonLd(base) {
+    return base + '#agency';
+  }
+
+  /**
+   * JSON-LD RealEstateAgent (Schema.org) dell’agenzia.
+   * @param {Object} agenzia
+   * @param {string} base - Indirizzo assoluto della radice del sito, con "/" finale
+   * @returns {Object}
+   */
+  function buildJsonLdAgenzia(agenzia, base) {
+    var indirizzo = agenzia.indirizzo || {};
+    var social = agenzia.social || {};
+    var schema = {
+      '@context': 'https://schema.org',
+      '@type': 'RealEstateAgent',
+      '@id': getIdJsonLd(base),
+      name: agenzia.nome,
+      description: agenzia.descrizione,
+      url: base + 'index.html'
+    };
+    if (agenzia.logo) schema.logo = new URL(agenzia.logo, base).href;
+    if (agenzia.telefono) schema.telephone = agenzia.telefono;
+    if (agenzia.email) schema.email = agenzia.email;
+    schema.address = {
+      '@type': 'PostalAddress',
+      streetAddress: indirizzo.via,
+      addressLocality: indirizzo.citta,
+      addressRegion: indirizzo.provincia,
+      postalCode: indirizzo.cap,
+      addressCountry: indirizzo.paese
+    };
+    if (agenzia.areaServita) schema.areaServed = { '@type': 'Country', name: agenzia.areaServita };
+    var profili = Object.keys(NOMI_SOCIAL).map(function (rete) { return social[rete]; }).filter(Boolean);
+    if (profili.length > 0) schema.sameAs = profili;
+    return schema;
+  }
+
+  return {
+    CAMPI: CAMPI,
+    normalizza: normalizza,
+    getConfig: getConfig,
+    getTitoloPagina: getTitoloPagina,
+    buildContenuti: buildContenuti,
+    buildCss: buildCss,
+    getIdJsonLd: getIdJsonLd,
+    buildJsonLdAgenzia: buildJsonLdAgenzia
+  };
+});
@@ -0,0 +1,1252 @@
+/**
+ * annunci.js - Modulo condiviso degli annunci immobiliari
+ * Unica fonte per accesso ai dati, filtri/ordinamento, formattazione e card HTML degli immobili.
+ * Condiviso tra browser (main.js, immobili.js e ogni nuova pagina, esposto come window.Annunci)
+ * e server (Backend/immobili.js e Backend/pagine.js, via require): filtri e ordinamento dell’API
+ * e il markup delle pagine generate dal server sono gli stessi usati qui, e si possono provare
+ * in Node senza browser.
+ *
+ * API pubblica:
+ * - Dati: API_PATH, buildQueryString(filters), describeFiltri(filters), fetchElenco(filters), fetchImmobile(id),
+ *   getDatiServer(id), localizzaImmobile(immobile, lingua), getSlugImmobile(immobile), getUrlImmobile(immobile)
+ * - Filtri: CONTRATTI, ORDINI, CLASSI_ENERGETICHE, CARATTERISTICHE, PREZZO_PRESET, PER_PAGINA_DEFAULT, PER_PAGINA_MAX,
+ *   parseQuery(query), filterImmobili(list, filters), sortImmobili(list, ordine), getOpzioniFiltri(list), validaFiltri(filters, opzioni),
+ *   queryImmobili(list, filters), findImmobileById(list, id), normalizeText(str), hasCaratteristica(item, key), hasCoordinate(item), parseIds(str),
+ *   buildOpzioniFiltriHtml(opzioni, filters)
+ * - Elenco: getRisultatiTesto(totale, [da], [a]), buildPagerHtml(pagina, pagine, getHref)
+ * - Formattazione (Intl, nella lingua corrente): VALUTA_DEFAULT, escapeHtml(str), getValuta(immobile), formatImporto(importo, [valuta]),
+ *   formatNumero(n), formatSuperficie(mq), formatLocali(n), formatData(aaaa-mm-gg), isPrezzoSuRichiesta(immobile), getPrezzoPrecedente(immobile),
+ *   formatPrezzo(immobile), formatPrezzoPrecedente(immobile), buildPrezzoHtml(immobile), getBadge(tipologia),
+ *   getMetaLine(immobile), getDettagliTecniciList(immobile), getDettaglioLabel(key), getPrezzoAlMq(immobile), formatPrezzoAlMq(immobile)
+ * - Immagini: PLACEHOLDER_IMMAGINE, getPrimaImmagine(immobile), buildImmagineHtml(img, options) (srcset e picture)
+ * - Confronto: CONFRONTO_MIN, CONFRONTO_MAX, getConfrontoRighe(list)
+ * - Card: buildCardHtml(immobile, [options]), buildPreferitoHtml(immobile, [options])
+ * - Scheda: getMetaImmobile(immobile), buildSchedaHtml(immobile), buildJsonLdAnnuncio(immobile, url, base, [agenzia]),
+ *   buildJsonLdBreadcrumb(immobile, url, base)
+ * Le funzioni che non usano fetch o document non dipendono dal DOM.
+ * Etichette e testi sono nella lingua corrente di i18n.js (da caricare prima di questo script);
+ * sul server sono in italiano, o nella lingua indicata con I18n.conLingua().
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./i18n'));
+  } else {
+    root.Annunci = factory(root.I18n);
+  }
+})(this, function (I18n) {
+  'use strict';
+
+  /** Endpoint dell’API pubblica, relativo alle pagine del sito */
+  var API_PATH = 'api/immobili';
+
+  var CONTRATTI = ['vendita', 'affitto'];
+  var ORDINI = ['recente', 'prezzo-crescente', 'prezzo-decrescente'];
+  var PER_PAGINA_DEFAULT = 12;
+  var PER_PAGINA_MAX = 100;
+
+  /** Immobili confrontabili insieme (confronto.html) */
+  var CONFRONTO_MIN = 2;
+  var CONFRONTO_MAX = 4;
+
+  /** Classi energetiche dalla migliore alla peggiore (il filtro "almeno C" accetta C e le precedenti) */
+  var CLASSI_ENERGETICHE = ['A4', 'A3', 'A2', 'A1', 'A+', 'A', 'B', 'C', 'D', 'E', 'F', 'G'];
+
+  /** Chiavi di dettagliTecnici usabili come filtro sì/no */
+  var CARATTERISTICHE = ['giardino', 'terrazzo', 'garage', 'postiAuto'];
+
+  /**
+   * Valori suggeriti per le fasce di prezzo: prezzo totale per la vendita, canone mensile per l’affitto.
+   */
+  var PREZZO_PRESET = {
+    vendita: [50000, 100000, 150000, 200000, 300000, 400000, 500000, 750000, 1000000],
+    affitto: [300, 500, 750, 1000, 1250, 1500, 2000, 3000]
+  };
+
+  /** Valuta dei prezzi senza campo valuta e delle fasce di prezzo dei filtri (codice ISO 4217) */
+  var VALUTA_DEFAULT = 'EUR';
+
+  /** Lunghezza massima della ricerca libera */
+  var TESTO_MAX = 100;
+
+  /** Decimali delle coordinate dell’area nei link (circa un metro) */
+  var AREA_DECIMALI = 5;
+
+  /** Lunghezza massima di un id nel parametro ids */
+  var ID_MAX = 50;
+
+  /** Lunghezza massima della parte descrittiva dell’indirizzo di una scheda (dal titolo) */
+  var SLUG_MAX = 80;
+
+  /** Pagine numerate mostrate attorno a quella corrente nel pager */
+  var PAGER_INTORNO = 1;
+
+  /** Immagine degli annunci senza foto (la sua presenza è controllata da Backend/validazione-immobili.js) */
+  var PLACEHOLDER_IMMAGINE = 'assets/img/placeholders/placeholder.jpg';
+
+  /** Larghezza occupata dall’immagine di una card (attributo sizes): griglia a 1, 2 o 3 colonne (layout.css) */
+  var SIZES_CARD = '(min-width: 1024px) 33vw, (min-width: 640px) 50vw, 100vw';
+
+  /** Chiavi note di dettagliTecnici, nell’ordine di schede e confronto (etichette: 'dettaglio.<chiave>' in i18n.js) */
+  var DETTAGLI_KEYS = ['piano', 'riscaldamento', 'classeEnergetica', 'annoCostruzione', 'stato', 'giardino', 'postiAuto', 'terrazzo', 'garage'];
+
+  // ---------- Filtri e ordinamento ----------
+
+  /**
+   * Interpreta un intero non negativo dalla query string.
+   * @returns {number|null} null se assente o non valido
+   */
+  function parseIntParam(value) {
+    if (value == null || value === '') return null;
+    var n = parseInt(value, 10);
+    return isNaN(n) || n < 0 ? null : n;
+  }
+
+  /**
+   * Testo senza accenti, minuscolo e con spazi normalizzati (per la ricerca libera).
+   */
+  function normalizeText(str) {
+    return String(str == null ? '' : str)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Classe energetica normalizzata ("a+" -> "A+"), o '' se non è nella scala.
+   */
+  function normalizeClasse(value) {
+    var classe = String(value == null ? '' : value).trim().toUpperCase();
+    return CLASSI_ENERGETICHE.indexOf(classe) !== -1 ? classe : '';
+  }
+
+  /**
+   * Vero se l’immobile ha la caratteristica (es. giardino: "Sì", garage: "2 posti"); "No" o assente = falso.
+   */
+  function hasCaratteristica(item, key) {
+    var value = item.dettagliTecnici && item.dettagliTecnici[key];
+    if (value == null) return false;
+    var str = normalizeText(value);
+    return str !== '' && str !== '0' && !/^no\b/.test(str);
+  }
+
+  /**
+   * Vero se l’immobile ha coordinate utilizzabili sulla mappa.
+   */
+  function hasCoordinate(item) {
+    var c = item && item.coordinate;
+    return !!c && typeof c.lat === 'number' && typeof c.lng === 'number' && isFinite(c.lat) && isFinite(c.lng);
+  }
+
+  /**
+   * Interpreta l’area della mappa "sud,ovest,nord,est" (gradi decimali).
+   * @returns {{ sud: number, ovest: number, nord: number, est: number }|null} null se assente o non valida
+   */
+  function parseArea(value) {
+    if (!value) return null;
+    var parts = String(value).split(',').map(Number);
+    if (parts.length !== 4 || parts.some(function (n) { return !isFinite(n); })) return null;
+    var area = { sud: parts[0], ovest: parts[1], nord: parts[2], est: parts[3] };
+    if (area.sud >= area.nord || area.ovest >= area.est) return null;
+    if (area.sud < -90 || area.nord > 90 || area.ovest < -180 || area.est > 180) return null;
+    return area;
+  }
+
+  /**
+   * Interpreta un elenco di id separati da virgola ("1,4,7"): senza duplicati, al massimo PER_PAGINA_MAX.
+   * @returns {Array<string>}
+   */
+  function parseIds(value) {
+    var ids = [];
+    String(value || '').split(',').forEach(function (id) {
+      id = id.trim();
+      if (id && id.length <= ID_MAX && ids.indexOf(id) === -1 && ids.length < PER_PAGINA_MAX) ids.push(id);
+    });
+    return ids;
+  }
+
+  /**
+   * Legge filtri, ordinamento e paginazione da una query string.
+   * Valori non validi vengono ignorati (si usa il default).
+   * I nomi dei parametri coincidono con i campi del form filtri di immobili.html;
+   * caratteristiche si ripete (caratteristiche=giardino&caratteristiche=garage).
+   * prezzo-min/max valgono per le vendite, canone-min/max (mensile) per gli affitti; nei link
+   * precedenti con contratto=affitto e solo prezzo-min/max, questi sono letti come canone.
+   * area ("sud,ovest,nord,est") limita i risultati agli immobili con coordinate in quel rettangolo;
+   * ids ("1,4,7") a quelli con gli id indicati (es. preferiti).
+   * @param {URLSearchParams} query
+   * @returns {{ contratto: string, prezzoMin: number|null, prezzoMax: number|null, canoneMin: number|null, canoneMax: number|null, localita: string, tipoImmobile: string, superficieMin: number|null, superficieMax: number|null, localiMin: number|null, classeEnergetica: string, caratteristiche: Array<string>, testo: string, area: Object|null, ids: Array<string>, ordine: string, pagina: number, perPagina: number }}
+   */
+  function parseQuery(query) {
+    var contratto = query.get('contratto') || '';
+    var ordine = query.get('ordine') || '';
+    var pagina = parseIntParam(query.get('pagina'));
+    var perPagina = parseIntParam(query.get('per-pagina'));
+    var caratteristiche = [];
+    query.getAll('caratteristiche').forEach(function (key) {
+      if (CARATTERISTICHE.indexOf(key) !== -1 && caratteristiche.indexOf(key) === -1) caratteristiche.push(key);
+    });
+    var prezzoMin = parseIntParam(query.get('prezzo-min'));
+    var prezzoMax = parseIntParam(query.get('prezzo-max'));
+    var canoneMin = parseIntParam(query.get('canone-min'));
+    var canoneMax = parseIntParam(query.get('canone-max'));
+    if (contratto === 'affitto' && canoneMin == null && canoneMax == null) {
+      canoneMin = prezzoMin;
+      canoneMax = prezzoMax;
+    }
+    // Con un solo contratto la fascia dell’altro non ha effetto: la si scarta
+    if (contratto === 'affitto') {
+      prezzoMin = null;
+      prezzoMax = null;
+    } else if (contratto === 'vendita') {
+      canoneMin = null;
+      canoneMax = null;
+    }
+    return {
+      contratto: CONTRATTI.indexOf(contratto) !== -1 ? contratto : '',
+      prezzoMin: prezzoMin,
+      prezzoMax: prezzoMax,
+      canoneMin: canoneMin,
+      canoneMax: canoneMax,
+      localita: query.get('localita') || '',
+      tipoImmobile: query.get('tipo-immobile') || '',
+      superficieMin: parseIntParam(query.get('superficie-min')),
+      superficieMax: parseIntParam(query.get('superficie-max')),
+      localiMin: parseIntParam(query.get('locali-min')),
+      classeEnergetica: normalizeClasse(query.get('classe-energetica')),
+      caratteristiche: caratteristiche,
+      testo: (query.get('q') || '').trim().slice(0, TESTO_MAX),
+      area: parseArea(query.get('area')),
+      ids: parseIds(query.get('ids')),
+      ordine: ORDINI.indexOf(ordine) !== -1 ? ordine : 'recente',
+      pagina: pagina && pagina > 0 ? pagina : 1,
+      perPagina: perPagina && perPagina > 0 ? Math.min(perPagina, PER_PAGINA_MAX) : PER_PAGINA_DEFAULT
+    };
+  }
+
+  /**
+   * Costruisce la query string dell’API a partire dai filtri (inverso di parseQuery).
+   * Include solo i valori impostati.
+   * @param {Object} filters - stesse chiavi restituite da parseQuery (tutte facoltative)
+   * @returns {string} Senza "?" iniziale
+   */
+  function buildQueryString(filters) {
+    var params = [];
+    function add(name, value) {
+      params.push(encodeURIComponent(name) + '=' + encodeURIComponent(value));
+    }
+    if (filters.contratto) add('contratto', filters.contratto);
+    if (filters.prezzoMin != null && !isNaN(filters.prezzoMin)) add('prezzo-min', String(filters.prezzoMin));
+    if (filters.prezzoMax != null && !isNaN(filters.prezzoMax)) add('prezzo-max', String(filters.prezzoMax));
+    if (filters.canoneMin != null && !isNaN(filters.canoneMin)) add('canone-min', String(filters.canoneMin));
+    if (filters.canoneMax != null && !isNaN(filters.canoneMax)) add('canone-max', String(filters.canoneMax));
+    if (filters.localita) add('localita', filters.localita);
+    if (filters.tipoImmobile) add('tipo-immobile', filters.tipoImmobile);
+    if (filters.superficieMin != null && !isNaN(filters.superficieMin)) add('superficie-min', String(filters.superficieMin));
+    if (filters.superficieMax != null && !isNaN(filters.superficieMax)) add('superficie-max', String(filters.superficieMax));
+    if (filters.localiMin != null && !isNaN(filters.localiMin)) add('locali-min', String(filters.localiMin));
+    if (filters.classeEnergetica) add('classe-energetica', filters.classeEnergetica);
+    (filters.caratteristiche || []).forEach(function (key) {
+      add('caratteristiche', key);
+    });
+    if (filters.testo) add('q', filters.testo);
+    if (filters.area) {
+      var a = filters.area;
+      // Virgole lasciate in chiaro: il link resta leggibile
+      params.push('area=' + [a.sud, a.ovest, a.nord, a.est].map(function (n) {
+        return n.toFixed(AREA_DECIMALI);
+      }).join(','));
+    }
+    if (filters.ids && filters.ids.length > 0) {
+      params.push('ids=' + filters.ids.map(encodeURIComponent).join(','));
+    }
+    if (filters.ordine) add('ordine', filters.ordine);
+    if (filters.pagina && filters.pagina > 1) add('pagina', String(filters.pagina));
+    if (filters.perPagina) add('per-pagina', String(filters.perPagina));
+    return params.join('&');
+  }
+
+  /**
+   * Descrizione leggibile dei filtri impostati (ordinamento e paginazione esclusi), es. per
+   * riepilogare una ricerca salvata: ["Affitto", "Milano", "Canone fino a 1500 €/mese"] (nella lingua corrente).
+   * @param {Object} filters - stesse chiavi restituite da parseQuery
+   * @returns {Array<string>} Vuoto se non c’è alcun filtro
+   */
+  function describeFiltri(filters) {
+    var parts = [];
+    function fascia(label, min, max, suffix) {
+      var params = { label: label, min: min != null ? formatImporto(min) + suffix : '', max: max != null ? formatImporto(max) + suffix : '' };
+      if (min != null && max != null) parts.push(I18n.t('filtri.da_a', params));
+      else if (min != null) parts.push(I18n.t('filtri.da', params));
+      else if (max != null) parts.push(I18n.t('filtri.fino_a', params));
+    }
+    if (filters.contratto) parts.push(getBadge(filters.contratto).text);
+    if (filters.localita) parts.push(filters.localita);
+    if (filters.tipoImmobile) parts.push(filters.tipoImmobile);
+    fascia(I18n.t('filtri.prezzo'), filters.prezzoMin, filters.prezzoMax, '');
+    fascia(I18n.t('filtri.canone'), filters.canoneMin, filters.canoneMax, I18n.t('prezzo.al_mese'));
+    if (filters.superficieMin != null && filters.superficieMax != null) parts.push(I18n.t('filtri.superficie_da_a', { min: filters.superficieMin, max: filters.superficieMax }));
+    else if (filters.superficieMin != null) parts.push(I18n.t('filtri.superficie_min', { n: filters.superficieMin }));
+    else if (filters.superficieMax != null) parts.push(I18n.t('filtri.superficie_max', { n: filters.superficieMax }));
+    if (filters.localiMin != null) parts.push(I18n.tn('filtri.locali_min', filters.localiMin));
+    if (filters.classeEnergetica) parts.push(I18n.t('filtri.classe', { classe: filters.classeEnergetica }));
+    (filters.caratteristiche || []).forEach(function (key) {
+      parts.push(getDettaglioLabel(key));
+    });
+    if (filters.testo) parts.push('“' + filters.testo + '”');
+    if (filters.area) parts.push(I18n.t('filtri.area'));
+    return parts;
+  }
+
+  /**
+   * Fascia di prezzo da applicare a un immobile: prezzo per la vendita, canone mensile per l’affitto.
+   * Così con "tutti i contratti" un affitto non viene mai confrontato con una soglia di vendita.
+   * @returns {{ min: number|null, max: number|null }}
+   */
+  function getFasciaPrezzo(filters, tipologia) {
+    if (tipologia === 'affitto') return { min: filters.canoneMin, max: filters.canoneMax };
+    return { min: filters.prezzoMin, max: filters.prezzoMax };
+  }
+
+  /**
+   * Applica i filtri all’array di immobili.
+   * @param {Array} immobili
+   * @param {Object} filters - output di parseQuery
+   * @returns {Array}
+   */
+  function filterImmobili(immobili, filters) {
+    var soglia = filters.classeEnergetica ? CLASSI_ENERGETICHE.indexOf(filters.classeEnergetica) : -1;
+    var parole = filters.testo ? normalizeText(filters.testo).split(' ') : [];
+    var ids = filters.ids || [];
+    return immobili.filter(function (item) {
+      if (ids.length > 0 && ids.indexOf(String(item.id)) === -1) return false;
+      if (filters.contratto && item.tipologia !== filters.contratto) return false;
+      var fascia = getFasciaPrezzo(filters, item.tipologia);
+      if (fascia.min != null || fascia.max != null) {
+        // Un prezzo su richiesta non rientra in nessuna fascia
+        if (isPrezzoSuRichiesta(item)) return false;
+        if (fascia.min != null && item.prezzo < fascia.min) return false;
+        if (fascia.max != null && item.prezzo > fascia.max) return false;
+      }
+      if (filters.localita && item.citta !== filters.localita) return false;
+      if (filters.tipoImmobile && (item.tipoImmobile || '') !== filters.tipoImmobile) return false;
+      var superficie = typeof item.superficie === 'number' ? item.superficie : 0;
+      if (filters.superficieMin != null && superficie < filters.superficieMin) return false;
+      if (filters.superficieMax != null && superficie > filters.superficieMax) return false;
+      if (filters.localiMin != null && (typeof item.locali === 'number' ? item.locali : 0) < filters.localiMin) return false;
+      if (soglia !== -1) {
+        var classe = CLASSI_ENERGETICHE.indexOf(normalizeClasse(item.dettagliTecnici && item.dettagliTecnici.classeEnergetica));
+        if (classe === -1 || classe > soglia) return false;
+      }
+      if (filters.area) {
+        if (!hasCoordinate(item)) return false;
+        var c = item.coordinate;
+        if (c.lat < filters.area.sud || c.lat > filters.area.nord || c.lng < filters.area.ovest || c.lng > filters.area.est) return false;
+      }
+      var caratteristiche = filters.caratteristiche || [];
+      for (var i = 0; i < caratteristiche.length; i++) {
+        if (!hasCaratteristica(item, caratteristiche[i])) return false;
+      }
+      if (parole.length > 0) {
+        // Tutte le parole cercate devono comparire in titolo o descrizione
+        var testo = normalizeText((item.titolo || '') + ' ' + (item.descrizione || ''));
+        for (var j = 0; j < parole.length; j++) {
+          if (testo.indexOf(parole[j]) === -1) return false;
+        }
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Ordina l’array in base al criterio scelto.
+   * @param {Array} immobili
+   * @param {string} ordine - 'prezzo-crescente' | 'prezzo-decrescente' | 'recente'
+   * @returns {Array} Nuovo array ordinato (non muta l’originale)
+   */
+  function sortImmobili(immobili, ordine) {
+    var list = immobili.slice();
+    if (ordine === 'prezzo-crescente' || ordine === 'prezzo-decrescente') {
+      var verso = ordine === 'prezzo-crescente' ? 1 : -1;
+      // I prezzi su richiesta vanno in fondo in entrambi i versi
+      list.sort(function (a, b) {
+        var suRichiestaA = isPrezzoSuRichiesta(a);
+        var suRichiestaB = isPrezzoSuRichiesta(b);
+        if (suRichiestaA || suRichiestaB) return (suRichiestaA ? 1 : 0) - (suRichiestaB ? 1 : 0);
+        return verso * (a.prezzo - b.prezzo);
+      });
+    } else {
+      list.sort(function (a, b) {
+        var dateA = a.dataInserimento || '';
+        var dateB = b.dataInserimento || '';
+        return dateB.localeCompare(dateA);
+      });
+    }
+    return list;
+  }
+
+  /**
+   * Valori distinti per popolare i filtri: località e tipologie (ordinate), classi energetiche
+   * (dalla migliore) e caratteristiche presenti in almeno un immobile (chiave ed etichetta).
+   * Vanno calcolati su tutti gli immobili, non sui risultati filtrati.
+   * @returns {{ localita: Array<string>, tipiImmobile: Array<string>, classiEnergetiche: Array<string>, caratteristiche: Array<{ value: string, label: string }> }}
+   */
+  function getOpzioniFiltri(immobili) {
+    var localita = [];
+    var tipiImmobile = [];
+    var classi = [];
+    var caratteristiche = [];
+    immobili.forEach(function (item) {
+      if (item.citta && localita.indexOf(item.citta) === -1) localita.push(item.citta);
+      if (item.tipoImmobile && tipiImmobile.indexOf(item.tipoImmobile) === -1) tipiImmobile.push(item.tipoImmobile);
+      var classe = normalizeClasse(item.dettagliTecnici && item.dettagliTecnici.classeEnergetica);
+      if (classe && classi.indexOf(classe) === -1) classi.push(classe);
+      CARATTERISTICHE.forEach(function (key) {
+        if (caratteristiche.indexOf(key) === -1 && hasCaratteristica(item, key)) caratteristiche.push(key);
+      });
+    });
+    return {
+      localita: localita.sort(),
+      tipiImmobile: tipiImmobile.sort(),
+      classiEnergetiche: CLASSI_ENERGETICHE.filter(function (c) { return classi.indexOf(c) !== -1; }),
+      caratteristiche: CARATTERISTICHE.filter(function (key) {
+        return caratteristiche.indexOf(key) !== -1;
+      }).map(function (key) {
+        return { value: key, label: getDettaglioLabel(key) };
+      })
+    };
+  }
+
+  /**
+   * Scarta località e tipologia che non sono tra le opzioni (link vecchio o modificato a mano):
+   * come gli altri valori non validi di parseQuery il filtro si ignora, invece di non trovare nulla.
+   * @param {Object} filters - output di parseQuery
+   * @param {Object} opzioni - output di getOpzioniFiltri
+   * @returns {Object} filters stesso se è tutto valido, altrimenti una copia senza i valori scartati
+   */
+  function validaFiltri(filters, opzioni) {
+    var localita = (opzioni.localita || []).indexOf(filters.localita) !== -1 ? filters.localita : '';
+    var tipoImmobile = (opzioni.tipiImmobile || []).indexOf(filters.tipoImmobile) !== -1 ? filters.tipoImmobile : '';
+    if (localita === (filters.localita || '') && tipoImmobile === (filters.tipoImmobile || '')) return filters;
+    return Object.assign({}, filters, { localita: localita, tipoImmobile: tipoImmobile });
+  }
+
+  /**
+   * Filtra, ordina e pagina: stesso formato della risposta di GET /api/immobili.
+   * Località e tipologia inesistenti si ignorano (vedi validaFiltri).
+   * @param {Array} immobili - Tutti gli immobili
+   * @param {Object} filters - output di parseQuery
+   * @returns {{ immobili: Array, totale: number, pagina: number, perPagina: number, pagine: number, opzioni: Object }}
+   */
+  function queryImmobili(immobili, filters) {
+    var opzioni = getOpzioniFiltri(immobili);
+    filters = validaFiltri(filters, opzioni);
+    var sorted = sortImmobili(filterImmobili(immobili, filters), filters.ordine);
+    var totale = sorted.length;
+    var pagine = Math.max(1, Math.ceil(totale / filters.perPagina));
+    var start = (filters.pagina - 1) * filters.perPagina;
+    return {
+      immobili: sorted.slice(start, start + filters.perPagina),
+      totale: totale,
+      pagina: filters.pagina,
+      perPagina: filters.perPagina,
+      pagine: pagine,
+      opzioni: opzioni
+    };
+  }
+
+  /**
+   * Trova un immobile per id (confronto stringa/numero).
+   * @returns {Object|null}
+   */
+  function findImmobileById(immobili, id) {
+    for (var i = 0; i < immobili.length; i++) {
+      if (String(immobili[i].id) === String(id)) return immobili[i];
+    }
+    return null;
+  }
+
+  /**
+   * Immobile con titolo, descrizione e testi alternativi delle immagini nella lingua indicata
+   * (campi traduzioni del record, vedi i18n.js); senza traduzione restano quelli italiani.
+   * @param {Object} immobile
+   * @param {string} lingua
+   * @returns {Object} Copia del record, senza i campi traduzioni
+   */
+  function localizzaImmobile(immobile, lingua) {
+    var copia = I18n.localizza(immobile, lingua);
+    if (Array.isArray(immobile.immagini)) {
+      copia.immagini = immobile.immagini.map(function (im) {
+        return I18n.localizza(im, lingua);
+      });
+    }
+    return copia;
+  }
+
+  /**
+   * Parte descrittiva dell’indirizzo della scheda, dal titolo: "Villa con giardino" -> "villa-con-giardino".
+   * @returns {string} '' se il titolo non ha lettere o cifre
+   */
+  function getSlugImmobile(immobile) {
+    return normalizeText(immobile.titolo).replace(/[^a-z0-9]+/g, '-').slice(0, SLUG_MAX).replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Indirizzo della scheda di un immobile, relativo alla radice del sito: "immobili/3-villa-con-giardino"
+   * (pagina generata dal server, vedi Backend/pagine.js), con ?lang= se la lingua corrente non è
+   * quella predefinita. Lo slug segue il titolo nella lingua corrente.
+   * @param {Object} immobile
+   * @returns {string}
+   */
+  function getUrlImmobile(immobile) {
+    var slug = getSlugImmobile(immobile);
+    var lang = getLinguaParam();
+    return 'immobili/' + encodeURIComponent(String(immobile.id)) + (slug ? '-' + slug : '') + (lang ? '?' + lang : '');
+  }
+
+  // ---------- Accesso ai dati (browser) ----------
+
+  /**
+   * Parametro lang da aggiungere alle richieste all’API: le risposte arrivano già nella lingua
+   * della pagina (nessun parametro per la lingua predefinita).
+   */
+  function getLinguaParam() {
+    var lingua = I18n.getLingua();
+    return lingua === I18n.LINGUA_DEFAULT ? '' : 'lang=' + encodeURIComponent(lingua);
+  }
+
+  /**
+   * Richiede all’API una pagina di risultati.
+   * @param {Object} filters - vedi buildQueryString
+   * @returns {Promise<{ immobili: Array, totale: number, pagina: number, pagine: number, opzioni: { localita: Array, tipiImmobile: Array } }>}
+   *   Rifiutata se la risposta non è ok
+   */
+  function fetchElenco(filters) {
+    var qs = [buildQueryString(filters || {}), getLinguaParam()].filter(Boolean).join('&');
+    return fetch(API_PATH + (qs ? '?' + qs : ''))
+      .then(function (response) {
+        if (!response.ok) throw new Error('Risposta non ok: ' + response.status);
+        return response.json();
+      })
+      .then(function (data) {
+        data = data || {};
+        return {
+          immobili: Array.isArray(data.immobili) ? data.immobili : [],
+          totale: typeof data.totale === 'number' ? data.totale : 0,
+          pagina: data.pagina || 1,
+          pagine: data.pagine || 1,
+          opzioni: data.opzioni || { localita: [], tipiImmobile: [], classiEnergetiche: [], caratteristiche: [] }
+        };
+      });
+  }
+
+  /**
+   * Carica un singolo immobile per id.
+   * Un annuncio archiviato risponde 410 con i soli dati essenziali ({ immobile: { id, titolo, ... } }).
+   * @param {string} id - id dalla query (es. "1")
+   * @returns {Promise<{ immobile: Object, nonDisponibile: boolean }|null>} null se non esiste (404)
+   */
+  function fetchImmobile(id) {
+    var lang = getLinguaParam();
+    return fetch(API_PATH + '/' + encodeURIComponent(id) + (lang ? '?' + lang : ''))
+      .then(function (response) {
+        if (response.status === 404) return null;
+        if (response.status === 410) {
+          return response.json().then(function (data) {
+            return { immobile: (data && data.immobile) || {}, nonDisponibile: true };
+          });
+        }
+        if (!response.ok) throw new Error('Risposta non ok: ' + response.status);
+        return response.json().then(function (immobile) {
+          return { immobile: immobile, nonDisponibile: false };
+        });
+      });
+  }
+
+  /**
+   * Dati con cui il server ha generato la pagina (script application/json con l’id indicato, vedi
+   * Backend/pagine.js): gli script li usano al posto della prima richiesta all’API.
+   * @param {string} id - id dello script (es. "immobile-dati")
+   * @returns {*} null se assenti, non leggibili o in una lingua diversa da quella corrente
+   *   (la pagina va allora ricaricata dall’API nella lingua giusta)
+   */
+  function getDatiServer(id) {
+    var script = document.getElementById(id);
+    if (!script) return null;
+    try {
+      var contenuto = JSON.parse(script.textContent);
+      return contenuto && contenuto.lingua === I18n.getLingua() ? contenuto.dati : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // ---------- Formattazione ----------
+
+  /**
+   * Opzioni delle select Località, Tipologia e Classe energetica e caselle delle caratteristiche
+   * del form filtri, dai valori di getOpzioniFiltri; i valori di filters risultano già scelti.
+   * @param {Object} opzioni - output di getOpzioniFiltri
+   * @param {Object} filters - stesse chiavi di parseQuery (localita, tipoImmobile, classeEnergetica, caratteristiche)
+   * @returns {{ localita: string, tipoImmobile: string, classeEnergetica: string, caratteristiche: string }} HTML
+   */
+  function buildOpzioniFiltriHtml(opzioni, filters) {
+    function options(vuota, valori, scelto, getLabel) {
+      return '<option value="">' + escapeHtml(vuota) + '</option>' + valori.map(function (v) {
+        return '<option value="' + escapeHtml(v) + '"' + (v === scelto ? ' selected' : '') + '>' + escapeHtml(getLabel ? getLabel(v) : v) + '</option>';
+      }).join('');
+    }
+    var scelte = filters.caratteristiche || [];
+    return {
+      localita: options(I18n.t('filtri.tutte_localita'), opzioni.localita || [], filters.localita),
+      tipoImmobile: options(I18n.t('filtri.tutte_tipologie'), opzioni.tipiImmobile || [], filters.tipoImmobile),
+      classeEnergetica: options(I18n.t('filtri.tutte_classi'), opzioni.classiEnergetiche || [], filters.classeEnergetica, function (c) {
+        return I18n.t('filtri.classe_opzione', { classe: c });
+      }),
+      caratteristiche: (opzioni.caratteristiche || []).map(function (c) {
+        var id = 'filtro-caratteristica-' + c.value;
+        return '<label class="form-check" for="' + escapeHtml(id) + '">' +
+          '<input type="checkbox" id="' + escapeHtml(id) + '" name="caratteristiche" value="' + escapeHtml(c.value) + '"' +
+          (scelte.indexOf(c.value) !== -1 ? ' checked' : '') + '> ' + escapeHtml(getDettaglioLabel(c.value)) + '</label>';
+      }).join('')
+    };
+  }
+
+  var HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+  /**
+   * Escape caratteri speciali per uso in HTML, anche dentro attributi (evita XSS).
+   */
+  function escapeHtml(str) {
+    if (str == null) return '';
+    return String(str).replace(/[&<>"']/g, function (ch) {
+      return HTML_ESCAPES[ch];
+    });
+  }
+
+  /**
+   * Restituisce i dati della prima foto di un immobile (src, alt ed eventuali varianti), con placeholder se manca.
+   * Planimetrie, video e tour (campo tipo, vedi galleria.js) non fanno da copertina.
+   * @returns {{ src: string, alt: string, srcset?: string, sorgenti?: Array<{ formato: string, srcset: string }> }}
+   */
+  function getPrimaImmagine(immobile) {
+    var immagini = immobile.immagini || [];
+    for (var i = 0; i < immagini.length; i++) {
+      var im = immagini[i];
+      if (im && im.src && (!im.tipo || im.tipo === 'foto')) {
+        return { src: im.src, alt: im.alt || immobile.titolo, srcset: im.srcset, sorgenti: im.sorgenti };
+      }
+    }
+    return { src: PLACEHOLDER_IMMAGINE, alt: immobile.titolo || I18n.t('immobile') };
+  }
+
+  /**
+   * Markup di un’immagine con le sue varianti responsive (srcset e sorgenti, aggiunti dall’API a
+   * partire dal manifest di Backend/bin/genera-immagini.js): picture con una source per ogni formato
+   * moderno (AVIF, WebP) e img con srcset nel formato originale. Senza varianti, un semplice img.
+   * @param {{ src: string, alt?: string, srcset?: string, sorgenti?: Array<{ formato: string, srcset: string }> }} img
+   * @param {{ width: number, height: number, sizes: string, alt?: string, loading?: string }} options - alt: sostituisce
+   *   quello dell’immagine (es. '' se decorativa); loading: default 'lazy'
+   * @returns {string}
+   */
+  function buildImmagineHtml(img, options) {
+    var sizes = ' sizes="' + escapeHtml(options.sizes) + '"';
+    var alt = options.alt != null ? options.alt : img.alt;
+    var tag = '<img src="' + escapeHtml(img.src) + '"' +
+      (img.srcset ? ' srcset="' + escapeHtml(img.srcset) + '"' + sizes : '') +
+      ' width="' + options.width + '" height="' + options.height + '" alt="' + escapeHtml(alt) + '"' +
+      ' loading="' + (options.loading || 'lazy') + '" decoding="async">';
+    if (!img.sorgenti || img.sorgenti.length === 0) return tag;
+    return '<picture>' + img.sorgenti.map(function (sorgente) {
+      return '<source type="' + escapeHtml(sorgente.formato) + '" srcset="' + escapeHtml(sorgente.srcset) + '"' + sizes + '>';
+    }).join('') + tag + '</picture>';
+  }
+
+  /**
+   * Valuta dell’immobile (codice ISO 4217, campo valuta; VALUTA_DEFAULT se assente).
+   */
+  function getValuta(immobile) {
+    return (immobile && immobile.valuta) || VALUTA_DEFAULT;
+  }
+
+  /**
+   * Importo con valuta nel formato della lingua corrente: "420.000 €" (it), "€420,000" (en).
+   * I centesimi compaiono solo se l’importo non è intero.
+   * @param {number} importo
+   * @param {string} [valuta] - Codice ISO 4217 (default VALUTA_DEFAULT)
+   * @returns {string}
+   */
+  function formatImporto(importo, valuta) {
+    var decimali = importo % 1 === 0 ? 0 : 2;
+    return new Intl.NumberFormat(I18n.getLocale(), {
+      style: 'currency',
+      currency: valuta || VALUTA_DEFAULT,
+      minimumFractionDigits: decimali,
+      maximumFractionDigits: decimali
+    }).format(importo);
+  }
+
+  /**
+   * Numero con i separatori della lingua corrente: "1.250" (it), "1,250" (en).
+   */
+  function formatNumero(numero) {
+    return new Intl.NumberFormat(I18n.getLocale()).format(numero);
+  }
+
+  /**
+   * Superficie da mostrare: "120 m²"; '' se manca o non è un numero.
+   */
+  function formatSuperficie(superficie) {
+    return typeof superficie === 'number' && isFinite(superficie) ? formatNumero(superficie) + ' m²' : '';
+  }
+
+  /**
+   * Numero di locali da mostrare: "3 locali", "1 locale"; '' se manca o è zero.
+   */
+  function formatLocali(locali) {
+    return typeof locali === 'number' && locali > 0 ? I18n.tn('locali', locali) : '';
+  }
+
+  /**
+   * Data AAAA-MM-GG per esteso nella lingua corrente: "20 gennaio 2025" (it), "20 January 2025" (en);
+   * '' se non valida.
+   */
+  function formatData(data) {
+    var m = /^(\d{4})-(\d{2})-(\d{2})/.exec(data || '');
+    if (!m) return '';
+    var date = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+    if (isNaN(date.getTime())) return '';
+    return date.toLocaleDateString(I18n.getLocale(), { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+  }
+
+  /**
+   * True se l’annuncio non pubblica il prezzo (prezzoSuRichiesta, o nessun prezzo numerico).
+   */
+  function isPrezzoSuRichiesta(immobile) {
+    return immobile.prezzoSuRichiesta === true || typeof immobile.prezzo !== 'number';
+  }
+
+  /**
+   * Prezzo prima del ribasso (prezzoPrecedente), solo se maggiore del prezzo attuale.
+   * @returns {number|null}
+   */
+  function getPrezzoPrecedente(immobile) {
+    if (isPrezzoSuRichiesta(immobile) || typeof immobile.prezzoPrecedente !== 'number') return null;
+    return immobile.prezzoPrecedente > immobile.prezzo ? immobile.prezzoPrecedente : null;
+  }
+
+  /**
+   * Importo nella valuta dell’immobile, con "/mese" (nella lingua corrente) per gli affitti.
+   */
+  function formatImportoImmobile(immobile, importo) {
+    return formatImporto(importo, getValuta(immobile)) + (immobile.tipologia === 'affitto' ? I18n.t('prezzo.al_mese') : '');
+  }
+
+  /**
+   * Prezzo da mostrare, ricavato da prezzo, valuta e tipologia: "420.000 €" (vendita),
+   * "2.200 €/mese" (affitto) o "Prezzo su richiesta", nella lingua corrente.
+   * @param {Object} immobile
+   * @returns {string}
+   */
+  function formatPrezzo(immobile) {
+    if (isPrezzoSuRichiesta(immobile)) return I18n.t('prezzo.su_richiesta');
+    return formatImportoImmobile(immobile, immobile.prezzo);
+  }
+
+  /**
+   * Prezzo prima del ribasso, formattato come formatPrezzo; '' se il prezzo non è ribassato.
+   */
+  function formatPrezzoPrecedente(immobile) {
+    var precedente = getPrezzoPrecedente(immobile);
+    return precedente == null ? '' : formatImportoImmobile(immobile, precedente);
+  }
+
+  /**
+   * Markup del prezzo per card e scheda: con un ribasso, il prezzo precedente barrato (del)
+   * prima di quello attuale; le etichette nascoste servono agli screen reader, che non leggono il barrato.
+   * @param {Object} immobile
+   * @returns {string}
+   */
+  function buildPrezzoHtml(immobile) {
+    var prezzo = escapeHtml(formatPrezzo(immobile));
+    var precedente = formatPrezzoPrecedente(immobile);
+    if (!precedente) return prezzo;
+    return '<del class="prezzo-precedente"><span class="visually-hidden">' + escapeHtml(I18n.t('prezzo.precedente')) + ': </span>' +
+      escapeHtml(precedente) + '</del> <span class="visually-hidden">' + escapeHtml(I18n.t('prezzo.attuale')) + ': </span>' + prezzo;
+  }
+
+  /**
+   * Classe e testo del badge vendita/affitto.
+   * @returns {{ className: string, text: string }}
+   */
+  function getBadge(tipologia) {
+    var isAffitto = tipologia === 'affitto';
+    return {
+      className: isAffitto ? 'badge badge--affitto' : 'badge badge--vendita',
+      text: I18n.t(isAffitto ? 'contratto.affitto' : 'contratto.vendita')
+    };
+  }
+
+  /**
+   * Riga meta (città · m² · locali) per l’header del dettaglio.
+   */
+  function getMetaLine(immobile) {
+    return [immobile.citta, formatSuperficie(immobile.superficie), formatLocali(immobile.locali)].filter(Boolean).join(' · ');
+  }
+
+  /**
+   * Etichetta di una chiave di dettagliTecnici (la chiave stessa se non è tra quelle note).
+   */
+  function getDettaglioLabel(key) {
+    return DETTAGLI_KEYS.indexOf(key) !== -1 ? I18n.t('dettaglio.' + key) : key;
+  }
+
+  /**
+   * Prezzo al metro quadro (canone mensile al m² per gli affitti); null senza prezzo o superficie.
+   * @returns {number|null}
+   */
+  function getPrezzoAlMq(immobile) {
+    if (isPrezzoSuRichiesta(immobile) || typeof immobile.superficie !== 'number' || immobile.superficie <= 0) return null;
+    return immobile.prezzo / immobile.superficie;
+  }
+
+  /**
+   * Prezzo al m² da mostrare: "3500 €/m²" (vendita) o "18,33 €/m² al mese" (affitto); '' se non calcolabile.
+   */
+  function formatPrezzoAlMq(immobile) {
+    var valore = getPrezzoAlMq(immobile);
+    if (valore == null) return '';
+    var valuta = getValuta(immobile);
+    if (immobile.tipologia === 'affitto') return formatImporto(Math.round(valore * 100) / 100, valuta) + I18n.t('prezzo.al_mq_mese');
+    return formatImporto(Math.round(valore), valuta) + I18n.t('prezzo.al_mq');
+  }
+
+  /**
+   * Voci dei dettagli tecnici (campi base + oggetto dettagliTecnici), con etichette.
+   * @returns {Array<{ label: string, value: string }>}
+   */
+  function getDettagliTecniciList(immobile) {
+    var list = [];
+    if (immobile.superficie != null) list.push({ label: I18n.t('dettaglio.superficie'), value: formatSuperficie(immobile.superficie) });
+    if (immobile.locali != null) list.push({ label: I18n.t('dettaglio.locali'), value: String(immobile.locali) });
+    if (immobile.citta) list.push({ label: I18n.t('dettaglio.localita'), value: immobile.citta });
+    if (immobile.tipoImmobile) list.push({ label: I18n.t('dettaglio.tipologia'), value: immobile.tipoImmobile });
+    var dt = immobile.dettagliTecnici;
+    if (dt && typeof dt === 'object') {
+      Object.keys(dt).forEach(function (key) {
+        if (dt[key]) list.push({ label: getDettaglioLabel(key), value: String(dt[key]) });
+      });
+    }
+    return list;
+  }
+
+  /**
+   * Righe della tabella di confronto: prezzo, €/m², superficie, locali, città e ogni chiave di
+   * dettagliTecnici presente in almeno un immobile (nell’ordine delle etichette note, poi le altre).
+   * @param {Array} immobili - Immobili da confrontare (una colonna ciascuno)
+   * @returns {Array<{ label: string, values: Array<string|null> }>} null dove il dato manca
+   */
+  function getConfrontoRighe(immobili) {
+    function riga(label, getValue) {
+      return {
+        label: label,
+        values: immobili.map(function (immobile) {
+          var value = getValue(immobile);
+          return value == null || value === '' ? null : String(value);
+        })
+      };
+    }
+    var righe = [
+      riga(I18n.t('dettaglio.contratto'), function (im) { return im.tipologia ? getBadge(im.tipologia).text : null; }),
+      riga(I18n.t('dettaglio.prezzo'), function (im) { return formatPrezzo(im); }),
+      riga(I18n.t('dettaglio.prezzo_mq'), function (im) { return formatPrezzoAlMq(im); }),
+      riga(I18n.t('dettaglio.superficie'), function (im) { return formatSuperficie(im.superficie); }),
+      riga(I18n.t('dettaglio.locali'), function (im) { return im.locali; }),
+      riga(I18n.t('dettaglio.localita'), function (im) { return im.citta; }),
+      riga(I18n.t('dettaglio.tipologia'), function (im) { return im.tipoImmobile; })
+    ];
+    var keys = [];
+    immobili.forEach(function (im) {
+      Object.keys(im.dettagliTecnici || {}).forEach(function (key) {
+        if (keys.indexOf(key) === -1) keys.push(key);
+      });
+    });
+    keys.sort(function (a, b) {
+      var ia = DETTAGLI_KEYS.indexOf(a);
+      var ib = DETTAGLI_KEYS.indexOf(b);
+      if (ia === -1 && ib === -1) return a < b ? -1 : a > b ? 1 : 0;
+      if (ia === -1) return 1;
+      if (ib === -1) return -1;
+      return ia - ib;
+    });
+    keys.forEach(function (key) {
+      righe.push(riga(getDettaglioLabel(key), function (im) {
+        return im.dettagliTecnici ? im.dettagliTecnici[key] : null;
+      }));
+    });
+    return righe;
+  }
+
+  // ---------- Elenco ----------
+
+  /**
+   * Messaggio con totale e intervallo mostrato: “57 immobili trovati, 13–24 visualizzati”.
+   * @param {number} totale - Numero totale di risultati
+   * @param {number} [da] - Posizione del primo risultato mostrato (da 1)
+   * @param {number} [a] - Posizione dell’ultimo risultato mostrato
+   * @returns {string}
+   */
+  function getRisultatiTesto(totale, da, a) {
+    if (totale === 0) return I18n.t('risultati.nessuno');
+    if (!da || (da === 1 && a === totale)) return I18n.tn('risultati', totale);
+    return I18n.t('risultati.parziali', { n: totale, da: da, a: a });
+  }
+
+  /**
+   * Numeri di pagina da mostrare: prima, ultima e PAGER_INTORNO pagine attorno alla corrente;
+   * null dove ci sono pagine omesse (“…”).
+   * @returns {Array<number|null>}
+   */
+  function getPagineVisibili(pagina, pagine) {
+    var list = [];
+    for (var n = 1; n <= pagine; n++) {
+      if (n === 1 || n === pagine || Math.abs(n - pagina) <= PAGER_INTORNO) {
+        list.push(n);
+      } else if (list[list.length - 1] !== null) {
+        list.push(null);
+      }
+    }
+    return list;
+  }
+
+  /**
+   * Pager numerato: precedente, pagine (con “…”), successiva. I link hanno un href reale (funzionano
+   * senza JavaScript e con apri in nuova scheda) e data-pagina per la navigazione senza ricarica.
+   * @param {number} pagina - Pagina corrente
+   * @param {number} pagine - Pagine totali
+   * @param {function(number): string} getHref - Indirizzo di una pagina
+   * @returns {string}
+   */
+  function buildPagerHtml(pagina, pagine, getHref) {
+    function link(n, label, ariaLabel, current) {
+      return '<a class="pager__link" href="' + escapeHtml(getHref(n)) + '" data-pagina="' + n + '"' +
+        (ariaLabel ? ' aria-label="' + escapeHtml(ariaLabel) + '"' : '') +
+        (current ? ' aria-current="page"' : '') + '>' + escapeHtml(label) + '</a>';
+    }
+    function disabled(label) {
+      return '<span class="pager__link pager__link--disabled" aria-disabled="true">' + escapeHtml(label) + '</span>';
+    }
+    var items = [];
+    items.push(pagina > 1 ? link(pagina - 1, I18n.t('pager.precedente'), I18n.t('pager.precedente_etichetta')) : disabled(I18n.t('pager.precedente')));
+    getPagineVisibili(pagina, pagine).forEach(function (n) {
+      if (n === null) {
+        items.push('<span class="pager__ellipsis" aria-hidden="true">…</span>');
+      } else {
+        items.push(link(n, String(n), I18n.t('pager.pagina', { n: n }), n === pagina));
+      }
+    });
+    items.push(pagina < pagine ? link(pagina + 1, I18n.t('pager.successiva'), I18n.t('pager.successiva_etichetta')) : disabled(I18n.t('pager.successiva')));
+    return '<ul class="pager__list">' + items.map(function (item) {
+      return '<li>' + item + '</li>';
+    }).join('') + '</ul>';
+  }
+
+  // ---------- Card ----------
+
+  /** Icona cuore del bottone preferiti (riempita via CSS quando è premuto) */
+  var ICONA_PREFERITO = '<svg class="preferito-toggle__icona" viewBox="0 0 24 24" width="20" height="20" aria-hidden="true" focusable="false">' +
+    '<path d="M12 21s-7.5-4.6-9.6-9.3C.9 8.3 3 4.5 6.7 4.5c2.1 0 3.6 1.2 5.3 3.1 1.7-1.9 3.2-3.1 5.3-3.1 3.7 0 5.8 3.8 4.3 7.2C19.5 16.4 12 21 12 21z"/></svg>';
+
+  /**
+   * Bottone cuore per salvare l’immobile nei preferiti. Lo stato (aria-pressed) è impostato
+   * nel browser da preferiti.js, che gestisce anche i clic: qui solo il markup.
+   * @param {Object} immobile
+   * @param {{ className?: string, testo?: boolean }} [options] - className: classe aggiuntiva;
+   *   testo: mostra anche “Salva nei preferiti” (nella lingua corrente) accanto all’icona (es. scheda immobile)
+   * @returns {string}
+   */
+  function buildPreferitoHtml(immobile, options) {
+    options = options || {};
+    var titolo = immobile.titolo || I18n.t('immobile');
+    return '<button type="button" class="preferito-toggle' + (options.className ? ' ' + escapeHtml(options.className) : '') + '"' +
+      ' data-preferito="' + escapeHtml(String(immobile.id)) + '" data-preferito-titolo="' + escapeHtml(titolo) + '" aria-pressed="false"' +
+      (options.testo ? '>' : ' aria-label="' + escapeHtml(I18n.t('preferiti.salva_titolo', { titolo: titolo })) + '">') +
+      ICONA_PREFERITO + (options.testo ? '<span>' + escapeHtml(I18n.t('preferiti.salva')) + '</span>' : '') + '</button>';
+  }
+
+  /**
+   * Costruisce il markup HTML di una card immobile (home, elenco e nuove pagine).
+   * Per personalizzare le card di un cliente basta modificare questa funzione.
+   * @param {Object} immobile
+   * @param {{ headingLevel?: number, preferito?: boolean, confronto?: boolean }} [options] - headingLevel: livello del titolo (default 2;
+   *   3 dove la griglia sta sotto un h2, come in home); preferito: false per togliere il cuore dei preferiti;
+   *   confronto: true per la casella “Confronta” (elenco immobili, gestita da immobili.js)
+   * @returns {string}
+   */
+  function buildCardHtml(immobile, options) {
+    options = options || {};
+    var heading = 'h' + (options.headingLevel || 2);
+    var img = getPrimaImmagine(immobile);
+    var badge = getBadge(immobile.tipologia);
+    var meta = [formatSuperficie(immobile.superficie), formatLocali(immobile.locali), immobile.citta].filter(Boolean).join(' · ');
+    var linkDettaglio = getUrlImmobile(immobile);
+    return (
+      '<article class="card-immobile">' +
+        '<div class="card-immobile__media">' +
+          buildImmagineHtml(img, { width: 400, height: 300, sizes: SIZES_CARD }) +
+          '<div class="card-immobile__badge-wrap">' +
+            '<span class="' + escapeHtml(badge.className) + '">' + escapeHtml(badge.text) + '</span>' +
+          '</div>' +
+          (options.preferito === false ? '' : buildPreferitoHtml(immobile, { className: 'card-immobile__preferito' })) +
+        '</div>' +
+        '<div class="card-immobile__body">' +
+          '<' + heading + ' class="card-immobile__title">' + escapeHtml(immobile.titolo) + '</' + heading + '>' +
+          '<div class="card-immobile__meta">' + escapeHtml(meta) + '</div>' +
+          '<p class="card-immobile__price">' + buildPrezzoHtml(immobile) + '</p>' +
+          '<a href="' + escapeHtml(linkDettaglio) + '" class="btn btn--primary btn--sm">' + escapeHtml(I18n.t('card.dettagli')) + '</a>' +
+          (options.confronto ? '<label class="form-check card-immobile__confronta">' +
+            '<input type="checkbox" data-confronta="' + escapeHtml(String(immobile.id)) + '"> ' +
+            escapeHtml(I18n.t('card.confronta')) + '<span class="visually-hidden"> ' + escapeHtml(immobile.titolo) + '</span></label>' : '') +
+        '</div>' +
+      '</article>'
+    );
+  }
+
+  // ---------- Scheda immobile ----------
+
+  /**
+   * Titolo e descrizione della scheda per title, meta description e Open Graph (descrizione
+   * al massimo 160 caratteri; senza descrizione, un riassunto dei dati principali presenti).
+   * @returns {{ titolo: string, descrizione: string }}
+   */
+  function getMetaImmobile(immobile) {
+    var dati = [immobile.titolo, formatSuperficie(immobile.superficie), formatLocali(immobile.locali), immobile.citta];
+    return {
+      titolo: I18n.t('meta.immobile_titolo', { titolo: immobile.titolo }),
+      descrizione: (immobile.descrizione || I18n.t('meta.immobile_descrizione', {
+        dati: dati.filter(Boolean).join(', '),
+        prezzo: formatPrezzo(immobile)
+      })).slice(0, 160)
+    };
+  }
+
+  /**
+   * Contenuto delle sezioni della scheda (immobile.html), per id dell’elemento: breadcrumb, intestazione
+   * (badge, titolo, dati, prezzo, data), descrizione, caratteristiche e invito al contatto.
+   * Galleria, posizione e preferiti li aggiunge main.js nel browser.
+   * @param {Object} immobile
+   * @returns {Object<string, string>} HTML per id
+   */
+  function buildSchedaHtml(immobile) {
+    var badge = getBadge(immobile.tipologia);
+    var dettagli = getDettagliTecniciList(immobile);
+    return {
+      'immobile-breadcrumb': '<ol style="list-style: none; display: flex; flex-wrap: wrap; gap: var(--space-2); font-size: var(--font-size-sm); color: var(--color-neutral-500);">' +
+        '<li><a href="index.html">' + escapeHtml(I18n.t('nav.home')) + '</a></li><li aria-hidden="true">/</li>' +
+        '<li><a href="immobili">' + escapeHtml(I18n.t('nav.immobili')) + '</a></li><li aria-hidden="true">/</li>' +
+        '<li aria-current="page">' + escapeHtml(immobile.titolo) + '</li></ol>',
+      'immobile-header': '<span class="' + escapeHtml(badge.className) + '" style="margin-bottom: var(--space-3);">' + escapeHtml(badge.text) + '</span>' +
+        '<h1 id="immobile-title">' + escapeHtml(immobile.titolo) + '</h1>' +
+        '<p style="font-size: var(--font-size-lg); color: var(--color-neutral-600); margin-top: var(--space-2);">' + escapeHtml(getMetaLine(immobile)) + '</p>' +
+        '<p style="font-size: var(--font-size-2xl); font-weight: var(--font-weight-bold); color: var(--color-primary); margin-top: var(--space-4);">' + buildPrezzoHtml(immobile) + '</p>' +
+        (immobile.dataInserimento ? '<p style="font-size: var(--font-size-sm); color: var(--color-neutral-500); margin-top: var(--space-2);">' + escapeHtml(I18n.t('immobile.inserito', { data: formatData(immobile.dataInserimento) })) + '</p>' : ''),
+      'immobile-descrizione': immobile.descrizione ? '<h2 id="descrizione">' + escapeHtml(I18n.t('immobile.descrizione')) + '</h2><p>' + escapeHtml(immobile.descrizione) + '</p>' : '',
+      'immobile-dettagli': dettagli.length > 0 ? '<h2 id="caratteristiche">' + escapeHtml(I18n.t('immobile.caratteristiche')) + '</h2><ul style="list-style: disc; padding-left: var(--space-6);">' +
+        dettagli.map(function (d) {
+          return '<li><strong>' + escapeHtml(d.label) + ':</strong> ' + escapeHtml(d.value) + '</li>';
+        }).join('') + '</ul>' : '',
+      // Il form contatti riceve l’id: la richiesta arriva all’agenzia con il riferimento dell’immobile
+      'immobile-cta': '<h2 id="contatto-immobile">' + escapeHtml(I18n.t('immobile.cta_titolo')) + '</h2><p>' + escapeHtml(I18n.t('immobile.cta_testo')) + '</p>' +
+        '<a href="contatti.html?immobile=' + encodeURIComponent(immobile.id) + '" class="btn btn--primary btn--lg" style="margin-top: var(--space-4);">' + escapeHtml(I18n.t('immobile.cta_bottone')) + '</a>'
+    };
+  }
+
+  /** Tipo Schema.org dell’immobile per tipoImmobile (anche solo la prima parola, es. "Villetta a schiera") */
+  var TIPI_SCHEMA = {
+    appartamento: 'Apartment',
+    attico: 'Apartment',
+    monolocale: 'Apartment',
+    bilocale: 'Apartment',
+    trilocale: 'Apartment',
+    quadrilocale: 'Apartment',
+    mansarda: 'Apartment',
+    loft: 'Apartment',
+    villa: 'SingleFamilyResidence',
+    villetta: 'SingleFamilyResidence',
+    'casa indipendente': 'House',
+    casa: 'House',
+    rustico: 'House',
+    casale: 'House'
+  };
+
+  /** Tipo Schema.org dell’immobile: Accommodation se tipoImmobile non è tra TIPI_SCHEMA */
+  function getTipoSchema(immobile) {
+    var tipo = normalizeText(immobile.tipoImmobile);
+    return TIPI_SCHEMA[tipo] || TIPI_SCHEMA[tipo.split(' ')[0]] || 'Accommodation';
+  }
+
+  /**
+   * Prezzo per il JSON-LD: per gli affitti il canone mensile (UnitPriceSpecification con unità MON).
+   * @returns {Object|null} null se il prezzo è su richiesta
+   */
+  function buildPriceSpecification(immobile) {
+    if (isPrezzoSuRichiesta(immobile)) return null;
+    var spec = { '@type': 'PriceSpecification', price: immobile.prezzo, priceCurrency: getValuta(immobile) };
+    if (immobile.tipologia !== 'affitto') return spec;
+    spec['@type'] = 'UnitPriceSpecification';
+    spec.unitCode = 'MON';
+    spec.referenceQuantity = { '@type': 'QuantitativeValue', value: 1, unitCode: 'MON' };
+    return spec;
+  }
+
+  /**
+   * JSON-LD RealEstateListing (Schema.org) della scheda: annuncio con l’offerta (vendita o affitto,
+   * prezzo, agenzia come venditore) e l’immobile offerto (Apartment, House, SingleFamilyResidence...)
+   * con superficie, locali, indirizzo, coordinate e immagini. Un prezzo su richiesta non viene indicato.
+   * @param {Object} immobile
+   * @param {string} url - Indirizzo assoluto della scheda
+   * @param {string} base - Indirizzo assoluto della radice del sito, con "/" finale (immagini e agenzia)
+   * @param {Object} [agenzia] - Dati dell’agenzia (Agenzia.getConfig()), venditore dell’annuncio
+   * @returns {Object}
+   */
+  function buildJsonLdAnnuncio(immobile, url, base, agenzia) {
+    var immagini = (immobile.immagini || []).filter(function (im) {
+      return im && im.src && (!im.tipo || im.tipo === 'foto' || im.tipo === 'planimetria');
+    }).map(function (im) {
+      return new URL(im.src, base).href;
+    });
+    var paese = agenzia && agenzia.indirizzo ? agenzia.indirizzo.paese : '';
+
+    var item = {
+      '@type': getTipoSchema(immobile),
+      name: immobile.titolo || '',
+      floorSize: { '@type': 'QuantitativeValue', value: immobile.superficie, unitCode: 'MTK' },
+      numberOfRooms: immobile.locali,
+      address: { '@type': 'PostalAddress', addressLocality: immobile.citta }
+    };
+    if (immobile.indirizzo) item.address.streetAddress = immobile.indirizzo;
+    if (paese) item.address.addressCountry = paese;
+    if (hasCoordinate(immobile)) {
+      item.geo = { '@type': 'GeoCoordinates', latitude: immobile.coordinate.lat, longitude: immobile.coordinate.lng };
+    }
+    if (immagini.length > 0) item.image = immagini;
+
+    var offer = {
+      '@type': 'Offer',
+      businessFunction: immobile.tipologia === 'affitto' ? 'http://purl.org/goodrelations/v1#LeaseOut' : 'http://purl.org/goodrelations/v1#Sell',
+      url: url,
+      itemOffered: item
+    };
+    var prezzo = buildPriceSpecification(immobile);
+    if (prezzo) {
+      offer.price = prezzo.price;
+      offer.priceCurrency = prezzo.priceCurrency;
+      offer.priceSpecification = prezzo;
+    }
+    if (agenzia) offer.seller = { '@type': 'RealEstateAgent', '@id': base + '#agency', name: agenzia.nome };
+
+    var listing = {
+      '@context': 'https://schema.org',
+      '@type': 'RealEstateListing',
+      '@id': url + '#annuncio',
+      url: url,
+      name: immobile.titolo || '',
+      description: immobile.descrizione || '',
+      inLanguage: I18n.getLingua(),
+      offers: offer
+    };
+    if (immobile.dataInserimento) listing.datePosted = immobile.dataInserimento;
+    if (immagini.length > 0) listing.image = immagini[0];
+    return listing;
+  }
+
+  /**
+   * JSON-LD BreadcrumbList della scheda: Home, Immobili, titolo dell’annuncio (come il breadcrumb della pagina).
+   * L’elenco ha l’indirizzo canonico generato dal server (/immobili), lo stesso della sitemap.
+   * @param {Object} immobile
+   * @param {string} url - Indirizzo assoluto della scheda
+   * @param {string} base - Indirizzo assoluto della radice del sito, con "/" finale
+   * @returns {Object}
+   */
+  function buildJsonLdBreadcrumb(immobile, url, base) {
+    var lang = getLinguaParam();
+    var voci = [
+      { name: I18n.t('nav.home'), item: base + 'index.html' + (lang ? '?' + lang : '') },
+      { name: I18n.t('nav.immobili'), item: base + 'immobili' + (lang ? '?' + lang : '') },
+      { name: immobile.titolo || '', item: url }
+    ];
+    return {
+      '@context': 'https://schema.org',
+      '@type': 'BreadcrumbList',
+      itemListElement: voci.map(function (voce, i) {
+        return { '@type': 'ListItem', position: i + 1, name: voce.name, item: voce.item };
+      })
+    };
+  }
+
+  return {
+    API_PATH: API_PATH,
+    CONTRATTI: CONTRATTI,
+    ORDINI: ORDINI,
+    CLASSI_ENERGETICHE: CLASSI_ENERGETICHE,
+    CARATTERISTICHE: CARATTERISTICHE,
+    PREZZO_PRESET: PREZZO_PRESET,
+    PER_PAGINA_DEFAULT: PER_PAGINA_DEFAULT,
+    PER_PAGINA_MAX: PER_PAGINA_MAX,
+    CONFRONTO_MIN: CONFRONTO_MIN,
+    CONFRONTO_MAX: CONFRONTO_MAX,
+    parseQuery: parseQuery,
+    buildQueryString: buildQueryString,
+    describeFiltri: describeFiltri,
+    filterImmobili: filterImmobili,
+    sortImmobili: sortImmobili,
+    getOpzioniFiltri: getOpzioniFiltri,
+    validaFiltri: validaFiltri,
+    queryImmobili: queryImmobili,
+    findImmobileById: findImmobileById,
+    normalizeText: normalizeText,
+    hasCaratteristica: hasCaratteristica,
+    hasCoordinate: hasCoordinate,
+    parseIds: parseIds,
+    fetchElenco: fetchElenco,
+    fetchImmobile: fetchImmobile,
+    getDatiServer: getDatiServer,
+    localizzaImmobile: localizzaImmobile,
+    getSlugImmobile: getSlugImmobile,
+    getUrlImmobile: getUrlImmobile,
+    buildOpzioniFiltriHtml: buildOpzioniFiltriHtml,
+    getRisultatiTesto: getRisultatiTesto,
+    buildPagerHtml: buildPagerHtml,
+    escapeHtml: escapeHtml,
+    VALUTA_DEFAULT: VALUTA_DEFAULT,
+    getValuta: getValuta,
+    formatImporto: formatImporto,
+    formatNumero: formatNumero,
+    formatSuperficie: formatSuperficie,
+    formatLocali: formatLocali,
+    formatData: formatData,
+    isPrezzoSuRichiesta: isPrezzoSuRichiesta,
+    getPrezzoPrecedente: getPrezzoPrecedente,
+    formatPrezzo: formatPrezzo,
+    formatPrezzoPrecedente: formatPrezzoPrecedente,
+    buildPrezzoHtml: buildPrezzoHtml,
+    PLACEHOLDER_IMMAGINE: PLACEHOLDER_IMMAGINE,
+    getPrimaImmagine: getPrimaImmagine,
+    buildImmagineHtml: buildImmagineHtml,
+    getBadge: getBadge,
+    getMetaLine: getMetaLine,
+    getDettagliTecniciList: getDettagliTecniciList,
+    getDettaglioLabel: getDettaglioLabel,
+    getPrezzoAlMq: getPrezzoAlMq,
+    formatPrezzoAlMq: formatPrezzoAlMq,
+    getConfrontoRighe: getConfrontoRighe,
+    buildCardHtml: buildCardHtml,
+    buildPreferitoHtml: buildPreferitoHtml,
+    getMetaImmobile: getMetaImmobile,
+    buildSchedaHtml: buildSchedaHtml,
+    buildJsonLdAnnuncio: buildJsonLdAnnuncio,
+    buildJsonLdBreadcrumb: buildJsonLdBreadcrumb
+  };
+});
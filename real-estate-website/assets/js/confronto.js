@@ -0,0 +1,152 @@
+/**
+ * confronto.js - Pagina confronto immobili (confronto.html?ids=1,4,7)
+ * Tabella affiancata da 2 a 4 immobili: prezzo, prezzo al m², superficie, locali, località
+ * e ogni dettaglio tecnico presente in almeno uno (righe da Annunci.getConfrontoRighe, stesse
+ * etichette della scheda immobile). I dati mancanti sono indicati come “Non indicato”.
+ * La selezione è tutta nell’indirizzo: il link si può copiare e condividere.
+ * Eseguito solo su confronto.html, dopo annunci.js.
+ */
+
+(function () {
+  'use strict';
+
+  var Annunci = window.Annunci;
+  var escapeHtml = Annunci.escapeHtml;
+
+  var SELECTORS = {
+    tabella: '#confronto-tabella',
+    stato: '#confronto-stato',
+    condividi: '#confronto-condividi',
+    avviso: '#confronto-avviso'
+  };
+
+  var MANCANTE_HTML = '<span class="confronto__mancante">Non indicato</span>';
+
+  /**
+   * Id richiesti dall’indirizzo (al massimo CONFRONTO_MAX, nell’ordine indicato).
+   * @returns {{ ids: Array<string>, esclusi: number }}
+   */
+  function getIdsFromUrl() {
+    var all = Annunci.parseQuery(new URLSearchParams(window.location.search)).ids;
+    return { ids: all.slice(0, Annunci.CONFRONTO_MAX), esclusi: Math.max(0, all.length - Annunci.CONFRONTO_MAX) };
+  }
+
+  /**
+   * Indirizzo della pagina di confronto per gli id indicati.
+   */
+  function buildConfrontoHref(ids) {
+    return 'confronto.html?' + Annunci.buildQueryString({ ids: ids });
+  }
+
+  /**
+   * Intestazione di colonna: foto, titolo con link alla scheda e, con più di CONFRONTO_MIN
+   * immobili, il link per togliere l’immobile dal confronto.
+   */
+  function buildColonnaHtml(immobile, ids) {
+    var img = Annunci.getPrimaImmagine(immobile);
+    var id = String(immobile.id);
+    var altri = ids.filter(function (other) { return other !== id; });
+    return '<th scope="col" class="confronto__immobile">' +
+      Annunci.buildImmagineHtml(img, { width: 200, height: 150, sizes: '200px', alt: '' }) +
+      '<a href="' + escapeHtml(Annunci.getUrlImmobile(immobile)) + '">' + escapeHtml(immobile.titolo) + '</a>' +
+      (ids.length > Annunci.CONFRONTO_MIN
+        ? '<a class="confronto__togli" href="' + escapeHtml(buildConfrontoHref(altri)) + '">Togli dal confronto<span class="visually-hidden"> ' + escapeHtml(immobile.titolo) + '</span></a>'
+        : '') +
+      '</th>';
+  }
+
+  /**
+   * Tabella di confronto: una colonna per immobile, una riga per dato.
+   */
+  function buildTabellaHtml(immobili) {
+    var ids = immobili.map(function (immobile) { return String(immobile.id); });
+    var righe = Annunci.getConfrontoRighe(immobili);
+    return '<table class="confronto">' +
+      '<caption class="visually-hidden">Confronto tra ' + immobili.length + ' immobili</caption>' +
+      '<thead><tr><td></td>' + immobili.map(function (immobile) {
+        return buildColonnaHtml(immobile, ids);
+      }).join('') + '</tr></thead>' +
+      '<tbody>' + righe.map(function (riga) {
+        return '<tr><th scope="row">' + escapeHtml(riga.label) + '</th>' + riga.values.map(function (value) {
+          return '<td>' + (value == null ? MANCANTE_HTML : escapeHtml(value)) + '</td>';
+        }).join('') + '</tr>';
+      }).join('') + '</tbody>' +
+      '</table>';
+  }
+
+  function setStato(message) {
+    var el = document.querySelector(SELECTORS.stato);
+    if (el) el.textContent = message;
+  }
+
+  /**
+   * Avvisi sopra la tabella: immobili non più disponibili o oltre il massimo confrontabile.
+   */
+  function setAvviso(nonTrovati, esclusi) {
+    var el = document.querySelector(SELECTORS.avviso);
+    if (!el) return;
+    var parts = [];
+    if (nonTrovati === 1) parts.push('1 immobile selezionato non è più disponibile.');
+    else if (nonTrovati > 1) parts.push(nonTrovati + ' immobili selezionati non sono più disponibili.');
+    if (esclusi > 0) parts.push('Si possono confrontare al massimo ' + Annunci.CONFRONTO_MAX + ' immobili: sono mostrati i primi ' + Annunci.CONFRONTO_MAX + '.');
+    el.textContent = parts.join(' ');
+    el.hidden = parts.length === 0;
+  }
+
+  /**
+   * Copia il link del confronto negli appunti (o lo mostra, se il browser non lo consente).
+   */
+  function initCondividi() {
+    var button = document.querySelector(SELECTORS.condividi);
+    if (!button) return;
+    button.addEventListener('click', function () {
+      var url = window.location.href;
+      var done = function () { setStato('Link del confronto copiato.'); };
+      var fallback = function () { window.prompt('Copia il link del confronto:', url); };
+      if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(url).then(done, fallback);
+      } else {
+        fallback();
+      }
+    });
+  }
+
+  function init() {
+    var tabellaEl = document.querySelector(SELECTORS.tabella);
+    if (!tabellaEl) return;
+    initCondividi();
+
+    var richiesta = getIdsFromUrl();
+    if (richiesta.ids.length < Annunci.CONFRONTO_MIN) {
+      setStato('Seleziona almeno ' + Annunci.CONFRONTO_MIN + ' immobili dall’elenco per confrontarli.');
+      return;
+    }
+
+    Annunci.fetchElenco({ ids: richiesta.ids, perPagina: Annunci.CONFRONTO_MAX })
+      .then(function (data) {
+        var byId = {};
+        data.immobili.forEach(function (immobile) {
+          byId[String(immobile.id)] = immobile;
+        });
+        var immobili = richiesta.ids.filter(function (id) { return byId[id]; }).map(function (id) { return byId[id]; });
+        setAvviso(richiesta.ids.length - immobili.length, richiesta.esclusi);
+        if (immobili.length < Annunci.CONFRONTO_MIN) {
+          setStato('Non ci sono abbastanza immobili disponibili da confrontare.');
+          return;
+        }
+        tabellaEl.innerHTML = buildTabellaHtml(immobili);
+        setStato('Confronto tra ' + immobili.length + ' immobili.');
+        var condividi = document.querySelector(SELECTORS.condividi);
+        if (condividi) condividi.hidden = false;
+      })
+      .catch(function () {
+        setStato('Impossibile caricare gli immobili. Riprova tra qualche minuto.');
+      });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
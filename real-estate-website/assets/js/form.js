@@ -1,7 +1,17 @@
 /**
  * form.js - Form contatti con validazione JS e consenso GDPR
  * Validazione campi, checkbox consenso obbligatoria, messaggi errore accessibili.
- * Nessun backend: in caso di successo viene mostrato un messaggio di conferma.
+ * Invio a POST /api/contatti: il server riesegue la validazione e salva la richiesta;
+ * gli errori del server (per campo, rete, generici) vengono mostrati nel form.
+ * Con contatti.html?immobili=1,4,7 (link “Invia la selezione all’agenzia” dei preferiti) il
+ * messaggio viene precompilato con gli immobili scelti e i loro id vengono inviati con la richiesta.
+ * Con contatti.html?immobile=id (CTA della scheda immobile) oggetto e messaggio sono precompilati
+ * per quell’immobile e l’id viene inviato con la richiesta: il server vi associa titolo e prezzo.
+ * I campi vengono da ValidazioneContatti.CAMPI: un nuovo campo richiede solo la sua voce lì e il
+ * controllo con lo stesso name nella pagina. Con i valori partono i campi anti-spam (ANTISPAM):
+ * l’istante di apertura del form, firmato dal server (GET /api/contatti/caricato), e il campo
+ * trappola, che una persona lascia vuoto.
+ * Messaggi e testi precompilati sono nella lingua della pagina (i18n.js).
  */
 
 (function () {
@@ -11,25 +21,23 @@
   var ALERT_LIVE_ID = 'form-contatti-alert';
   var SUCCESS_ID = 'form-contatti-success';
 
-  /** Regole di validazione: min length, pattern, ecc. */
-  var RULES = {
-    nome: { required: true, minLength: 2, maxLength: 200 },
-    email: { required: true },
-    telefono: { required: false, pattern: /^[\d\s\+\-\(\)]{8,20}$/ },
-    messaggio: { required: true, minLength: 10, maxLength: 2000 },
-    gdpr: { required: true }
-  };
+  /** Regole e messaggi condivisi con il server (assets/js/validazione-contatti.js) */
+  var Validazione = window.ValidazioneContatti;
+  var RULES = Validazione.RULES;
+  var FIELDS = Validazione.FIELDS;
+  var ANTISPAM = Validazione.ANTISPAM;
+  var I18n = window.I18n;
+
+  var API_CONTATTI_PATH = 'api/contatti';
+
+  /** Immobili selezionati accettati dal link dei preferiti (come il limite lato server) */
+  var MAX_IMMOBILI = 100;
 
-  /** Messaggi di errore in italiano */
-  var MESSAGES = {
-    required: 'Campo obbligatorio.',
-    nome_minLength: 'Inserisci almeno 2 caratteri.',
-    nome_maxLength: 'Nome troppo lungo.',
-    email_invalid: 'Inserisci un indirizzo email valido.',
-    telefono_invalid: 'Formato telefono non valido (es. +39 333 1234567).',
-    messaggio_minLength: 'Il messaggio deve contenere almeno 10 caratteri.',
-    messaggio_maxLength: 'Messaggio troppo lungo.',
-    gdpr_required: 'Devi accettare il trattamento dei dati per inviare il modulo.'
+  /** Chiavi dei messaggi di invio (rete o server) nel catalogo di i18n.js */
+  var SUBMIT_MESSAGES = {
+    sending: 'form.invio',
+    network: 'form.errore_rete',
+    server: 'form.errore_server'
   };
 
   /**
@@ -50,10 +58,23 @@
   }
 
   /**
-   * Verifica se una stringa è un’email valida (formato base).
+   * Raccoglie i valori dei campi inviati al server: uno per ogni campo di CAMPI (il consenso come
+   * booleano), immobile e immobili selezionati, campi anti-spam.
+   * @param {HTMLFormElement} form
+   * @returns {Object}
    */
-  function isValidEmail(str) {
-    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(str);
+  function getFormValues(form) {
+    var values = {};
+    Validazione.CAMPI.forEach(function (campo) {
+      var value = getFieldValue(form, campo.name);
+      values[campo.name] = campo.consenso ? value === '1' : value;
+    });
+    var immobili = getFieldValue(form, 'immobili');
+    values.immobile = getFieldValue(form, 'immobile');
+    values.immobili = immobili ? immobili.split(',') : [];
+    values[ANTISPAM.honeypot] = getFieldValue(form, ANTISPAM.honeypot);
+    values[ANTISPAM.caricato] = getFieldValue(form, ANTISPAM.caricato);
+    return values;
   }
 
   /**
@@ -62,47 +83,7 @@
    * @returns {{ valid: boolean, errors: Object.<string, string> }}
    */
   function validateForm(form) {
-    var errors = {};
-    var nome = getFieldValue(form, 'nome');
-    var email = getFieldValue(form, 'email');
-    var telefono = getFieldValue(form, 'telefono');
-    var messaggio = getFieldValue(form, 'messaggio');
-    var gdpr = getFieldValue(form, 'gdpr');
-
-    if (RULES.nome.required && !nome) {
-      errors.nome = MESSAGES.required;
-    } else if (nome.length > 0 && nome.length < RULES.nome.minLength) {
-      errors.nome = MESSAGES.nome_minLength;
-    } else if (nome.length > RULES.nome.maxLength) {
-      errors.nome = MESSAGES.nome_maxLength;
-    }
-
-    if (RULES.email.required && !email) {
-      errors.email = MESSAGES.required;
-    } else if (email && !isValidEmail(email)) {
-      errors.email = MESSAGES.email_invalid;
-    }
-
-    if (telefono && RULES.telefono.pattern && !RULES.telefono.pattern.test(telefono)) {
-      errors.telefono = MESSAGES.telefono_invalid;
-    }
-
-    if (RULES.messaggio.required && !messaggio) {
-      errors.messaggio = MESSAGES.required;
-    } else if (messaggio.length > 0 && messaggio.length < RULES.messaggio.minLength) {
-      errors.messaggio = MESSAGES.messaggio_minLength;
-    } else if (messaggio.length > RULES.messaggio.maxLength) {
-      errors.messaggio = MESSAGES.messaggio_maxLength;
-    }
-
-    if (RULES.gdpr.required && !gdpr) {
-      errors.gdpr = MESSAGES.gdpr_required;
-    }
-
-    return {
-      valid: Object.keys(errors).length === 0,
-      errors: errors
-    };
+    return Validazione.validate(getFormValues(form));
   }
 
   /**
@@ -164,8 +145,7 @@
    * Rimuove tutti gli errori dal form e resetta gli stati.
    */
   function clearAllErrors(form) {
-    var names = ['nome', 'email', 'telefono', 'messaggio', 'gdpr'];
-    names.forEach(function (name) {
+    FIELDS.forEach(function (name) {
       clearFieldError(form, name);
     });
     var live = document.getElementById(ALERT_LIVE_ID);
@@ -176,10 +156,9 @@
    * Imposta il focus sul primo campo con errore (per accessibilità).
    */
   function focusFirstError(form, errors) {
-    var order = ['nome', 'email', 'telefono', 'messaggio', 'gdpr'];
-    for (var i = 0; i < order.length; i++) {
-      if (errors[order[i]]) {
-        var el = form.elements[order[i]];
+    for (var i = 0; i < FIELDS.length; i++) {
+      if (errors[FIELDS[i]]) {
+        var el = form.elements[FIELDS[i]];
         if (el) {
           el.focus();
           break;
@@ -194,7 +173,63 @@
   function announceErrors(count) {
     var live = document.getElementById(ALERT_LIVE_ID);
     if (!live) return;
-    live.textContent = 'Il modulo contiene ' + count + ' errori. Controlla i campi evidenziati.';
+    live.textContent = I18n.t('form.errori', { n: count });
+  }
+
+  /**
+   * Mostra un errore generale di invio nella regione aria-live.
+   */
+  function announceSubmitError(message) {
+    var live = document.getElementById(ALERT_LIVE_ID);
+    if (!live) return;
+    live.textContent = message;
+  }
+
+  /**
+   * Mostra gli errori per campo, sposta il focus sul primo e annuncia il riepilogo.
+   * Usata sia per la validazione locale sia per gli errori restituiti dal server.
+   */
+  function showErrors(form, errors) {
+    var keys = Object.keys(errors);
+    keys.forEach(function (fieldName) {
+      showFieldError(form, fieldName, errors[fieldName]);
+    });
+    focusFirstError(form, errors);
+    announceErrors(keys.length);
+  }
+
+  /**
+   * Disabilita il bottone di invio durante la richiesta (evita invii doppi).
+   */
+  function setSubmitting(form, submitting) {
+    var btn = form.querySelector('[type="submit"]');
+    if (!btn) return;
+    if (submitting) {
+      btn.dataset.label = btn.textContent;
+      btn.textContent = I18n.t(SUBMIT_MESSAGES.sending);
+    } else if (btn.dataset.label) {
+      btn.textContent = btn.dataset.label;
+    }
+    btn.disabled = submitting;
+    form.setAttribute('aria-busy', submitting ? 'true' : 'false');
+  }
+
+  /**
+   * Invia i dati al server.
+   * @returns {Promise<{ status: number, body: Object }>} Rifiutata solo per errori di rete
+   */
+  function submitContatto(values) {
+    return fetch(API_CONTATTI_PATH, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(values)
+    }).then(function (res) {
+      return res.json()
+        .catch(function () { return {}; })
+        .then(function (body) {
+          return { status: res.status, body: body || {} };
+        });
+    });
   }
 
   /**
@@ -206,7 +241,7 @@
   }
 
   /**
-   * Mostra il messaggio di successo (nessun backend: solo conferma visiva).
+   * Mostra il messaggio di successo (richiesta salvata dal server).
    */
   function showSuccess() {
     var success = document.getElementById(SUCCESS_ID);
@@ -220,27 +255,40 @@
   }
 
   /**
-   * Gestisce l’invio: validazione, messaggi errore, eventuale messaggio di successo.
+   * Gestisce l’invio: validazione, invio al server, messaggi errore o di successo.
+   * Gli errori per campo restituiti dal server (422) sono mostrati come quelli locali.
    */
   function handleSubmit(e) {
     e.preventDefault();
     var form = getForm();
-    if (!form) return;
+    if (!form || form.getAttribute('aria-busy') === 'true') return;
 
     clearAllErrors(form);
     var result = validateForm(form);
 
     if (!result.valid) {
-      var keys = Object.keys(result.errors);
-      keys.forEach(function (fieldName) {
-        showFieldError(form, fieldName, result.errors[fieldName]);
-      });
-      focusFirstError(form, result.errors);
-      announceErrors(keys.length);
+      showErrors(form, result.errors);
       return;
     }
 
-    showSuccess();
+    setSubmitting(form, true);
+    submitContatto(getFormValues(form))
+      .then(function (response) {
+        setSubmitting(form, false);
+        if (response.status === 201) {
+          form.reset();
+          showSuccess();
+        } else if (response.status === 422 && response.body.campi) {
+          showErrors(form, response.body.campi);
+        } else {
+          // Es. troppe richieste (429) o invio troppo rapido: il server spiega cosa fare
+          announceSubmitError(response.body.errore || I18n.t(SUBMIT_MESSAGES.server));
+        }
+      })
+      .catch(function () {
+        setSubmitting(form, false);
+        announceSubmitError(I18n.t(SUBMIT_MESSAGES.network));
+      });
   }
 
   /**
@@ -270,6 +318,113 @@
     clearFieldError(form, name);
   }
 
+  /**
+   * Id degli immobili dal parametro immobili della pagina ("1,4,7"), senza duplicati.
+   * @returns {Array<string>}
+   */
+  function getImmobiliFromUrl() {
+    var ids = [];
+    (new URLSearchParams(window.location.search).get('immobili') || '').split(',').forEach(function (id) {
+      id = id.trim();
+      if (id && ids.indexOf(id) === -1 && ids.length < MAX_IMMOBILI) ids.push(id);
+    });
+    return ids;
+  }
+
+  /**
+   * Precompila il form con gli immobili scelti tra i preferiti: id nel campo nascosto
+   * "immobili" e, se il messaggio è vuoto, un testo con titolo e riferimento di ognuno
+   * (titoli salvati da preferiti.js, se disponibili). Il messaggio resta modificabile.
+   */
+  function prefillImmobili(form) {
+    var ids = getImmobiliFromUrl();
+    var field = form.elements.immobili;
+    if (ids.length === 0 || !field) return;
+    field.value = ids.join(',');
+
+    var titoli = {};
+    if (window.Preferiti) {
+      window.Preferiti.read().forEach(function (item) {
+        titoli[item.id] = item.titolo;
+      });
+    }
+    var messaggio = form.elements.messaggio;
+    if (messaggio && !messaggio.value) {
+      var testo = I18n.t('form.messaggio_preferiti');
+      ids.forEach(function (id) {
+        var riga = '\n' + I18n.t('form.riga_immobile', { titolo: titoli[id] || I18n.t('immobile'), id: id });
+        if ((testo + riga).length <= RULES.messaggio.maxLength) testo += riga;
+      });
+      messaggio.value = testo;
+    }
+
+    var nota = document.getElementById('form-contatti-immobili');
+    if (nota) {
+      nota.textContent = I18n.tn('form.nota_preferiti', ids.length);
+      nota.hidden = false;
+    }
+  }
+
+  /**
+   * Precompila il form per l’immobile della scheda (contatti.html?immobile=id): id nel campo
+   * nascosto "immobile", oggetto vendita/affitto e, se il messaggio è vuoto, un testo con titolo,
+   * riferimento e prezzo. Se l’immobile non si carica resta solo il riferimento.
+   */
+  function prefillImmobile(form) {
+    var id = (new URLSearchParams(window.location.search).get('immobile') || '').trim();
+    var field = form.elements.immobile;
+    if (!id || !field) return;
+    field.value = id;
+
+    var nota = document.getElementById('form-contatti-immobili');
+    function showNota(text) {
+      if (!nota) return;
+      nota.textContent = text;
+      nota.hidden = false;
+    }
+    showNota(I18n.t('form.nota_rif', { id: id }));
+    if (!window.Annunci) return;
+
+    window.Annunci.fetchImmobile(id).then(function (result) {
+      if (!result) {
+        field.value = '';
+        if (nota) nota.hidden = true;
+        return;
+      }
+      var immobile = result.immobile;
+      var prezzo = result.nonDisponibile ? '' : window.Annunci.formatPrezzo(immobile);
+      var params = { titolo: immobile.titolo, rif: I18n.t('form.rif', { id: id }) + (prezzo ? ', ' + prezzo : '') };
+      showNota(I18n.t(result.nonDisponibile ? 'form.nota_non_disponibile' : 'form.nota_immobile', params));
+
+      var oggetto = form.elements.oggetto;
+      if (oggetto && !oggetto.value && window.Annunci.CONTRATTI.indexOf(immobile.tipologia) !== -1) {
+        oggetto.value = immobile.tipologia;
+      }
+      var messaggio = form.elements.messaggio;
+      if (messaggio && !messaggio.value) {
+        messaggio.value = I18n.t('form.messaggio_immobile', params);
+      }
+    }).catch(function () {
+      // Errore di rete: il riferimento resta nel campo nascosto e il server lo associa comunque
+    });
+  }
+
+  /**
+   * Chiede al server l’istante di apertura firmato (campo caricato, vedi ANTISPAM): il tempo minimo
+   * di compilazione si misura sull’orologio del server, non su quello del browser.
+   */
+  function loadCaricato(form) {
+    var field = form.elements[ANTISPAM.caricato];
+    if (!field) return;
+    fetch(API_CONTATTI_PATH + '/caricato', { cache: 'no-store' }).then(function (res) {
+      return res.ok ? res.json() : null;
+    }).then(function (data) {
+      if (data && data.caricato) field.value = data.caricato;
+    }).catch(function () {
+      // Errore di rete: senza campo caricato il server chiede di ricaricare la pagina
+    });
+  }
+
   /**
    * Inizializzazione: bind submit, blur, input solo se il form esiste (pagina contatti).
    */
@@ -277,6 +432,10 @@
     var form = getForm();
     if (!form) return;
 
+    prefillImmobili(form);
+    prefillImmobile(form);
+    loadCaricato(form);
+
     form.addEventListener('submit', handleSubmit);
     form.addEventListener('blur', handleBlur, true);
     form.addEventListener('input', handleInput);
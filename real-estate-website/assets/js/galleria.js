@@ -0,0 +1,457 @@
+/**
+ * galleria.js - Galleria media della scheda immobile, senza librerie esterne
+ * Usata da main.js (immobile.html). Ogni voce di immobile.immagini ha un tipo (campo tipo):
+ * foto (default), planimetria, video o tour (tour virtuale); con più tipi la galleria mostra
+ * una scheda (tab) per tipo.
+ * Foto e planimetrie si aprono in un lightbox a schermo intero: frecce e tasti ← →, swipe,
+ * Esc per chiudere, contatore e didascalia dall’alt. Il focus resta nel lightbox finché è
+ * aperto e alla chiusura torna al controllo che l’ha aperto.
+ * Un video è un file del sito (assets/video/…, riprodotto con il tag video) o l’indirizzo https
+ * di un player da incorporare (es. https://www.youtube-nocookie.com/embed/…); un tour è
+ * l’indirizzo https del tour, mostrato in un iframe.
+ * Le immagini usano le varianti responsive fornite dall’API (srcset e sorgenti, vedi
+ * Backend/immagini.js) dentro un elemento picture; senza varianti basta il src.
+ * Le funzioni sui dati non usano il DOM: condivise con il server (esposte come window.Galleria
+ * o via require), che le usa per validare i media.
+ *
+ * API pubblica:
+ * - Dati: TIPI, TIPI_IMMAGINE, getTipo(media), isEsterno(src), raggruppa(media)
+ * - Galleria: create(container, media, [options]) -> { apri(tipo, indice), chiudi, destroy }
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./i18n'));
+  } else {
+    root.Galleria = factory(root.I18n);
+  }
+})(this, function (I18n) {
+  'use strict';
+
+  /** Tipi di media, nell’ordine delle schede */
+  var TIPI = ['foto', 'planimetria', 'video', 'tour'];
+
+  /** Tipi mostrati come immagini (miniature e lightbox) */
+  var TIPI_IMMAGINE = ['foto', 'planimetria'];
+
+  /** Larghezza occupata dall’immagine principale (attributo sizes): tutto il contenitore, al massimo 1200px */
+  var SIZES_PRINCIPALE = '(min-width: 1200px) 1200px, 100vw';
+
+  /** Spostamento orizzontale minimo (px) perché un trascinamento nel lightbox sia uno swipe */
+  var SWIPE_MIN = 50;
+
+  /** Elementi che possono ricevere il focus dentro il lightbox */
+  var FOCUSABILI = 'button:not([hidden]), [href], [tabindex]:not([tabindex="-1"])';
+
+  /** Contatore per id univoci di schede e pannelli (più gallerie nella stessa pagina) */
+  var contatore = 0;
+
+  // ---------- Dati ----------
+
+  /**
+   * Tipo di un media ('foto' se assente o non previsto).
+   */
+  function getTipo(media) {
+    return media && TIPI.indexOf(media.tipo) !== -1 ? media.tipo : 'foto';
+  }
+
+  /**
+   * Vero per un indirizzo esterno (https), da incorporare con un iframe.
+   */
+  function isEsterno(src) {
+    return /^https:\/\//i.test(String(src || ''));
+  }
+
+  /**
+   * Media raggruppati per tipo, nell’ordine di TIPI; solo i tipi presenti.
+   * @param {Array<Object>} media - immobile.immagini
+   * @returns {Array<{ tipo: string, media: Array<Object> }>}
+   */
+  function raggruppa(media) {
+    return TIPI.map(function (tipo) {
+      return {
+        tipo: tipo,
+        media: (media || []).filter(function (m) {
+          return m && m.src && getTipo(m) === tipo;
+        })
+      };
+    }).filter(function (gruppo) {
+      return gruppo.media.length > 0;
+    });
+  }
+
+  // ---------- DOM ----------
+
+  function crea(tag, className, text) {
+    var el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text != null) el.textContent = text;
+    return el;
+  }
+
+  function creaBottone(className, label, text) {
+    var btn = crea('button', className, text);
+    btn.type = 'button';
+    if (label) btn.setAttribute('aria-label', label);
+    return btn;
+  }
+
+  /**
+   * Mostra un’immagine in un picture: una source per ogni formato moderno e srcset nel formato
+   * originale, se l’API ha fornito le varianti; le source dell’immagine precedente vengono tolte.
+   */
+  function impostaImmagine(picture, img, m, sizes) {
+    Array.prototype.slice.call(picture.querySelectorAll('source')).forEach(function (source) {
+      source.remove();
+    });
+    (m.sorgenti || []).forEach(function (sorgente) {
+      var source = crea('source');
+      source.type = sorgente.formato;
+      source.srcset = sorgente.srcset;
+      source.sizes = sizes;
+      picture.insertBefore(source, img);
+    });
+    if (m.srcset) {
+      img.srcset = m.srcset;
+      img.sizes = sizes;
+    } else {
+      img.removeAttribute('srcset');
+      img.removeAttribute('sizes');
+    }
+    img.src = m.src;
+    img.alt = m.alt || '';
+  }
+
+  /**
+   * Crea la galleria nel contenitore (il contenuto precedente viene sostituito).
+   * @param {HTMLElement} container
+   * @param {Array<Object>} media - immobile.immagini ({ src, alt, tipo })
+   * @param {{ label?: string }} [options] - label: nome accessibile della galleria
+   * @returns {{ apri: function(string, number): void, chiudi: function(): void, destroy: function(): void }}
+   */
+  function create(container, media, options) {
+    options = options || {};
+    var gruppi = raggruppa(media);
+    var uid = ++contatore;
+    var lightbox = null;
+    var tabs = [];
+    var pannelli = [];
+    /** Per indice di pannello: funzione che apre il lightbox su un’immagine (solo foto e planimetrie) */
+    var apriImmagine = [];
+
+    container.innerHTML = '';
+    var galleria = crea('div', 'galleria');
+    galleria.setAttribute('role', 'group');
+    galleria.setAttribute('aria-label', options.label || I18n.t('galleria.etichetta'));
+    container.appendChild(galleria);
+
+    var tablist = null;
+    if (gruppi.length > 1) {
+      tablist = crea('div', 'galleria__tabs');
+      tablist.setAttribute('role', 'tablist');
+      tablist.setAttribute('aria-label', I18n.t('galleria.tipi'));
+      galleria.appendChild(tablist);
+    }
+
+    gruppi.forEach(function (gruppo, i) {
+      var pannello = crea('div', 'galleria__pannello');
+      pannello.id = 'galleria-' + uid + '-' + gruppo.tipo;
+      if (tablist) {
+        var tab = creaBottone('galleria__tab', null, I18n.t('galleria.tipo.' + gruppo.tipo) + ' (' + gruppo.media.length + ')');
+        tab.id = pannello.id + '-tab';
+        tab.setAttribute('role', 'tab');
+        tab.setAttribute('aria-controls', pannello.id);
+        tab.addEventListener('click', function () {
+          selezionaTab(i);
+        });
+        tablist.appendChild(tab);
+        tabs.push(tab);
+        pannello.setAttribute('role', 'tabpanel');
+        pannello.setAttribute('aria-labelledby', tab.id);
+      }
+      if (TIPI_IMMAGINE.indexOf(gruppo.tipo) !== -1) {
+        apriImmagine[i] = renderImmagini(pannello, gruppo.media, i === 0);
+      } else {
+        renderIncorporati(pannello, gruppo);
+      }
+      galleria.appendChild(pannello);
+      pannelli.push(pannello);
+    });
+
+    if (tablist) {
+      // Frecce, Home e Fine spostano la scheda attiva (pattern ARIA tabs)
+      tablist.addEventListener('keydown', function (e) {
+        var attuale = tabs.indexOf(document.activeElement);
+        if (attuale === -1) return;
+        var nuovo = null;
+        if (e.key === 'ArrowRight') nuovo = (attuale + 1) % tabs.length;
+        else if (e.key === 'ArrowLeft') nuovo = (attuale - 1 + tabs.length) % tabs.length;
+        else if (e.key === 'Home') nuovo = 0;
+        else if (e.key === 'End') nuovo = tabs.length - 1;
+        if (nuovo === null) return;
+        e.preventDefault();
+        selezionaTab(nuovo);
+        tabs[nuovo].focus();
+      });
+    }
+    selezionaTab(0);
+
+    function selezionaTab(indice) {
+      pannelli.forEach(function (pannello, i) {
+        pannello.hidden = i !== indice;
+        if (tabs[i]) {
+          tabs[i].setAttribute('aria-selected', i === indice ? 'true' : 'false');
+          tabs[i].tabIndex = i === indice ? 0 : -1;
+        }
+      });
+    }
+
+    /**
+     * Foto o planimetrie: immagine principale (apre il lightbox) e miniature per sceglierla.
+     * @returns {function(number): void} Apre il lightbox sull’immagine indicata
+     */
+    function renderImmagini(pannello, lista, prima) {
+      var corrente = 0;
+      var figure = crea('figure', 'galleria__principale');
+      var apri = creaBottone('galleria__apri');
+      var picture = crea('picture');
+      var img = crea('img');
+      img.width = 720;
+      img.height = 540;
+      img.loading = prima ? 'eager' : 'lazy';
+      img.decoding = 'async';
+      picture.appendChild(img);
+      apri.appendChild(picture);
+      figure.appendChild(apri);
+      pannello.appendChild(figure);
+
+      var thumbs = [];
+      if (lista.length > 1) {
+        var thumbsEl = crea('div', 'galleria__thumbs');
+        lista.forEach(function (m, i) {
+          var thumb = creaBottone('galleria__thumb', I18n.t('galleria.vedi', { n: i + 1 }));
+          var tpicture = crea('picture');
+          var timg = crea('img');
+          timg.width = 80;
+          timg.height = 60;
+          timg.loading = 'lazy';
+          timg.decoding = 'async';
+          tpicture.appendChild(timg);
+          impostaImmagine(tpicture, timg, m, '80px');
+          timg.alt = '';
+          thumb.appendChild(tpicture);
+          thumb.addEventListener('click', function () {
+            mostra(i);
+          });
+          thumbsEl.appendChild(thumb);
+          thumbs.push(thumb);
+        });
+        pannello.appendChild(thumbsEl);
+      }
+
+      function mostra(i) {
+        corrente = i;
+        var m = lista[i];
+        impostaImmagine(picture, img, m, SIZES_PRINCIPALE);
+        apri.setAttribute('aria-label', (m.alt ? m.alt + ' – ' : '') + I18n.t('galleria.apri'));
+        thumbs.forEach(function (thumb, j) {
+          if (j === i) thumb.setAttribute('aria-current', 'true');
+          else thumb.removeAttribute('aria-current');
+        });
+      }
+
+      apri.addEventListener('click', function () {
+        apriLightbox(lista, corrente, apri);
+      });
+      mostra(0);
+      return function (indice) {
+        mostra(indice);
+        apriLightbox(lista, indice, apri);
+      };
+    }
+
+    /**
+     * Video e tour virtuali: tag video per i file del sito, iframe per gli indirizzi esterni.
+     */
+    function renderIncorporati(pannello, gruppo) {
+      gruppo.media.forEach(function (m) {
+        var titolo = m.alt || I18n.t('galleria.tipo.' + gruppo.tipo);
+        var figure = crea('figure', 'galleria__media');
+        var player;
+        if (isEsterno(m.src)) {
+          player = crea('iframe', 'galleria__iframe');
+          player.src = m.src;
+          player.title = titolo;
+          player.loading = 'lazy';
+          player.allowFullscreen = true;
+          player.setAttribute('allow', 'fullscreen; picture-in-picture; xr-spatial-tracking');
+          player.setAttribute('referrerpolicy', 'strict-origin-when-cross-origin');
+        } else {
+          player = crea('video', 'galleria__video');
+          player.src = m.src;
+          player.controls = true;
+          player.preload = 'metadata';
+          player.setAttribute('aria-label', titolo);
+        }
+        figure.appendChild(player);
+        var caption = crea('figcaption', 'galleria__didascalia', m.alt || '');
+        if (gruppo.tipo === 'tour' && isEsterno(m.src)) {
+          var link = crea('a', null, I18n.t('galleria.tour_apri'));
+          link.href = m.src;
+          link.target = '_blank';
+          link.rel = 'noopener';
+          if (m.alt) caption.appendChild(document.createTextNode(' · '));
+          caption.appendChild(link);
+        }
+        if (caption.childNodes.length > 0) figure.appendChild(caption);
+        pannello.appendChild(figure);
+      });
+    }
+
+    // ---------- Lightbox ----------
+
+    /**
+     * Apre il lightbox sull’immagine indicata; alla chiusura il focus torna a opener.
+     */
+    function apriLightbox(lista, indice, opener) {
+      chiudi();
+      var n = lista.length;
+      var overflowPrima = document.body.style.overflow;
+
+      var box = crea('div', 'lightbox');
+      box.setAttribute('role', 'dialog');
+      box.setAttribute('aria-modal', 'true');
+      box.setAttribute('aria-label', I18n.t('galleria.lightbox'));
+
+      var figure = crea('figure', 'lightbox__figure');
+      var picture = crea('picture');
+      var img = crea('img', 'lightbox__img');
+      img.draggable = false;
+      picture.appendChild(img);
+      var caption = crea('figcaption', 'lightbox__didascalia');
+      caption.setAttribute('aria-live', 'polite');
+      var testo = crea('span', 'lightbox__testo');
+      var conteggio = crea('span', 'lightbox__contatore');
+      caption.appendChild(testo);
+      caption.appendChild(conteggio);
+      figure.appendChild(picture);
+      figure.appendChild(caption);
+
+      var btnChiudi = creaBottone('lightbox__chiudi', I18n.t('galleria.chiudi'), '×');
+      var btnPrec = creaBottone('lightbox__nav lightbox__nav--prec', I18n.t('galleria.precedente'), '‹');
+      var btnSucc = creaBottone('lightbox__nav lightbox__nav--succ', I18n.t('galleria.successiva'), '›');
+      btnPrec.hidden = btnSucc.hidden = n < 2;
+
+      box.appendChild(btnChiudi);
+      box.appendChild(btnPrec);
+      box.appendChild(figure);
+      box.appendChild(btnSucc);
+
+      function mostra(i) {
+        indice = (i + n) % n;
+        var m = lista[indice];
+        impostaImmagine(picture, img, m, '100vw');
+        testo.textContent = m.alt || '';
+        conteggio.textContent = I18n.t('galleria.contatore', { n: indice + 1, totale: n });
+      }
+
+      btnChiudi.addEventListener('click', chiudi);
+      btnPrec.addEventListener('click', function () { mostra(indice - 1); });
+      btnSucc.addEventListener('click', function () { mostra(indice + 1); });
+      // Clic sullo sfondo, fuori da immagine e controlli
+      box.addEventListener('click', function (e) {
+        if (e.target === box) chiudi();
+      });
+
+      box.addEventListener('keydown', function (e) {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          chiudi();
+        } else if (e.key === 'ArrowLeft' && n > 1) {
+          e.preventDefault();
+          mostra(indice - 1);
+        } else if (e.key === 'ArrowRight' && n > 1) {
+          e.preventDefault();
+          mostra(indice + 1);
+        } else if (e.key === 'Tab') {
+          // Focus intrappolato: dall’ultimo controllo si torna al primo e viceversa
+          var focusabili = Array.prototype.slice.call(box.querySelectorAll(FOCUSABILI));
+          var primo = focusabili[0];
+          var ultimo = focusabili[focusabili.length - 1];
+          if (e.shiftKey && document.activeElement === primo) {
+            e.preventDefault();
+            ultimo.focus();
+          } else if (!e.shiftKey && document.activeElement === ultimo) {
+            e.preventDefault();
+            primo.focus();
+          }
+        }
+      });
+
+      // Swipe (touch, penna o mouse) sull’immagine
+      var inizio = null;
+      img.addEventListener('pointerdown', function (e) {
+        inizio = { x: e.clientX, y: e.clientY };
+      });
+      img.addEventListener('pointerup', function (e) {
+        if (!inizio || n < 2) return;
+        var dx = e.clientX - inizio.x;
+        var dy = e.clientY - inizio.y;
+        inizio = null;
+        if (Math.abs(dx) >= SWIPE_MIN && Math.abs(dx) > Math.abs(dy)) mostra(dx < 0 ? indice + 1 : indice - 1);
+      });
+      img.addEventListener('pointercancel', function () {
+        inizio = null;
+      });
+
+      mostra(indice);
+      document.body.appendChild(box);
+      document.body.style.overflow = 'hidden';
+      btnChiudi.focus();
+
+      lightbox = {
+        chiudi: function () {
+          box.remove();
+          document.body.style.overflow = overflowPrima;
+          if (opener && document.contains(opener)) opener.focus();
+        }
+      };
+    }
+
+    /** Chiude il lightbox, se aperto */
+    function chiudi() {
+      if (!lightbox) return;
+      var aperto = lightbox;
+      lightbox = null;
+      aperto.chiudi();
+    }
+
+    return {
+      /**
+       * Mostra la scheda del tipo indicato e, per foto e planimetrie, apre il lightbox sull’immagine.
+       * @param {string} tipo
+       * @param {number} [indice] - default 0
+       */
+      apri: function (tipo, indice) {
+        var i = gruppi.map(function (g) { return g.tipo; }).indexOf(tipo);
+        if (i === -1) return;
+        selezionaTab(i);
+        if (apriImmagine[i]) apriImmagine[i](indice || 0);
+      },
+      chiudi: chiudi,
+      destroy: function () {
+        chiudi();
+        container.innerHTML = '';
+      }
+    };
+  }
+
+  return {
+    TIPI: TIPI,
+    TIPI_IMMAGINE: TIPI_IMMAGINE,
+    getTipo: getTipo,
+    isEsterno: isEsterno,
+    raggruppa: raggruppa,
+    create: create
+  };
+});
@@ -0,0 +1,579 @@
+/**
+ * i18n.js - Lingue del sito (italiano e inglese): cataloghi dei messaggi e testi degli annunci
+ * Condiviso tra browser (esposto come window.I18n, da caricare dopo agenzia.js e prima degli altri
+ * script) e server (Backend/immobili.js e Backend/pagine.js, via require). Nel browser la lingua è
+ * scelta così: parametro ?lang= dell’indirizzo (ricordato in localStorage), scelta salvata, lingua
+ * del browser, lingua dell’agenzia, italiano; sul server è la lingua predefinita (es. email e
+ * messaggi dell’API), tranne durante conLingua(), con cui il server genera le pagine nella lingua richiesta.
+ *
+ * I testi dell’interfaccia prodotti dagli script sono nei cataloghi CATALOGHI, per chiave:
+ * t('card.dettagli'), t('risultati.altri', { n: 12 }), tn('locali', 3). Una chiave che manca
+ * nella lingua corrente usa il testo italiano.
+ * Il testo italiano delle pagine resta nel markup: gli elementi con data-i18n="chiave"
+ * (testo), data-i18n-html="chiave" (testo con link) o data-i18n-attr="attributo:chiave;…"
+ * vengono tradotti da main.js solo se la chiave è nel catalogo della lingua scelta.
+ * Nei title (chiavi *.titolo_pagina e meta.*) l’ultima parte è il segnaposto {agenzia}: il nome
+ * dell’agenzia lo inserisce Agenzia.getTitoloPagina.
+ *
+ * I testi degli annunci in altre lingue stanno nel record, in traduzioni (vedi
+ * data/immobile.schema.json): { titolo, traduzioni: { en: { titolo, descrizione } } } e, per
+ * le immagini, { src, alt, traduzioni: { en: { alt } } }. localizza() applica quelli della
+ * lingua richiesta; i campi non tradotti restano in italiano.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.I18n = factory();
+  }
+})(this, function () {
+  'use strict';
+
+  /** Lingue del sito; la prima è quella predefinita (testi dei dati e del markup) */
+  var LINGUE = ['it', 'en'];
+  var LINGUA_DEFAULT = LINGUE[0];
+
+  /** Nomi delle lingue nel selettore, ciascuno nella propria lingua */
+  var NOMI_LINGUE = { it: 'Italiano', en: 'English' };
+
+  /** Locale per date e numeri (Intl) */
+  var LOCALI = { it: 'it-IT', en: 'en-GB' };
+
+  /** Parametro dell’indirizzo con la lingua (link del selettore e hreflang) */
+  var PARAM = 'lang';
+  var STORAGE_KEY = 'agenzia-immobiliare:lingua';
+
+  var CATALOGHI = {
+    it: {
+      'contratto.vendita': 'Vendita',
+      'contratto.affitto': 'Affitto',
+      'immobile': 'Immobile',
+      'prezzo.al_mese': '/mese',
+      'prezzo.al_mq': '/m²',
+      'prezzo.al_mq_mese': '/m² al mese',
+      'prezzo.su_richiesta': 'Prezzo su richiesta',
+      'prezzo.precedente': 'Prezzo precedente',
+      'prezzo.attuale': 'Prezzo attuale',
+      'locali.uno': '{n} locale',
+      'locali.altri': '{n} locali',
+      'dettaglio.contratto': 'Contratto',
+      'dettaglio.prezzo': 'Prezzo',
+      'dettaglio.prezzo_mq': 'Prezzo al m²',
+      'dettaglio.superficie': 'Superficie',
+      'dettaglio.locali': 'Locali',
+      'dettaglio.localita': 'Località',
+      'dettaglio.tipologia': 'Tipologia',
+      'dettaglio.piano': 'Piano',
+      'dettaglio.riscaldamento': 'Riscaldamento',
+      'dettaglio.classeEnergetica': 'Classe energetica',
+      'dettaglio.annoCostruzione': 'Anno costruzione',
+      'dettaglio.stato': 'Stato',
+      'dettaglio.giardino': 'Giardino',
+      'dettaglio.postiAuto': 'Posti auto',
+      'dettaglio.terrazzo': 'Terrazzo',
+      'dettaglio.garage': 'Garage',
+      'filtri.prezzo': 'Prezzo',
+      'filtri.canone': 'Canone',
+      'filtri.da_a': '{label} da {min} a {max}',
+      'filtri.da': '{label} da {min}',
+      'filtri.fino_a': '{label} fino a {max}',
+      'filtri.superficie_da_a': 'Da {min} a {max} m²',
+      'filtri.superficie_min': 'Almeno {n} m²',
+      'filtri.superficie_max': 'Fino a {n} m²',
+      'filtri.locali_min.uno': 'Almeno {n} locale',
+      'filtri.locali_min.altri': 'Almeno {n} locali',
+      'filtri.classe': 'Classe energetica {classe} o migliore',
+      'filtri.classe_opzione': '{classe} o migliore',
+      'filtri.area': 'Area scelta sulla mappa',
+      'filtri.tutte_localita': 'Tutte le località',
+      'filtri.tutte_tipologie': 'Tutte le tipologie',
+      'filtri.tutte_classi': 'Tutte le classi',
+      'preferiti.salva': 'Salva nei preferiti',
+      'preferiti.salva_titolo': 'Salva nei preferiti: {titolo}',
+      'card.dettagli': 'Dettagli',
+      'card.confronta': 'Confronta',
+      'menu.apri': 'Apri menu',
+      'menu.chiudi': 'Chiudi menu',
+      'lingua.etichetta': 'Lingua',
+      'cta.etichetta': 'Azioni rapide',
+      'cta.sfoglia': 'Sfoglia immobili',
+      'cta.contattaci': 'Contattaci',
+      'meta.immobile_titolo': '{titolo} | Immobili | {agenzia}',
+      'meta.immobile_descrizione': '{dati}. {prezzo}',
+      'meta.non_disponibile': 'Immobile non più disponibile | {agenzia}',
+      'nav.home': 'Home',
+      'nav.immobili': 'Immobili',
+      'galleria.etichetta': 'Galleria immagini',
+      'galleria.vedi': 'Vedi immagine {n}',
+      'galleria.tipi': 'Contenuti',
+      'galleria.tipo.foto': 'Foto',
+      'galleria.tipo.planimetria': 'Planimetrie',
+      'galleria.tipo.video': 'Video',
+      'galleria.tipo.tour': 'Tour virtuale',
+      'galleria.apri': 'apri a schermo intero',
+      'galleria.lightbox': 'Immagini a schermo intero',
+      'galleria.chiudi': 'Chiudi',
+      'galleria.precedente': 'Immagine precedente',
+      'galleria.successiva': 'Immagine successiva',
+      'galleria.contatore': '{n} di {totale}',
+      'galleria.tour_apri': 'Apri il tour in una nuova scheda',
+      'posizione.mappa': 'Mappa con la posizione dell’immobile. Frecce per spostare, + e - per lo zoom.',
+      'immobile.inserito': 'Inserito il {data}',
+      'immobile.descrizione': 'Descrizione',
+      'immobile.caratteristiche': 'Caratteristiche',
+      'immobile.cta_titolo': 'Richiedi informazioni',
+      'immobile.cta_testo': 'Per domande o dettagli contatta la nostra agenzia: la richiesta arriverà con il riferimento di questo immobile.',
+      'immobile.cta_bottone': 'Richiedi informazioni su questo immobile',
+      'risultati.nessuno': 'Nessun immobile trovato. Prova a modificare i filtri.',
+      'risultati.uno': '1 immobile trovato',
+      'risultati.altri': '{n} immobili trovati',
+      'risultati.parziali': '{n} immobili trovati, {da}–{a} visualizzati',
+      'pager.precedente': '‹ Precedente',
+      'pager.precedente_etichetta': 'Pagina precedente',
+      'pager.successiva': 'Successiva ›',
+      'pager.successiva_etichetta': 'Pagina successiva',
+      'pager.pagina': 'Pagina {n}',
+      'pager.carica_altri': 'Carica altri immobili ({n})',
+      'confronto.selezionati.uno': '1 immobile selezionato',
+      'confronto.selezionati.altri': '{n} immobili selezionati',
+      'confronto.minimo': ': scegline almeno {n} da confrontare.',
+      'confronto.massimo': ' (massimo {n}).',
+      'mappa.risultati': 'Mappa dei risultati. Frecce per spostare, + e - per lo zoom.',
+      'mappa.errore': 'Impossibile caricare gli immobili sulla mappa.',
+      'mappa.senza_posizione.uno': '1 immobile non ha una posizione e non compare sulla mappa.',
+      'mappa.senza_posizione.altri': '{n} immobili non hanno una posizione e non compaiono sulla mappa.',
+      'mappa.primi': 'Sulla mappa i primi {n} risultati su {totale}.',
+      'form.invio': 'Invio in corso…',
+      'form.errore_rete': 'Impossibile inviare il messaggio. Controlla la connessione e riprova.',
+      'form.errore_server': 'Si è verificato un errore durante l’invio. Riprova tra qualche minuto.',
+      'form.errori': 'Il modulo contiene {n} errori. Controlla i campi evidenziati.',
+      'form.messaggio_preferiti': 'Buongiorno, vorrei ricevere informazioni su questi immobili:',
+      'form.riga_immobile': '- {titolo} (rif. {id})',
+      'form.nota_preferiti.uno': 'La richiesta riguarda 1 immobile dei tuoi preferiti.',
+      'form.nota_preferiti.altri': 'La richiesta riguarda {n} immobili dei tuoi preferiti.',
+      'form.nota_rif': 'La richiesta riguarda l’immobile rif. {id}.',
+      'form.nota_immobile': 'La richiesta riguarda l’immobile “{titolo}” ({rif}).',
+      'form.nota_non_disponibile': 'La richiesta riguarda l’immobile “{titolo}” ({rif}), non più disponibile.',
+      'form.messaggio_immobile': 'Buongiorno, vorrei ricevere informazioni sull’immobile “{titolo}” ({rif}).',
+      'form.rif': 'rif. {id}'
+    },
+
+    en: {
+      'contratto.vendita': 'For sale',
+      'contratto.affitto': 'For rent',
+      'immobile': 'Property',
+      'prezzo.al_mese': '/month',
+      'prezzo.al_mq': '/m²',
+      'prezzo.al_mq_mese': '/m² per month',
+      'prezzo.su_richiesta': 'Price on request',
+      'prezzo.precedente': 'Previous price',
+      'prezzo.attuale': 'Current price',
+      'locali.uno': '{n} room',
+      'locali.altri': '{n} rooms',
+      'dettaglio.contratto': 'Contract',
+      'dettaglio.prezzo': 'Price',
+      'dettaglio.prezzo_mq': 'Price per m²',
+      'dettaglio.superficie': 'Floor area',
+      'dettaglio.locali': 'Rooms',
+      'dettaglio.localita': 'Location',
+      'dettaglio.tipologia': 'Property type',
+      'dettaglio.piano': 'Floor',
+      'dettaglio.riscaldamento': 'Heating',
+      'dettaglio.classeEnergetica': 'Energy class',
+      'dettaglio.annoCostruzione': 'Year built',
+      'dettaglio.stato': 'Condition',
+      'dettaglio.giardino': 'Garden',
+      'dettaglio.postiAuto': 'Parking spaces',
+      'dettaglio.terrazzo': 'Terrace',
+      'dettaglio.garage': 'Garage',
+      'filtri.prezzo': 'Price',
+      'filtri.canone': 'Rent',
+      'filtri.da_a': '{label} from {min} to {max}',
+      'filtri.da': '{label} from {min}',
+      'filtri.fino_a': '{label} up to {max}',
+      'filtri.superficie_da_a': 'From {min} to {max} m²',
+      'filtri.superficie_min': 'At least {n} m²',
+      'filtri.superficie_max': 'Up to {n} m²',
+      'filtri.locali_min.uno': 'At least {n} room',
+      'filtri.locali_min.altri': 'At least {n} rooms',
+      'filtri.classe': 'Energy class {classe} or better',
+      'filtri.classe_opzione': '{classe} or better',
+      'filtri.area': 'Area drawn on the map',
+      'filtri.tutte_localita': 'All locations',
+      'filtri.tutte_tipologie': 'All property types',
+      'filtri.tutte_classi': 'All classes',
+      'preferiti.salva': 'Save to favourites',
+      'preferiti.salva_titolo': 'Save to favourites: {titolo}',
+      'card.dettagli': 'Details',
+      'card.confronta': 'Compare',
+      'menu.apri': 'Open menu',
+      'menu.chiudi': 'Close menu',
+      'lingua.etichetta': 'Language',
+      'cta.etichetta': 'Quick actions',
+      'cta.sfoglia': 'Browse properties',
+      'cta.contattaci': 'Contact us',
+      'meta.immobile_titolo': '{titolo} | Properties | {agenzia}',
+      'meta.immobile_descrizione': '{dati}. {prezzo}',
+      'meta.non_disponibile': 'Property no longer available | {agenzia}',
+      'nav.home': 'Home',
+      'nav.immobili': 'Properties',
+      'galleria.etichetta': 'Image gallery',
+      'galleria.vedi': 'Show image {n}',
+      'galleria.tipi': 'Media',
+      'galleria.tipo.foto': 'Photos',
+      'galleria.tipo.planimetria': 'Floor plans',
+      'galleria.tipo.video': 'Videos',
+      'galleria.tipo.tour': 'Virtual tour',
+      'galleria.apri': 'open full screen',
+      'galleria.lightbox': 'Full-screen images',
+      'galleria.chiudi': 'Close',
+      'galleria.precedente': 'Previous image',
+      'galleria.successiva': 'Next image',
+      'galleria.contatore': '{n} of {totale}',
+      'galleria.tour_apri': 'Open the tour in a new tab',
+      'posizione.mappa': 'Map showing the property location. Arrow keys to pan, + and - to zoom.',
+      'immobile.inserito': 'Listed on {data}',
+      'immobile.descrizione': 'Description',
+      'immobile.caratteristiche': 'Features',
+      'immobile.cta_titolo': 'Request information',
+      'immobile.cta_testo': 'For questions or details contact our agency: your request will include the reference of this property.',
+      'immobile.cta_bottone': 'Ask about this property',
+      'risultati.nessuno': 'No properties found. Try changing the filters.',
+      'risultati.uno': '1 property found',
+      'risultati.altri': '{n} properties found',
+      'risultati.parziali': '{n} properties found, showing {da}–{a}',
+      'pager.precedente': '‹ Previous',
+      'pager.precedente_etichetta': 'Previous page',
+      'pager.successiva': 'Next ›',
+      'pager.successiva_etichetta': 'Next page',
+      'pager.pagina': 'Page {n}',
+      'pager.carica_altri': 'Load more properties ({n})',
+      'confronto.selezionati.uno': '1 property selected',
+      'confronto.selezionati.altri': '{n} properties selected',
+      'confronto.minimo': ': choose at least {n} to compare.',
+      'confronto.massimo': ' (maximum {n}).',
+      'mappa.risultati': 'Map of the results. Arrow keys to pan, + and - to zoom.',
+      'mappa.errore': 'Unable to load the properties on the map.',
+      'mappa.senza_posizione.uno': '1 property has no location and is not shown on the map.',
+      'mappa.senza_posizione.altri': '{n} properties have no location and are not shown on the map.',
+      'mappa.primi': 'The map shows the first {n} of {totale} results.',
+      'form.invio': 'Sending…',
+      'form.errore_rete': 'Unable to send the message. Check your connection and try again.',
+      'form.errore_server': 'Something went wrong while sending. Please try again in a few minutes.',
+      'form.errori': 'The form contains {n} errors. Please check the highlighted fields.',
+      'form.messaggio_preferiti': 'Hello, I would like to receive information about these properties:',
+      'form.riga_immobile': '- {titolo} (ref. {id})',
+      'form.nota_preferiti.uno': 'Your request is about 1 of your favourite properties.',
+      'form.nota_preferiti.altri': 'Your request is about {n} of your favourite properties.',
+      'form.nota_rif': 'Your request is about property ref. {id}.',
+      'form.nota_immobile': 'Your request is about the property “{titolo}” ({rif}).',
+      'form.nota_non_disponibile': 'Your request is about the property “{titolo}” ({rif}), no longer available.',
+      'form.messaggio_immobile': 'Hello, I would like to receive information about the property “{titolo}” ({rif}).',
+      'form.rif': 'ref. {id}',
+
+      // Messaggi di validazione (chiavi di MESSAGES in validazione-contatti.js)
+      'validazione.required': 'This field is required.',
+      'validazione.minLength': 'Enter at least {n} characters.',
+      'validazione.maxLength': 'Text too long.',
+      'validazione.invalid': 'Invalid format.',
+      'validazione.options': 'Choose one of the options.',
+      'validazione.min': 'The minimum value is {n}.',
+      'validazione.max': 'The maximum value is {n}.',
+      'validazione.nome_maxLength': 'Name too long.',
+      'validazione.email_invalid': 'Enter a valid email address.',
+      'validazione.telefono_invalid': 'Invalid phone number (e.g. +39 333 1234567).',
+      'validazione.messaggio_minLength': 'The message must be at least 10 characters long.',
+      'validazione.messaggio_maxLength': 'Message too long.',
+      'validazione.numero_invalid': 'Enter a number.',
+      'validazione.gdpr_required': 'You must consent to the processing of your data to send the form.',
+      'validazione.iscrizione_gdpr_required': 'You must consent to the processing of your data to receive alerts.',
+      'validazione.visita_telefono_required': 'Enter a number we can call if anything changes.',
+      'validazione.visita_inizio_required': 'Choose the day and time of the viewing.',
+
+      // Testi delle pagine (attributi data-i18n*)
+      'nav.etichetta': 'Main navigation',
+      'nav.chi_siamo': 'About us',
+      'nav.servizi': 'Services',
+      'nav.contatti': 'Contact',
+      'nav.preferiti': 'Favourites',
+      'breadcrumb.immobile': 'Property',
+      'footer.descrizione': 'Properties for sale and rent. Professional, transparent advice.',
+      'footer.link_utili': 'Useful links',
+      'footer.contatti': 'Contact',
+      'footer.diritti': 'All rights reserved.',
+      'home.titolo_pagina': 'Home | {agenzia}',
+      'home.descrizione_pagina': 'Trusted real estate agency in Milan. Apartments, villas and commercial premises for sale and rent.',
+      'home.titolo': 'Find your dream home',
+      'home.sottotitolo': 'Selected properties for sale and rent. Dedicated, transparent advice.',
+      'home.sfoglia': 'Browse properties',
+      'home.contattaci': 'Contact us',
+      'home.in_evidenza': 'Featured properties',
+      'home.nessuno': 'No featured properties at the moment. Come back soon or <a href="contatti.html">contact us</a> for information.',
+      'home.vedi_tutti': 'See all properties',
+      'home.cta_titolo': 'Need some advice?',
+      'home.cta_testo': 'Our team is here to help you find the right property or make the most of yours.',
+      'immobili.titolo_pagina': 'Properties for sale and rent | {agenzia}',
+      'immobili.descrizione_pagina': 'Properties for sale and rent in Milan. Apartments, villas and commercial premises selected by our agency.',
+      'immobili.titolo': 'Our properties',
+      'immobili.intro': 'Browse our properties for sale and for rent. Use the filters to narrow your search.',
+      'immobili.filtri_etichetta': 'Filter and sort properties',
+      'immobili.filtra': 'Filter results',
+      'immobili.contratto': 'Sale / Rent',
+      'immobili.contratto_tutti': 'All',
+      'immobili.contratto_desc': 'Show only properties for sale or for rent',
+      'immobili.prezzo_min': 'Min sale price (€)',
+      'immobili.prezzo_max': 'Max sale price (€)',
+      'immobili.canone_min': 'Min rent (€/month)',
+      'immobili.canone_max': 'Max rent (€/month)',
+      'immobili.localita': 'Location',
+      'immobili.localita_etichetta': 'Filter by city or area',
+      'immobili.tipologia': 'Property type',
+      'immobili.tipologia_etichetta': 'Filter by type (apartment, villa, etc.)',
+      'immobili.superficie_min': 'Min floor area (m²)',
+      'immobili.superficie_max': 'Max floor area (m²)',
+      'immobili.locali_min': 'Rooms (at least)',
+      'immobili.classe': 'Energy class',
+      'immobili.classe_desc': 'The chosen class or better',
+      'immobili.cerca': 'Search',
+      'immobili.cerca_placeholder': 'e.g. terrace, old town',
+      'immobili.cerca_desc': 'Words in the title or description',
+      'immobili.ordina': 'Sort by',
+      'immobili.ordina_etichetta': 'Sort results',
+      'immobili.applica': 'Apply filters',
+      'immobili.ordine_recente': 'Newest',
+      'immobili.ordine_crescente': 'Price: low to high',
+      'immobili.ordine_decrescente': 'Price: high to low',
+      'immobili.caratteristiche': 'Features',
+      'immobili.vista_etichetta': 'Results view',
+      'immobili.vista_elenco': 'List',
+      'immobili.vista_mappa': 'Map',
+      'immobili.mappa_segui': 'Update the results when moving the map',
+      'immobili.mappa_disegna': 'Draw an area',
+      'immobili.area': 'Results limited to the area chosen on the map.',
+      'immobili.area_rimuovi': 'Remove area',
+      'immobili.pager_etichetta': 'Results pages',
+      'immobili.confronto_etichetta': 'Compare properties',
+      'immobili.confronta': 'Compare',
+      'immobili.confronto_svuota': 'Clear selection',
+      'immobili.nessuno': 'No properties match the selected filters.',
+      'immobili.ricerca_personalizzata': '<a href="contatti.html" class="btn btn--secondary">Contact us</a> for a personalised search.',
+      'ricerca.sommario': 'Get new properties matching this search by email',
+      'ricerca.gdpr': 'I consent to the <a href="privacy.html">processing of my personal data</a> to receive email alerts about new properties. I can unsubscribe from any message. <span class="form-label--required" aria-hidden="true">*</span>',
+      'ricerca.salva': 'Save the search',
+      'immobile.titolo_pagina': 'Property | {agenzia}',
+      'immobile.descrizione_pagina': 'Property for sale or rent.',
+      'immobile.posizione': 'Location',
+      'immobile.visita_titolo': 'Book a viewing',
+      'immobile.visita_testo': 'Choose a day and time: one of our agents will meet you at the property. You will receive an email confirmation with a link to reschedule or cancel the viewing.',
+      'immobile.visita_vuota': 'There are no free slots at the moment: <a href="contatti.html">contact us</a> to arrange a viewing.',
+      'immobile.visita_giorno': 'Day',
+      'immobile.visita_orario': 'Time',
+      'immobile.visita_gdpr': 'I consent to the <a href="privacy.html">processing of my personal data</a> to arrange the viewing. <span class="form-label--required" aria-hidden="true">*</span>',
+      'immobile.visita_invia': 'Book the viewing',
+      'immobile.non_trovato': 'Property not found',
+      'immobile.non_trovato_testo': 'The requested property is not available or the address is incorrect.',
+      'immobile.non_disponibile': 'Property no longer available',
+      'immobile.non_disponibile_testo': 'This property has been sold, let or withdrawn from the market. Discover the other properties of our agency.',
+      'immobile.vedi_tutti': 'See all properties',
+      'contatti.titolo_pagina': 'Contact | {agenzia}',
+      'contatti.descrizione_pagina': 'Contact the real estate agency: phone, email, enquiry form. We are happy to help with properties and services.',
+      'contatti.titolo': 'Contact',
+      'contatti.intro': 'Write to us for information about properties, viewings or quotes. We will reply as soon as possible.',
+      'contatti.dove_siamo': 'Where we are',
+      'contatti.orari': 'Opening hours: Mon–Fri 9am–1pm and 2pm–6pm, Saturday by appointment.',
+      'contatti.mappa_alt': 'Map showing the agency office',
+      'contatti.sede': 'Office in',
+      'contatti.scrivici': 'Send us a message',
+      'contatti.successo': 'Message sent successfully.',
+      'contatti.successo_testo': 'We have received your request. We will get back to you as soon as possible.',
+      'contatti.nome': 'Full name',
+      'contatti.telefono': 'Phone',
+      'contatti.oggetto': 'Subject',
+      'contatti.oggetto_scegli': 'Select...',
+      'contatti.oggetto_vendita': 'Information about a property for sale',
+      'contatti.oggetto_affitto': 'Information about a property for rent',
+      'contatti.oggetto_stima': 'Property valuation request',
+      'contatti.oggetto_altro': 'Other',
+      'contatti.messaggio': 'Message',
+      'contatti.messaggio_placeholder': 'Write your message here...',
+      'contatti.gdpr': 'I consent to the <a href="privacy.html">processing of my personal data</a> to receive a reply to my request (privacy notice, art. 13 GDPR). <span class="form-label--required" aria-hidden="true">*</span>',
+      'contatti.gdpr_desc': 'Required to send the form.',
+      'contatti.invia': 'Send message'
+    }
+  };
+
+  /**
+   * Lingua del sito corrispondente al valore (es. "EN", "en-GB" -> "en"), o '' se non è tra LINGUE.
+   * @param {*} value
+   * @returns {string}
+   */
+  function normalizeLingua(value) {
+    var lingua = String(value == null ? '' : value).trim().toLowerCase().slice(0, 2);
+    return LINGUE.indexOf(lingua) !== -1 ? lingua : '';
+  }
+
+  function leggiScelta() {
+    try {
+      return window.localStorage.getItem(STORAGE_KEY);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function salvaScelta(lingua) {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, lingua);
+    } catch (e) {
+      // localStorage non disponibile: la lingua vale solo per questa pagina
+    }
+  }
+
+  /**
+   * Lingua della pagina: ?lang= (e la ricorda), scelta salvata, lingue del browser, lingua
+   * dell’agenzia (agenzia.js, se caricato prima), predefinita.
+   * Fuori dal browser restituisce sempre la lingua predefinita.
+   * @returns {string}
+   */
+  function rilevaLingua() {
+    if (typeof window === 'undefined' || !window.location) return LINGUA_DEFAULT;
+    var dallIndirizzo = normalizeLingua(new URLSearchParams(window.location.search).get(PARAM));
+    if (dallIndirizzo) {
+      salvaScelta(dallIndirizzo);
+      return dallIndirizzo;
+    }
+    var salvata = normalizeLingua(leggiScelta());
+    if (salvata) return salvata;
+    var nav = window.navigator || {};
+    var preferite = nav.languages || (nav.language ? [nav.language] : []);
+    for (var i = 0; i < preferite.length; i++) {
+      var lingua = normalizeLingua(preferite[i]);
+      if (lingua) return lingua;
+    }
+    return (window.Agenzia && normalizeLingua(window.Agenzia.getConfig().lingua)) || LINGUA_DEFAULT;
+  }
+
+  var linguaCorrente = rilevaLingua();
+
+  /**
+   * Lingua corrente della pagina (sul server: la lingua predefinita).
+   * @returns {string}
+   */
+  function getLingua() {
+    return linguaCorrente;
+  }
+
+  /**
+   * Locale Intl della lingua (default: lingua corrente), es. "it-IT".
+   * @param {string} [lingua]
+   * @returns {string}
+   */
+  function getLocale(lingua) {
+    return LOCALI[lingua || linguaCorrente] || LOCALI[LINGUA_DEFAULT];
+  }
+
+  /**
+   * Vero se il catalogo della lingua corrente ha un testo per la chiave (senza ricadere sull’italiano).
+   * @param {string} key
+   * @returns {boolean}
+   */
+  function has(key) {
+    return CATALOGHI[linguaCorrente].hasOwnProperty(key);
+  }
+
+  /**
+   * Testo della chiave nella lingua corrente, con i segnaposto {nome} sostituiti da params.
+   * Senza traduzione usa il testo italiano; senza nemmeno quello restituisce la chiave.
+   * @param {string} key
+   * @param {Object} [params]
+   * @returns {string}
+   */
+  function t(key, params) {
+    var testo = has(key) ? CATALOGHI[linguaCorrente][key] : CATALOGHI[LINGUA_DEFAULT][key];
+    if (testo == null) return key;
+    if (!params) return testo;
+    return testo.replace(/\{(\w+)\}/g, function (match, nome) {
+      return params[nome] != null ? String(params[nome]) : match;
+    });
+  }
+
+  /**
+   * Testo al singolare (chiave.uno) o al plurale (chiave.altri) secondo n, con {n} sostituito.
+   * @param {string} key
+   * @param {number} n
+   * @param {Object} [params]
+   * @returns {string}
+   */
+  function tn(key, n, params) {
+    return t(key + (n === 1 ? '.uno' : '.altri'), Object.assign({ n: n }, params));
+  }
+
+  /**
+   * Copia dell’oggetto (record o immagine) con i testi di traduzioni[lingua] al posto di quelli
+   * italiani e senza il campo traduzioni. I testi non tradotti restano in italiano.
+   * @param {Object} obj
+   * @param {string} lingua
+   * @returns {Object}
+   */
+  function localizza(obj, lingua) {
+    if (!obj || typeof obj !== 'object') return obj;
+    var copia = {};
+    Object.keys(obj).forEach(function (key) {
+      if (key !== 'traduzioni') copia[key] = obj[key];
+    });
+    var testi = lingua !== LINGUA_DEFAULT && obj.traduzioni && obj.traduzioni[lingua];
+    if (testi) {
+      Object.keys(testi).forEach(function (key) {
+        if (testi[key]) copia[key] = testi[key];
+      });
+    }
+    return copia;
+  }
+
+  /**
+   * Esegue fn con la lingua indicata come lingua corrente, poi ripristina la precedente.
+   * Usata dal server per generare una pagina nella lingua della richiesta: fn deve essere
+   * sincrona, così due richieste in lingue diverse non si mescolano.
+   * @param {string} lingua - Lingua non prevista = lingua predefinita
+   * @param {function(): *} fn
+   * @returns {*} Il risultato di fn
+   */
+  function conLingua(lingua, fn) {
+    var precedente = linguaCorrente;
+    linguaCorrente = normalizeLingua(lingua) || LINGUA_DEFAULT;
+    try {
+      return fn();
+    } finally {
+      linguaCorrente = precedente;
+    }
+  }
+
+  /**
+   * Indirizzo della stessa pagina in un’altra lingua (parametro ?lang=), per selettore e hreflang.
+   * @param {string} href - Indirizzo assoluto
+   * @param {string} lingua
+   * @returns {string}
+   */
+  function buildUrlLingua(href, lingua) {
+    var url = new URL(href);
+    url.searchParams.set(PARAM, lingua);
+    url.hash = '';
+    return url.href;
+  }
+
+  return {
+    LINGUE: LINGUE,
+    LINGUA_DEFAULT: LINGUA_DEFAULT,
+    NOMI_LINGUE: NOMI_LINGUE,
+    PARAM: PARAM,
+    normalizeLingua: normalizeLingua,
+    getLingua: getLingua,
+    getLocale: getLocale,
+    has: has,
+    t: t,
+    tn: tn,
+    localizza: localizza,
+    conLingua: conLingua,
+    buildUrlLingua: buildUrlLingua
+  };
+});
@@ -1,248 +1,689 @@
 /**
  * immobili.js - Pagina elenco immobili con filtri e ordinamento
- * Carica dati da JSON, applica filtri (vendita/affitto, prezzo, località, tipologia),
- * ordinamento (prezzo crescente/decrescente, più recenti), render grid responsive.
+ * Invia i filtri (vendita/affitto, prezzo, località, tipologia) e l’ordinamento
+ * (prezzo crescente/decrescente, più recenti) all’API /api/immobili, che filtra lato server;
+ * render grid responsive con i soli risultati ricevuti.
+ * Filtri e ordinamento sono riportati nella query string (es. immobili?contratto=affitto&localita=Milano&prezzo-max=1500),
+ * così una ricerca si può condividere, salvare nei preferiti e ripercorrere con avanti/indietro.
+ * I risultati arrivano una pagina alla volta: pager numerato (pagina nell’URL) oppure, con
+ * data-modalita="carica-altri" o "scroll" su #immobili-pager, pagine successive aggiunte in coda.
+ * Vista mappa (vista=mappa nell’URL, mappa.js): marker di tutti i risultati dei filtri; l’elenco
+ * si può limitare a un’area disegnata o a quella visibile spostando la mappa (parametro area).
+ * Le caselle “Confronta” delle card selezionano da 2 a 4 immobili (anche tra pagine e filtri diversi,
+ * conservati in sessionStorage) da aprire in confronto.html?ids=….
+ * Dati e card vengono dal modulo condiviso annunci.js (caricato prima di questo script),
+ * i testi dal catalogo della lingua corrente (i18n.js).
+ * La prima pagina di risultati arriva già nell’HTML generato dal server (Backend/pagine.js), con i
+ * dati in #immobili-dati: se filtri e lingua coincidono non viene richiesta di nuovo all’API e
+ * card e conteggio restano quelli del server.
  * Eseguito solo su immobili.html. Codice modulare, UI accessibile.
  */
 
 (function () {
   'use strict';
 
-  var IMMOBILI_JSON_PATH = 'data/immobili.json';
+  var Annunci = window.Annunci;
+  var I18n = window.I18n;
+  var escapeHtml = Annunci.escapeHtml;
+
+  var PER_PAGINA = Annunci.PER_PAGINA_DEFAULT;
+  var INPUT_DEBOUNCE_MS = 300;
+  /** Script con i dati della prima pagina di risultati generata dal server */
+  var DATI_SERVER_ID = 'immobili-dati';
   var SELECTORS = {
     grid: '#immobili-grid',
     fallback: '#immobili-fallback',
     resultCount: '#immobili-result-count',
-    form: '#filtri-immobili-form'
+    pager: '#immobili-pager',
+    form: '#filtri-immobili-form',
+    mappaWrap: '#immobili-mappa-wrap',
+    mappa: '#immobili-mappa',
+    mappaSegui: '#mappa-segui',
+    area: '#immobili-area',
+    confronto: '#confronto-barra'
+  };
+
+  /** Selezione per il confronto, conservata per la sessione (torna indietro da confronto.html) */
+  var CONFRONTO_STORAGE_KEY = 'agenzia-immobiliare:confronto';
+
+  var VISTE = ['elenco', 'mappa'];
+  /** Pausa dopo lo spostamento della mappa prima di aggiornare l’elenco (ms) */
+  var MAPPA_MOVE_DEBOUNCE_MS = 400;
+
+  /** Modalità del pager (attributo data-modalita di #immobili-pager) */
+  var MODALITA = {
+    pagine: 'pagine',
+    caricaAltri: 'carica-altri',
+    scroll: 'scroll'
   };
 
-  /** Cache dati: tutti gli immobili caricati */
-  var allImmobili = [];
+  /** Contatore richieste: scarta le risposte arrivate dopo una richiesta più recente */
+  var lastRequestId = 0;
+
+  /** Ultima pagina mostrata: filtri usati, pagina, pagine totali (per "carica altri") */
+  var loaded = null;
+  var loadingMore = false;
+  var scrollObserver = null;
+
+  /** Area della mappa usata come filtro ({ sud, ovest, nord, est } o null) e vista corrente */
+  var currentArea = null;
+  var currentVista = 'elenco';
+  /** Mappa creata alla prima apertura della vista mappa; chiave dei filtri dei marker mostrati */
+  var mappa = null;
+  var markersKey = null;
+  var markersRequestId = 0;
 
   /**
-   * Fetch del JSON immobili.
-   * @returns {Promise<Array>}
+   * Modalità di paginazione configurata nella pagina (default: pagine numerate).
    */
-  function fetchImmobili() {
-    return fetch(IMMOBILI_JSON_PATH)
-      .then(function (res) {
-        if (!res.ok) throw new Error('Risposta non ok: ' + res.status);
-        return res.json();
-      })
-      .then(function (data) {
-        return Array.isArray(data) ? data : [];
-      })
-      .catch(function () {
-        return [];
-      });
+  function getModalita() {
+    var pager = document.querySelector(SELECTORS.pager);
+    var value = pager && pager.getAttribute('data-modalita');
+    if (value === MODALITA.caricaAltri) return value;
+    if (value === MODALITA.scroll) return 'IntersectionObserver' in window ? value : MODALITA.caricaAltri;
+    return MODALITA.pagine;
   }
 
+  /** Campi di testo/numero: la ricerca parte dopo una pausa nella digitazione */
+  var DEBOUNCED_FIELDS = ['prezzo-min', 'prezzo-max', 'canone-min', 'canone-max', 'superficie-min', 'superficie-max', 'locali-min', 'q'];
+
   /**
    * Legge i valori correnti del form filtri.
-   * @returns {{ contratto: string, prezzoMin: number|null, prezzoMax: number|null, localita: string, tipoImmobile: string, ordine: string }}
+   * La fascia di prezzo del contratto non selezionato (campi nascosti) non viene considerata.
+   * L’area non è un campo del form: è quella scelta sulla mappa.
+   * @returns {{ contratto: string, prezzoMin: number|null, prezzoMax: number|null, canoneMin: number|null, canoneMax: number|null, localita: string, tipoImmobile: string, superficieMin: number|null, superficieMax: number|null, localiMin: number|null, classeEnergetica: string, caratteristiche: Array<string>, testo: string, area: Object|null, ordine: string }}
    */
   function getFiltersFromForm() {
     var form = document.querySelector(SELECTORS.form);
-    if (!form) {
-      return {
-        contratto: '',
-        prezzoMin: null,
-        prezzoMax: null,
-        localita: '',
-        tipoImmobile: '',
-        ordine: 'recente'
-      };
+    function value(name) {
+      var field = form && form.querySelector('[name="' + name + '"]');
+      return field ? field.value.trim() : '';
+    }
+    function intValue(name) {
+      var str = value(name);
+      var n = parseInt(str, 10);
+      return str === '' || isNaN(n) ? null : n;
     }
-    var prezzoMinVal = form.querySelector('[name="prezzo-min"]') && form.querySelector('[name="prezzo-min"]').value.trim();
-    var prezzoMaxVal = form.querySelector('[name="prezzo-max"]') && form.querySelector('[name="prezzo-max"]').value.trim();
+    var caratteristiche = [];
+    if (form) {
+      form.querySelectorAll('[name="caratteristiche"]:checked').forEach(function (input) {
+        caratteristiche.push(input.value);
+      });
+    }
+    var contratto = value('contratto');
     return {
-      contratto: (form.querySelector('[name="contratto"]') && form.querySelector('[name="contratto"]').value) || '',
-      prezzoMin: prezzoMinVal === '' ? null : parseInt(prezzoMinVal, 10),
-      prezzoMax: prezzoMaxVal === '' ? null : parseInt(prezzoMaxVal, 10),
-      localita: (form.querySelector('[name="localita"]') && form.querySelector('[name="localita"]').value) || '',
-      tipoImmobile: (form.querySelector('[name="tipo-immobile"]') && form.querySelector('[name="tipo-immobile"]').value) || '',
-      ordine: (form.querySelector('[name="ordine"]') && form.querySelector('[name="ordine"]').value) || 'recente'
+      contratto: contratto,
+      prezzoMin: contratto === 'affitto' ? null : intValue('prezzo-min'),
+      prezzoMax: contratto === 'affitto' ? null : intValue('prezzo-max'),
+      canoneMin: contratto === 'vendita' ? null : intValue('canone-min'),
+      canoneMax: contratto === 'vendita' ? null : intValue('canone-max'),
+      localita: value('localita'),
+      tipoImmobile: value('tipo-immobile'),
+      superficieMin: intValue('superficie-min'),
+      superficieMax: intValue('superficie-max'),
+      localiMin: intValue('locali-min'),
+      classeEnergetica: value('classe-energetica'),
+      caratteristiche: caratteristiche,
+      testo: value('q'),
+      area: currentArea,
+      ordine: value('ordine') || 'recente'
     };
   }
 
   /**
-   * Applica i filtri all’array di immobili.
-   * @param {Array} immobili
-   * @param {Object} filters - output di getFiltersFromForm
-   * @returns {Array}
+   * Filtri letti dalla query string della pagina (stessi nomi dei campi del form).
+   * Parametri non validi (contratto o ordine sconosciuti, prezzi non numerici) vengono ignorati.
+   * @returns {Object} Stesse chiavi di getFiltersFromForm, più pagina (solo con pager numerato)
    */
-  function filterImmobili(immobili, filters) {
-    return immobili.filter(function (item) {
-      if (filters.contratto && item.tipologia !== filters.contratto) return false;
-      var prezzo = typeof item.prezzo === 'number' ? item.prezzo : 0;
-      if (filters.prezzoMin != null && !isNaN(filters.prezzoMin) && prezzo < filters.prezzoMin) return false;
-      if (filters.prezzoMax != null && !isNaN(filters.prezzoMax) && prezzo > filters.prezzoMax) return false;
-      if (filters.localita && item.citta !== filters.localita) return false;
-      if (filters.tipoImmobile && (item.tipoImmobile || '') !== filters.tipoImmobile) return false;
-      return true;
-    });
+  function getFiltersFromUrl() {
+    var parsed = Annunci.parseQuery(new URLSearchParams(window.location.search));
+    return {
+      contratto: parsed.contratto,
+      prezzoMin: parsed.prezzoMin,
+      prezzoMax: parsed.prezzoMax,
+      canoneMin: parsed.canoneMin,
+      canoneMax: parsed.canoneMax,
+      localita: parsed.localita,
+      tipoImmobile: parsed.tipoImmobile,
+      superficieMin: parsed.superficieMin,
+      superficieMax: parsed.superficieMax,
+      localiMin: parsed.localiMin,
+      classeEnergetica: parsed.classeEnergetica,
+      caratteristiche: parsed.caratteristiche,
+      testo: parsed.testo,
+      area: parsed.area,
+      ordine: parsed.ordine,
+      pagina: getModalita() === MODALITA.pagine ? parsed.pagina : 1
+    };
   }
 
   /**
-   * Ordina l’array in base al criterio scelto.
-   * @param {Array} immobili
-   * @param {string} ordine - 'prezzo-crescente' | 'prezzo-decrescente' | 'recente'
-   * @returns {Array} Nuovo array ordinato (non muta l’originale)
+   * Vista richiesta dalla query string (vista=mappa), default elenco.
    */
-  function sortImmobili(immobili, ordine) {
-    var list = immobili.slice();
-    if (ordine === 'prezzo-crescente') {
-      list.sort(function (a, b) {
-        return (a.prezzo || 0) - (b.prezzo || 0);
-      });
-    } else if (ordine === 'prezzo-decrescente') {
-      list.sort(function (a, b) {
-        return (b.prezzo || 0) - (a.prezzo || 0);
-      });
-    } else {
-      list.sort(function (a, b) {
-        var dateA = a.dataInserimento || '';
-        var dateB = b.dataInserimento || '';
-        return dateB.localeCompare(dateA);
-      });
-    }
-    return list;
+  function getVistaFromUrl() {
+    var vista = new URLSearchParams(window.location.search).get('vista');
+    return VISTE.indexOf(vista) !== -1 ? vista : 'elenco';
   }
 
   /**
-   * Prima immagine di un immobile (src e alt). Fallback se manca.
+   * Imposta i campi del form dai filtri. Una select senza l’opzione richiesta torna a "Tutte";
+   * le caratteristiche senza casella corrispondente vengono ignorate.
+   * @param {HTMLFormElement} form
+   * @param {Object} filters - Stesse chiavi di getFiltersFromForm
    */
-  function getPrimaImmagine(immobile) {
-    var immagini = immobile.immagini;
-    if (immagini && immagini.length > 0 && immagini[0].src) {
-      return { src: immagini[0].src, alt: immagini[0].alt || immobile.titolo };
+  function setFormFromFilters(form, filters) {
+    function setValue(name, value) {
+      var field = form.querySelector('[name="' + name + '"]');
+      if (!field) return;
+      field.value = value == null ? '' : String(value);
+      if (field.tagName === 'SELECT' && field.value !== String(value == null ? '' : value)) {
+        field.selectedIndex = 0;
+      }
     }
-    return { src: 'assets/img/placeholders/placeholder.jpg', alt: immobile.titolo || 'Immobile' };
+    setValue('contratto', filters.contratto);
+    setValue('prezzo-min', filters.prezzoMin);
+    setValue('prezzo-max', filters.prezzoMax);
+    setValue('canone-min', filters.canoneMin);
+    setValue('canone-max', filters.canoneMax);
+    setValue('localita', filters.localita);
+    setValue('tipo-immobile', filters.tipoImmobile);
+    setValue('superficie-min', filters.superficieMin);
+    setValue('superficie-max', filters.superficieMax);
+    setValue('locali-min', filters.localiMin);
+    setValue('classe-energetica', filters.classeEnergetica);
+    setValue('q', filters.testo);
+    setValue('ordine', filters.ordine);
+    var caratteristiche = filters.caratteristiche || [];
+    form.querySelectorAll('[name="caratteristiche"]').forEach(function (input) {
+      input.checked = caratteristiche.indexOf(input.value) !== -1;
+    });
+    updateFascePrezzo(form);
   }
 
   /**
-   * Classe e testo badge vendita/affitto.
+   * Mostra le fasce di prezzo adatte al contratto scelto: prezzo di vendita, canone mensile
+   * o entrambe con "Tutti" (ognuna vale solo per il proprio tipo di contratto).
+   * @param {HTMLFormElement} form
    */
-  function getBadge(tipologia) {
-    var isAffitto = tipologia === 'affitto';
-    return {
-      class: isAffitto ? 'badge badge--affitto' : 'badge badge--vendita',
-      text: isAffitto ? 'Affitto' : 'Vendita'
-    };
+  function updateFascePrezzo(form) {
+    var contratto = form.querySelector('[name="contratto"]');
+    var selected = contratto ? contratto.value : '';
+    form.querySelectorAll('[data-prezzo-contratto]').forEach(function (group) {
+      group.hidden = selected !== '' && group.getAttribute('data-prezzo-contratto') !== selected;
+    });
   }
 
   /**
-   * Escape per HTML (evita XSS).
+   * Popola i valori suggeriti (datalist) delle fasce di prezzo.
    */
-  function escapeHtml(str) {
-    if (str == null) return '';
-    var div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
+  function populatePresetPrezzo() {
+    Object.keys(Annunci.PREZZO_PRESET).forEach(function (contratto) {
+      var list = document.getElementById('preset-prezzo-' + contratto);
+      if (!list) return;
+      list.innerHTML = Annunci.PREZZO_PRESET[contratto].map(function (importo) {
+        var label = Annunci.formatImporto(importo) + (contratto === 'affitto' ? I18n.t('prezzo.al_mese') : '');
+        return '<option value="' + importo + '" label="' + escapeHtml(label) + '"></option>';
+      }).join('');
+    });
   }
 
   /**
-   * Costruisce l’HTML di una singola card. Immagini con loading="lazy".
+   * Query string della pagina per i filtri (con "?" iniziale, vuota senza filtri), più la vista corrente.
+   * L’ordinamento predefinito ("recente"), la pagina 1 e la vista elenco non compaiono, così l’URL resta breve.
+   * @param {Object} filters - Stesse chiavi di getFiltersFromForm, più pagina
+   * @returns {string}
    */
-  function buildCardHtml(immobile) {
-    var img = getPrimaImmagine(immobile);
-    var badge = getBadge(immobile.tipologia);
-    var meta = immobile.superficie + ' m² · ' + immobile.locali + ' locali · ' + immobile.citta;
-    var linkDettaglio = 'immobile.html?id=' + encodeURIComponent(immobile.id);
-    return (
-      '<article class="card-immobile">' +
-        '<div class="card-immobile__media">' +
-          '<img src="' + escapeHtml(img.src) + '" width="400" height="300" alt="' + escapeHtml(img.alt) + '" loading="lazy" decoding="async">' +
-          '<div class="card-immobile__badge-wrap">' +
-            '<span class="' + escapeHtml(badge.class) + '">' + escapeHtml(badge.text) + '</span>' +
-          '</div>' +
-        '</div>' +
-        '<div class="card-immobile__body">' +
-          '<h2 class="card-immobile__title">' + escapeHtml(immobile.titolo) + '</h2>' +
-          '<div class="card-immobile__meta">' + escapeHtml(meta) + '</div>' +
-          '<p class="card-immobile__price">' + escapeHtml(immobile.prezzoDisplay || '') + '</p>' +
-          '<a href="' + escapeHtml(linkDettaglio) + '" class="btn btn--primary btn--sm">Dettagli</a>' +
-        '</div>' +
-      '</article>'
-    );
+  function getPageSearch(filters) {
+    var qs = Annunci.buildQueryString(Object.assign({}, filters, {
+      ordine: filters.ordine === 'recente' ? '' : filters.ordine,
+      perPagina: null
+    }));
+    if (currentVista !== 'elenco') qs += (qs ? '&' : '') + 'vista=' + currentVista;
+    return qs ? '?' + qs : '';
   }
 
   /**
-   * Popola le select Località e Tipologia con valori unici dai dati.
+   * Riporta i filtri (e la pagina) nella query string della pagina, senza ricaricarla.
+   * @param {Object} filters - Stesse chiavi di getFiltersFromForm, più pagina
+   * @param {boolean} [replace] - true: sostituisce la voce corrente della cronologia invece di aggiungerne una
    */
-  function populateFilterOptions(immobili) {
-    var citta = [];
-    var tipi = [];
-    immobili.forEach(function (item) {
-      if (item.citta && citta.indexOf(item.citta) === -1) citta.push(item.citta);
-      if (item.tipoImmobile && tipi.indexOf(item.tipoImmobile) === -1) tipi.push(item.tipoImmobile);
-    });
-    citta.sort();
-    tipi.sort();
-
-    var selectLocalita = document.querySelector('[name="localita"]');
-    var selectTipo = document.querySelector('[name="tipo-immobile"]');
-    if (selectLocalita) {
-      var currentLocalita = selectLocalita.value;
-      selectLocalita.innerHTML = '<option value="">Tutte le località</option>' +
-        citta.map(function (c) {
-          return '<option value="' + escapeHtml(c) + '">' + escapeHtml(c) + '</option>';
-        }).join('');
-      if (currentLocalita) selectLocalita.value = currentLocalita;
+  function syncUrl(filters, replace) {
+    var search = getPageSearch(filters);
+    if (search === window.location.search) return;
+    var url = window.location.pathname + search + window.location.hash;
+    if (replace) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
     }
-    if (selectTipo) {
-      var currentTipo = selectTipo.value;
-      selectTipo.innerHTML = '<option value="">Tutte le tipologie</option>' +
-        tipi.map(function (t) {
-          return '<option value="' + escapeHtml(t) + '">' + escapeHtml(t) + '</option>';
-        }).join('');
-      if (currentTipo) selectTipo.value = currentTipo;
+  }
+
+  /**
+   * Popola le select Località, Tipologia e Classe energetica e le caselle delle caratteristiche
+   * con i valori presenti negli immobili, calcolati dal server.
+   * @param {{ localita: Array<string>, tipiImmobile: Array<string>, classiEnergetiche: Array<string>, caratteristiche: Array<{ value: string, label: string }> }} opzioni
+   */
+  function populateFilterOptions(opzioni) {
+    var html = Annunci.buildOpzioniFiltriHtml(opzioni, getFiltersFromForm());
+    var selects = { localita: html.localita, 'tipo-immobile': html.tipoImmobile, 'classe-energetica': html.classeEnergetica };
+    Object.keys(selects).forEach(function (name) {
+      var select = document.querySelector('[name="' + name + '"]');
+      if (select) select.innerHTML = selects[name];
+    });
+    var fieldset = document.querySelector('#filtro-caratteristiche');
+    var wrap = fieldset && fieldset.querySelector('[data-caratteristiche-opzioni]');
+    if (wrap) {
+      wrap.innerHTML = html.caratteristiche;
+      fieldset.hidden = (opzioni.caratteristiche || []).length === 0;
     }
   }
 
   /**
-   * Aggiorna il messaggio “X risultati” e annuncia per screen reader (aria-live).
+   * Aggiorna il messaggio con totale e intervallo mostrato (es. “57 immobili trovati, 13–24 visualizzati”)
+   * e lo annuncia per screen reader (aria-live).
+   * @param {number} totale - Numero totale di risultati
+   * @param {number} [da] - Posizione del primo risultato mostrato (da 1)
+   * @param {number} [a] - Posizione dell’ultimo risultato mostrato
    */
-  function updateResultCount(count) {
+  function updateResultCount(totale, da, a) {
     var el = document.querySelector(SELECTORS.resultCount);
-    if (!el) return;
-    if (count === 0) {
-      el.textContent = 'Nessun immobile trovato. Prova a modificare i filtri.';
-    } else {
-      el.textContent = count === 1 ? '1 immobile trovato' : count + ' immobili trovati';
-    }
+    if (el) el.textContent = Annunci.getRisultatiTesto(totale, da, a);
+  }
+
+  function buildCardsHtml(immobili) {
+    var confronto = document.querySelector(SELECTORS.confronto) !== null;
+    return immobili.map(function (immobile) {
+      return Annunci.buildCardHtml(immobile, { confronto: confronto });
+    }).join('');
   }
 
   /**
    * Renderizza la griglia: card o fallback.
+   * @param {Array} immobili - Risultati già filtrati e ordinati dal server
+   * @param {boolean} [append] - true: aggiunge le card in coda a quelle già mostrate
    */
-  function renderGrid(filtered) {
+  function renderGrid(immobili, append) {
     var gridEl = document.querySelector(SELECTORS.grid);
     var fallbackEl = document.querySelector(SELECTORS.fallback);
     if (!gridEl) return;
 
-    if (filtered.length === 0) {
+    if (append) {
+      gridEl.insertAdjacentHTML('beforeend', buildCardsHtml(immobili));
+      syncPreferiti(gridEl);
+      syncConfronto();
+      return;
+    }
+
+    if (immobili.length === 0) {
       gridEl.style.display = 'none';
       gridEl.innerHTML = '';
       if (fallbackEl) fallbackEl.style.display = 'block';
-      updateResultCount(0);
       return;
     }
 
     if (fallbackEl) fallbackEl.style.display = 'none';
     gridEl.style.display = '';
-    gridEl.innerHTML = filtered.map(buildCardHtml).join('');
-    updateResultCount(filtered.length);
+    gridEl.innerHTML = buildCardsHtml(immobili);
+    syncPreferiti(gridEl);
+    syncConfronto();
+  }
+
+  /**
+   * Stato dei cuori dei preferiti nelle card appena inserite (preferiti.js).
+   */
+  function syncPreferiti(root) {
+    if (window.Preferiti) window.Preferiti.syncButtons(root);
+  }
+
+  // ---------- Confronto ----------
+
+  /**
+   * Immobili selezionati per il confronto, nell’ordine di selezione.
+   * @returns {Array<string>} Id degli immobili
+   */
+  function readConfronto() {
+    try {
+      var list = JSON.parse(window.sessionStorage.getItem(CONFRONTO_STORAGE_KEY) || '[]');
+      return Array.isArray(list) ? list.filter(function (id) { return typeof id === 'string'; }).slice(0, Annunci.CONFRONTO_MAX) : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function writeConfronto(list) {
+    try {
+      window.sessionStorage.setItem(CONFRONTO_STORAGE_KEY, JSON.stringify(list));
+    } catch (e) {
+      // sessionStorage non disponibile: la selezione vale solo per la pagina corrente
+    }
+  }
+
+  var confrontoMemoria = null;
+
+  function getConfronto() {
+    if (confrontoMemoria === null) confrontoMemoria = readConfronto();
+    return confrontoMemoria;
+  }
+
+  function setConfronto(list) {
+    confrontoMemoria = list;
+    writeConfronto(list);
+    syncConfronto();
+  }
+
+  /**
+   * Allinea caselle delle card e barra del confronto alla selezione: raggiunto il massimo,
+   * le altre caselle si disattivano.
+   */
+  function syncConfronto() {
+    var barra = document.querySelector(SELECTORS.confronto);
+    if (!barra) return;
+    var ids = getConfronto();
+    var pieno = ids.length >= Annunci.CONFRONTO_MAX;
+    document.querySelectorAll(SELECTORS.grid + ' [data-confronta]').forEach(function (input) {
+      input.checked = ids.indexOf(input.getAttribute('data-confronta')) !== -1;
+      input.disabled = pieno && !input.checked;
+    });
+
+    barra.hidden = ids.length === 0;
+    var stato = barra.querySelector('[data-confronto-stato]');
+    if (stato) {
+      var testo = I18n.tn('confronto.selezionati', ids.length);
+      if (ids.length < Annunci.CONFRONTO_MIN) testo += I18n.t('confronto.minimo', { n: Annunci.CONFRONTO_MIN });
+      else if (pieno) testo += I18n.t('confronto.massimo', { n: Annunci.CONFRONTO_MAX });
+      stato.textContent = testo;
+    }
+    var apri = barra.querySelector('[data-confronto-apri]');
+    if (apri) {
+      apri.hidden = ids.length < Annunci.CONFRONTO_MIN;
+      apri.href = 'confronto.html?' + Annunci.buildQueryString({ ids: ids });
+    }
+  }
+
+  /**
+   * Casella “Confronta” di una card selezionata o deselezionata.
+   */
+  function toggleConfronto(input) {
+    var id = input.getAttribute('data-confronta');
+    var list = getConfronto().filter(function (item) { return item !== id; });
+    if (input.checked && list.length < Annunci.CONFRONTO_MAX) list.push(id);
+    setConfronto(list);
+  }
+
+  // ---------- Paginazione ----------
+
+  /**
+   * Pager numerato (Annunci.buildPagerHtml) con i link alle pagine dei filtri.
+   */
+  function buildPagerHtml(filters, pagina, pagine) {
+    return Annunci.buildPagerHtml(pagina, pagine, function (n) {
+      return 'immobili' + getPageSearch(Object.assign({}, filters, { pagina: n }));
+    });
+  }
+
+  /**
+   * Disegna il pager (o il bottone “Carica altri”) per l’ultima pagina caricata.
+   */
+  function renderPager() {
+    var pagerEl = document.querySelector(SELECTORS.pager);
+    if (!pagerEl) return;
+    if (scrollObserver) {
+      scrollObserver.disconnect();
+      scrollObserver = null;
+    }
+    if (!loaded || loaded.pagine <= 1) {
+      pagerEl.innerHTML = '';
+      return;
+    }
+
+    if (getModalita() === MODALITA.pagine) {
+      pagerEl.innerHTML = buildPagerHtml(loaded.filters, loaded.pagina, loaded.pagine);
+      return;
+    }
+
+    if (loaded.pagina >= loaded.pagine) {
+      pagerEl.innerHTML = '';
+      return;
+    }
+    var restanti = loaded.totale - loaded.mostrati;
+    pagerEl.innerHTML = '<div class="pager__more"><button type="button" class="btn btn--secondary" data-carica-altri>' +
+      escapeHtml(I18n.t('pager.carica_altri', { n: restanti })) + '</button></div>';
+    if (getModalita() === MODALITA.scroll) {
+      // Caricamento automatico quando il bottone entra nella finestra; il bottone resta come alternativa
+      scrollObserver = new IntersectionObserver(function (entries) {
+        if (entries[0].isIntersecting) loadMore();
+      }, { rootMargin: '200px' });
+      scrollObserver.observe(pagerEl.querySelector('[data-carica-altri]'));
+    }
+  }
+
+  /**
+   * Modalità “carica altri” / scroll: aggiunge in coda la pagina successiva.
+   */
+  function loadMore() {
+    if (!loaded || loadingMore || loaded.pagina >= loaded.pagine) return;
+    loadingMore = true;
+    var button = document.querySelector(SELECTORS.pager + ' [data-carica-altri]');
+    if (button) {
+      button.disabled = true;
+      button.setAttribute('aria-busy', 'true');
+    }
+    applyFiltersAndRender(Object.assign({}, loaded.filters, { pagina: loaded.pagina + 1 }), true)
+      .then(function () {
+        loadingMore = false;
+      });
+  }
+
+  /**
+   * Porta in vista l’inizio dei risultati e sposta lì il focus (dopo un cambio pagina).
+   */
+  function focusResults() {
+    var el = document.querySelector(SELECTORS.resultCount);
+    if (!el) return;
+    el.scrollIntoView({ block: 'start' });
+    el.focus({ preventScroll: true });
+  }
+
+  /**
+   * Richiede al server una pagina di risultati per i filtri e ridisegna griglia, conteggio e pager.
+   * Le risposte di richieste superate da una più recente vengono ignorate.
+   * Una pagina oltre l’ultima (link vecchio) porta all’ultima pagina disponibile.
+   * @param {Object} [filters] - Default: valori correnti del form, pagina 1
+   * @param {boolean} [append] - true: aggiunge i risultati in coda (modalità “carica altri”)
+   * @returns {Promise<Object|null>} Risposta dell’API (null se superata o in errore)
+   */
+  function applyFiltersAndRender(filters, append) {
+    var requestId = ++lastRequestId;
+    var current = Object.assign({}, filters || getFiltersFromForm());
+    current.pagina = current.pagina || 1;
+    return Annunci.fetchElenco(Object.assign({}, current, { perPagina: PER_PAGINA }))
+      .then(function (data) {
+        if (requestId !== lastRequestId) return null;
+        if (data.immobili.length === 0 && data.totale > 0 && current.pagina > 1) {
+          var ultima = Object.assign({}, current, { pagina: data.pagine });
+          syncUrl(ultima, true);
+          return applyFiltersAndRender(ultima);
+        }
+        showResults(data, current, append);
+        return data;
+      })
+      .catch(function () {
+        if (requestId !== lastRequestId) return null;
+        if (!append) {
+          loaded = null;
+          renderGrid([]);
+          updateResultCount(0);
+          renderPager();
+        }
+        return null;
+      });
+  }
+
+  /**
+   * Mostra una pagina di risultati: griglia, conteggio e pager.
+   * @param {Object} data - Risposta dell’API
+   * @param {Object} current - Filtri della richiesta, con pagina
+   * @param {boolean} [append] - true: card in coda a quelle già mostrate
+   * @param {boolean} [giaMostrati] - true: card e conteggio sono già nella pagina (generati dal server),
+   *   si sincronizzano solo preferiti e confronto
+   */
+  function showResults(data, current, append, giaMostrati) {
+    var primo = append ? 1 : (current.pagina - 1) * PER_PAGINA + 1;
+    var ultimo = (current.pagina - 1) * PER_PAGINA + data.immobili.length;
+    if (giaMostrati) {
+      syncPreferiti(document.querySelector(SELECTORS.grid));
+      syncConfronto();
+    } else {
+      renderGrid(data.immobili, append);
+      updateResultCount(data.totale, primo, ultimo);
+    }
+    loaded = { filters: current, pagina: current.pagina, pagine: data.pagine, totale: data.totale, mostrati: ultimo };
+    renderPager();
+  }
+
+  /**
+   * Prima pagina di risultati: quella generata dal server se corrisponde ai filtri iniziali
+   * (stessa query e lingua), altrimenti una richiesta all’API.
+   * @param {Object} initial - Filtri letti dall’indirizzo
+   * @returns {Promise<Object|null>} Come applyFiltersAndRender
+   */
+  function loadInitial(initial) {
+    var dati = Annunci.getDatiServer(DATI_SERVER_ID);
+    // Il server ha già scartato località e tipologia inesistenti: si confrontano filtri ripuliti allo stesso modo
+    if (dati) initial = Annunci.validaFiltri(initial, dati.risultati.opzioni);
+    var current = Object.assign({}, initial, { pagina: initial.pagina || 1 });
+    if (!dati || dati.query !== Annunci.buildQueryString(Object.assign({}, current, { perPagina: PER_PAGINA }))) {
+      return applyFiltersAndRender(initial);
+    }
+    ++lastRequestId;
+    showResults(dati.risultati, current, false, true);
+    return Promise.resolve(dati.risultati);
+  }
+
+  // ---------- Mappa ----------
+
+  /**
+   * Imposta l’area usata come filtro e mostra o nasconde l’avviso con "Rimuovi area".
+   * @param {{ sud: number, ovest: number, nord: number, est: number }|null} area
+   */
+  function setArea(area) {
+    currentArea = area || null;
+    var el = document.querySelector(SELECTORS.area);
+    if (el) el.hidden = !currentArea;
+  }
+
+  /**
+   * Contenuto del popup di un marker: titolo con link alla scheda, prezzo e località.
+   */
+  function buildPopupHtml(immobile) {
+    var href = Annunci.getUrlImmobile(immobile);
+    return '<p><a href="' + escapeHtml(href) + '">' + escapeHtml(immobile.titolo || I18n.t('immobile')) + '</a></p>' +
+      '<p><strong>' + Annunci.buildPrezzoHtml(immobile) + '</strong></p>' +
+      '<p>' + escapeHtml(immobile.indirizzo || immobile.citta || '') + '</p>';
+  }
+
+  /**
+   * Marker di tutti i risultati dei filtri (senza area né paginazione: la mappa serve a sceglierla).
+   * Si ricaricano solo se cambiano i filtri; al primo caricamento la mappa si adatta ai marker o all’area.
+   * @param {Object} filters - Stesse chiavi di getFiltersFromForm
+   */
+  function refreshMarkers(filters) {
+    if (!mappa) return;
+    var markerFilters = Object.assign({}, filters, { area: null, pagina: 1, perPagina: Annunci.PER_PAGINA_MAX });
+    var key = Annunci.buildQueryString(markerFilters);
+    if (key === markersKey) return;
+    var first = markersKey === null;
+    markersKey = key;
+    var requestId = ++markersRequestId;
+    Annunci.fetchElenco(markerFilters).then(function (data) {
+      if (requestId !== markersRequestId) return;
+      var conPosizione = data.immobili.filter(Annunci.hasCoordinate);
+      var points = conPosizione.map(function (immobile) { return immobile.coordinate; });
+      mappa.setMarkers(conPosizione.map(function (immobile) {
+        return {
+          lat: immobile.coordinate.lat,
+          lng: immobile.coordinate.lng,
+          label: (immobile.titolo || I18n.t('immobile')) + ', ' + Annunci.formatPrezzo(immobile),
+          popupHtml: buildPopupHtml(immobile)
+        };
+      }));
+      if (first) {
+        var bounds = currentArea || window.Mappa.getBoundsOf(points);
+        if (bounds) mappa.fitBounds(bounds);
+      }
+      updateMappaNota(data, conPosizione.length);
+    }).catch(function () {
+      if (requestId !== markersRequestId) return;
+      markersKey = null;
+      updateMappaNota(null, 0);
+    });
+  }
+
+  /**
+   * Nota sotto la mappa: immobili senza posizione o oltre il massimo di marker mostrati.
+   */
+  function updateMappaNota(data, suMappa) {
+    var el = document.querySelector(SELECTORS.mappaWrap + ' [data-mappa-nota]');
+    if (!el) return;
+    if (!data) {
+      el.textContent = I18n.t('mappa.errore');
+      return;
+    }
+    var note = [];
+    var senzaPosizione = data.immobili.length - suMappa;
+    if (senzaPosizione > 0) note.push(I18n.tn('mappa.senza_posizione', senzaPosizione));
+    if (data.totale > data.immobili.length) note.push(I18n.t('mappa.primi', { n: data.immobili.length, totale: data.totale }));
+    el.textContent = note.join(' ');
+  }
+
+  /**
+   * Crea la mappa alla prima apertura della vista: spostamenti dell’utente (con "Aggiorna i
+   * risultati spostando la mappa") e aree disegnate diventano il filtro area dell’elenco.
+   */
+  function ensureMappa() {
+    var el = document.querySelector(SELECTORS.mappa);
+    if (mappa || !el || !window.Mappa) return;
+    mappa = window.Mappa.create(el, { label: I18n.t('mappa.risultati') });
+    var moveTimer = null;
+    mappa.onMove(function (e) {
+      var segui = document.querySelector(SELECTORS.mappaSegui);
+      if (!e.user || !segui || !segui.checked) return;
+      clearTimeout(moveTimer);
+      moveTimer = setTimeout(function () {
+        applyArea(mappa.getBounds(), true);
+      }, MAPPA_MOVE_DEBOUNCE_MS);
+    });
   }
 
   /**
-   * Applica filtri + ordinamento e ridisegna la griglia.
+   * Applica (o rimuove, con null) l’area come filtro: elenco dalla prima pagina e URL aggiornato.
+   * @param {boolean} [replace] - true per gli spostamenti della mappa, che non riempiono la cronologia
    */
-  function applyFiltersAndRender() {
+  function applyArea(area, replace) {
+    setArea(area);
     var filters = getFiltersFromForm();
-    var filtered = filterImmobili(allImmobili, filters);
-    var sorted = sortImmobili(filtered, filters.ordine);
-    renderGrid(sorted);
+    syncUrl(filters, replace);
+    applyFiltersAndRender(filters);
+  }
+
+  /**
+   * Mostra la vista elenco o mappa; la mappa viene creata solo quando serve.
+   * @param {string} vista - 'elenco' | 'mappa'
+   * @param {Object} [filters] - Filtri per i marker (senza, i marker si caricano in seguito con refreshMarkers)
+   */
+  function setVista(vista, filters) {
+    currentVista = VISTE.indexOf(vista) !== -1 ? vista : 'elenco';
+    document.querySelectorAll('[data-vista]').forEach(function (button) {
+      button.setAttribute('aria-pressed', String(button.getAttribute('data-vista') === currentVista));
+    });
+    var wrap = document.querySelector(SELECTORS.mappaWrap);
+    if (!wrap) return;
+    wrap.hidden = currentVista !== 'mappa';
+    if (currentVista !== 'mappa') return;
+    ensureMappa();
+    if (!mappa) return;
+    mappa.invalidateSize();
+    if (filters) refreshMarkers(filters);
   }
 
   /**
@@ -253,24 +694,130 @@
     var gridEl = document.querySelector(SELECTORS.grid);
     if (!form && !gridEl) return;
 
-    fetchImmobili()
-      .then(function (data) {
-        allImmobili = data;
-        populateFilterOptions(allImmobili);
-        applyFiltersAndRender();
-
-        if (form) {
-          form.addEventListener('change', applyFiltersAndRender);
-          form.addEventListener('input', function (e) {
-            if (e.target && (e.target.name === 'prezzo-min' || e.target.name === 'prezzo-max')) {
-              applyFiltersAndRender();
-            }
+    // Stato iniziale dalla query string, prima del primo caricamento
+    var initial = getFiltersFromUrl();
+    setArea(initial.area);
+    if (form) {
+      populatePresetPrezzo();
+      setFormFromFilters(form, initial);
+    }
+    setVista(getVistaFromUrl());
+
+    loadInitial(initial).then(function (data) {
+      if (!data) return;
+      populateFilterOptions(data.opzioni);
+      // Un valore inesistente (link vecchio o modificato a mano) l’API l’ha già ignorato (Annunci.validaFiltri):
+      // si toglie anche dai filtri correnti, dal form e dall’indirizzo
+      var effective = Annunci.validaFiltri(initial, data.opzioni);
+      if (loaded) loaded.filters = Annunci.validaFiltri(loaded.filters, data.opzioni);
+      if (!form) return;
+      // Le opzioni di località e tipologia arrivano con la prima risposta: ora si possono selezionare.
+      setFormFromFilters(form, effective);
+      if (currentVista === 'mappa') refreshMarkers(effective);
+      syncUrl(loaded ? loaded.filters : effective, true);
+    });
+
+    var pagerEl = document.querySelector(SELECTORS.pager);
+    if (pagerEl) {
+      pagerEl.addEventListener('click', function (e) {
+        var link = e.target.closest('a[data-pagina]');
+        if (link && loaded) {
+          // Clic normale: niente ricarica; ctrl/cmd+clic apre il link in una nuova scheda
+          if (e.ctrlKey || e.metaKey || e.shiftKey || e.button !== 0) return;
+          e.preventDefault();
+          var filters = Object.assign({}, loaded.filters, { pagina: parseInt(link.getAttribute('data-pagina'), 10) });
+          syncUrl(filters, false);
+          applyFiltersAndRender(filters).then(function (data) {
+            if (data) focusResults();
           });
+          return;
         }
-      })
-      .catch(function () {
-        renderGrid([]);
+        if (e.target.closest('[data-carica-altri]')) loadMore();
+      });
+    }
+
+    document.querySelectorAll('[data-vista]').forEach(function (button) {
+      button.addEventListener('click', function () {
+        var vista = button.getAttribute('data-vista');
+        if (vista === currentVista) return;
+        var filters = loaded ? loaded.filters : getFiltersFromForm();
+        setVista(vista, filters);
+        syncUrl(filters, false);
+      });
+    });
+
+    var gridConfronto = document.querySelector(SELECTORS.grid);
+    if (gridConfronto) {
+      gridConfronto.addEventListener('change', function (e) {
+        if (e.target.matches('[data-confronta]')) toggleConfronto(e.target);
+      });
+    }
+    var svuotaConfronto = document.querySelector(SELECTORS.confronto + ' [data-confronto-svuota]');
+    if (svuotaConfronto) {
+      svuotaConfronto.addEventListener('click', function () {
+        setConfronto([]);
+      });
+    }
+
+    var disegna = document.querySelector(SELECTORS.mappaWrap + ' [data-mappa-disegna]');
+    if (disegna) {
+      disegna.addEventListener('click', function () {
+        if (!mappa) return;
+        mappa.startDrawing(function (area) {
+          mappa.fitBounds(area, 10);
+          applyArea(area, false);
+        });
+      });
+    }
+
+    var segui = document.querySelector(SELECTORS.mappaSegui);
+    if (segui) {
+      // Attivando l’opzione, l’elenco si allinea subito alla parte di mappa visibile
+      segui.addEventListener('change', function () {
+        if (segui.checked && mappa) applyArea(mappa.getBounds(), false);
       });
+    }
+
+    var rimuoviArea = document.querySelector(SELECTORS.area + ' [data-area-rimuovi]');
+    if (rimuoviArea) {
+      rimuoviArea.addEventListener('click', function () {
+        if (segui) segui.checked = false;
+        applyArea(null, false);
+      });
+    }
+
+    if (form) {
+      var debounceTimer = null;
+      // Ogni modifica ai filtri riparte dalla prima pagina
+      var onFiltersChange = function () {
+        clearTimeout(debounceTimer);
+        updateFascePrezzo(form);
+        var filters = getFiltersFromForm();
+        syncUrl(filters, false);
+        applyFiltersAndRender(filters);
+        if (currentVista === 'mappa') refreshMarkers(filters);
+      };
+      form.addEventListener('change', onFiltersChange);
+      form.addEventListener('input', function (e) {
+        if (e.target && DEBOUNCED_FIELDS.indexOf(e.target.name) !== -1) {
+          clearTimeout(debounceTimer);
+          debounceTimer = setTimeout(onFiltersChange, INPUT_DEBOUNCE_MS);
+        }
+      });
+      form.addEventListener('submit', function (e) {
+        e.preventDefault();
+        onFiltersChange();
+      });
+
+      // Avanti/indietro del browser: ripristina i filtri della voce di cronologia
+      window.addEventListener('popstate', function () {
+        var fromUrl = getFiltersFromUrl();
+        setArea(fromUrl.area);
+        setFormFromFilters(form, fromUrl);
+        setVista(getVistaFromUrl(), getFiltersFromForm());
+        applyFiltersAndRender(Object.assign(getFiltersFromForm(), { pagina: fromUrl.pagina }));
+      });
+    }
   }
 
   if (document.readyState === 'loading') {
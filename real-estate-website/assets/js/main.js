@@ -1,96 +1,37 @@
 /**
  * main.js - Script principale template agenzia immobiliare
  * Gestisce:
- * - index.html: caricamento immobili in evidenza da JSON, render cards, fallback
- * - immobile.html: caricamento immobile da query string (?id=), galleria, dettagli, meta dinamici, JSON-LD Offer
+ * - index.html: caricamento immobili in evidenza dall’API (/api/immobili), render cards, fallback
+ * - immobile.html: scheda generata dal server (immobili/:id-slug, vedi Backend/pagine.js) completata con galleria,
+ *   mappa della posizione e preferiti; senza dati dal server (o in un’altra lingua) caricamento da ?id= via
+ *   /api/immobili/:id, con dettagli, meta dinamici e JSON-LD RealEstateListing e BreadcrumbList
+ * - tutte le pagine: lingua (testi data-i18n, selettore, hreflang), dati dell’agenzia (elementi data-agenzia,
+ *   nome nel title, colori), menu hamburger, CTA sticky, JSON-LD RealEstateAgent
+ * I cuori dei preferiti su card e scheda sono gestiti da preferiti.js (se caricato nella pagina).
+ * Dati, card e formattazione degli immobili vengono dal modulo condiviso annunci.js
+ * (da caricare prima di questo script sulle pagine con immobili), i testi dal catalogo della
+ * lingua corrente di i18n.js e i dati dell’agenzia da agenzia.js (entrambi da caricare prima di
+ * questo script su tutte le pagine).
  * Codice modulare e commentato.
  */
 
 (function () {
   'use strict';
 
+  var Annunci = window.Annunci;
+  var I18n = window.I18n;
+  var Agenzia = window.Agenzia;
+
   var MAX_CARD_HOME = 6;
-  var IMMOBILI_JSON_PATH = 'data/immobili.json';
   var HOME_GRID_SELECTOR = '#home-immobili-grid';
   var HOME_FALLBACK_SELECTOR = '#home-immobili-fallback';
   var IMMOBILE_DETAIL_SELECTOR = '#immobile-detail';
   var IMMOBILE_FALLBACK_SELECTOR = '#immobile-not-found';
-
-  /**
-   * Carica il JSON degli immobili via fetch.
-   * @returns {Promise<Array>} Array di oggetti immobile (o array vuoto in caso di errore)
-   */
-  function fetchImmobili() {
-    return fetch(IMMOBILI_JSON_PATH)
-      .then(function (response) {
-        if (!response.ok) throw new Error('Risposta non ok: ' + response.status);
-        return response.json();
-      })
-      .then(function (data) {
-        return Array.isArray(data) ? data : [];
-      })
-      .catch(function () {
-        return [];
-      });
-  }
-
-  /**
-   * Restituisce i dati della prima immagine di un immobile (src e alt).
-   * @param {Object} immobile - Oggetto immobile con proprietà immagini
-   * @returns {{ src: string, alt: string }}
-   */
-  function getPrimaImmagine(immobile) {
-    var immagini = immobile.immagini;
-    if (immagini && immagini.length > 0 && immagini[0].src) {
-      return { src: immagini[0].src, alt: immagini[0].alt || immobile.titolo };
-    }
-    return { src: 'assets/img/placeholders/placeholder.jpg', alt: immobile.titolo || 'Immobile' };
-  }
-
-  function getBadgeClass(tipologia) {
-    return tipologia === 'affitto' ? 'badge badge--affitto' : 'badge badge--vendita';
-  }
-
-  function getBadgeText(tipologia) {
-    return tipologia === 'affitto' ? 'Affitto' : 'Vendita';
-  }
-
-  /**
-   * Escape caratteri speciali per uso in HTML (evita XSS).
-   */
-  function escapeHtml(str) {
-    if (str == null) return '';
-    var div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
-  }
-
-  /**
-   * Costruisce il markup HTML di una singola card immobile (home).
-   */
-  function buildCardHtml(immobile) {
-    var img = getPrimaImmagine(immobile);
-    var badgeClass = getBadgeClass(immobile.tipologia);
-    var badgeText = getBadgeText(immobile.tipologia);
-    var meta = immobile.superficie + ' m² · ' + immobile.locali + ' locali · ' + immobile.citta;
-    var linkDettaglio = 'immobile.html?id=' + encodeURIComponent(immobile.id);
-    return (
-      '<article class="card-immobile">' +
-        '<div class="card-immobile__media">' +
-          '<img src="' + escapeHtml(img.src) + '" width="400" height="300" alt="' + escapeHtml(img.alt) + '" loading="lazy" decoding="async">' +
-          '<div class="card-immobile__badge-wrap">' +
-            '<span class="' + escapeHtml(badgeClass) + '">' + escapeHtml(badgeText) + '</span>' +
-          '</div>' +
-        '</div>' +
-        '<div class="card-immobile__body">' +
-          '<h3 class="card-immobile__title">' + escapeHtml(immobile.titolo) + '</h3>' +
-          '<div class="card-immobile__meta">' + escapeHtml(meta) + '</div>' +
-          '<p class="card-immobile__price">' + escapeHtml(immobile.prezzoDisplay || '') + '</p>' +
-          '<a href="' + escapeHtml(linkDettaglio) + '" class="btn btn--primary btn--sm">Dettagli</a>' +
-        '</div>' +
-      '</article>'
-    );
-  }
+  var IMMOBILE_NON_DISPONIBILE_SELECTOR = '#immobile-non-disponibile';
+  /** Script con i dati della scheda generata dal server */
+  var IMMOBILE_DATI_ID = 'immobile-dati';
+  /** Zoom della mappa nella scheda immobile (livello di quartiere) */
+  var POSIZIONE_ZOOM = 15;
 
   function showFallback(gridEl, fallbackEl) {
     if (gridEl) gridEl.style.display = 'none';
@@ -103,22 +44,25 @@
   }
 
   /**
-   * Inizializzazione home: render fino a MAX_CARD_HOME card in #home-immobili-grid.
+   * Inizializzazione home: render fino a MAX_CARD_HOME card (le più recenti) in #home-immobili-grid.
    */
   function initHomeImmobili() {
     var gridEl = document.querySelector(HOME_GRID_SELECTOR);
     var fallbackEl = document.querySelector(HOME_FALLBACK_SELECTOR);
-    if (!gridEl) return;
+    if (!gridEl || !Annunci) return;
 
-    fetchImmobili()
-      .then(function (immobili) {
-        var slice = immobili.slice(0, MAX_CARD_HOME);
+    Annunci.fetchElenco({ ordine: 'recente', perPagina: MAX_CARD_HOME })
+      .then(function (data) {
+        var slice = data.immobili.slice(0, MAX_CARD_HOME);
         if (slice.length === 0) {
           showFallback(gridEl, fallbackEl);
           return;
         }
         hideFallback(gridEl, fallbackEl);
-        gridEl.innerHTML = slice.map(buildCardHtml).join('');
+        gridEl.innerHTML = slice.map(function (immobile) {
+          return Annunci.buildCardHtml(immobile, { headingLevel: 3 });
+        }).join('');
+        if (window.Preferiti) window.Preferiti.syncButtons(gridEl);
       })
       .catch(function () {
         showFallback(gridEl, fallbackEl);
@@ -139,137 +83,105 @@
   }
 
   /**
-   * Trova un immobile nell’array per id (confronto stringa/numero).
-   * @param {Array} immobili
-   * @param {string} id - id dalla query (es. "1")
-   * @returns {Object|null}
-   */
-  function findImmobileById(immobili, id) {
-    if (!id || !immobili.length) return null;
-    for (var i = 0; i < immobili.length; i++) {
-      var item = immobili[i];
-      if (String(item.id) === String(id)) return item;
-    }
-    return null;
-  }
-
-  /**
-   * Aggiorna meta tag SEO della pagina (title e description).
-   * @param {Object} immobile
+   * Aggiorna meta tag SEO della pagina (title e description) nella lingua corrente.
+   * @param {Object} immobile - Già nella lingua della pagina (vedi Annunci.fetchImmobile)
    */
   function updateMetaTags(immobile) {
-    var title = escapeHtml(immobile.titolo) + ' | Immobili | Agenzia Immobiliare';
-    var desc = (immobile.descrizione || immobile.titolo + ', ' + immobile.superficie + ' m², ' + immobile.locali + ' locali, ' + immobile.citta + '. ' + (immobile.prezzoDisplay || '')).slice(0, 160);
-    document.title = title;
+    var meta = Annunci.getMetaImmobile(immobile);
+    var titolo = Agenzia.getTitoloPagina(meta.titolo);
+    document.title = titolo;
     var metaDesc = document.querySelector('meta[name="description"]');
-    if (metaDesc) metaDesc.setAttribute('content', desc);
+    if (metaDesc) metaDesc.setAttribute('content', meta.descrizione);
     var ogTitle = document.querySelector('meta[property="og:title"]');
-    if (ogTitle) ogTitle.setAttribute('content', title);
+    if (ogTitle) ogTitle.setAttribute('content', titolo);
     var ogDesc = document.querySelector('meta[property="og:description"]');
-    if (ogDesc) ogDesc.setAttribute('content', desc);
+    if (ogDesc) ogDesc.setAttribute('content', meta.descrizione);
   }
 
   /**
-   * Inietta nello head il JSON-LD Offer per l’immobile (SEO).
-   * @param {Object} immobile
+   * Indirizzo assoluto della radice del sito (cartella della pagina o base delle pagine generate dal
+   * server), con "/" finale; https://example.com/ se la pagina è aperta da file.
    */
-  function injectJsonLdOffer(immobile) {
-    var existing = document.getElementById('jsonld-offer');
+  function getBaseUrl() {
+    var base = new URL('./', document.baseURI).href;
+    return base.indexOf('http') === 0 ? base : 'https://example.com/';
+  }
+
+  /** Inietta nello head un blocco JSON-LD, al posto di quello con lo stesso id eventualmente presente */
+  function injectJsonLd(id, dati) {
+    var existing = document.getElementById(id);
     if (existing) existing.remove();
 
-    var url = window.location.href;
-    var offer = {
-      '@context': 'https://schema.org',
-      '@type': 'Offer',
-      name: immobile.titolo || '',
-      description: immobile.descrizione || '',
-      url: url,
-      price: typeof immobile.prezzo === 'number' ? immobile.prezzo : 0,
-      priceCurrency: 'EUR',
-      availability: 'https://schema.org/InStock',
-      seller: {
-        '@type': 'Organization',
-        name: 'Agenzia Immobiliare'
-      }
-    };
     var script = document.createElement('script');
-    script.id = 'jsonld-offer';
+    script.id = id;
     script.type = 'application/ld+json';
-    script.textContent = JSON.stringify(offer);
+    script.textContent = JSON.stringify(dati);
     document.head.appendChild(script);
   }
 
   /**
-   * Costruisce la riga meta (città · m² · locali) per l’header.
+   * Inietta nello head i JSON-LD RealEstateListing e BreadcrumbList dell’immobile (SEO).
+   * @param {Object} immobile
    */
-  function getMetaLine(immobile) {
-    var parts = [];
-    if (immobile.citta) parts.push(immobile.citta);
-    if (immobile.superficie != null) parts.push(immobile.superficie + ' m²');
-    if (immobile.locali != null) parts.push(immobile.locali + ' locali');
-    return parts.join(' · ');
+  function injectJsonLdAnnuncio(immobile) {
+    var base = getBaseUrl();
+    var url = window.location.href.split('#')[0];
+    injectJsonLd('jsonld-annuncio', Annunci.buildJsonLdAnnuncio(immobile, url, base, Agenzia.getConfig()));
+    injectJsonLd('jsonld-breadcrumb', Annunci.buildJsonLdBreadcrumb(immobile, url, base));
   }
 
   /**
-   * Restituisce un array di voci per i dettagli tecnici (da oggetto dettagliTecnici + campi base).
+   * Renderizza la galleria media (foto, planimetrie, video, tour) con galleria.js; senza
+   * immagini, o se galleria.js non è caricato, mostra solo la prima immagine (o il placeholder).
    */
-  function getDettagliTecniciList(immobile) {
-    var list = [];
-    if (immobile.superficie != null) list.push({ label: 'Superficie', value: immobile.superficie + ' m²' });
-    if (immobile.locali != null) list.push({ label: 'Locali', value: String(immobile.locali) });
-    if (immobile.citta) list.push({ label: 'Località', value: immobile.citta });
-    if (immobile.tipoImmobile) list.push({ label: 'Tipologia', value: immobile.tipoImmobile });
-    var dt = immobile.dettagliTecnici;
-    if (dt && typeof dt === 'object') {
-      var labels = { piano: 'Piano', riscaldamento: 'Riscaldamento', classeEnergetica: 'Classe energetica', annoCostruzione: 'Anno costruzione', stato: 'Stato', giardino: 'Giardino', postiAuto: 'Posti auto', terrazzo: 'Terrazzo', garage: 'Garage' };
-      for (var key in dt) {
-        if (dt.hasOwnProperty(key) && dt[key]) {
-          list.push({ label: labels[key] || key, value: String(dt[key]) });
-        }
-      }
+  function renderGallery(container, immobile) {
+    if (window.Galleria && window.Galleria.raggruppa(immobile.immagini).length > 0) {
+      window.Galleria.create(container, immobile.immagini);
+      return;
     }
-    return list;
+    var img = Annunci.getPrimaImmagine(immobile);
+    container.innerHTML = '<div class="galleria"><figure class="galleria__principale">' +
+      Annunci.buildImmagineHtml(img, { width: 720, height: 540, sizes: '100vw', loading: 'eager' }) +
+      '</figure></div>';
   }
 
   /**
-   * Renderizza la galleria immagini: immagine principale + thumb (se più di una).
+   * Sezione Posizione: indirizzo (o città) e, se l’immobile ha coordinate e mappa.js è caricato,
+   * una mappa con il suo marker. Senza indirizzo né coordinate la sezione resta nascosta.
    */
-  function renderGallery(container, immobile) {
-    var immagini = immobile.immagini;
-    if (!immagini || immagini.length === 0) {
-      var img = getPrimaImmagine(immobile);
-      container.innerHTML = '<figure class="immobile-gallery"><img src="' + escapeHtml(img.src) + '" width="720" height="540" alt="' + escapeHtml(img.alt) + '" loading="eager"></figure>';
-      return;
-    }
-    var main = immagini[0];
-    var html = '<figure class="immobile-gallery" role="group" aria-label="Galleria immagini">';
-    html += '<img id="immobile-gallery-main" src="' + escapeHtml(main.src) + '" width="720" height="540" alt="' + escapeHtml(main.alt) + '" loading="eager">';
-    if (immagini.length > 1) {
-      html += '<figcaption class="immobile-gallery__thumbs">';
-      for (var i = 0; i < immagini.length; i++) {
-        var im = immagini[i];
-        html += '<button type="button" class="immobile-gallery__thumb" data-index="' + i + '" aria-label="Vedi immagine ' + (i + 1) + '">';
-        html += '<img src="' + escapeHtml(im.src) + '" width="80" height="60" alt="" loading="lazy" decoding="async">';
-        html += '</button>';
-      }
-      html += '</figcaption>';
-    }
-    html += '</figure>';
-    container.innerHTML = html;
-
-    if (immagini.length > 1) {
-      var mainImg = container.querySelector('#immobile-gallery-main');
-      var thumbs = container.querySelectorAll('.immobile-gallery__thumb');
-      thumbs.forEach(function (btn, idx) {
-        btn.addEventListener('click', function () {
-          var im = immagini[idx];
-          if (im && mainImg) {
-            mainImg.src = im.src;
-            mainImg.alt = im.alt || '';
-          }
-        });
-      });
+  function renderPosizione(section, immobile) {
+    var conCoordinate = Annunci.hasCoordinate(immobile);
+    if (!immobile.indirizzo && !conCoordinate) return;
+    section.hidden = false;
+    var indirizzoEl = section.querySelector('[data-posizione-indirizzo]');
+    if (indirizzoEl) indirizzoEl.textContent = immobile.indirizzo || immobile.citta || '';
+    var mappaEl = section.querySelector('[data-posizione-mappa]');
+    if (!mappaEl || !conCoordinate || !window.Mappa) return;
+    mappaEl.hidden = false;
+    var mappa = window.Mappa.create(mappaEl, {
+      center: immobile.coordinate,
+      zoom: POSIZIONE_ZOOM,
+      label: I18n.t('posizione.mappa')
+    });
+    mappa.setMarkers([{ lat: immobile.coordinate.lat, lng: immobile.coordinate.lng, label: immobile.titolo }]);
+  }
+
+  /**
+   * Parti interattive della scheda, sul markup già presente (generato dal server o da renderImmobileDetail):
+   * galleria, mappa della posizione e bottone dei preferiti.
+   */
+  function enhanceImmobileDetail(wrap, immobile) {
+    var headerEl = wrap.querySelector('#immobile-header');
+    if (headerEl && window.Preferiti && !headerEl.querySelector('[data-preferito]')) {
+      headerEl.insertAdjacentHTML('beforeend', '<p style="margin-top: var(--space-4);">' + Annunci.buildPreferitoHtml(immobile, { testo: true }) + '</p>');
+      window.Preferiti.syncButtons(headerEl);
     }
+
+    var galleryEl = wrap.querySelector('#immobile-gallery');
+    if (galleryEl) renderGallery(galleryEl, immobile);
+
+    var posizioneEl = wrap.querySelector('#immobile-posizione');
+    if (posizioneEl) renderPosizione(posizioneEl, immobile);
   }
 
   /**
@@ -282,51 +194,15 @@
 
     fallback && (fallback.style.display = 'none');
     wrap.style.display = '';
+    wrap.setAttribute('data-immobile-id', String(immobile.id));
 
-    var badgeClass = getBadgeClass(immobile.tipologia);
-    var badgeText = getBadgeText(immobile.tipologia);
-    var metaLine = getMetaLine(immobile);
-    var descrizione = immobile.descrizione || '';
-    var dettagliList = getDettagliTecniciList(immobile);
-
-    var breadcrumbEl = wrap.querySelector('#immobile-breadcrumb');
-    if (breadcrumbEl) {
-      var titoloSafe = escapeHtml(immobile.titolo);
-      breadcrumbEl.innerHTML = '<ol style="list-style: none; display: flex; flex-wrap: wrap; gap: var(--space-2); font-size: var(--font-size-sm); color: var(--color-neutral-500);">' +
-        '<li><a href="index.html">Home</a></li><li aria-hidden="true">/</li>' +
-        '<li><a href="immobili.html">Immobili</a></li><li aria-hidden="true">/</li>' +
-        '<li aria-current="page">' + titoloSafe + '</li></ol>';
-    }
-
-    var headerEl = wrap.querySelector('#immobile-header');
-    if (headerEl) {
-      headerEl.innerHTML =
-        '<span class="badge ' + escapeHtml(badgeClass) + '" style="margin-bottom: var(--space-3);">' + escapeHtml(badgeText) + '</span>' +
-        '<h1 id="immobile-title">' + escapeHtml(immobile.titolo) + '</h1>' +
-        '<p style="font-size: var(--font-size-lg); color: var(--color-neutral-600); margin-top: var(--space-2);">' + escapeHtml(metaLine) + '</p>' +
-        '<p style="font-size: var(--font-size-2xl); font-weight: var(--font-weight-bold); color: var(--color-primary); margin-top: var(--space-4);">' + escapeHtml(immobile.prezzoDisplay || '') + '</p>';
-    }
-
-    var galleryEl = wrap.querySelector('#immobile-gallery');
-    if (galleryEl) renderGallery(galleryEl, immobile);
-
-    var descEl = wrap.querySelector('#immobile-descrizione');
-    if (descEl) {
-      descEl.innerHTML = descrizione ? '<h2 id="descrizione">Descrizione</h2><p>' + escapeHtml(descrizione) + '</p>' : '';
-    }
-
-    var dettagliEl = wrap.querySelector('#immobile-dettagli');
-    if (dettagliEl && dettagliList.length > 0) {
-      var ul = dettagliList.map(function (d) {
-        return '<li><strong>' + escapeHtml(d.label) + ':</strong> ' + escapeHtml(d.value) + '</li>';
-      }).join('');
-      dettagliEl.innerHTML = '<h2 id="caratteristiche">Caratteristiche</h2><ul style="list-style: disc; padding-left: var(--space-6);">' + ul + '</ul>';
-    }
-
-    var ctaEl = wrap.querySelector('#immobile-cta');
-    if (ctaEl) {
-      ctaEl.innerHTML = '<h2 id="contatto-immobile">Richiedi informazioni</h2><p>Per visite o dettagli contatta la nostra agenzia.</p><a href="contatti.html" class="btn btn--primary btn--lg" style="margin-top: var(--space-4);">Contattaci</a>';
-    }
+    // Il breadcrumb sta fuori dall’articolo: si cerca nel documento
+    var sezioni = Annunci.buildSchedaHtml(immobile);
+    Object.keys(sezioni).forEach(function (id) {
+      var el = document.getElementById(id);
+      if (el) el.innerHTML = sezioni[id];
+    });
+    enhanceImmobileDetail(wrap, immobile);
   }
 
   /**
@@ -340,27 +216,64 @@
   }
 
   /**
-   * Inizializzazione pagina dettaglio: legge ?id=, carica JSON, trova immobile, aggiorna meta, JSON-LD, render.
+   * Mostra il messaggio "Immobile non più disponibile" (annuncio archiviato) con il titolo dell’annuncio.
+   * @param {Object} immobile - Dati essenziali dell’annuncio archiviato
+   */
+  function showImmobileNonDisponibile(immobile) {
+    var wrap = document.querySelector(IMMOBILE_DETAIL_SELECTOR);
+    var fallback = document.querySelector(IMMOBILE_FALLBACK_SELECTOR);
+    var block = document.querySelector(IMMOBILE_NON_DISPONIBILE_SELECTOR);
+    if (!block) {
+      showImmobileFallback();
+      return;
+    }
+    if (wrap) wrap.style.display = 'none';
+    if (fallback) fallback.style.display = 'none';
+    var titoloEl = block.querySelector('[data-immobile-titolo]');
+    if (titoloEl) titoloEl.textContent = immobile.titolo || '';
+    block.style.display = 'block';
+    document.title = Agenzia.getTitoloPagina(I18n.t('meta.non_disponibile'));
+    var robots = document.createElement('meta');
+    robots.name = 'robots';
+    robots.content = 'noindex';
+    document.head.appendChild(robots);
+  }
+
+  /**
+   * Inizializzazione pagina dettaglio. Con i dati della scheda generata dal server nella lingua
+   * corrente completa solo le parti interattive (un annuncio archiviato è già mostrato come tale);
+   * altrimenti carica l’immobile dall’API (id da ?id= o dalla scheda del server), aggiorna meta,
+   * JSON-LD e contenuto.
    */
   function initImmobileDetail() {
     var wrap = document.querySelector(IMMOBILE_DETAIL_SELECTOR);
-    if (!wrap) return;
+    if (!wrap || !Annunci) return;
+
+    var dati = Annunci.getDatiServer(IMMOBILE_DATI_ID);
+    if (dati) {
+      if (!dati.nonDisponibile) enhanceImmobileDetail(wrap, dati.immobile);
+      return;
+    }
 
-    var id = getQueryParam('id');
+    var id = getQueryParam('id') || wrap.getAttribute('data-immobile-id');
     if (!id) {
       showImmobileFallback();
       return;
     }
 
-    fetchImmobili()
-      .then(function (immobili) {
-        var immobile = findImmobileById(immobili, id);
-        if (!immobile) {
+    Annunci.fetchImmobile(id)
+      .then(function (result) {
+        if (!result) {
           showImmobileFallback();
           return;
         }
+        if (result.nonDisponibile) {
+          showImmobileNonDisponibile(result.immobile);
+          return;
+        }
+        var immobile = result.immobile;
         updateMetaTags(immobile);
-        injectJsonLdOffer(immobile);
+        injectJsonLdAnnuncio(immobile);
         renderImmobileDetail(immobile);
       })
       .catch(function () {
@@ -368,44 +281,129 @@
       });
   }
 
-  // ---------- Schema.org RealEstateAgent (SEO) ----------
+  // ---------- Agenzia (agenzia.js) ----------
 
   var JSONLD_AGENT_ID = 'jsonld-real-estate-agent';
+  var COLORI_AGENZIA_ID = 'agenzia-colori';
+
+  /**
+   * Dati dell’agenzia nella pagina: contenuto degli elementi data-agenzia (intestazione, piè di
+   * pagina, contatti), nome nel title e colori. Le pagine servite dal server li hanno già:
+   * riapplicarli non cambia nulla.
+   */
+  function applyAgenzia() {
+    var agenzia = Agenzia.getConfig();
+    var contenuti = Agenzia.buildContenuti(agenzia);
+    document.querySelectorAll('[data-agenzia]').forEach(function (el) {
+      var contenuto = contenuti[el.getAttribute('data-agenzia')];
+      if (!contenuto) return;
+      el.innerHTML = contenuto.html;
+      if (contenuto.href) el.setAttribute('href', contenuto.href);
+      if (contenuto.visibile != null) el.hidden = !contenuto.visibile;
+    });
+    document.title = Agenzia.getTitoloPagina(document.title, agenzia);
+
+    var css = Agenzia.buildCss(agenzia);
+    if (css && !document.getElementById(COLORI_AGENZIA_ID)) {
+      var style = document.createElement('style');
+      style.id = COLORI_AGENZIA_ID;
+      style.textContent = css;
+      document.head.appendChild(style);
+    }
+  }
 
   /**
-   * Inietta nello head il JSON-LD RealEstateAgent (Schema.org) per l’agenzia.
-   * Usa l’origine della pagina come base URL. Eseguito una volta al boot.
+   * Inietta nello head il JSON-LD RealEstateAgent (Schema.org) dell’agenzia, se la pagina
+   * generata dal server non lo contiene già. Eseguito una volta al boot.
    */
   function injectRealEstateAgentSchema() {
     if (document.getElementById(JSONLD_AGENT_ID)) return;
+    injectJsonLd(JSONLD_AGENT_ID, Agenzia.buildJsonLdAgenzia(Agenzia.getConfig(), getBaseUrl()));
+  }
 
-    var path = window.location.pathname || '/';
-    var base = window.location.origin + path.replace(/\/[^/]*$/, '/');
-    if (base.indexOf('http') !== 0) base = 'https://example.com/';
-
-    var schema = {
-      '@context': 'https://schema.org',
-      '@type': 'RealEstateAgent',
-      '@id': base + '#agency',
-      name: 'Agenzia Immobiliare',
-      description: 'Vendita e affitto di immobili. Consulenza professionale e trasparente.',
-      url: base + 'index.html',
-      telephone: '+39-02-1234567',
-      address: {
-        '@type': 'PostalAddress',
-        streetAddress: 'Via Example 1',
-        addressLocality: 'Milano',
-        postalCode: '20100',
-        addressCountry: 'IT'
-      },
-      areaServed: { '@type': 'Country', name: 'Italia' }
-    };
+  // ---------- Lingua (i18n.js) ----------
 
-    var script = document.createElement('script');
-    script.id = JSONLD_AGENT_ID;
-    script.type = 'application/ld+json';
-    script.textContent = JSON.stringify(schema);
-    document.head.appendChild(script);
+  /**
+   * Traduce i testi del markup marcati con data-i18n (testo), data-i18n-html (testo con link,
+   * solo dai cataloghi) e data-i18n-attr ("attributo:chiave;…"). Le chiavi che il catalogo
+   * della lingua corrente non ha lasciano il testo italiano della pagina.
+   * @param {ParentNode} root
+   */
+  function applyTraduzioni(root) {
+    if (I18n.getLingua() === I18n.LINGUA_DEFAULT) return;
+    root.querySelectorAll('[data-i18n]').forEach(function (el) {
+      var key = el.getAttribute('data-i18n');
+      if (I18n.has(key)) el.textContent = I18n.t(key);
+    });
+    root.querySelectorAll('[data-i18n-html]').forEach(function (el) {
+      var key = el.getAttribute('data-i18n-html');
+      if (I18n.has(key)) el.innerHTML = I18n.t(key);
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach(function (el) {
+      el.getAttribute('data-i18n-attr').split(';').forEach(function (coppia) {
+        var parts = coppia.split(':');
+        var key = (parts[1] || '').trim();
+        if (key && I18n.has(key)) el.setAttribute(parts[0].trim(), I18n.t(key));
+      });
+    });
+  }
+
+  /**
+   * Link alternate hreflang nello head: una versione per lingua (?lang=) più x-default,
+   * l’indirizzo senza parametro (lingua scelta dal browser).
+   */
+  function injectHreflang() {
+    if (document.querySelector('link[rel="alternate"][hreflang]')) return;
+    var href = window.location.href;
+    if (href.indexOf('http') !== 0) return;
+    var links = I18n.LINGUE.map(function (lingua) {
+      return { hreflang: lingua, href: I18n.buildUrlLingua(href, lingua) };
+    });
+    var base = new URL(href);
+    base.searchParams.delete(I18n.PARAM);
+    base.hash = '';
+    links.push({ hreflang: 'x-default', href: base.href });
+    links.forEach(function (item) {
+      var link = document.createElement('link');
+      link.rel = 'alternate';
+      link.hreflang = item.hreflang;
+      link.href = item.href;
+      document.head.appendChild(link);
+    });
+  }
+
+  /**
+   * Selettore della lingua nell’header: un link per lingua alla stessa pagina con ?lang=
+   * (la scelta viene ricordata da i18n.js per le pagine successive).
+   */
+  function renderSelettoreLingua() {
+    var inner = document.querySelector(HEADER_SELECTOR + ' .layout-header__inner');
+    if (!inner || inner.querySelector('.lingua-switcher')) return;
+    var corrente = I18n.getLingua();
+    var nav = document.createElement('nav');
+    nav.className = 'lingua-switcher';
+    nav.setAttribute('aria-label', I18n.t('lingua.etichetta'));
+    I18n.LINGUE.forEach(function (lingua) {
+      var link = document.createElement('a');
+      link.href = I18n.buildUrlLingua(window.location.href, lingua);
+      link.hreflang = lingua;
+      link.lang = lingua;
+      link.title = I18n.NOMI_LINGUE[lingua];
+      link.textContent = lingua.toUpperCase();
+      if (lingua === corrente) link.setAttribute('aria-current', 'true');
+      nav.appendChild(link);
+    });
+    inner.appendChild(nav);
+  }
+
+  /**
+   * Lingua della pagina: attributo lang, testi del markup, hreflang e selettore.
+   */
+  function initLingua() {
+    document.documentElement.lang = I18n.getLingua();
+    applyTraduzioni(document);
+    injectHreflang();
+    renderSelettoreLingua();
   }
 
   // ---------- Menu hamburger e CTA sticky (responsive) ----------
@@ -431,7 +429,7 @@
     var btn = document.createElement('button');
     btn.type = 'button';
     btn.className = 'layout-header__hamburger';
-    btn.setAttribute('aria-label', 'Apri menu');
+    btn.setAttribute('aria-label', I18n.t('menu.apri'));
     btn.setAttribute('aria-expanded', 'false');
     btn.setAttribute('aria-controls', nav.id || 'nav-main');
     btn.innerHTML = '<span class="layout-header__hamburger-icon" aria-hidden="true"><span></span><span></span><span></span></span>';
@@ -441,14 +439,14 @@
     btn.addEventListener('click', function () {
       var open = header.classList.toggle(NAV_OPEN_CLASS);
       btn.setAttribute('aria-expanded', open ? 'true' : 'false');
-      btn.setAttribute('aria-label', open ? 'Chiudi menu' : 'Apri menu');
+      btn.setAttribute('aria-label', I18n.t(open ? 'menu.chiudi' : 'menu.apri'));
     });
 
     nav.querySelectorAll('a').forEach(function (link) {
       link.addEventListener('click', function () {
         header.classList.remove(NAV_OPEN_CLASS);
         btn.setAttribute('aria-expanded', 'false');
-        btn.setAttribute('aria-label', 'Apri menu');
+        btn.setAttribute('aria-label', I18n.t('menu.apri'));
       });
     });
 
@@ -456,7 +454,7 @@
       if (e.key === 'Escape' && header.classList.contains(NAV_OPEN_CLASS)) {
         header.classList.remove(NAV_OPEN_CLASS);
         btn.setAttribute('aria-expanded', 'false');
-        btn.setAttribute('aria-label', 'Apri menu');
+        btn.setAttribute('aria-label', I18n.t('menu.apri'));
         btn.focus();
       }
     });
@@ -474,17 +472,19 @@
 
     var bar = document.createElement('div');
     bar.className = 'layout-cta-sticky';
-    bar.setAttribute('aria-label', 'Azioni rapide');
-    bar.innerHTML = '<a href="immobili.html" class="btn btn--accent btn--sm">Sfoglia immobili</a><a href="contatti.html" class="btn btn--secondary btn--sm">Contattaci</a>';
+    bar.setAttribute('aria-label', I18n.t('cta.etichetta'));
+    bar.innerHTML = '<a href="immobili" class="btn btn--accent btn--sm">' + I18n.t('cta.sfoglia') + '</a><a href="contatti.html" class="btn btn--secondary btn--sm">' + I18n.t('cta.contattaci') + '</a>';
 
     document.body.appendChild(bar);
     document.body.classList.add(CTA_STICKY_VISIBLE_CLASS);
   }
 
   /**
-   * Avvio: hamburger e CTA sticky su tutte le pagine; poi home o dettaglio immobile.
+   * Avvio: lingua, dati dell’agenzia, hamburger e CTA sticky su tutte le pagine; poi home o dettaglio immobile.
    */
   function boot() {
+    initLingua();
+    applyAgenzia();
     injectRealEstateAgentSchema();
     initHeaderMobile();
     initCtaSticky();
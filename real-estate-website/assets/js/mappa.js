@@ -0,0 +1,536 @@
+/**
+ * mappa.js - Mappa interattiva leggera (tile + marker), senza librerie esterne
+ * Usata da immobili.js (vista mappa dell’elenco) e main.js (posizione nella scheda immobile).
+ * Le tile arrivano da un URL configurabile con {z}/{x}/{y} (attributo data-tile-url del
+ * contenitore o opzione tileUrl): in sviluppo e nei test il server le serve da una cartella
+ * locale o genera tile segnaposto (vedi Backend/tiles.js); in produzione basta indicare
+ * l’URL di un fornitore di tile e la relativa attribuzione (data-tile-attribution).
+ * Proiezione Web Mercator con tile da 256 px (come OpenStreetMap). Le funzioni di calcolo
+ * non usano il DOM: condivise con il server (esposte come window.Mappa o via require).
+ *
+ * API pubblica:
+ * - Calcolo: TILE_SIZE, project(lat, lng, zoom), unproject(x, y, zoom), getBoundsOf(points),
+ *   containsPoint(bounds, point), getZoomToFit(bounds, width, height, minZoom, maxZoom),
+ *   expandTileUrl(template, z, x, y)
+ * - Mappa: create(container, options) -> { setView, fitBounds, getBounds, getZoom, setMarkers,
+ *   startDrawing, cancelDrawing, onMove, invalidateSize, destroy }
+ * I rettangoli geografici (bounds) hanno la forma { sud, ovest, nord, est } in gradi decimali.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Mappa = factory();
+  }
+})(this, function () {
+  'use strict';
+
+  var TILE_SIZE = 256;
+  var MAX_LAT = 85.05112878;
+  var DEFAULT_TILE_URL = 'tiles/{z}/{x}/{y}.svg';
+  var DEFAULT_MIN_ZOOM = 3;
+  var DEFAULT_MAX_ZOOM = 18;
+  /** Spostamento (px) oltre il quale un trascinamento non è più un clic */
+  var DRAG_THRESHOLD = 4;
+  /** Intervallo minimo tra due scatti di zoom con la rotella (ms) */
+  var WHEEL_INTERVAL_MS = 250;
+  /** Spostamento con le frecce da tastiera (px) */
+  var KEY_PAN = 80;
+
+  // ---------- Calcolo (Web Mercator) ----------
+
+  function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+  }
+
+  /**
+   * Coordinate geografiche -> pixel assoluti nel "mondo" al livello di zoom dato.
+   * @returns {{ x: number, y: number }}
+   */
+  function project(lat, lng, zoom) {
+    var scale = TILE_SIZE * Math.pow(2, zoom);
+    var sin = Math.sin(clamp(lat, -MAX_LAT, MAX_LAT) * Math.PI / 180);
+    return {
+      x: (lng + 180) / 360 * scale,
+      y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+    };
+  }
+
+  /**
+   * Pixel assoluti -> coordinate geografiche (inverso di project).
+   * @returns {{ lat: number, lng: number }}
+   */
+  function unproject(x, y, zoom) {
+    var scale = TILE_SIZE * Math.pow(2, zoom);
+    var n = Math.PI - 2 * Math.PI * y / scale;
+    return {
+      lat: 180 / Math.PI * Math.atan(0.5 * (Math.exp(n) - Math.exp(-n))),
+      lng: x / scale * 360 - 180
+    };
+  }
+
+  /**
+   * Rettangolo che contiene tutti i punti ({ lat, lng }); null se l’elenco è vuoto.
+   */
+  function getBoundsOf(points) {
+    if (!points || points.length === 0) return null;
+    var bounds = { sud: 90, ovest: 180, nord: -90, est: -180 };
+    points.forEach(function (p) {
+      bounds.sud = Math.min(bounds.sud, p.lat);
+      bounds.nord = Math.max(bounds.nord, p.lat);
+      bounds.ovest = Math.min(bounds.ovest, p.lng);
+      bounds.est = Math.max(bounds.est, p.lng);
+    });
+    return bounds;
+  }
+
+  function containsPoint(bounds, point) {
+    return point.lat >= bounds.sud && point.lat <= bounds.nord &&
+      point.lng >= bounds.ovest && point.lng <= bounds.est;
+  }
+
+  /**
+   * Zoom più alto a cui il rettangolo entra in un riquadro di width x height pixel.
+   */
+  function getZoomToFit(bounds, width, height, minZoom, maxZoom) {
+    for (var z = maxZoom; z > minZoom; z--) {
+      var nw = project(bounds.nord, bounds.ovest, z);
+      var se = project(bounds.sud, bounds.est, z);
+      if (se.x - nw.x <= width && se.y - nw.y <= height) return z;
+    }
+    return minZoom;
+  }
+
+  /**
+   * Rettangolo dagli angoli in alto a sinistra e in basso a destra, limitato al mondo
+   * (a zoom bassi la vista può estendersi oltre ±180° di longitudine).
+   */
+  function toBounds(nw, se) {
+    return {
+      sud: clamp(se.lat, -MAX_LAT, MAX_LAT),
+      ovest: clamp(nw.lng, -180, 180),
+      nord: clamp(nw.lat, -MAX_LAT, MAX_LAT),
+      est: clamp(se.lng, -180, 180)
+    };
+  }
+
+  /**
+   * URL di una tile dal modello (es. "tiles/{z}/{x}/{y}.svg").
+   */
+  function expandTileUrl(template, z, x, y) {
+    return template.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+  }
+
+  // ---------- Mappa (browser) ----------
+
+  /**
+   * Crea una mappa nel contenitore.
+   * @param {HTMLElement} container
+   * @param {{ center?: { lat: number, lng: number }, zoom?: number, minZoom?: number, maxZoom?: number, tileUrl?: string, attribution?: string, label?: string }} [options]
+   *   tileUrl e attribution hanno come default gli attributi data-tile-url e data-tile-attribution del contenitore
+   */
+  function create(container, options) {
+    options = options || {};
+    var tileUrl = options.tileUrl || container.getAttribute('data-tile-url') || DEFAULT_TILE_URL;
+    var attribution = options.attribution || container.getAttribute('data-tile-attribution') || '';
+    var minZoom = options.minZoom != null ? options.minZoom : DEFAULT_MIN_ZOOM;
+    var maxZoom = options.maxZoom != null ? options.maxZoom : DEFAULT_MAX_ZOOM;
+    var center = options.center || { lat: 42.5, lng: 12.5 };
+    var state = { lat: center.lat, lng: center.lng, zoom: clamp(options.zoom != null ? options.zoom : 5, minZoom, maxZoom) };
+    var markers = [];
+    var moveListeners = [];
+    var tileNodes = {};
+    var drawing = null;
+    var lastWheel = 0;
+
+    container.classList.add('mappa');
+    container.innerHTML =
+      '<div class="mappa__viewport" tabindex="0" role="application" aria-roledescription="mappa" aria-label="' +
+        escapeAttr(options.label || 'Mappa. Frecce per spostare, + e - per lo zoom.') + '">' +
+        '<div class="mappa__tiles"></div>' +
+        '<div class="mappa__markers"></div>' +
+        '<div class="mappa__draw" hidden></div>' +
+      '</div>' +
+      '<div class="mappa__controls">' +
+        '<button type="button" class="mappa__zoom" data-zoom="1" aria-label="Aumenta zoom">+</button>' +
+        '<button type="button" class="mappa__zoom" data-zoom="-1" aria-label="Riduci zoom">−</button>' +
+      '</div>' +
+      '<div class="mappa__popup" role="dialog" aria-label="Dettagli immobile" hidden></div>' +
+      (attribution ? '<div class="mappa__attribution">' + attribution + '</div>' : '');
+
+    var viewport = container.querySelector('.mappa__viewport');
+    var tilesEl = container.querySelector('.mappa__tiles');
+    var markersEl = container.querySelector('.mappa__markers');
+    var drawEl = container.querySelector('.mappa__draw');
+    var popupEl = container.querySelector('.mappa__popup');
+
+    function size() {
+      return { w: viewport.clientWidth, h: viewport.clientHeight };
+    }
+
+    /** Pixel assoluto dell’angolo in alto a sinistra della vista */
+    function origin() {
+      var s = size();
+      var c = project(state.lat, state.lng, state.zoom);
+      return { x: c.x - s.w / 2, y: c.y - s.h / 2 };
+    }
+
+    function setCenterPx(x, y) {
+      var ll = unproject(x, y, state.zoom);
+      state.lat = clamp(ll.lat, -MAX_LAT, MAX_LAT);
+      state.lng = ((ll.lng + 540) % 360) - 180;
+    }
+
+    function renderTiles(o, s) {
+      var n = Math.pow(2, state.zoom);
+      var wanted = {};
+      var x0 = Math.floor(o.x / TILE_SIZE);
+      var x1 = Math.floor((o.x + s.w) / TILE_SIZE);
+      var y0 = Math.max(0, Math.floor(o.y / TILE_SIZE));
+      var y1 = Math.min(n - 1, Math.floor((o.y + s.h) / TILE_SIZE));
+      for (var ty = y0; ty <= y1; ty++) {
+        for (var tx = x0; tx <= x1; tx++) {
+          var key = state.zoom + '/' + tx + '/' + ty;
+          wanted[key] = true;
+          var img = tileNodes[key];
+          if (!img) {
+            img = document.createElement('img');
+            img.className = 'mappa__tile';
+            img.alt = '';
+            img.draggable = false;
+            img.src = expandTileUrl(tileUrl, state.zoom, ((tx % n) + n) % n, ty);
+            tilesEl.appendChild(img);
+            tileNodes[key] = img;
+          }
+          img.style.transform = 'translate(' + Math.round(tx * TILE_SIZE - o.x) + 'px, ' + Math.round(ty * TILE_SIZE - o.y) + 'px)';
+        }
+      }
+      Object.keys(tileNodes).forEach(function (key) {
+        if (!wanted[key]) {
+          tilesEl.removeChild(tileNodes[key]);
+          delete tileNodes[key];
+        }
+      });
+    }
+
+    function renderMarkers(o) {
+      markers.forEach(function (m) {
+        var p = project(m.lat, m.lng, state.zoom);
+        m.el.style.transform = 'translate(' + Math.round(p.x - o.x) + 'px, ' + Math.round(p.y - o.y) + 'px)';
+      });
+    }
+
+    function render() {
+      var s = size();
+      if (s.w === 0 || s.h === 0) return;
+      var o = origin();
+      renderTiles(o, s);
+      renderMarkers(o);
+      positionPopup(o);
+    }
+
+    function emitMove(user) {
+      var event = { bounds: getBounds(), zoom: state.zoom, user: !!user };
+      moveListeners.forEach(function (fn) { fn(event); });
+    }
+
+    // ---------- Vista ----------
+
+    function setView(newCenter, zoom, user) {
+      state.lat = clamp(newCenter.lat, -MAX_LAT, MAX_LAT);
+      state.lng = newCenter.lng;
+      if (zoom != null) state.zoom = clamp(Math.round(zoom), minZoom, maxZoom);
+      render();
+      emitMove(user);
+    }
+
+    /**
+     * Centra e adatta lo zoom al rettangolo (con un margine in pixel).
+     */
+    function fitBounds(bounds, padding) {
+      var s = size();
+      var pad = padding != null ? padding : 40;
+      var zoom = getZoomToFit(bounds, Math.max(1, s.w - 2 * pad), Math.max(1, s.h - 2 * pad), minZoom, Math.min(maxZoom, 16));
+      var nw = project(bounds.nord, bounds.ovest, zoom);
+      var se = project(bounds.sud, bounds.est, zoom);
+      state.zoom = zoom;
+      setView(unproject((nw.x + se.x) / 2, (nw.y + se.y) / 2, zoom), zoom, false);
+    }
+
+    /**
+     * Rettangolo geografico attualmente visibile.
+     */
+    function getBounds() {
+      var s = size();
+      var o = origin();
+      var nw = unproject(o.x, o.y, state.zoom);
+      var se = unproject(o.x + s.w, o.y + s.h, state.zoom);
+      return toBounds(nw, se);
+    }
+
+    /**
+     * Zoom di un passo mantenendo fermo il punto (x, y) della vista (default: il centro).
+     */
+    function zoomBy(delta, x, y) {
+      var zoom = clamp(state.zoom + delta, minZoom, maxZoom);
+      if (zoom === state.zoom) return;
+      var s = size();
+      var o = origin();
+      var px = x != null ? x : s.w / 2;
+      var py = y != null ? y : s.h / 2;
+      var fixed = unproject(o.x + px, o.y + py, state.zoom);
+      var p = project(fixed.lat, fixed.lng, zoom);
+      state.zoom = zoom;
+      setCenterPx(p.x - px + s.w / 2, p.y - py + s.h / 2);
+      render();
+      emitMove(true);
+    }
+
+    function panBy(dx, dy) {
+      var c = project(state.lat, state.lng, state.zoom);
+      setCenterPx(c.x + dx, c.y + dy);
+      render();
+    }
+
+    // ---------- Marker e popup ----------
+
+    var openMarker = null;
+
+    /**
+     * Sostituisce i marker.
+     * @param {Array<{ lat: number, lng: number, label: string, popupHtml?: string }>} list
+     *   popupHtml: contenuto (HTML già sicuro) mostrato al clic sul marker
+     */
+    function setMarkers(list) {
+      closePopup();
+      markersEl.innerHTML = '';
+      markers = (list || []).map(function (item) {
+        var el = document.createElement('button');
+        el.type = 'button';
+        el.className = 'mappa__marker';
+        el.setAttribute('aria-label', item.label || 'Immobile');
+        el.title = item.label || '';
+        markersEl.appendChild(el);
+        var marker = { lat: item.lat, lng: item.lng, popupHtml: item.popupHtml || '', el: el };
+        if (marker.popupHtml) {
+          el.addEventListener('click', function (e) {
+            e.stopPropagation();
+            openPopup(marker);
+          });
+        } else {
+          el.tabIndex = -1;
+        }
+        return marker;
+      });
+      render();
+    }
+
+    function openPopup(marker) {
+      openMarker = marker;
+      popupEl.innerHTML = '<button type="button" class="mappa__popup-close" aria-label="Chiudi">×</button>' + marker.popupHtml;
+      popupEl.hidden = false;
+      positionPopup(origin());
+      popupEl.querySelector('.mappa__popup-close').focus();
+    }
+
+    function closePopup() {
+      if (!openMarker) return;
+      var marker = openMarker;
+      openMarker = null;
+      popupEl.hidden = true;
+      popupEl.innerHTML = '';
+      if (marker.el && document.activeElement === document.body) marker.el.focus();
+    }
+
+    function positionPopup(o) {
+      if (!openMarker) return;
+      var p = project(openMarker.lat, openMarker.lng, state.zoom);
+      popupEl.style.left = Math.round(p.x - o.x) + 'px';
+      popupEl.style.top = Math.round(p.y - o.y) + 'px';
+    }
+
+    popupEl.addEventListener('click', function (e) {
+      if (e.target.closest('.mappa__popup-close')) closePopup();
+    });
+
+    // ---------- Disegno di un’area ----------
+
+    /**
+     * Modalità disegno: il prossimo trascinamento traccia un rettangolo, passato a callback come bounds.
+     * @param {function({ sud: number, ovest: number, nord: number, est: number }): void} callback
+     */
+    function startDrawing(callback) {
+      closePopup();
+      drawing = { callback: callback, start: null };
+      container.classList.add('mappa--disegno');
+      viewport.focus();
+    }
+
+    function cancelDrawing() {
+      drawing = null;
+      drawEl.hidden = true;
+      container.classList.remove('mappa--disegno');
+    }
+
+    function updateDrawRect(a, b) {
+      drawEl.hidden = false;
+      drawEl.style.left = Math.min(a.x, b.x) + 'px';
+      drawEl.style.top = Math.min(a.y, b.y) + 'px';
+      drawEl.style.width = Math.abs(a.x - b.x) + 'px';
+      drawEl.style.height = Math.abs(a.y - b.y) + 'px';
+    }
+
+    // ---------- Interazione ----------
+
+    function localPoint(e) {
+      var rect = viewport.getBoundingClientRect();
+      return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    var drag = null;
+
+    viewport.addEventListener('pointerdown', function (e) {
+      if (e.button !== 0 || e.target.closest('.mappa__marker')) return;
+      var point = localPoint(e);
+      viewport.setPointerCapture(e.pointerId);
+      if (drawing) {
+        drawing.start = point;
+        updateDrawRect(point, point);
+        return;
+      }
+      var c = project(state.lat, state.lng, state.zoom);
+      drag = { start: point, center: c, moved: false };
+    });
+
+    viewport.addEventListener('pointermove', function (e) {
+      var point = localPoint(e);
+      if (drawing && drawing.start) {
+        updateDrawRect(drawing.start, point);
+        return;
+      }
+      if (!drag) return;
+      var dx = point.x - drag.start.x;
+      var dy = point.y - drag.start.y;
+      if (!drag.moved && Math.abs(dx) + Math.abs(dy) < DRAG_THRESHOLD) return;
+      drag.moved = true;
+      container.classList.add('mappa--trascina');
+      setCenterPx(drag.center.x - dx, drag.center.y - dy);
+      render();
+    });
+
+    function endPointer(e) {
+      if (drawing && drawing.start) {
+        var a = drawing.start;
+        var b = localPoint(e);
+        var callback = drawing.callback;
+        cancelDrawing();
+        if (Math.abs(a.x - b.x) < DRAG_THRESHOLD || Math.abs(a.y - b.y) < DRAG_THRESHOLD) return;
+        var o = origin();
+        var nw = unproject(o.x + Math.min(a.x, b.x), o.y + Math.min(a.y, b.y), state.zoom);
+        var se = unproject(o.x + Math.max(a.x, b.x), o.y + Math.max(a.y, b.y), state.zoom);
+        callback(toBounds(nw, se));
+        return;
+      }
+      if (!drag) return;
+      var moved = drag.moved;
+      drag = null;
+      container.classList.remove('mappa--trascina');
+      if (moved) emitMove(true);
+      else closePopup();
+    }
+
+    viewport.addEventListener('pointerup', endPointer);
+    viewport.addEventListener('pointercancel', function () {
+      drag = null;
+      container.classList.remove('mappa--trascina');
+      if (drawing) cancelDrawing();
+    });
+
+    viewport.addEventListener('wheel', function (e) {
+      e.preventDefault();
+      var now = Date.now();
+      if (now - lastWheel < WHEEL_INTERVAL_MS || e.deltaY === 0) return;
+      lastWheel = now;
+      var point = localPoint(e);
+      zoomBy(e.deltaY < 0 ? 1 : -1, point.x, point.y);
+    }, { passive: false });
+
+    viewport.addEventListener('dblclick', function (e) {
+      var point = localPoint(e);
+      zoomBy(1, point.x, point.y);
+    });
+
+    viewport.addEventListener('keydown', function (e) {
+      var handled = true;
+      if (e.key === 'ArrowLeft') panBy(-KEY_PAN, 0);
+      else if (e.key === 'ArrowRight') panBy(KEY_PAN, 0);
+      else if (e.key === 'ArrowUp') panBy(0, -KEY_PAN);
+      else if (e.key === 'ArrowDown') panBy(0, KEY_PAN);
+      else if (e.key === '+' || e.key === '=') zoomBy(1);
+      else if (e.key === '-') zoomBy(-1);
+      else handled = false;
+      if (handled) {
+        e.preventDefault();
+        if (e.key.indexOf('Arrow') === 0) emitMove(true);
+      }
+    });
+
+    container.addEventListener('keydown', function (e) {
+      if (e.key !== 'Escape') return;
+      if (drawing) cancelDrawing();
+      else closePopup();
+    });
+
+    container.querySelector('.mappa__controls').addEventListener('click', function (e) {
+      var button = e.target.closest('[data-zoom]');
+      if (button) zoomBy(parseInt(button.getAttribute('data-zoom'), 10));
+    });
+
+    var resizeObserver = null;
+    if (typeof ResizeObserver === 'function') {
+      resizeObserver = new ResizeObserver(render);
+      resizeObserver.observe(viewport);
+    }
+
+    render();
+
+    return {
+      setView: function (c, zoom) { setView(c, zoom, false); },
+      fitBounds: fitBounds,
+      getBounds: getBounds,
+      getZoom: function () { return state.zoom; },
+      setMarkers: setMarkers,
+      startDrawing: startDrawing,
+      cancelDrawing: cancelDrawing,
+      /**
+       * Registra una funzione chiamata dopo ogni spostamento o zoom:
+       * { bounds, zoom, user } con user = true se causato dall’utente.
+       */
+      onMove: function (fn) { moveListeners.push(fn); },
+      /** Ridisegna dopo che il contenitore è diventato visibile o ha cambiato dimensione */
+      invalidateSize: render,
+      destroy: function () {
+        if (resizeObserver) resizeObserver.disconnect();
+        container.innerHTML = '';
+        container.classList.remove('mappa', 'mappa--disegno', 'mappa--trascina');
+        moveListeners = [];
+      }
+    };
+  }
+
+  function escapeAttr(str) {
+    return String(str).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  }
+
+  return {
+    TILE_SIZE: TILE_SIZE,
+    project: project,
+    unproject: unproject,
+    getBoundsOf: getBoundsOf,
+    containsPoint: containsPoint,
+    getZoomToFit: getZoomToFit,
+    expandTileUrl: expandTileUrl,
+    create: create
+  };
+});
@@ -0,0 +1,284 @@
+/**
+ * preferiti.js - Immobili preferiti salvati nel browser (localStorage)
+ * Su tutte le pagine: cuori dei preferiti (bottoni [data-preferito] creati da
+ * Annunci.buildPreferitoHtml su card e scheda immobile) e contatore nel menu ([data-preferiti-conteggio]).
+ * Su preferiti.html: card degli immobili salvati, elenco di quelli non più disponibili e
+ * link “Invia la selezione all’agenzia” (contatti.html?immobili=1,4,7, precompilato da form.js).
+ * I preferiti restano nel browser: all’agenzia arrivano solo se il visitatore invia il form contatti.
+ * Va caricato prima di main.js; su preferiti.html serve anche annunci.js.
+ *
+ * API pubblica (window.Preferiti): read(), getIds(), has(id), toggle(id, titolo), remove(id), clear(), syncButtons([root])
+ */
+
+(function () {
+  'use strict';
+
+  var STORAGE_KEY = 'agenzia-immobiliare:preferiti';
+  /** Massimo di preferiti: la pagina li carica con una sola richiesta (max per pagina dell’API) */
+  var MAX_PREFERITI = 100;
+  /** Evento su document a ogni modifica (anche da un’altra scheda) */
+  var EVENTO_CAMBIATI = 'preferiti:cambiati';
+  var SELECTORS = {
+    grid: '#preferiti-grid',
+    conteggio: '#preferiti-conteggio',
+    vuoto: '#preferiti-vuoto',
+    azioni: '#preferiti-azioni',
+    invia: '#preferiti-invia',
+    nonDisponibili: '#preferiti-non-disponibili',
+    errore: '#preferiti-errore'
+  };
+
+  /** Copia in memoria, usata se localStorage non è disponibile (es. navigazione privata di alcuni browser) */
+  var memoria = [];
+
+  function isValidItem(item) {
+    return item && typeof item.id === 'string' && item.id !== '';
+  }
+
+  /**
+   * Preferiti salvati, dal più recente.
+   * @returns {Array<{ id: string, titolo: string, aggiunto: string }>}
+   */
+  function read() {
+    try {
+      var raw = window.localStorage.getItem(STORAGE_KEY);
+      var list = raw ? JSON.parse(raw) : [];
+      return Array.isArray(list) ? list.filter(isValidItem) : [];
+    } catch (e) {
+      return memoria.slice();
+    }
+  }
+
+  function write(list) {
+    memoria = list.slice();
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+    } catch (e) {
+      // Spazio esaurito o storage disattivato: i preferiti restano validi fino alla chiusura della pagina
+    }
+    notify();
+  }
+
+  function getIds() {
+    return read().map(function (item) { return item.id; });
+  }
+
+  function has(id) {
+    return getIds().indexOf(String(id)) !== -1;
+  }
+
+  /**
+   * Aggiunge o toglie un immobile dai preferiti.
+   * @param {string|number} id
+   * @param {string} [titolo] - Conservato per riconoscere l’immobile anche se viene rimosso dal sito
+   * @returns {boolean|null} true se ora è tra i preferiti, false se è stato tolto, null se il limite è raggiunto
+   */
+  function toggle(id, titolo) {
+    id = String(id);
+    var list = read();
+    var rest = list.filter(function (item) { return item.id !== id; });
+    if (rest.length < list.length) {
+      write(rest);
+      return false;
+    }
+    if (list.length >= MAX_PREFERITI) return null;
+    list.unshift({ id: id, titolo: titolo || '', aggiunto: new Date().toISOString() });
+    write(list);
+    return true;
+  }
+
+  function remove(id) {
+    id = String(id);
+    write(read().filter(function (item) { return item.id !== id; }));
+  }
+
+  function clear() {
+    write([]);
+  }
+
+  /**
+   * Allinea lo stato dei cuori (aria-pressed) ai preferiti salvati.
+   * Da chiamare dopo aver inserito nuove card nella pagina.
+   * @param {ParentNode} [root] - Default: tutto il documento
+   */
+  function syncButtons(root) {
+    var ids = getIds();
+    (root || document).querySelectorAll('[data-preferito]').forEach(function (button) {
+      button.setAttribute('aria-pressed', String(ids.indexOf(button.getAttribute('data-preferito')) !== -1));
+    });
+  }
+
+  function updateConteggio() {
+    var count = read().length;
+    document.querySelectorAll('[data-preferiti-conteggio]').forEach(function (el) {
+      el.textContent = String(count);
+      el.hidden = count === 0;
+    });
+  }
+
+  function notify() {
+    syncButtons();
+    updateConteggio();
+    document.dispatchEvent(new CustomEvent(EVENTO_CAMBIATI));
+  }
+
+  /**
+   * Annuncia l’esito di un clic per screen reader (regione aria-live creata al primo uso).
+   */
+  function announce(message) {
+    var live = document.querySelector('[data-preferiti-annuncio]');
+    if (!live) {
+      live = document.createElement('div');
+      live.className = 'visually-hidden';
+      live.setAttribute('aria-live', 'polite');
+      live.setAttribute('data-preferiti-annuncio', '');
+      document.body.appendChild(live);
+    }
+    live.textContent = message;
+  }
+
+  function handleClick(e) {
+    var button = e.target.closest('[data-preferito]');
+    if (!button) return;
+    var titolo = button.getAttribute('data-preferito-titolo') || 'Immobile';
+    var result = toggle(button.getAttribute('data-preferito'), titolo);
+    if (result === null) {
+      announce('Hai già ' + MAX_PREFERITI + ' preferiti: togline qualcuno per aggiungerne altri.');
+    } else {
+      announce(titolo + (result ? ' aggiunto ai preferiti.' : ' rimosso dai preferiti.'));
+    }
+  }
+
+  // ---------- Pagina preferiti.html ----------
+
+  var lastRequestId = 0;
+
+  /**
+   * Link al form contatti con gli id degli immobili selezionati.
+   */
+  function buildInviaHref(ids) {
+    return 'contatti.html?immobili=' + ids.map(encodeURIComponent).join(',');
+  }
+
+  /**
+   * Disegna la pagina dei preferiti: card degli immobili ancora pubblicati (nell’ordine di
+   * salvataggio) ed elenco di quelli non più disponibili, con il titolo salvato.
+   */
+  function renderPagina() {
+    var grid = document.querySelector(SELECTORS.grid);
+    var Annunci = window.Annunci;
+    if (!grid || !Annunci) return;
+    var escapeHtml = Annunci.escapeHtml;
+    var list = read();
+    var requestId = ++lastRequestId;
+
+    var vuoto = document.querySelector(SELECTORS.vuoto);
+    var azioni = document.querySelector(SELECTORS.azioni);
+    var conteggio = document.querySelector(SELECTORS.conteggio);
+    var nonDisponibiliEl = document.querySelector(SELECTORS.nonDisponibili);
+    var erroreEl = document.querySelector(SELECTORS.errore);
+    if (erroreEl) erroreEl.hidden = true;
+
+    if (list.length === 0) {
+      grid.innerHTML = '';
+      if (vuoto) vuoto.hidden = false;
+      if (azioni) azioni.hidden = true;
+      if (nonDisponibiliEl) nonDisponibiliEl.hidden = true;
+      if (conteggio) conteggio.textContent = '';
+      return;
+    }
+    if (vuoto) vuoto.hidden = true;
+
+    Annunci.fetchElenco({ ids: getIds(), perPagina: MAX_PREFERITI })
+      .then(function (data) {
+        if (requestId !== lastRequestId) return;
+        var byId = {};
+        data.immobili.forEach(function (immobile) {
+          byId[String(immobile.id)] = immobile;
+        });
+        var disponibili = list.filter(function (item) { return byId[item.id]; });
+        var nonDisponibili = list.filter(function (item) { return !byId[item.id]; });
+
+        grid.innerHTML = disponibili.map(function (item) {
+          return Annunci.buildCardHtml(byId[item.id]);
+        }).join('');
+        syncButtons(grid);
+
+        if (conteggio) {
+          conteggio.textContent = disponibili.length === 1 ? '1 immobile salvato' : disponibili.length + ' immobili salvati';
+        }
+        if (azioni) azioni.hidden = disponibili.length === 0;
+        var invia = document.querySelector(SELECTORS.invia);
+        if (invia) {
+          invia.href = buildInviaHref(disponibili.map(function (item) { return item.id; }));
+        }
+
+        if (nonDisponibiliEl) {
+          nonDisponibiliEl.hidden = nonDisponibili.length === 0;
+          var ul = nonDisponibiliEl.querySelector('ul');
+          if (ul) {
+            ul.innerHTML = nonDisponibili.map(function (item) {
+              return '<li>' + escapeHtml(item.titolo || 'Immobile rif. ' + item.id) + ' ' +
+                '<button type="button" class="btn btn--secondary btn--sm" data-preferito-rimuovi="' + escapeHtml(item.id) + '">Rimuovi</button></li>';
+            }).join('');
+          }
+        }
+      })
+      .catch(function () {
+        if (requestId !== lastRequestId) return;
+        grid.innerHTML = '';
+        if (azioni) azioni.hidden = true;
+        if (erroreEl) erroreEl.hidden = false;
+      });
+  }
+
+  function initPagina() {
+    var grid = document.querySelector(SELECTORS.grid);
+    if (!grid) return;
+    renderPagina();
+    // Le card si aggiornano a ogni modifica (cuore tolto qui o in un’altra scheda)
+    document.addEventListener(EVENTO_CAMBIATI, renderPagina);
+
+    document.addEventListener('click', function (e) {
+      var rimuovi = e.target.closest('[data-preferito-rimuovi]');
+      var cuore = e.target.closest(SELECTORS.grid + ' [data-preferito]');
+      if (rimuovi || cuore) {
+        // La card o la riga sparisce: il focus passa al conteggio invece di perdersi
+        if (rimuovi) remove(rimuovi.getAttribute('data-preferito-rimuovi'));
+        var conteggio = document.querySelector(SELECTORS.conteggio);
+        if (conteggio) conteggio.focus();
+        return;
+      }
+      if (e.target.closest('[data-preferiti-svuota]') && window.confirm('Vuoi togliere tutti gli immobili dai preferiti?')) {
+        clear();
+      }
+    });
+  }
+
+  function init() {
+    syncButtons();
+    updateConteggio();
+    document.addEventListener('click', handleClick);
+    // Modifiche fatte in un’altra scheda dello stesso sito
+    window.addEventListener('storage', function (e) {
+      if (e.key === STORAGE_KEY || e.key === null) notify();
+    });
+    initPagina();
+  }
+
+  window.Preferiti = {
+    read: read,
+    getIds: getIds,
+    has: has,
+    toggle: toggle,
+    remove: remove,
+    clear: clear,
+    syncButtons: syncButtons
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
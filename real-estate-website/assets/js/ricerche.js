@@ -0,0 +1,289 @@
+/**
+ * ricerche.js - Ricerche salvate con avvisi email (vedi Backend/ricerche.js)
+ * Su immobili.html: form “Ricevi via email i nuovi immobili di questa ricerca” con email e
+ * consenso GDPR (stesse regole del server, ValidazioneContatti.validateIscrizione). Salva i filtri
+ * dell’indirizzo corrente; il server invia l’email con il link di conferma (doppio opt-in).
+ * Su ricerca-salvata.html: pagina aperta dai link delle email. ?conferma=token attiva la ricerca,
+ * ?disiscrivi=token chiede conferma e annulla l’iscrizione.
+ * Su immobili.html va caricato dopo annunci.js e validazione-contatti.js.
+ */
+
+(function () {
+  'use strict';
+
+  var API_RICERCHE_PATH = 'api/ricerche';
+
+  var SELECTORS = {
+    form: '#ricerca-salvata-form',
+    esito: '#ricerca-salvata-esito',
+    alert: '#ricerca-salvata-alert',
+    details: '#ricerca-salvata',
+    pagina: '#ricerca-salvata-pagina'
+  };
+
+  /** Ordine dei campi (focus sul primo errore) */
+  var FIELDS = ['email', 'gdpr'];
+
+  var MESSAGES = {
+    sending: 'Invio in corso…',
+    network: 'Impossibile salvare la ricerca. Controlla la connessione e riprova.',
+    server: 'Si è verificato un errore durante il salvataggio. Riprova tra qualche minuto.',
+    verifica: 'Verifica del link in corso…',
+    confermata: 'Ricerca confermata: ti scriveremo quando pubblicheremo un immobile che corrisponde ai filtri.',
+    disiscrivi: 'Vuoi smettere di ricevere gli avvisi per questa ricerca?',
+    disiscritta: 'Iscrizione annullata: non riceverai altri avvisi per questa ricerca.',
+    linkMancante: 'Il link non è completo. Copia nel browser l’indirizzo intero che trovi nell’email.'
+  };
+
+  /**
+   * POST all’API delle ricerche.
+   * @returns {Promise<{ status: number, body: Object }>} Rifiutata solo per errori di rete
+   */
+  function post(path, values) {
+    return fetch(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(values || {})
+    }).then(function (res) {
+      return res.json()
+        .catch(function () { return {}; })
+        .then(function (body) {
+          return { status: res.status, body: body || {} };
+        });
+    });
+  }
+
+  // ---------- Form su immobili.html ----------
+
+  /**
+   * Riepilogo dei filtri correnti (dall’indirizzo della pagina, aggiornato da immobili.js).
+   */
+  function updateDescrizione(form) {
+    var el = form.querySelector('[data-ricerca-descrizione]');
+    if (!el || !window.Annunci) return;
+    var parts = window.Annunci.describeFiltri(window.Annunci.parseQuery(new URLSearchParams(window.location.search)));
+    el.textContent = parts.length > 0
+      ? 'Filtri della ricerca: ' + parts.join(', ') + '.'
+      : 'Nessun filtro impostato: riceverai un avviso per ogni nuovo immobile.';
+  }
+
+  function getValues(form) {
+    return {
+      email: (form.elements.email.value || '').trim(),
+      gdpr: form.elements.gdpr.checked
+    };
+  }
+
+  /**
+   * Mostra l’errore sotto il campo (stesso markup del form contatti).
+   */
+  function showFieldError(form, name, message) {
+    var el = form.elements[name];
+    var group = el && el.closest('.form-group');
+    if (!group) return;
+    var errorId = 'error-ricerca-' + name;
+    var errorEl = group.querySelector('.form-error');
+    if (!errorEl) {
+      errorEl = document.createElement('span');
+      errorEl.className = 'form-error';
+      errorEl.setAttribute('role', 'alert');
+      group.appendChild(errorEl);
+    }
+    errorEl.id = errorId;
+    errorEl.textContent = message;
+    el.setAttribute('aria-invalid', 'true');
+    el.setAttribute('aria-describedby', errorId);
+    if (el.type === 'checkbox') {
+      group.classList.add('form-check-wrap--error');
+    } else {
+      el.classList.add('form-input--error');
+    }
+  }
+
+  function clearErrors(form) {
+    FIELDS.forEach(function (name) {
+      var el = form.elements[name];
+      var group = el && el.closest('.form-group');
+      if (!group) return;
+      var errorEl = group.querySelector('.form-error');
+      if (errorEl) errorEl.remove();
+      group.classList.remove('form-check-wrap--error');
+      el.removeAttribute('aria-invalid');
+      el.removeAttribute('aria-describedby');
+      el.classList.remove('form-input--error');
+    });
+    setAlert('');
+  }
+
+  function showErrors(form, errors) {
+    var first = null;
+    FIELDS.forEach(function (name) {
+      if (!errors[name]) return;
+      showFieldError(form, name, errors[name]);
+      if (!first) first = form.elements[name];
+    });
+    if (first) first.focus();
+  }
+
+  function setAlert(message) {
+    var alert = document.querySelector(SELECTORS.alert);
+    if (alert) alert.textContent = message;
+  }
+
+  function setSubmitting(form, submitting) {
+    var btn = form.querySelector('[type="submit"]');
+    if (!btn) return;
+    if (submitting) {
+      btn.dataset.label = btn.textContent;
+      btn.textContent = MESSAGES.sending;
+    } else if (btn.dataset.label) {
+      btn.textContent = btn.dataset.label;
+    }
+    btn.disabled = submitting;
+    form.setAttribute('aria-busy', submitting ? 'true' : 'false');
+  }
+
+  /**
+   * Richiesta salvata: il form lascia il posto all’invito a controllare la posta.
+   */
+  function showInviata(form, email) {
+    var esito = document.querySelector(SELECTORS.esito);
+    if (esito) {
+      esito.textContent = 'Ti abbiamo inviato un’email all’indirizzo ' + email + ': apri il link che contiene per confermare la ricerca. Finché non confermi non riceverai avvisi.';
+      esito.hidden = false;
+    }
+    form.reset();
+    form.hidden = true;
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    var form = e.currentTarget;
+    if (form.getAttribute('aria-busy') === 'true') return;
+    clearErrors(form);
+    var values = getValues(form);
+    var result = window.ValidazioneContatti.validateIscrizione(values);
+    if (!result.valid) {
+      showErrors(form, result.errors);
+      return;
+    }
+
+    setSubmitting(form, true);
+    post(API_RICERCHE_PATH, { email: values.email, gdpr: true, filtri: window.location.search })
+      .then(function (response) {
+        setSubmitting(form, false);
+        if (response.status === 201) {
+          showInviata(form, values.email);
+        } else if (response.status === 422 && response.body.campi) {
+          showErrors(form, response.body.campi);
+        } else {
+          setAlert(response.body.errore || MESSAGES.server);
+        }
+      })
+      .catch(function () {
+        setSubmitting(form, false);
+        setAlert(MESSAGES.network);
+      });
+  }
+
+  function initForm() {
+    var form = document.querySelector(SELECTORS.form);
+    if (!form) return;
+    updateDescrizione(form);
+    form.addEventListener('submit', handleSubmit);
+    // I filtri cambiano senza ricaricare la pagina: il riepilogo si aggiorna quando il form torna visibile o in uso
+    form.addEventListener('focusin', function () { updateDescrizione(form); });
+    window.addEventListener('popstate', function () { updateDescrizione(form); });
+    var details = document.querySelector(SELECTORS.details);
+    if (details) {
+      details.addEventListener('toggle', function () {
+        if (!details.open) return;
+        updateDescrizione(form);
+        // Dopo un invio riuscito si può salvare un’altra ricerca
+        var esito = document.querySelector(SELECTORS.esito);
+        if (esito && !esito.hidden && form.hidden) {
+          esito.hidden = true;
+          form.hidden = false;
+        }
+      });
+    }
+  }
+
+  // ---------- Pagina ricerca-salvata.html ----------
+
+  /**
+   * Mostra l’esito nella pagina: messaggio, filtri della ricerca e link ai risultati.
+   * @param {HTMLElement} pagina
+   * @param {string} message
+   * @param {Object} [ricerca] - Risposta dell’API ({ descrizione, query })
+   */
+  function showEsito(pagina, message, ricerca) {
+    pagina.querySelector('[data-ricerca-messaggio]').textContent = message;
+    var descrizione = pagina.querySelector('[data-ricerca-descrizione]');
+    var risultati = pagina.querySelector('[data-ricerca-risultati]');
+    if (descrizione) {
+      descrizione.textContent = ricerca ? 'Filtri della ricerca: ' + ricerca.descrizione + '.' : '';
+      descrizione.hidden = !ricerca;
+    }
+    if (risultati && ricerca) {
+      risultati.href = 'immobili' + (ricerca.query ? '?' + ricerca.query : '');
+      risultati.textContent = 'Vedi gli immobili della ricerca';
+    }
+  }
+
+  /**
+   * Esito di una chiamata conferma/disiscrivi: errori dell’API (link non valido, scaduto) o di rete.
+   */
+  function handleEsito(pagina, promise, message) {
+    return promise.then(function (response) {
+      if (response.status === 200) {
+        showEsito(pagina, message, response.body);
+      } else {
+        showEsito(pagina, response.body.errore || MESSAGES.server);
+      }
+    }).catch(function () {
+      showEsito(pagina, MESSAGES.network);
+    });
+  }
+
+  function initPagina() {
+    var pagina = document.querySelector(SELECTORS.pagina);
+    if (!pagina) return;
+    var params = new URLSearchParams(window.location.search);
+    var conferma = params.get('conferma');
+    var disiscrivi = params.get('disiscrivi');
+
+    if (conferma) {
+      showEsito(pagina, MESSAGES.verifica);
+      handleEsito(pagina, post(API_RICERCHE_PATH + '/conferma/' + encodeURIComponent(conferma)), MESSAGES.confermata);
+      return;
+    }
+    if (!disiscrivi) {
+      showEsito(pagina, MESSAGES.linkMancante);
+      return;
+    }
+
+    // Annullamento solo con un clic esplicito
+    var button = pagina.querySelector('[data-ricerca-disiscrivi]');
+    showEsito(pagina, MESSAGES.disiscrivi);
+    button.hidden = false;
+    button.addEventListener('click', function () {
+      button.disabled = true;
+      handleEsito(pagina, post(API_RICERCHE_PATH + '/disiscrivi/' + encodeURIComponent(disiscrivi)), MESSAGES.disiscritta)
+        .then(function () {
+          button.hidden = true;
+        });
+    });
+  }
+
+  function init() {
+    initForm();
+    initPagina();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
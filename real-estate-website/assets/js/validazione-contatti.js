@@ -0,0 +1,216 @@
+/**
+ * validazione-contatti.js - Regole di validazione del form contatti
+ * Condiviso tra browser (form.js, esposto come window.ValidazioneContatti) e server
+ * (Backend/contatti.js, via require): il server riesegue esattamente le stesse regole.
+ * I campi del form sono descritti in CAMPI: form.js li raccoglie e li valida, il server li valida
+ * e li salva nella richiesta, senza elenchi di campi da aggiornare altrove.
+ * validateIscrizione copre i form con solo email e consenso (ricerche salvate, Backend/ricerche.js),
+ * validateVisita la prenotazione di una visita (visite.js, Backend/visite.js).
+ * I messaggi sono in italiano (MESSAGES); nel browser, se il catalogo della lingua della pagina
+ * ha la chiave 'validazione.<messaggio>' (i18n.js), si usa quella.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./i18n'));
+  } else {
+    root.ValidazioneContatti = factory(root.I18n);
+  }
+})(this, function (I18n) {
+  'use strict';
+
+  /**
+   * Campi del form contatti nell’ordine della pagina (focus sul primo errore).
+   * Per aggiungere un campo (es. fascia oraria preferita, budget) basta una voce qui e un
+   * controllo con lo stesso name in contatti.html. Regole disponibili:
+   * - required, minLength, maxLength: testo obbligatorio e lunghezza
+   * - email: indirizzo email; pattern: espressione regolare del formato
+   * - options: valori ammessi (es. option di una select)
+   * - numero, min, max: valore numerico ed eventuali limiti
+   * - consenso: checkbox, valida se vale '1' o true (non viene salvata come testo)
+   * Messaggi: MESSAGES['<campo>_<regola>'] se c’è, altrimenti MESSAGES['<regola>'].
+   */
+  var CAMPI = [
+    { name: 'nome', required: true, minLength: 2, maxLength: 200 },
+    { name: 'email', required: true, email: true },
+    { name: 'telefono', pattern: /^[\d\s\+\-\(\)]{8,20}$/ },
+    { name: 'oggetto', options: ['vendita', 'affitto', 'stima', 'altro'] },
+    { name: 'messaggio', required: true, minLength: 10, maxLength: 2000 },
+    { name: 'gdpr', required: true, consenso: true }
+  ];
+
+  /** Regole per nome del campo (da CAMPI) */
+  var RULES = {};
+
+  /** Ordine dei campi (per focus sul primo errore e pulizia errori) */
+  var FIELDS = CAMPI.map(function (campo) {
+    RULES[campo.name] = campo;
+    return campo.name;
+  });
+
+  /**
+   * Protezione anti-spam del form contatti, senza servizi esterni:
+   * - honeypot: campo nascosto alle persone (CSS e aria-hidden) che i bot compilano;
+   * - caricato: istante di apertura del form, firmato dal server (vedi Backend/contatti.js); un invio
+   *   più rapido di tempoMinimoMs non è umano.
+   */
+  var ANTISPAM = {
+    honeypot: 'sito_web',
+    caricato: 'caricato',
+    tempoMinimoMs: 3000
+  };
+
+  /** Messaggi di errore in italiano ({n}: valore della regola) */
+  var MESSAGES = {
+    required: 'Campo obbligatorio.',
+    minLength: 'Inserisci almeno {n} caratteri.',
+    maxLength: 'Testo troppo lungo.',
+    invalid: 'Formato non valido.',
+    options: 'Scegli una delle opzioni proposte.',
+    min: 'Il valore minimo è {n}.',
+    max: 'Il valore massimo è {n}.',
+    nome_maxLength: 'Nome troppo lungo.',
+    email_invalid: 'Inserisci un indirizzo email valido.',
+    telefono_invalid: 'Formato telefono non valido (es. +39 333 1234567).',
+    messaggio_minLength: 'Il messaggio deve contenere almeno 10 caratteri.',
+    messaggio_maxLength: 'Messaggio troppo lungo.',
+    numero_invalid: 'Inserisci un numero.',
+    gdpr_required: 'Devi accettare il trattamento dei dati per inviare il modulo.',
+    iscrizione_gdpr_required: 'Devi accettare il trattamento dei dati per ricevere gli avvisi.',
+    visita_telefono_required: 'Indica un numero per contattarti in caso di imprevisti.',
+    visita_inizio_required: 'Scegli giorno e orario della visita.'
+  };
+
+  /**
+   * Verifica se una stringa è un’email valida (formato base).
+   */
+  function isValidEmail(str) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(str);
+  }
+
+  /**
+   * Normalizza un valore in stringa senza spazi iniziali/finali.
+   */
+  function toTrimmedString(value) {
+    return value == null ? '' : String(value).trim();
+  }
+
+  /**
+   * Messaggio per chiave di MESSAGES, tradotto se la lingua della pagina ha la sua versione.
+   */
+  function getTesto(key, n) {
+    var message = I18n && I18n.has('validazione.' + key) ? I18n.t('validazione.' + key) : MESSAGES[key];
+    return n != null ? message.replace('{n}', n) : message;
+  }
+
+  function getMessage(name, regola, n) {
+    return getTesto(MESSAGES[name + '_' + regola] ? name + '_' + regola : regola, n);
+  }
+
+  /**
+   * Valida il valore di un campo secondo le sue regole.
+   * @param {Object} campo - Voce di CAMPI
+   * @param {*} value
+   * @returns {string} Messaggio di errore, stringa vuota se valido
+   */
+  function validateField(campo, value) {
+    var name = campo.name;
+    if (campo.consenso) {
+      return campo.required && value !== true && value !== '1' ? getMessage(name, 'required') : '';
+    }
+    var str = toTrimmedString(value);
+    if (!str) return campo.required ? getMessage(name, 'required') : '';
+    if (campo.minLength && str.length < campo.minLength) return getMessage(name, 'minLength', campo.minLength);
+    if (campo.maxLength && str.length > campo.maxLength) return getMessage(name, 'maxLength', campo.maxLength);
+    if (campo.email && !isValidEmail(str)) return getMessage(name, 'invalid');
+    if (campo.pattern && !campo.pattern.test(str)) return getMessage(name, 'invalid');
+    if (campo.options && campo.options.indexOf(str) === -1) return getMessage(name, 'options');
+    if (campo.numero || campo.min != null || campo.max != null) {
+      var num = Number(str.replace(',', '.'));
+      if (!isFinite(num)) return getTesto(MESSAGES[name + '_invalid'] ? name + '_invalid' : 'numero_invalid');
+      if (campo.min != null && num < campo.min) return getMessage(name, 'min', campo.min);
+      if (campo.max != null && num > campo.max) return getMessage(name, 'max', campo.max);
+    }
+    return '';
+  }
+
+  /**
+   * Valida i campi indicati (default: tutti quelli di CAMPI).
+   * @param {Object} values
+   * @param {Array<string>} [names]
+   * @returns {Object.<string, string>} Errori per campo
+   */
+  function validateCampi(values, names) {
+    var errors = {};
+    CAMPI.forEach(function (campo) {
+      if (names && names.indexOf(campo.name) === -1) return;
+      var message = validateField(campo, values[campo.name]);
+      if (message) errors[campo.name] = message;
+    });
+    return errors;
+  }
+
+  /**
+   * Valida i valori del form e restituisce oggetto { valid, errors }.
+   * @param {Object} values - Un valore per ogni campo di CAMPI (nome, email, telefono, oggetto, messaggio, gdpr)
+   * @returns {{ valid: boolean, errors: Object.<string, string> }}
+   */
+  function validate(values) {
+    var errors = validateCampi(values || {});
+    return {
+      valid: Object.keys(errors).length === 0,
+      errors: errors
+    };
+  }
+
+  /**
+   * Valida l’iscrizione agli avvisi email: stesse regole di email e consenso del form contatti.
+   * @param {Object} values - { email, gdpr }
+   * @returns {{ valid: boolean, errors: Object.<string, string> }}
+   */
+  function validateIscrizione(values) {
+    values = values || {};
+    var errors = validateCampi(values, ['email']);
+    if (values.gdpr !== true && values.gdpr !== '1') {
+      errors.gdpr = getTesto('iscrizione_gdpr_required');
+    }
+    return {
+      valid: Object.keys(errors).length === 0,
+      errors: errors
+    };
+  }
+
+  /**
+   * Valida la prenotazione di una visita: stessi controlli del form contatti su nome, email e
+   * consenso; il telefono è obbligatorio. L’orario libero lo verifica solo il server.
+   * @param {Object} values - { nome, email, telefono, inizio, gdpr }
+   * @returns {{ valid: boolean, errors: Object.<string, string> }}
+   */
+  function validateVisita(values) {
+    values = values || {};
+    var errors = validateCampi(values, ['nome', 'email', 'telefono', 'gdpr']);
+    if (!toTrimmedString(values.telefono)) {
+      errors.telefono = getTesto('visita_telefono_required');
+    }
+    if (!toTrimmedString(values.inizio)) {
+      errors.inizio = getTesto('visita_inizio_required');
+    }
+    return {
+      valid: Object.keys(errors).length === 0,
+      errors: errors
+    };
+  }
+
+  return {
+    CAMPI: CAMPI,
+    RULES: RULES,
+    FIELDS: FIELDS,
+    ANTISPAM: ANTISPAM,
+    MESSAGES: MESSAGES,
+    isValidEmail: isValidEmail,
+    validateField: validateField,
+    validate: validate,
+    validateIscrizione: validateIscrizione,
+    validateVisita: validateVisita
+  };
+});
@@ -0,0 +1,420 @@
+/**
+ * visite.js - Prenotazione delle visite (vedi Backend/visite.js)
+ * Su immobile.html: sezione “Prenota una visita” con gli orari liberi dell’agente (giorno da una
+ * select, orario tra pulsanti radio) e i recapiti del visitatore, validati con le stesse regole del
+ * server (ValidazioneContatti.validateVisita). Se nel frattempo qualcun altro ha preso l’orario il
+ * server risponde 409 e gli orari si ricaricano. Dopo la prenotazione: file .ics e link di gestione.
+ * Su visita.html: pagina aperta dal link ?token= dell’email, con i dati della visita, il file .ics,
+ * lo spostamento a un altro orario libero e l’annullamento.
+ * Va caricato dopo validazione-contatti.js.
+ */
+
+(function () {
+  'use strict';
+
+  var API_VISITE_PATH = 'api/visite';
+
+  var SELECTORS = {
+    detail: '#immobile-detail',
+    sezione: '#immobile-visita',
+    form: '#visita-form',
+    esito: '#visita-esito',
+    pagina: '#visita-pagina',
+    spostaForm: '#visita-sposta-form'
+  };
+
+  /** Ordine dei campi (focus sul primo errore) */
+  var FIELDS = ['inizio', 'nome', 'email', 'telefono', 'gdpr'];
+
+  var MESSAGES = {
+    sending: 'Invio in corso…',
+    network: 'Impossibile completare la richiesta. Controlla la connessione e riprova.',
+    server: 'Si è verificato un errore. Riprova tra qualche minuto.',
+    caricamento: 'Caricamento della prenotazione…',
+    linkMancante: 'Il link non è completo. Copia nel browser l’indirizzo intero che trovi nell’email.',
+    annulla: 'Vuoi annullare la visita? L’orario tornerà disponibile per altri visitatori.',
+    annullata: 'La visita è stata annullata. Ti abbiamo inviato una conferma via email.',
+    spostata: 'Visita spostata: ti abbiamo inviato un’email con il nuovo orario.',
+    passata: 'La visita è già passata.',
+    nessunOrario: 'Non ci sono altri orari liberi al momento: contattaci per concordarne uno.'
+  };
+
+  /**
+   * Escape caratteri speciali per uso in HTML (evita XSS).
+   */
+  function escapeHtml(str) {
+    if (str == null) return '';
+    var div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+  }
+
+  /**
+   * Richiesta all’API delle visite.
+   * @returns {Promise<{ status: number, body: Object }>} Rifiutata solo per errori di rete
+   */
+  function request(method, path, values) {
+    var options = { method: method, headers: {} };
+    if (values !== undefined) {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(values);
+    }
+    return fetch(path, options).then(function (res) {
+      return res.json()
+        .catch(function () { return {}; })
+        .then(function (body) {
+          return { status: res.status, body: body || {} };
+        });
+    });
+  }
+
+  function fetchOrari() {
+    return request('GET', API_VISITE_PATH + '/disponibilita');
+  }
+
+  /**
+   * Etichetta del giorno, es. "martedì 20 ottobre".
+   * @param {string} data - AAAA-MM-GG (già nel fuso dell’agenzia)
+   */
+  function formatGiorno(data) {
+    return new Date(data + 'T12:00:00Z').toLocaleDateString('it-IT', {
+      weekday: 'long',
+      day: 'numeric',
+      month: 'long',
+      timeZone: 'UTC'
+    });
+  }
+
+  // ---------- Scelta dell’orario (comune a prenotazione e spostamento) ----------
+
+  /** Orari liberi mostrati da ogni form, per id del form */
+  var giorniPerForm = {};
+
+  /**
+   * Popola la select dei giorni e gli orari del primo giorno.
+   * @param {HTMLFormElement} form - Con select[name="giorno"] e [data-visita-orari]
+   * @param {Array<{ data: string, orari: Array<string> }>} giorni
+   */
+  function renderGiorni(form, giorni) {
+    var select = form.elements.giorno;
+    select.innerHTML = giorni.map(function (g) {
+      return '<option value="' + escapeHtml(g.data) + '">' + escapeHtml(formatGiorno(g.data)) + ' (' + g.orari.length + ' orari liberi)</option>';
+    }).join('');
+    giorniPerForm[form.id] = giorni;
+    renderOrari(form);
+  }
+
+  /**
+   * Pulsanti radio degli orari del giorno scelto (name="inizio", valore "AAAA-MM-GGTHH:MM").
+   */
+  function renderOrari(form) {
+    var data = form.elements.giorno.value;
+    var giorno = (giorniPerForm[form.id] || []).filter(function (g) { return g.data === data; })[0];
+    var list = form.querySelector('[data-visita-orari]');
+    list.innerHTML = (giorno ? giorno.orari : []).map(function (ora) {
+      var value = data + 'T' + ora;
+      var id = form.id + '-orario-' + ora.replace(':', '');
+      return '<span class="visita__slot"><input type="radio" name="inizio" id="' + id + '" value="' + escapeHtml(value) + '">' +
+        '<label for="' + id + '">' + escapeHtml(ora) + '</label></span>';
+    }).join('');
+  }
+
+  function getInizio(form) {
+    var checked = form.querySelector('input[name="inizio"]:checked');
+    return checked ? checked.value : '';
+  }
+
+  /**
+   * Campo su cui mostrare l’errore: per l’orario è il gruppo di pulsanti radio.
+   */
+  function getField(form, name) {
+    if (name === 'inizio') return form.querySelector('[data-visita-orari]');
+    return form.elements[name];
+  }
+
+  // ---------- Errori (stesso markup del form contatti) ----------
+
+  function showFieldError(form, name, message) {
+    var el = getField(form, name);
+    var group = el && el.closest('.form-group');
+    if (!group) return;
+    var errorId = form.id + '-error-' + name;
+    var errorEl = group.querySelector('.form-error');
+    if (!errorEl) {
+      errorEl = document.createElement('span');
+      errorEl.className = 'form-error';
+      errorEl.setAttribute('role', 'alert');
+      group.appendChild(errorEl);
+    }
+    errorEl.id = errorId;
+    errorEl.textContent = message;
+    el.setAttribute('aria-describedby', errorId);
+    if (el.type === 'checkbox') {
+      group.classList.add('form-check-wrap--error');
+    } else if (name !== 'inizio') {
+      el.setAttribute('aria-invalid', 'true');
+      el.classList.add('form-input--error');
+    }
+  }
+
+  function clearErrors(form) {
+    FIELDS.forEach(function (name) {
+      var el = getField(form, name);
+      var group = el && el.closest('.form-group');
+      if (!group) return;
+      var errorEl = group.querySelector('.form-error');
+      if (errorEl) errorEl.remove();
+      group.classList.remove('form-check-wrap--error');
+      el.removeAttribute('aria-invalid');
+      el.removeAttribute('aria-describedby');
+      el.classList.remove('form-input--error');
+    });
+    setAlert(form, '');
+  }
+
+  function showErrors(form, errors) {
+    var first = null;
+    FIELDS.forEach(function (name) {
+      if (!errors[name]) return;
+      showFieldError(form, name, errors[name]);
+      if (!first) first = name === 'inizio' ? (form.querySelector('input[name="inizio"]') || form.elements.giorno) : form.elements[name];
+    });
+    if (first) first.focus();
+  }
+
+  function setAlert(form, message) {
+    var alert = form.querySelector('.form-error[aria-live]');
+    if (alert) alert.textContent = message;
+  }
+
+  function setSubmitting(form, submitting) {
+    var btn = form.querySelector('[type="submit"]');
+    if (!btn) return;
+    if (submitting) {
+      btn.dataset.label = btn.textContent;
+      btn.textContent = MESSAGES.sending;
+    } else if (btn.dataset.label) {
+      btn.textContent = btn.dataset.label;
+    }
+    btn.disabled = submitting;
+    form.setAttribute('aria-busy', submitting ? 'true' : 'false');
+  }
+
+  /**
+   * Ricarica gli orari liberi (dopo un 409): il giorno scelto resta selezionato se ha ancora orari.
+   */
+  function reloadOrari(form) {
+    var giorno = form.elements.giorno.value;
+    return fetchOrari().then(function (response) {
+      var giorni = response.body.giorni || [];
+      renderGiorni(form, giorni);
+      if (giorni.some(function (g) { return g.data === giorno; })) {
+        form.elements.giorno.value = giorno;
+        renderOrari(form);
+      }
+      if (giorni.length === 0) setAlert(form, MESSAGES.nessunOrario);
+    });
+  }
+
+  /**
+   * Link a file .ics e pagina di gestione della visita.
+   */
+  function buildLinksHtml(token, conGestione) {
+    var base = API_VISITE_PATH + '/' + encodeURIComponent(token);
+    return '<p class="visita__azioni"><a class="btn btn--secondary" href="' + base + '/ics" download>Aggiungi al calendario (.ics)</a>' +
+      (conGestione ? ' <a class="btn btn--secondary" href="visita.html?token=' + encodeURIComponent(token) + '">Sposta o annulla</a>' : '') +
+      '</p>';
+  }
+
+  // ---------- Prenotazione su immobile.html ----------
+
+  function showConferma(sezione, form, visita) {
+    var esito = sezione.querySelector(SELECTORS.esito);
+    esito.innerHTML = '<p><strong>Visita prenotata per ' + escapeHtml(visita.quando) + '.</strong> ' +
+      'Ti abbiamo inviato un’email di conferma con il link per spostarla o annullarla.</p>' +
+      buildLinksHtml(visita.token, true);
+    esito.hidden = false;
+    form.reset();
+    form.hidden = true;
+    esito.focus();
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    var form = e.currentTarget;
+    var sezione = form.closest(SELECTORS.sezione);
+    if (form.getAttribute('aria-busy') === 'true') return;
+    clearErrors(form);
+    var values = {
+      immobile: sezione.dataset.immobile,
+      inizio: getInizio(form),
+      nome: (form.elements.nome.value || '').trim(),
+      email: (form.elements.email.value || '').trim(),
+      telefono: (form.elements.telefono.value || '').trim(),
+      gdpr: form.elements.gdpr.checked
+    };
+    var result = window.ValidazioneContatti.validateVisita(values);
+    if (!result.valid) {
+      showErrors(form, result.errors);
+      return;
+    }
+
+    setSubmitting(form, true);
+    request('POST', API_VISITE_PATH, values)
+      .then(function (response) {
+        setSubmitting(form, false);
+        if (response.status === 201) {
+          showConferma(sezione, form, response.body);
+        } else if (response.status === 409) {
+          setAlert(form, response.body.errore || MESSAGES.server);
+          return reloadOrari(form);
+        } else if (response.status === 422 && response.body.campi) {
+          showErrors(form, response.body.campi);
+        } else {
+          setAlert(form, response.body.errore || MESSAGES.server);
+        }
+      })
+      .catch(function () {
+        setSubmitting(form, false);
+        setAlert(form, MESSAGES.network);
+      });
+  }
+
+  function initPrenotazione() {
+    var sezione = document.querySelector(SELECTORS.sezione);
+    var form = document.querySelector(SELECTORS.form);
+    var detail = document.querySelector(SELECTORS.detail);
+    // Scheda generata dal server (immobili/:id-slug) o pagina statica con ?id=
+    var id = (detail && detail.getAttribute('data-immobile-id')) || new URLSearchParams(window.location.search).get('id');
+    if (!sezione || !form || !id) return;
+    sezione.dataset.immobile = id;
+    form.elements.giorno.addEventListener('change', function () { renderOrari(form); });
+    form.addEventListener('submit', handleSubmit);
+
+    fetchOrari().then(function (response) {
+      if (response.status !== 200) return;
+      var giorni = response.body.giorni || [];
+      sezione.hidden = false;
+      if (giorni.length === 0) {
+        sezione.querySelector('[data-visita-vuota]').hidden = false;
+        return;
+      }
+      renderGiorni(form, giorni);
+      form.hidden = false;
+    }).catch(function () {
+      // Senza API (es. sito statico) la sezione resta nascosta: resta il form contatti
+    });
+  }
+
+  // ---------- Pagina visita.html ----------
+
+  function renderVisita(pagina, visita, token, message) {
+    pagina.querySelector('[data-visita-messaggio]').textContent = message || '';
+    var dettaglio = pagina.querySelector('[data-visita-dettaglio]');
+    dettaglio.innerHTML =
+      '<dl class="visita__dati">' +
+      '<dt>Immobile</dt><dd><a href="immobile.html?id=' + encodeURIComponent(visita.immobile.id) + '">' + escapeHtml(visita.immobile.titolo) + '</a>' +
+      (visita.immobile.luogo ? '<br>' + escapeHtml(visita.immobile.luogo) : '') + '</dd>' +
+      '<dt>Quando</dt><dd>' + escapeHtml(visita.quando) + ' (' + visita.durataMinuti + ' minuti)</dd>' +
+      '<dt>Stato</dt><dd>' + (visita.stato === 'annullata' ? 'Annullata' : visita.modificabile ? 'Confermata' : MESSAGES.passata) + '</dd>' +
+      '</dl>' +
+      (visita.stato === 'annullata' ? '' : buildLinksHtml(token, false));
+    dettaglio.hidden = false;
+    pagina.querySelector('[data-visita-azioni]').hidden = !visita.modificabile;
+    if (!visita.modificabile) pagina.querySelector(SELECTORS.spostaForm).hidden = true;
+  }
+
+  function initPagina() {
+    var pagina = document.querySelector(SELECTORS.pagina);
+    if (!pagina) return;
+    var messaggio = pagina.querySelector('[data-visita-messaggio]');
+    var token = new URLSearchParams(window.location.search).get('token');
+    if (!token) {
+      messaggio.textContent = MESSAGES.linkMancante;
+      return;
+    }
+    var path = API_VISITE_PATH + '/' + encodeURIComponent(token);
+    var spostaForm = pagina.querySelector(SELECTORS.spostaForm);
+    messaggio.textContent = MESSAGES.caricamento;
+
+    function handleResponse(response, message) {
+      if (response.status === 200) {
+        renderVisita(pagina, response.body, token, message);
+      } else {
+        messaggio.textContent = response.body.errore || MESSAGES.server;
+      }
+      return response;
+    }
+
+    request('GET', path).then(handleResponse).catch(function () {
+      messaggio.textContent = MESSAGES.network;
+    });
+
+    pagina.querySelector('[data-visita-annulla]').addEventListener('click', function (e) {
+      if (!window.confirm(MESSAGES.annulla)) return;
+      var btn = e.currentTarget;
+      btn.disabled = true;
+      request('POST', path + '/annulla').then(function (response) {
+        handleResponse(response, MESSAGES.annullata);
+      }).catch(function () {
+        messaggio.textContent = MESSAGES.network;
+      }).then(function () {
+        btn.disabled = false;
+      });
+    });
+
+    pagina.querySelector('[data-visita-sposta]').addEventListener('click', function () {
+      fetchOrari().then(function (response) {
+        var giorni = response.body.giorni || [];
+        if (giorni.length === 0) {
+          messaggio.textContent = MESSAGES.nessunOrario;
+          return;
+        }
+        renderGiorni(spostaForm, giorni);
+        spostaForm.hidden = false;
+        spostaForm.elements.giorno.focus();
+      }).catch(function () {
+        messaggio.textContent = MESSAGES.network;
+      });
+    });
+
+    spostaForm.elements.giorno.addEventListener('change', function () { renderOrari(spostaForm); });
+    spostaForm.addEventListener('submit', function (e) {
+      e.preventDefault();
+      if (spostaForm.getAttribute('aria-busy') === 'true') return;
+      clearErrors(spostaForm);
+      var inizio = getInizio(spostaForm);
+      if (!inizio) {
+        showErrors(spostaForm, { inizio: window.ValidazioneContatti.MESSAGES.visita_inizio_required });
+        return;
+      }
+      setSubmitting(spostaForm, true);
+      request('POST', path + '/sposta', { inizio: inizio }).then(function (response) {
+        setSubmitting(spostaForm, false);
+        if (response.status === 200) {
+          spostaForm.hidden = true;
+          handleResponse(response, MESSAGES.spostata);
+        } else if (response.status === 409 && response.body.campi) {
+          setAlert(spostaForm, response.body.errore);
+          return reloadOrari(spostaForm);
+        } else {
+          setAlert(spostaForm, response.body.errore || MESSAGES.server);
+        }
+      }).catch(function () {
+        setSubmitting(spostaForm, false);
+        setAlert(spostaForm, MESSAGES.network);
+      });
+    });
+  }
+
+  function init() {
+    initPrenotazione();
+    initPagina();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
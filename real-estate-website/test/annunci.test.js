@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * annunci.test.js - Controlli di filtri, ordinamento e paginazione dell’elenco immobili
+ * (parseQuery, filterImmobili, sortImmobili, queryImmobili di assets/js/annunci.js).
+ * Solo moduli di Node, nessuna dipendenza: i controlli falliti sono riportati uno per uno.
+ *
+ * Uso: node test/annunci.test.js
+ * Codice di uscita: 0 tutti i controlli superati, 1 almeno uno fallito.
+ */
+
+'use strict';
+
+var assert = require('assert');
+
+var Annunci = require('../assets/js/annunci');
+
+var IMMOBILI = [
+  { id: 1, titolo: 'Bilocale in centro', tipologia: 'vendita', tipoImmobile: 'Appartamento', prezzo: 180000, superficie: 60, locali: 2, citta: 'Milano', dataInserimento: '2026-03-01', dettagliTecnici: { classeEnergetica: 'B' } },
+  { id: 2, titolo: 'Villa con giardino', tipologia: 'vendita', tipoImmobile: 'Villa', prezzo: 450000, superficie: 200, locali: 6, citta: 'Roma', dataInserimento: '2026-05-10', dettagliTecnici: { giardino: 'Sì', classeEnergetica: 'A2' } },
+  { id: 3, titolo: 'Trilocale arredato', tipologia: 'affitto', tipoImmobile: 'Appartamento', prezzo: 1200, superficie: 85, locali: 3, citta: 'Milano', dataInserimento: '2026-04-20' },
+  { id: 4, titolo: 'Attico panoramico', tipologia: 'vendita', tipoImmobile: 'Attico', prezzoSuRichiesta: true, superficie: 150, locali: 4, citta: 'Roma', dataInserimento: '2026-01-15' }
+];
+
+function query(qs) {
+  return Annunci.parseQuery(new URLSearchParams(qs));
+}
+
+function ids(list) {
+  return list.map(function (item) { return item.id; });
+}
+
+var controlli = [];
+
+function controllo(nome, fn) {
+  controlli.push({ nome: nome, fn: fn });
+}
+
+// ---------- parseQuery ----------
+
+controllo('parseQuery: default senza parametri', function () {
+  var filters = query('');
+  assert.strictEqual(filters.contratto, '');
+  assert.strictEqual(filters.ordine, 'recente');
+  assert.strictEqual(filters.pagina, 1);
+  assert.strictEqual(filters.perPagina, Annunci.PER_PAGINA_DEFAULT);
+});
+
+controllo('parseQuery: valori non validi ignorati', function () {
+  var filters = query('contratto=permuta&ordine=casuale&prezzo-min=abc&pagina=-2&per-pagina=1000&caratteristiche=piscina');
+  assert.strictEqual(filters.contratto, '');
+  assert.strictEqual(filters.ordine, 'recente');
+  assert.strictEqual(filters.prezzoMin, null);
+  assert.strictEqual(filters.pagina, 1);
+  assert.strictEqual(filters.perPagina, Annunci.PER_PAGINA_MAX);
+  assert.deepStrictEqual(filters.caratteristiche, []);
+});
+
+controllo('parseQuery: prezzo-* letti come canone nei link vecchi con contratto=affitto', function () {
+  var filters = query('contratto=affitto&prezzo-min=500&prezzo-max=1500');
+  assert.strictEqual(filters.canoneMin, 500);
+  assert.strictEqual(filters.canoneMax, 1500);
+  assert.strictEqual(filters.prezzoMin, null);
+  assert.strictEqual(filters.prezzoMax, null);
+});
+
+// ---------- filterImmobili ----------
+
+controllo('filterImmobili: contratto e località', function () {
+  assert.deepStrictEqual(ids(Annunci.filterImmobili(IMMOBILI, query('contratto=vendita&localita=Roma'))), [2, 4]);
+});
+
+controllo('filterImmobili: fasce di prezzo separate per vendita e affitto', function () {
+  assert.deepStrictEqual(ids(Annunci.filterImmobili(IMMOBILI, query('prezzo-max=200000&canone-max=1500'))), [1, 3]);
+});
+
+controllo('filterImmobili: un prezzo su richiesta non rientra in nessuna fascia', function () {
+  assert.deepStrictEqual(ids(Annunci.filterImmobili(IMMOBILI, query('contratto=vendita&prezzo-min=100000'))), [1, 2]);
+});
+
+controllo('filterImmobili: superficie, locali, classe energetica e caratteristiche', function () {
+  assert.deepStrictEqual(ids(Annunci.filterImmobili(IMMOBILI, query('superficie-min=80&locali-min=3'))), [2, 3, 4]);
+  assert.deepStrictEqual(ids(Annunci.filterImmobili(IMMOBILI, query('classe-energetica=B'))), [1, 2]);
+  assert.deepStrictEqual(ids(Annunci.filterImmobili(IMMOBILI, query('caratteristiche=giardino'))), [2]);
+});
+
+controllo('filterImmobili: ricerca libera senza accenti né maiuscole', function () {
+  assert.deepStrictEqual(ids(Annunci.filterImmobili(IMMOBILI, query('q=ATTICO'))), [4]);
+});
+
+// ---------- sortImmobili ----------
+
+controllo('sortImmobili: più recenti prima', function () {
+  assert.deepStrictEqual(ids(Annunci.sortImmobili(IMMOBILI, 'recente')), [2, 3, 1, 4]);
+});
+
+controllo('sortImmobili: prezzi su richiesta in fondo in entrambi i versi', function () {
+  assert.deepStrictEqual(ids(Annunci.sortImmobili(IMMOBILI, 'prezzo-crescente')), [3, 1, 2, 4]);
+  assert.deepStrictEqual(ids(Annunci.sortImmobili(IMMOBILI, 'prezzo-decrescente')), [2, 1, 3, 4]);
+});
+
+controllo('sortImmobili: non modifica l’array originale', function () {
+  Annunci.sortImmobili(IMMOBILI, 'prezzo-crescente');
+  assert.deepStrictEqual(ids(IMMOBILI), [1, 2, 3, 4]);
+});
+
+// ---------- queryImmobili ----------
+
+controllo('queryImmobili: paginazione e opzioni calcolate su tutti gli immobili', function () {
+  var risultati = Annunci.queryImmobili(IMMOBILI, query('contratto=vendita&per-pagina=2&pagina=2'));
+  assert.strictEqual(risultati.totale, 3);
+  assert.strictEqual(risultati.pagine, 2);
+  assert.deepStrictEqual(ids(risultati.immobili), [4]);
+  assert.deepStrictEqual(risultati.opzioni.localita, ['Milano', 'Roma']);
+  assert.deepStrictEqual(risultati.opzioni.tipiImmobile, ['Appartamento', 'Attico', 'Villa']);
+});
+
+controllo('queryImmobili: località e tipologia inesistenti ignorate invece di zero risultati', function () {
+  var risultati = Annunci.queryImmobili(IMMOBILI, query('localita=Nowhere&tipo-immobile=Castello'));
+  assert.strictEqual(risultati.totale, IMMOBILI.length);
+  risultati = Annunci.queryImmobili(IMMOBILI, query('localita=Nowhere&tipo-immobile=Villa'));
+  assert.deepStrictEqual(ids(risultati.immobili), [2]);
+});
+
+controllo('validaFiltri: restituisce gli stessi filtri se sono tutti validi', function () {
+  var filters = query('localita=Milano&tipo-immobile=Appartamento');
+  var opzioni = Annunci.getOpzioniFiltri(IMMOBILI);
+  assert.strictEqual(Annunci.validaFiltri(filters, opzioni), filters);
+  var ripuliti = Annunci.validaFiltri(query('localita=Nowhere&tipo-immobile=Appartamento'), opzioni);
+  assert.strictEqual(ripuliti.localita, '');
+  assert.strictEqual(ripuliti.tipoImmobile, 'Appartamento');
+});
+
+var falliti = 0;
+controlli.forEach(function (c) {
+  try {
+    c.fn();
+    console.log('ok  ' + c.nome);
+  } catch (err) {
+    falliti++;
+    console.error('NO  ' + c.nome + '\n    ' + err.message.split('\n').join('\n    '));
+  }
+});
+console.log('\n' + (controlli.length - falliti) + '/' + controlli.length + ' controlli superati');
+process.exitCode = falliti > 0 ? 1 : 0;